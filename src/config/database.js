@@ -239,16 +239,20 @@ class DatabaseConnection {
 
   /**
    * Setup database indexes (call this after connection is established)
+   * Builds the indexes declared on every registered model, including the
+   * job text index used by search, so they exist before traffic arrives.
    * @returns {Promise<void>}
    */
   async setupIndexes() {
     try {
       logger.info("Setting up database indexes...");
-      
-      // Add any global indexes here if needed
-      // This method can be extended when models are created
-      
-      logger.info("Database indexes setup completed");
+
+      const models = Object.values(mongoose.models);
+      await Promise.all(models.map((model) => model.createIndexes()));
+
+      logger.info("Database indexes setup completed", {
+        models: models.map((model) => model.modelName),
+      });
     } catch (error) {
       logger.error("Error setting up database indexes", {
         error: error.message,
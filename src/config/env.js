@@ -28,6 +28,18 @@ if (missingEnvVars.length > 0) {
   );
 }
 
+/**
+ * Parse TRUST_PROXY into an Express "trust proxy" value
+ * ("true"/"false", a hop count, or a comma-separated list of addresses/subnets)
+ * @param {string} value - Raw environment value
+ * @returns {boolean|number|string} trust proxy setting
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+
 // Environment configuration object
 const config = {
   // Application Environment
@@ -42,6 +54,15 @@ const config = {
   server: {
     port: parseInt(process.env.PORT, 10) || 5000,
     host: process.env.HOST || "localhost",
+    // Public base URL used when building links in emails
+    publicUrl:
+      process.env.PUBLIC_URL ||
+      `http://${process.env.HOST || "localhost"}:${parseInt(process.env.PORT, 10) || 5000}`,
+  },
+
+  // Frontend Client Configuration
+  client: {
+    url: process.env.CLIENT_URL || "http://localhost:3000",
   },
 
   // Database Configuration
@@ -62,19 +83,54 @@ const config = {
     expiresIn: process.env.JWT_EXPIRES_IN || "7d",
     refreshSecret: process.env.JWT_REFRESH_SECRET || "dev-refresh-secret",
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || "30d",
+    // Lifetime of the access token an admin gets when impersonating a user (no refresh token)
+    impersonationExpiresIn: process.env.JWT_IMPERSONATION_EXPIRES_IN || "15m",
   },
 
   // CORS Configuration
   cors: {
-    origin: process.env.CLIENT_URL || "http://localhost:3000",
+    // Comma-separated allowlist of browser origins; "*" allows any origin (without credentials)
+    origin: (process.env.CORS_ORIGINS || process.env.CLIENT_URL || "http://localhost:3000")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
     credentials: true,
     optionsSuccessStatus: 200,
   },
 
   // Rate Limiting
   rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    // Counter store: "memory" (per process) or "mongo" (shared by every instance)
+    store: process.env.RATE_LIMIT_STORE || "memory",
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
-    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // limit each IP to 100 requests per windowMs
+    max: parseInt(process.env.RATE_LIMIT_MAX, 10) || 100, // limit each anonymous client (IP) to 100 requests per windowMs
+    // Per-role quotas for authenticated users, counted per user id
+    roles: {
+      job_seeker: 300,
+      employer: 600,
+      admin: 1000,
+    },
+    // Stricter limit for POST /auth/login; only failed attempts count
+    login: {
+      windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000, // 15 minutes
+      max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 10,
+    },
+    // GET /jobs/search; signed-in users, employers especially, get higher quotas
+    search: {
+      windowMs: parseInt(process.env.SEARCH_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000, // 1 minute
+      max: parseInt(process.env.SEARCH_RATE_LIMIT_MAX, 10) || 30,
+      roles: {
+        job_seeker: 60,
+        employer: 120,
+        admin: 300,
+      },
+    },
+    // Sending messages, per user
+    messages: {
+      windowMs: parseInt(process.env.MESSAGE_RATE_LIMIT_WINDOW_MS, 10) || 60 * 1000, // 1 minute
+      max: parseInt(process.env.MESSAGE_RATE_LIMIT_MAX, 10) || 30,
+    },
   },
 
   // File Upload Configuration
@@ -82,6 +138,8 @@ const config = {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE, 10) || 5 * 1024 * 1024, // 5MB
     allowedTypes: ["image/jpeg", "image/png", "image/gif", "application/pdf"],
     uploadPath: process.env.UPLOAD_PATH || "./uploads",
+    // Storage backend for uploaded files ("local"; an S3-compatible driver can be added later)
+    driver: process.env.STORAGE_DRIVER || "local",
   },
 
   // Email Configuration (optional)
@@ -92,6 +150,74 @@ const config = {
     user: process.env.EMAIL_USER,
     pass: process.env.EMAIL_PASS,
     from: process.env.EMAIL_FROM || "noreply@career-sewa.com",
+    // "smtp" delivers through the host above, "file" writes .eml files to outboxDir
+    transport: process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? "smtp" : "file"),
+    outboxDir: process.env.EMAIL_OUTBOX_DIR || "./temp/mail",
+    // GET /dev/mail: browse the outbox and preview templates. It is unauthenticated
+    // and shows reset and verification links, so it is on by default only in
+    // development, opt-in elsewhere, and never in production.
+    previewEnabled:
+      process.env.NODE_ENV !== "production" &&
+      (process.env.EMAIL_PREVIEW_ENABLED
+        ? process.env.EMAIL_PREVIEW_ENABLED === "true"
+        : process.env.NODE_ENV === "development"),
+    verification: {
+      tokenExpiresMs: 24 * 60 * 60 * 1000, // 24 hours
+      resendCooldownMs: 60 * 1000, // 1 minute
+    },
+  },
+
+  // Languages emails (and other user-facing messages) are available in
+  i18n: {
+    defaultLocale: "en",
+    locales: ["en", "ne"],
+    // Time zone dates are shown in when none is given (e.g. interview times)
+    timeZone: process.env.DEFAULT_TIME_ZONE || "Asia/Kathmandu",
+  },
+
+  // Saved Searches & Job Alerts
+  alerts: {
+    // Run due alerts from the queue worker
+    enabled: process.env.JOB_ALERTS_ENABLED !== "false",
+    // When due alerts are checked (UTC cron); also the delay of "instant" alerts
+    cron: process.env.JOB_ALERTS_CRON || "* * * * *", // every minute
+    maxJobsPerEmail: 10,
+    maxSavedSearches: 20,
+    // Lifetime of the unsubscribe link in each alert email
+    unsubscribeExpiresIn: process.env.JOB_ALERTS_UNSUBSCRIBE_EXPIRES_IN || "30d",
+  },
+
+  // Background Job Queue (run by src/worker.js)
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 5,
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 1000,
+    // A running job whose worker stops renewing this lock is taken over by another worker
+    lockMs: 5 * 60 * 1000, // 5 minutes
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5,
+    // Retry delays double from baseMs up to maxMs
+    backoff: {
+      baseMs: 30 * 1000, // 30 seconds
+      maxMs: 60 * 60 * 1000, // 1 hour
+    },
+    completedRetentionMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+    deadRetentionMs: 30 * 24 * 60 * 60 * 1000, // 30 days
+    // When dead jobs past their retention are purged (UTC cron)
+    cleanupCron: "30 3 * * *",
+  },
+
+  // In-app Notifications
+  notifications: {
+    // Comment sent on idle event streams so proxies do not close them
+    heartbeatMs: parseInt(process.env.NOTIFICATION_HEARTBEAT_MS, 10) || 25 * 1000, // 25 seconds
+    maxStreamsPerUser: parseInt(process.env.NOTIFICATION_MAX_STREAMS, 10) || 5,
+    // Missed notifications sent to a stream reconnecting with Last-Event-ID
+    maxReplay: 50,
+  },
+
+  // Employer–candidate messaging
+  messaging: {
+    // Attachments per message; each is limited by upload.maxFileSize
+    maxAttachments: 5,
   },
 
   // Logging Configuration
@@ -108,11 +234,52 @@ const config = {
     prefix: process.env.API_PREFIX || "/api",
   },
 
+  // Error Response Configuration
+  errors: {
+    // "json" for the APIResponse envelope, "problem" for RFC 7807 application/problem+json
+    // (clients can also ask for problem+json per request via the Accept header)
+    format: process.env.ERROR_FORMAT || "json",
+    // Base URI for problem "type" members; "about:blank" when unset
+    typeBaseUrl: process.env.ERROR_TYPE_BASE_URL || null,
+  },
+
+  // Two-factor Authentication
+  twoFactor: {
+    // Shown as the account's issuer in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || "Career Sewa",
+    // Key TOTP secrets are encrypted with at rest
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || "dev-two-factor-key",
+    // How often each instance reloads the required roles admins set (PUT /admin/settings/two-factor)
+    policyRefreshMs: 60 * 1000,
+    // Lifetime of the challenge token returned by /auth/login
+    challengeExpiresIn: "5m",
+    recoveryCodeCount: 10,
+  },
+
   // Security Configuration
   security: {
     bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 12,
     sessionSecret: process.env.SESSION_SECRET || "dev-session-secret",
     cookieSecret: process.env.COOKIE_SECRET || "dev-cookie-secret",
+    // Express "trust proxy" setting; set when running behind a load balancer so req.ip is the client's
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    passwordResetExpiresMs: 60 * 60 * 1000, // 1 hour
+    // Brute-force protection for password logins
+    lockout: {
+      // Failures that count towards a lockout must fall within this window
+      attemptWindowMs: 60 * 60 * 1000, // 1 hour
+      // Failures allowed before each further attempt must wait, doubling from baseDelayMs
+      freeAttempts: 3,
+      baseDelayMs: 1000,
+      maxDelayMs: 60 * 1000,
+      // Failures before the account is locked, and for how long
+      maxAttempts: parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 10,
+      durationMs: parseInt(process.env.LOCKOUT_DURATION_MS, 10) || 30 * 60 * 1000, // 30 minutes
+      unlockTokenExpiresMs: 24 * 60 * 60 * 1000, // 24 hours
+      // Failed logins from one IP, across all accounts, before the IP is blocked
+      ipMaxAttempts: parseInt(process.env.LOCKOUT_IP_MAX_ATTEMPTS, 10) || 50,
+      ipWindowMs: 60 * 60 * 1000, // 1 hour
+    },
   },
 };
 
@@ -120,8 +287,10 @@ const config = {
 if (config.env.isProduction) {
   const productionRequiredVars = [
     "JWT_SECRET",
+    "JWT_REFRESH_SECRET",
     "SESSION_SECRET",
     "COOKIE_SECRET",
+    "TWO_FACTOR_ENCRYPTION_KEY",
   ];
 
   const missingProdVars = productionRequiredVars.filter(
@@ -1,5 +1,6 @@
 import winston from "winston";
 import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
 import { fileURLToPath } from "url";
 import config from "./env.js";
 
@@ -10,10 +11,29 @@ const __dirname = path.dirname(__filename);
 // Ensure logs directory exists
 const logsDir = path.resolve(__dirname, "../../logs");
 
+/**
+ * Per-request logging context (request id, ...), propagated across async calls
+ */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Add the current request context to every log entry that doesn't set it itself
+ */
+const requestContextFormat = winston.format((info) => {
+  const context = requestContext.getStore();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined) info[key] = value;
+    }
+  }
+  return info;
+});
+
 /**
  * Custom log format for better readability
  */
 const logFormat = winston.format.combine(
+  requestContextFormat(),
   winston.format.timestamp({
     format: "YYYY-MM-DD HH:mm:ss",
   }),
@@ -152,6 +172,16 @@ if (!config.env.isTest) {
   );
 }
 
+// Query parameters that carry credentials (see authenticateStream)
+const SENSITIVE_QUERY_PARAMS = /([?&]access_token=)[^&]*/g;
+
+/**
+ * Hide credentials passed in a URL's query string
+ * @param {string} url - Request URL
+ * @returns {string} URL safe to log
+ */
+const redactUrl = (url) => url?.replace(SENSITIVE_QUERY_PARAMS, "$1[REDACTED]");
+
 /**
  * Logger utility functions
  */
@@ -164,8 +194,9 @@ const loggerUtils = {
     const { statusCode } = res;
     
     const logData = {
+      requestId: req.id,
       method,
-      url,
+      url: redactUrl(url),
       ip,
       statusCode,
       responseTime: `${responseTime}ms`,
@@ -217,13 +248,14 @@ const loggerUtils = {
     const errorData = {
       message: error.message,
       stack: error.stack,
+      requestId: req.id,
       method: req.method,
-      url: req.url,
+      url: redactUrl(req.url),
       ip: req.ip,
       userAgent: req.headers["user-agent"],
       body: req.body,
       params: req.params,
-      query: req.query,
+      query: req.query?.access_token ? { ...req.query, access_token: "[REDACTED]" } : req.query,
       ...additionalContext,
     };
 
@@ -253,15 +285,45 @@ const loggerUtils = {
 
     logger[severity]("Security Event", logData);
   },
+
+  /**
+   * Log audit trail events (who changed what)
+   */
+  audit: (action, actorId, context = {}) => {
+    logger.info("Audit Event", {
+      action,
+      actorId,
+      timestamp: new Date().toISOString(),
+      ...context,
+    });
+  },
 };
 
 /**
- * Create a child logger with additional metadata
+ * Create a child logger with additional metadata. Inside a request the
+ * request context (request id, ...) is included automatically.
  */
 const createChildLogger = (metadata = {}) => {
-  return logger.child(metadata);
+  return logger.child({ ...requestContext.getStore(), ...metadata });
 };
 
+/**
+ * Run a function with a logging context; every log entry written while it
+ * runs, including from async continuations, carries the context's fields
+ * @param {Object} context - Fields to attach, e.g. { requestId }
+ * @param {Function} callback - Function to run
+ * @returns {any} Return value of the callback
+ */
+const runWithRequestContext = (context, callback) => {
+  return requestContext.run(context, callback);
+};
+
+/**
+ * Get the logging context of the current request, if any
+ * @returns {Object|undefined} Context fields
+ */
+const getRequestContext = () => requestContext.getStore();
+
 /**
  * Express middleware for request logging
  */
@@ -277,4 +339,4 @@ const requestLogger = (req, res, next) => {
 };
 
 export default logger;
-export { loggerUtils, createChildLogger, requestLogger };
\ No newline at end of file
+export { loggerUtils, createChildLogger, requestLogger, runWithRequestContext, getRequestContext, redactUrl };
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Roles & Permissions
+ * Maps each User.role to the permissions it grants.
+ * Routes guard on permissions via requirePermission(); roles are only checked
+ * directly with authorize() when a route is inherently role-specific.
+ */
+
+export const ROLES = Object.freeze({
+  JOB_SEEKER: "job_seeker",
+  EMPLOYER: "employer",
+  ADMIN: "admin",
+});
+
+// Wildcard permission granting everything
+const ALL = "*";
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.JOB_SEEKER]: Object.freeze([
+    "account:read",
+    "account:update",
+    "applications:create",
+    "profile:manage",
+    "jobs:save",
+    "searches:manage",
+    "notifications:manage",
+    "messages:send",
+  ]),
+  [ROLES.EMPLOYER]: Object.freeze([
+    "account:read",
+    "account:update",
+    "jobs:create",
+    "jobs:manage_own",
+    "applications:review",
+    "companies:create",
+    "notifications:manage",
+    "messages:send",
+  ]),
+  [ROLES.ADMIN]: Object.freeze([ALL]),
+});
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name (e.g. "jobs:create")
+ * @returns {boolean} Whether the role has the permission
+ */
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes(ALL) || permissions.includes(permission);
+};
+
+export default {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
@@ -0,0 +1,362 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import { ROLES } from "../config/roles.js";
+import { loggerUtils } from "../config/logger.js";
+import config from "../config/env.js";
+import logger from "../config/logger.js";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import EmailDelivery, { EMAIL_DELIVERY_STATUSES } from "../models/EmailDelivery.js";
+import { EMAIL_TEMPLATES } from "../templates/email/index.js";
+import { unlockAccount } from "../services/loginProtectionService.js";
+import { loadTwoFactorPolicy, setRequiredRoles } from "../services/twoFactorService.js";
+import { revokeAllSessions } from "../services/sessionService.js";
+import { signImpersonationToken } from "../services/tokenService.js";
+import { queueEmail, passwordResetEmail } from "../services/emailService.js";
+
+// Filters and sorts accepted by the admin user listing
+const USER_LIST_QUERY = {
+  filters: {
+    role: { type: "string", operators: ["eq", "ne", "in"], values: Object.values(ROLES) },
+    isActive: { type: "boolean" },
+    emailVerified: { type: "boolean" },
+    email: { type: "string" },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+    lastLogin: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt", "lastLogin", "fullname", "email"],
+  defaultSort: "-createdAt",
+};
+
+// Filters and sorts accepted by the email delivery log
+const EMAIL_DELIVERY_LIST_QUERY = {
+  filters: {
+    to: { type: "string" },
+    status: { type: "string", operators: ["eq", "in"], values: EMAIL_DELIVERY_STATUSES },
+    template: { type: "string", operators: ["eq", "in"], values: Object.keys(EMAIL_TEMPLATES) },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt"],
+  defaultSort: "-createdAt",
+};
+
+const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Load the user addressed by :id
+ * @param {string} id - User id
+ * @param {string} [select] - Extra fields to select
+ * @returns {Promise<Object>} User document
+ * @throws {APIError} 404 when the user does not exist
+ */
+const findUserOrFail = async (id, select) => {
+  const query = User.findById(id);
+  const user = await (select ? query.select(select) : query);
+
+  if (!user) {
+    throw APIError.fromCode("USER_NOT_FOUND");
+  }
+
+  return user;
+};
+
+/**
+ * Reject actions an admin may not take on their own account
+ * @param {Object} req - Express request object
+ * @param {Object} user - Target user document
+ * @param {string} message - Error message
+ * @throws {APIError} 403 when the target is the current admin
+ */
+const assertNotSelf = (req, user, message) => {
+  if (user.id === req.user.id) {
+    throw APIError.forbidden(message);
+  }
+};
+
+/**
+ * List user accounts, optionally searching names and emails with ?q=
+ * @route GET /api/v1/admin/users
+ * @access Private (admin)
+ */
+export const listUsers = async (req, res, next) => {
+  try {
+    const { q } = req.query;
+    if (q !== undefined && (typeof q !== "string" || q.length > MAX_SEARCH_LENGTH)) {
+      throw APIError.fromCode("INVALID_QUERY", `q must be a string of at most ${MAX_SEARCH_LENGTH} characters`, {
+        parameter: "q",
+      });
+    }
+
+    const params = parseListQuery(req.query, USER_LIST_QUERY);
+    const page = await paginate(User, q?.trim() ? User.searchFilter(q) : {}, params);
+
+    const response = APIResponse.paginated(page, "Users retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a user's login lockout and clear their failed login counter
+ * @route POST /api/v1/admin/users/:id/unlock
+ * @access Private (admin)
+ */
+export const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw APIError.fromCode("USER_NOT_FOUND");
+    }
+
+    await unlockAccount(user, { ip: req.ip, actorId: req.user.id });
+
+    loggerUtils.audit("user.unlocked", req.user.id, { userId: user.id });
+
+    const response = APIResponse.success({ user: user.toJSON() }, "User unlocked successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's account details along with their login security state
+ * @route GET /api/v1/admin/users/:id
+ * @access Private (admin)
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.params.id, "+failedLoginAttempts +lastFailedLoginAt +lockUntil");
+    const activeSessions = await RefreshToken.findActiveForUser(user._id).countDocuments();
+
+    const response = APIResponse.success(
+      {
+        user: user.toJSON(),
+        security: {
+          locked: user.isLocked(),
+          lockUntil: user.lockUntil ?? null,
+          failedLoginAttempts: user.failedLoginAttempts ?? 0,
+          lastFailedLoginAt: user.lastFailedLoginAt ?? null,
+          twoFactorEnabled: user.twoFactorEnabled,
+          passwordResetRequired: user.passwordResetRequired,
+          activeSessions,
+        },
+      },
+      "User retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role
+ * @route PATCH /api/v1/admin/users/:id/role
+ * @access Private (admin)
+ */
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const user = await findUserOrFail(req.params.id);
+
+    assertNotSelf(req, user, "You cannot change your own role");
+
+    const previousRole = user.role;
+    if (previousRole !== role) {
+      user.role = role;
+      await user.save();
+
+      loggerUtils.audit("user.role_changed", req.user.id, { userId: user.id, from: previousRole, to: role });
+    }
+
+    const response = APIResponse.success({ user: user.toJSON() }, "User role updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a user and sign them out everywhere
+ * @route POST /api/v1/admin/users/:id/deactivate
+ * @access Private (admin)
+ */
+export const deactivateUser = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.params.id);
+
+    assertNotSelf(req, user, "You cannot deactivate your own account");
+
+    if (user.isActive) {
+      user.isActive = false;
+      await user.save();
+      await revokeAllSessions(user.id, "account_inactive");
+
+      loggerUtils.audit("user.deactivated", req.user.id, { userId: user.id, reason: req.body.reason });
+    }
+
+    const response = APIResponse.success({ user: user.toJSON() }, "User deactivated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a deactivated user
+ * @route POST /api/v1/admin/users/:id/activate
+ * @access Private (admin)
+ */
+export const activateUser = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.params.id);
+
+    if (!user.isActive) {
+      user.isActive = true;
+      await user.save();
+
+      loggerUtils.audit("user.activated", req.user.id, { userId: user.id });
+    }
+
+    const response = APIResponse.success({ user: user.toJSON() }, "User activated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make a user choose a new password: the current one stops working, every
+ * session is revoked and a reset link is emailed
+ * @route POST /api/v1/admin/users/:id/force-password-reset
+ * @access Private (admin)
+ */
+export const forceUserPasswordReset = async (req, res, next) => {
+  try {
+    const user = await findUserOrFail(req.params.id);
+
+    assertNotSelf(req, user, "Use the password reset flow to change your own password");
+
+    const token = user.createPasswordResetToken(config.security.passwordResetExpiresMs);
+    await user.requirePasswordReset();
+    await revokeAllSessions(user.id, "password_reset");
+
+    loggerUtils.audit("user.password_reset_forced", req.user.id, { userId: user.id, reason: req.body.reason });
+
+    try {
+      await queueEmail(passwordResetEmail(user, token));
+    } catch (error) {
+      logger.error("Failed to queue password reset email", {
+        userId: user.id,
+        error: error.message,
+      });
+    }
+
+    const response = APIResponse.success(
+      { user: user.toJSON() },
+      "Password reset required, the user has been emailed a reset link"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a short-lived access token to act as another user. Every request
+ * made with it is written to the audit log with the admin's id.
+ * @route POST /api/v1/admin/users/:id/impersonate
+ * @access Private (admin)
+ */
+export const impersonateUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const user = await findUserOrFail(req.params.id);
+
+    assertNotSelf(req, user, "You cannot impersonate yourself");
+
+    if (user.role === "admin") {
+      throw APIError.forbidden("Admins cannot be impersonated");
+    }
+
+    if (!user.isActive) {
+      throw APIError.forbidden("Deactivated users cannot be impersonated");
+    }
+
+    loggerUtils.audit("user.impersonation_started", req.user.id, { userId: user.id, reason, ip: req.ip });
+    loggerUtils.security("impersonation_started", "warn", { actorId: req.user.id, userId: user.id, reason });
+
+    const response = APIResponse.success(
+      {
+        user: user.toJSON(),
+        accessToken: signImpersonationToken(user, req.user),
+        tokenType: "Bearer",
+        expiresIn: config.jwt.impersonationExpiresIn,
+      },
+      "Impersonation token issued"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List email delivery attempts, e.g. to check whether a user was sent a reset link
+ * @route GET /api/v1/admin/emails
+ * @access Private (admin)
+ */
+export const listEmailDeliveries = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, EMAIL_DELIVERY_LIST_QUERY);
+    const page = await paginate(EmailDelivery, {}, params);
+
+    const response = APIResponse.paginated(page, "Email deliveries retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the two-factor policy: the roles that must enroll before using the API
+ * @route GET /api/v1/admin/settings/two-factor
+ * @access Private (admin)
+ */
+export const getTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const response = APIResponse.success(
+      { requiredRoles: await loadTwoFactorPolicy() },
+      "Two-factor policy retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the roles that must use two-factor authentication
+ * @route PUT /api/v1/admin/settings/two-factor
+ * @access Private (admin)
+ */
+export const updateTwoFactorPolicy = async (req, res, next) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    const previous = await setRequiredRoles(requiredRoles, req.user.id);
+
+    loggerUtils.audit("settings.two_factor_updated", req.user.id, {
+      from: previous,
+      to: requiredRoles,
+    });
+
+    const response = APIResponse.success({ requiredRoles }, "Two-factor policy updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,313 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import logger, { loggerUtils } from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import Application, { APPLICATION_STATUSES } from "../models/Application.js";
+import { applicationStatusEmail } from "../services/emailService.js";
+import { notify } from "../services/notificationService.js";
+import { translate } from "../i18n/index.js";
+
+// Filters and sorts accepted by application listings
+const APPLICATION_LIST_QUERY = {
+  filters: {
+    status: { type: "string", operators: ["eq", "in"], values: APPLICATION_STATUSES },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt", "updatedAt"],
+  defaultSort: "-createdAt",
+};
+
+/**
+ * Load an application by id, throwing 404 when missing
+ * @param {string} id - Application id
+ * @returns {Promise<Object>} Application document
+ */
+const findApplicationOrFail = async (id) => {
+  const application = await Application.findById(id);
+  if (!application) {
+    throw APIError.fromCode("APPLICATION_NOT_FOUND");
+  }
+  return application;
+};
+
+/**
+ * Check whether a user may review a job's applications: the members of its
+ * company (see Job#isManagedBy), or anyone with applications:review_any
+ * @param {Object} job - Job document (null when it no longer exists)
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<boolean>} Whether the user can review the applications
+ */
+const canReviewApplications = async (job, user) => {
+  if (hasPermission(user.role, "applications:review_any")) return true;
+  return Boolean(job && (await job.isManagedBy(user.id)));
+};
+
+/**
+ * Notify the applicant of a status change, in-app and by email (the interview
+ * invitation when moving to "interview" with its details). Failing to notify
+ * is logged rather than failing the request.
+ * @param {Object} application - Application document
+ * @returns {Promise<void>}
+ */
+const notifyApplicant = async (application) => {
+  try {
+    const [applicant, job] = await Promise.all([
+      User.findById(application.applicant).select("fullname email locale notificationPreferences isActive"),
+      Job.findById(application.job).select("title company").populate("company", "name"),
+    ]);
+
+    if (!applicant?.isActive || !job) {
+      return;
+    }
+
+    await notify(applicant, "applicationStatusChanged", {
+      params: {
+        jobTitle: job.title,
+        company: job.company?.name ?? "",
+        status: translate(applicant.locale, `applicationStatuses.${application.status}`),
+      },
+      link: `/applications/${application.id}`,
+      data: { applicationId: application.id, jobId: job.id, status: application.status },
+      email: applicationStatusEmail(applicant, application, job),
+    });
+  } catch (error) {
+    logger.error("Failed to notify applicant of status change", {
+      applicationId: application.id,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Notify the employer that an application was received or withdrawn, unless
+ * they have since left the job's company. Failing to notify is logged rather
+ * than failing the request.
+ * @param {string} type - "applicationReceived" or "applicationWithdrawn"
+ * @param {Object} application - Application document
+ * @param {Object} applicant - Applicant User document
+ * @returns {Promise<void>}
+ */
+const notifyEmployer = async (type, application, applicant) => {
+  try {
+    const [employer, job] = await Promise.all([
+      User.findById(application.employer).select("locale notificationPreferences isActive"),
+      Job.findById(application.job).select("title company"),
+    ]);
+
+    if (!employer?.isActive || !job || !(await job.isManagedBy(employer._id))) {
+      return;
+    }
+
+    await notify(employer, type, {
+      params: { jobTitle: job.title, applicant: applicant.displayName },
+      link: `/applications/${application.id}`,
+      data: { applicationId: application.id, jobId: job.id },
+    });
+  } catch (error) {
+    logger.error("Failed to notify employer of application", {
+      applicationId: application.id,
+      type,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Apply to a job posting
+ * @route POST /api/v1/jobs/:jobId/applications
+ * @access Private (job_seeker)
+ */
+export const applyToJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job || job.status === "draft") {
+      throw APIError.fromCode("JOB_NOT_FOUND");
+    }
+
+    if (!job.isOpen) {
+      throw APIError.fromCode("JOB_NOT_OPEN");
+    }
+
+    const existing = await Application.exists({ job: job._id, applicant: req.user.id });
+    if (existing) {
+      throw APIError.fromCode("APPLICATION_ALREADY_EXISTS");
+    }
+
+    const application = await Application.create({
+      job: job._id,
+      applicant: req.user.id,
+      employer: job.postedBy,
+      coverLetter: req.body.coverLetter,
+    });
+
+    loggerUtils.audit("application.created", req.user.id, {
+      applicationId: application.id,
+      jobId: job.id,
+    });
+
+    await notifyEmployer("applicationReceived", application, req.user);
+
+    const response = APIResponse.created(application, "Application submitted successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the applications received for a job posting
+ * @route GET /api/v1/jobs/:jobId/applications
+ * @access Private (company member, admin)
+ */
+export const listJobApplications = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+    if (!job) {
+      throw APIError.fromCode("JOB_NOT_FOUND");
+    }
+
+    if (!(await canReviewApplications(job, req.user))) {
+      throw APIError.fromCode("APPLICATION_ACCESS_DENIED");
+    }
+
+    const params = parseListQuery(req.query, APPLICATION_LIST_QUERY);
+    const page = await paginate(Application, { job: job._id }, params, {
+      populate: { path: "applicant", select: "fullname email" },
+    });
+
+    const response = APIResponse.paginated(page, "Applications retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current job seeker's applications
+ * @route GET /api/v1/applications/mine
+ * @access Private (job_seeker)
+ */
+export const listMyApplications = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, APPLICATION_LIST_QUERY);
+    const page = await paginate(Application, { applicant: req.user.id }, params, {
+      populate: { path: "job", select: "title company location status" },
+    });
+
+    const response = APIResponse.paginated(page, "Applications retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single application
+ * @route GET /api/v1/applications/:id
+ * @access Private (applicant, company member, admin)
+ */
+export const getApplication = async (req, res, next) => {
+  try {
+    const application = await findApplicationOrFail(req.params.id);
+
+    if (!hasPermission(req.user.role, "applications:review_any") && !(await application.isParticipant(req.user.id))) {
+      throw APIError.fromCode("APPLICATION_NOT_FOUND");
+    }
+
+    await application.populate([
+      { path: "job", select: "title company location status" },
+      { path: "applicant", select: "fullname email" },
+    ]);
+
+    const response = APIResponse.success(application, "Application retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move an application to the next stage of the hiring pipeline and notify the
+ * applicant. Moving to "interview" may include the interview details.
+ * @route PATCH /api/v1/applications/:id/status
+ * @access Private (company member, admin)
+ */
+export const updateApplicationStatus = async (req, res, next) => {
+  try {
+    const { status, note, interview } = req.body;
+
+    const application = await findApplicationOrFail(req.params.id);
+
+    if (!(await canReviewApplications(await Job.findById(application.job), req.user))) {
+      throw APIError.fromCode("APPLICATION_ACCESS_DENIED");
+    }
+
+    if (!application.canTransitionTo(status)) {
+      throw APIError.fromCode(
+        "APPLICATION_INVALID_TRANSITION",
+        `Cannot move application from ${application.status} to ${status}`,
+        { from: application.status, to: status }
+      );
+    }
+
+    const previousStatus = application.status;
+    if (interview) {
+      application.interview = interview;
+    }
+    await application.changeStatus(status, req.user.id, note);
+
+    loggerUtils.audit("application.status_changed", req.user.id, {
+      applicationId: application.id,
+      from: previousStatus,
+      to: status,
+    });
+
+    await notifyApplicant(application);
+
+    const response = APIResponse.success(application, "Application status updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw the current user's application
+ * @route POST /api/v1/applications/:id/withdraw
+ * @access Private (applicant)
+ */
+export const withdrawApplication = async (req, res, next) => {
+  try {
+    const application = await findApplicationOrFail(req.params.id);
+
+    if (application.applicant.toString() !== req.user.id) {
+      throw APIError.fromCode("APPLICATION_NOT_FOUND");
+    }
+
+    if (!application.canWithdraw()) {
+      throw APIError.fromCode(
+        "APPLICATION_NOT_WITHDRAWABLE",
+        `Cannot withdraw an application that is ${application.status}`,
+        { status: application.status }
+      );
+    }
+
+    const previousStatus = application.status;
+    await application.changeStatus("withdrawn", req.user.id, req.body.reason);
+
+    loggerUtils.audit("application.withdrawn", req.user.id, {
+      applicationId: application.id,
+      from: previousStatus,
+    });
+
+    await notifyEmployer("applicationWithdrawn", application, req.user);
+
+    const response = APIResponse.success(application, "Application withdrawn successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
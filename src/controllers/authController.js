@@ -0,0 +1,610 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import config from "../config/env.js";
+import logger, { loggerUtils } from "../config/logger.js";
+import User from "../models/User.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} from "../services/sessionService.js";
+import { queueEmail, verificationEmail, passwordResetEmail } from "../services/emailService.js";
+import {
+  LOCKOUT_FIELDS,
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+} from "../services/loginProtectionService.js";
+import { signTwoFactorChallenge, verifyTwoFactorChallenge } from "../services/tokenService.js";
+import {
+  TWO_FACTOR_FIELDS,
+  isTwoFactorRequired,
+  startSetup,
+  enable,
+  verifyCode,
+  regenerateRecoveryCodes,
+  disable,
+} from "../services/twoFactorService.js";
+
+/**
+ * Extract the request context stored alongside each refresh token
+ * @param {Object} req - Express request object
+ * @returns {{ip: string, userAgent: string}} Request context
+ */
+const getSessionContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+});
+
+// Errors meaning a password or second factor was guessed wrong
+const WRONG_SECRET_CODES = new Set(["AUTH_INVALID_CREDENTIALS", "TWO_FACTOR_CODE_INVALID"]);
+
+/**
+ * Check a signed-in user's password or second factor under the login lockout:
+ * refused while the account or IP is locked out, and wrong guesses count as
+ * failed logins, so a stolen session cannot be used to guess codes
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document with LOCKOUT_FIELDS selected
+ * @param {string} event - Auth log event recorded for wrong guesses
+ * @param {Function} check - Runs the check, throwing on a wrong guess
+ * @returns {Promise<any>} What the check returns
+ */
+const checkUnderLockout = async (req, user, event, check) => {
+  await assertIpAllowed(req.ip);
+  assertAccountAllowed(user);
+
+  try {
+    return await check();
+  } catch (error) {
+    if (WRONG_SECRET_CODES.has(error.code)) {
+      await recordFailedLogin({ user, ip: req.ip });
+      loggerUtils.auth(event, user.id, req.ip, false);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Issue a verification token for a user, persist it and email the link.
+ * Failing to queue the email is logged rather than failing the request.
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const issueEmailVerification = async (user) => {
+  const token = user.createEmailVerificationToken(config.email.verification.tokenExpiresMs);
+  await user.save();
+
+  try {
+    await queueEmail(verificationEmail(user, token));
+  } catch (error) {
+    logger.error("Failed to queue verification email", {
+      userId: user.id,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Register a new user account
+ * @route POST /api/v1/auth/register
+ * @access Public
+ */
+export const register = async (req, res, next) => {
+  try {
+    const { fullname, email, password, role, locale } = req.body;
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      throw APIError.fromCode("USER_EMAIL_TAKEN");
+    }
+
+    const user = new User({
+      fullname,
+      email,
+      password,
+      role: role || "job_seeker",
+      locale: locale || req.acceptsLanguages(...config.i18n.locales) || config.i18n.defaultLocale,
+      lastLogin: new Date(),
+    });
+
+    await issueEmailVerification(user);
+
+    loggerUtils.auth("register", user.id, req.ip);
+
+    const tokens = await createSession(user, getSessionContext(req));
+
+    const response = APIResponse.created(
+      { user: user.toJSON(), ...tokens },
+      "User registered successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Finish a login: clear the failure counter and issue a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Authenticated user document with LOCKOUT_FIELDS selected
+ * @param {Object} extra - Additional response data
+ * @returns {Promise<void>}
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  await recordSuccessfulLogin(user);
+  await user.updateLastLogin();
+
+  loggerUtils.auth("login", user.id, req.ip);
+
+  const tokens = await createSession(user, getSessionContext(req));
+
+  const response = APIResponse.success(
+    {
+      user: user.toJSON(),
+      ...tokens,
+      ...(!user.twoFactorEnabled && isTwoFactorRequired(user.role) && { twoFactorSetupRequired: true }),
+      ...extra,
+    },
+    "Login successful"
+  );
+  return response.send(res);
+};
+
+/**
+ * Log in with email and password. Locked accounts, accounts inside their
+ * progressive delay and blocked IPs are rejected before the password is checked.
+ * Users with two-factor authentication get a challenge token instead of a
+ * session, to be exchanged at /auth/2fa/verify.
+ * @route POST /api/v1/auth/login
+ * @access Public
+ */
+export const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    await assertIpAllowed(req.ip);
+
+    const user = await User.findByEmail(email).select(`+password ${LOCKOUT_FIELDS}`);
+
+    if (user) {
+      assertAccountAllowed(user);
+    }
+
+    if (!user || !(await user.comparePassword(password))) {
+      await recordFailedLogin({ user, ip: req.ip });
+      loggerUtils.auth("login", user?.id, req.ip, false);
+      throw APIError.fromCode("AUTH_INVALID_CREDENTIALS");
+    }
+
+    if (!user.isActive) {
+      loggerUtils.auth("login", user.id, req.ip, false);
+      throw APIError.fromCode("AUTH_ACCOUNT_DEACTIVATED");
+    }
+
+    if (user.passwordResetRequired) {
+      loggerUtils.auth("login", user.id, req.ip, false);
+      throw APIError.fromCode("AUTH_PASSWORD_RESET_REQUIRED");
+    }
+
+    // The failure counter is only cleared once the second factor is verified,
+    // so a known password cannot be used to reset it between code guesses
+    if (user.twoFactorEnabled) {
+      loggerUtils.auth("login_2fa_challenge", user.id, req.ip);
+
+      const response = APIResponse.success(
+        {
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user),
+          expiresIn: config.twoFactor.challengeExpiresIn,
+        },
+        "Two-factor authentication required"
+      );
+      return response.send(res);
+    }
+
+    return completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete a two-factor login with the challenge token from /auth/login and
+ * a TOTP or recovery code. Wrong codes count towards the account lockout.
+ * @route POST /api/v1/auth/2fa/verify
+ * @access Public
+ */
+export const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken);
+    } catch {
+      throw APIError.fromCode("TWO_FACTOR_CHALLENGE_INVALID");
+    }
+
+    await assertIpAllowed(req.ip);
+
+    const user = await User.findById(decoded.id).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+
+    if (!user || !user.isActive) {
+      loggerUtils.auth("login_2fa", decoded.id, req.ip, false);
+      throw APIError.fromCode("AUTH_ACCOUNT_INACTIVE");
+    }
+
+    assertAccountAllowed(user);
+
+    let result;
+    try {
+      result = await verifyCode(user, code);
+    } catch (error) {
+      await recordFailedLogin({ user, ip: req.ip });
+      loggerUtils.auth("login_2fa", user.id, req.ip, false);
+      throw error;
+    }
+
+    return completeLogin(req, res, user, {
+      twoFactorMethod: result.method,
+      ...(result.method === "recovery_code" && { remainingRecoveryCodes: result.remainingRecoveryCodes }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment and return the secret and provisioning URI
+ * @route POST /api/v1/auth/2fa/setup
+ * @access Private
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const setup = await startSetup(req.user);
+
+    loggerUtils.auth("2fa_setup_started", req.user.id, req.ip);
+
+    const response = APIResponse.success(
+      setup,
+      "Scan the QR code with your authenticator app, then confirm with a code"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator and return the recovery codes
+ * @route POST /api/v1/auth/2fa/enable
+ * @access Private
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("+twoFactorPendingSecret");
+
+    const recoveryCodes = await enable(user, req.body.code);
+
+    loggerUtils.auth("2fa_enabled", user.id, req.ip);
+
+    const response = APIResponse.success(
+      { user: user.toJSON(), recoveryCodes },
+      "Two-factor authentication enabled, store your recovery codes somewhere safe"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn two-factor authentication off (not allowed for roles that require it).
+ * Wrong passwords and codes count towards the account lockout.
+ * @route POST /api/v1/auth/2fa/disable
+ * @access Private
+ */
+export const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+
+    await checkUnderLockout(req, user, "2fa_disabled", () => disable(user, { password, code }));
+
+    loggerUtils.auth("2fa_disabled", user.id, req.ip);
+
+    const response = APIResponse.success({ user: user.toJSON() }, "Two-factor authentication disabled");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes after verifying a current code. Wrong codes
+ * count towards the account lockout.
+ * @route POST /api/v1/auth/2fa/recovery-codes
+ * @access Private
+ */
+export const regenerateTwoFactorRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+
+    const recoveryCodes = await checkUnderLockout(req, user, "2fa_recovery_codes_regenerated", () =>
+      regenerateRecoveryCodes(user, req.body.code)
+    );
+
+    loggerUtils.auth("2fa_recovery_codes_regenerated", user.id, req.ip);
+
+    const response = APIResponse.success({ recoveryCodes }, "Recovery codes regenerated");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @route POST /api/v1/auth/refresh
+ * @access Public
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { user, tokens } = await rotateSession(refreshToken, getSessionContext(req));
+
+    loggerUtils.auth("refresh", user.id, req.ip);
+
+    const response = APIResponse.success(tokens, "Token refreshed successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out the current session by revoking its refresh token family
+ * @route POST /api/v1/auth/logout
+ * @access Public
+ */
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const decoded = await revokeSession(refreshToken);
+
+    loggerUtils.auth("logout", decoded.id, req.ip);
+
+    const response = APIResponse.success(null, "Logged out successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Log out of all devices by revoking every refresh token the user holds
+ * @route POST /api/v1/auth/logout-all
+ * @access Private
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.id);
+
+    loggerUtils.auth("logout_all", req.user.id, req.ip);
+
+    const response = APIResponse.success(null, "Logged out of all devices successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the currently authenticated user
+ * @route GET /api/v1/auth/me
+ * @access Private
+ */
+export const getCurrentUser = async (req, res, next) => {
+  try {
+    const response = APIResponse.success({ user: req.user.toJSON() }, "User retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's name or language
+ * @route PATCH /api/v1/auth/me
+ * @access Private
+ */
+export const updateCurrentUser = async (req, res, next) => {
+  try {
+    const { fullname, locale } = req.body;
+    const user = req.user;
+
+    if (fullname !== undefined) {
+      user.fullname = fullname;
+    }
+
+    if (locale !== undefined) {
+      user.locale = locale;
+    }
+
+    await user.save();
+
+    loggerUtils.audit("user.updated", user.id, { fields: Object.keys(req.body) });
+
+    const response = APIResponse.success({ user: user.toJSON() }, "Account updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify an email address using the token from the verification email
+ * @route GET /api/v1/auth/verify-email/:token
+ * @access Public
+ */
+export const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.params.token);
+
+    if (!user) {
+      throw APIError.fromCode("EMAIL_VERIFICATION_INVALID");
+    }
+
+    await user.markEmailVerified();
+
+    loggerUtils.auth("email_verified", user.id, req.ip);
+
+    const response = APIResponse.success(null, "Email verified successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resend the verification email to the current user
+ * @route POST /api/v1/auth/verify-email/resend
+ * @access Private
+ */
+export const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("+emailVerificationSentAt");
+
+    if (user.emailVerified) {
+      throw APIError.fromCode("EMAIL_ALREADY_VERIFIED");
+    }
+
+    const cooldownMs = config.email.verification.resendCooldownMs;
+    const elapsedMs = user.emailVerificationSentAt
+      ? Date.now() - user.emailVerificationSentAt.getTime()
+      : Infinity;
+
+    if (elapsedMs < cooldownMs) {
+      const retryAfter = Math.ceil((cooldownMs - elapsedMs) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      throw APIError.fromCode(
+        "EMAIL_VERIFICATION_THROTTLED",
+        `Please wait ${retryAfter} seconds before requesting another verification email`,
+        { retryAfter }
+      );
+    }
+
+    await issueEmailVerification(user);
+
+    loggerUtils.auth("email_verification_resent", user.id, req.ip);
+
+    const response = APIResponse.success(null, "Verification email sent");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Lift a login lockout using the token from the account locked email
+ * @route GET /api/v1/auth/unlock/:token
+ * @access Public
+ */
+export const unlockAccountWithToken = async (req, res, next) => {
+  try {
+    const user = await User.findByUnlockToken(req.params.token);
+
+    if (!user) {
+      throw APIError.fromCode("ACCOUNT_UNLOCK_INVALID");
+    }
+
+    await unlockAccount(user, { ip: req.ip });
+
+    const response = APIResponse.success(null, "Account unlocked, you can log in again");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request a password reset email. Always responds the same way so the
+ * endpoint cannot be used to discover which emails are registered.
+ * @route POST /api/v1/auth/forgot-password
+ * @access Public
+ */
+export const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken(config.security.passwordResetExpiresMs);
+      await user.save();
+
+      try {
+        await queueEmail(passwordResetEmail(user, token));
+      } catch (error) {
+        logger.error("Failed to queue password reset email", {
+          userId: user.id,
+          error: error.message,
+        });
+      }
+
+      loggerUtils.auth("password_reset_requested", user.id, req.ip);
+    } else {
+      loggerUtils.auth("password_reset_requested", null, req.ip, false);
+    }
+
+    const response = APIResponse.success(
+      null,
+      "If an account exists for that email, a password reset link has been sent"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password using a reset token and sign out every session
+ * @route POST /api/v1/auth/reset-password/:token
+ * @access Public
+ */
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findByPasswordResetToken(req.params.token);
+
+    if (!user) {
+      throw APIError.fromCode("PASSWORD_RESET_INVALID");
+    }
+
+    // The pre-save hook hashes the new password and stamps passwordChangedAt,
+    // which invalidates access tokens issued before the reset
+    await user.resetPassword(password);
+    await revokeAllSessions(user.id, "password_reset");
+
+    loggerUtils.auth("password_reset", user.id, req.ip);
+    loggerUtils.security("password_reset_completed", "info", {
+      userId: user.id,
+      ip: req.ip,
+    });
+
+    const response = APIResponse.success(
+      null,
+      "Password reset successfully, please log in with your new password"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
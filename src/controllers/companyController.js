@@ -0,0 +1,346 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import { loggerUtils } from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import Company, { COMPANY_SIZES, VERIFICATION_STATUSES } from "../models/Company.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+
+// Fields a company owner may set on the company page
+const EDITABLE_FIELDS = [
+  "name",
+  "logo",
+  "website",
+  "industry",
+  "size",
+  "locations",
+  "description",
+];
+
+// Changing these on a verified company sends it back for verification
+const IDENTITY_FIELDS = ["name", "website"];
+
+// Filters and sorts accepted by the public company directory
+const COMPANY_LIST_QUERY = {
+  filters: {
+    industry: { type: "string", operators: ["eq", "in"] },
+    size: { type: "string", operators: ["eq", "in"], values: COMPANY_SIZES },
+  },
+  sortFields: ["name", "createdAt"],
+  defaultSort: "name",
+};
+
+// Filters and sorts accepted by member and admin company listings
+const MANAGED_COMPANY_LIST_QUERY = {
+  filters: {
+    verificationStatus: { type: "string", operators: ["eq", "in"], values: VERIFICATION_STATUSES },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt", "name"],
+  defaultSort: "-createdAt",
+};
+
+// The verification queue is worked oldest first
+const PENDING_COMPANY_LIST_QUERY = {
+  filters: {
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt", "name"],
+  defaultSort: "createdAt",
+};
+
+/**
+ * Pick the editable fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields that were provided
+ */
+const pickEditableFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      acc[field] = body[field];
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Load a company by id, throwing 404 when missing
+ * @param {string} id - Company id
+ * @returns {Promise<Object>} Company document
+ */
+const findCompanyOrFail = async (id) => {
+  const company = await Company.findById(id);
+  if (!company) {
+    throw APIError.fromCode("COMPANY_NOT_FOUND");
+  }
+  return company;
+};
+
+/**
+ * Require the user to own the company (or hold companies:manage_any)
+ * @param {Object} company - Company document
+ * @param {Object} user - Authenticated user
+ * @throws {APIError} 403 when the user may not manage the company
+ */
+const assertCanManageCompany = (company, user) => {
+  if (!hasPermission(user.role, "companies:manage_any") && !company.isOwner(user.id)) {
+    throw APIError.fromCode("COMPANY_OWNER_REQUIRED");
+  }
+};
+
+/**
+ * List verified companies
+ * @route GET /api/v1/companies
+ * @access Public
+ */
+export const listCompanies = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, COMPANY_LIST_QUERY);
+    const page = await paginate(Company, { verificationStatus: "verified" }, params, {
+      select: "-members -verificationNote -verifiedBy",
+    });
+
+    const response = APIResponse.paginated(page, "Companies retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the companies the current employer belongs to
+ * @route GET /api/v1/companies/mine
+ * @access Private (employer)
+ */
+export const listMyCompanies = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, MANAGED_COMPANY_LIST_QUERY);
+    const page = await paginate(Company, { "members.user": req.user.id }, params);
+
+    const response = APIResponse.paginated(page, "Companies retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a company page. Unverified companies are only visible to members and admins.
+ * @route GET /api/v1/companies/:id
+ * @access Public
+ */
+export const getCompany = async (req, res, next) => {
+  try {
+    const company = await findCompanyOrFail(req.params.id);
+
+    const isPrivileged =
+      req.user &&
+      (hasPermission(req.user.role, "companies:manage_any") || company.isMember(req.user.id));
+
+    if (!company.isVerified && !isPrivileged) {
+      throw APIError.fromCode("COMPANY_NOT_FOUND");
+    }
+
+    const data = company.toObject();
+    if (!isPrivileged) {
+      delete data.members;
+      delete data.verificationNote;
+    }
+
+    const response = APIResponse.success(data, "Company retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a company page. The creator becomes its owner; it starts pending verification.
+ * @route POST /api/v1/companies
+ * @access Private (employer)
+ */
+export const createCompany = async (req, res, next) => {
+  try {
+    const company = await Company.create({
+      ...pickEditableFields(req.body),
+      members: [{ user: req.user.id, role: "owner" }],
+    });
+
+    loggerUtils.audit("company.created", req.user.id, { companyId: company.id });
+
+    const response = APIResponse.created(company, "Company created and submitted for verification");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only verified companies may have published postings, so a company that
+ * loses verification has its published jobs moved back to draft. Members
+ * publish them again once it is re-verified.
+ * @param {Object} company - Company document
+ * @param {boolean} wasVerified - Whether it was verified before the change
+ * @returns {Promise<number>} Number of jobs unpublished
+ */
+const unpublishJobsIfUnverified = async (company, wasVerified) => {
+  if (!wasVerified || company.isVerified) return 0;
+
+  const result = await Job.unpublishForCompany(company._id);
+  return result.modifiedCount;
+};
+
+/**
+ * Update a company page
+ * @route PATCH /api/v1/companies/:id
+ * @access Private (company owner, admin)
+ */
+export const updateCompany = async (req, res, next) => {
+  try {
+    const company = await findCompanyOrFail(req.params.id);
+    assertCanManageCompany(company, req.user);
+
+    const wasVerified = company.isVerified;
+    company.set(pickEditableFields(req.body));
+
+    const identityChanged = IDENTITY_FIELDS.some(field => company.isModified(field));
+    if (company.isVerified && identityChanged && !hasPermission(req.user.role, "companies:verify")) {
+      company.verificationStatus = "pending";
+    }
+
+    await company.save();
+    const unpublishedJobs = await unpublishJobsIfUnverified(company, wasVerified);
+
+    loggerUtils.audit("company.updated", req.user.id, {
+      companyId: company.id,
+      verificationStatus: company.verificationStatus,
+      unpublishedJobs,
+    });
+
+    const response = APIResponse.success(company, "Company updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an employer to the company as owner or recruiter
+ * @route POST /api/v1/companies/:id/members
+ * @access Private (company owner, admin)
+ */
+export const addCompanyMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body;
+
+    const company = await findCompanyOrFail(req.params.id);
+    assertCanManageCompany(company, req.user);
+
+    const user = await User.findByEmail(email);
+    if (!user || !user.isActive) {
+      throw APIError.fromCode("USER_NOT_FOUND");
+    }
+
+    if (user.role !== "employer") {
+      throw APIError.fromCode("COMPANY_MEMBER_NOT_EMPLOYER");
+    }
+
+    if (company.isMember(user.id)) {
+      throw APIError.fromCode("COMPANY_MEMBER_EXISTS");
+    }
+
+    company.members.push({ user: user._id, role });
+    await company.save();
+
+    loggerUtils.audit("company.member_added", req.user.id, {
+      companyId: company.id,
+      memberId: user.id,
+      role,
+    });
+
+    const response = APIResponse.created(company.members, "Member added successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member from the company
+ * @route DELETE /api/v1/companies/:id/members/:userId
+ * @access Private (company owner, admin)
+ */
+export const removeCompanyMember = async (req, res, next) => {
+  try {
+    const company = await findCompanyOrFail(req.params.id);
+    assertCanManageCompany(company, req.user);
+
+    if (!company.isMember(req.params.userId)) {
+      throw APIError.fromCode("COMPANY_MEMBER_NOT_FOUND");
+    }
+
+    company.members = company.members.filter(m => m.user.toString() !== req.params.userId);
+
+    // The schema validator rejects the save if this removed the last owner
+    await company.save();
+
+    loggerUtils.audit("company.member_removed", req.user.id, {
+      companyId: company.id,
+      memberId: req.params.userId,
+    });
+
+    const response = APIResponse.success(company.members, "Member removed successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List companies awaiting verification
+ * @route GET /api/v1/companies/verification/pending
+ * @access Private (admin)
+ */
+export const listPendingCompanies = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, PENDING_COMPANY_LIST_QUERY);
+    const page = await paginate(Company, { verificationStatus: "pending" }, params, {
+      populate: { path: "members.user", select: "fullname email" },
+    });
+
+    const response = APIResponse.paginated(page, "Pending companies retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify or reject a company
+ * @route PATCH /api/v1/companies/:id/verification
+ * @access Private (admin)
+ */
+export const setCompanyVerification = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const company = await findCompanyOrFail(req.params.id);
+    const previousStatus = company.verificationStatus;
+    const wasVerified = company.isVerified;
+
+    await company.setVerification(status, req.user.id, note);
+    const unpublishedJobs = await unpublishJobsIfUnverified(company, wasVerified);
+
+    loggerUtils.audit("company.verification_changed", req.user.id, {
+      companyId: company.id,
+      from: previousStatus,
+      to: status,
+      unpublishedJobs,
+    });
+
+    const response = APIResponse.success(company, "Company verification updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
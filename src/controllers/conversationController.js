@@ -0,0 +1,525 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import logger, { loggerUtils, redactUrl } from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import Application from "../models/Application.js";
+import Conversation from "../models/Conversation.js";
+import Message from "../models/Message.js";
+import MessageReport, { MESSAGE_REPORT_REASONS, MESSAGE_REPORT_STATUSES } from "../models/MessageReport.js";
+import User from "../models/User.js";
+import Job from "../models/Job.js";
+import { buildDownloadUrl, storeUpload, removeUpload } from "../services/uploadService.js";
+import { notify, publish } from "../services/notificationService.js";
+
+// Filters and sorts accepted by the conversation listing
+const CONVERSATION_LIST_QUERY = {
+  filters: {
+    job: { type: "objectId", operators: ["eq"] },
+    lastMessageAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["lastMessageAt", "createdAt"],
+  defaultSort: "-lastMessageAt",
+};
+
+// Filters and sorts accepted by the message listing (newest first; page back with the cursor)
+const MESSAGE_LIST_QUERY = {
+  filters: {
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt"],
+  defaultSort: "-createdAt",
+};
+
+// Filters and sorts accepted by the admin report listing
+const MESSAGE_REPORT_LIST_QUERY = {
+  filters: {
+    status: { type: "string", operators: ["eq", "in"], values: MESSAGE_REPORT_STATUSES },
+    reason: { type: "string", operators: ["eq", "in"], values: MESSAGE_REPORT_REASONS },
+    reportedUser: { type: "objectId", operators: ["eq"] },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt"],
+  defaultSort: "-createdAt",
+};
+
+const PARTICIPANT_FIELDS = "fullname";
+
+/**
+ * Load a conversation the current user may read, throwing 404 otherwise.
+ * Admins may read any conversation, which is recorded in the audit log.
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Conversation document
+ */
+const findReadableConversationOrFail = async (req) => {
+  const conversation = await Conversation.findById(req.params.id);
+
+  if (conversation && (await conversation.isParticipant(req.user.id))) {
+    return conversation;
+  }
+
+  // Respond 404 rather than 403 so conversation ids cannot be probed
+  if (!conversation || !hasPermission(req.user.role, "messages:read_any")) {
+    throw APIError.notFound("Conversation not found");
+  }
+
+  loggerUtils.audit("conversation.viewed", req.user.id, {
+    conversationId: conversation.id,
+    url: redactUrl(req.originalUrl),
+  });
+
+  return conversation;
+};
+
+/**
+ * Load a conversation the current user takes part in, throwing 404 otherwise
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Conversation document
+ */
+const findOwnConversationOrFail = async (req) => {
+  const conversation = await Conversation.findById(req.params.id);
+  if (!conversation || !(await conversation.isParticipant(req.user.id))) {
+    throw APIError.notFound("Conversation not found");
+  }
+  return conversation;
+};
+
+/**
+ * Find who should hear about a participant's activity: the applicant when a
+ * company member acts, the employer when the applicant does, unless they have
+ * left the job's company since
+ * @param {Object} conversation - Conversation document
+ * @param {string} userId - Id of the acting participant
+ * @returns {Promise<string|null>} Recipient id, or null when nobody should hear
+ */
+const findRecipient = async (conversation, userId) => {
+  const recipientId = conversation.otherParticipant(userId);
+  if (recipientId === conversation.applicant.toString()) {
+    return recipientId;
+  }
+
+  const job = await Job.findById(conversation.job);
+  return job && (await job.isManagedBy(recipientId)) ? recipientId : null;
+};
+
+/**
+ * Shape a message for API responses
+ * @param {Object} message - Message document
+ * @param {Object[]} [attachments] - Its Upload documents, when not populated
+ * @returns {Object} Message with a download URL for each attachment
+ */
+const serializeMessage = (message, attachments = message.attachments) => ({
+  ...message.toJSON(),
+  attachments: attachments.map((upload) => ({
+    _id: upload._id,
+    originalName: upload.originalName,
+    mimeType: upload.mimeType,
+    size: upload.size,
+    url: buildDownloadUrl(upload),
+  })),
+});
+
+/**
+ * Notify the recipient of a new message in-app. Only the first unread message
+ * from a sender notifies, so a burst of messages is a single notification.
+ * Failing to notify is logged rather than failing the request.
+ * @param {Object} conversation - Conversation document
+ * @param {Object} sender - Sending User document
+ * @param {string} recipientId - Id of the other participant
+ * @returns {Promise<void>}
+ */
+const notifyRecipient = async (conversation, sender, recipientId) => {
+  try {
+    const [recipient, job] = await Promise.all([
+      User.findById(recipientId).select("locale notificationPreferences isActive"),
+      Job.findById(conversation.job).select("title"),
+    ]);
+
+    if (!recipient?.isActive) {
+      return;
+    }
+
+    await notify(recipient, "messageReceived", {
+      params: { sender: sender.displayName, jobTitle: job?.title ?? "" },
+      link: `/conversations/${conversation.id}`,
+      data: { conversationId: conversation.id, applicationId: conversation.application.toString() },
+    });
+  } catch (error) {
+    logger.error("Failed to notify message recipient", {
+      conversationId: conversation.id,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Open the conversation of an application, creating it on first use
+ * @route POST /api/v1/conversations
+ * @access Private (applicant, company member)
+ */
+export const openConversation = async (req, res, next) => {
+  try {
+    const application = await Application.findById(req.body.applicationId);
+
+    if (!application || !(await application.isParticipant(req.user.id))) {
+      throw APIError.fromCode("APPLICATION_NOT_FOUND");
+    }
+
+    const conversation = await Conversation.findOrCreateForApplication(application);
+
+    const response = APIResponse.success(conversation, "Conversation opened successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's conversations, most recently active first, each
+ * with the number of messages the user has not read
+ * @route GET /api/v1/conversations
+ * @access Private
+ */
+export const listConversations = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, CONVERSATION_LIST_QUERY);
+    const filter = await Conversation.participantFilter(req.user.id);
+    const page = await paginate(Conversation, filter, params, {
+      populate: [
+        { path: "job", select: "title company" },
+        { path: "employer", select: PARTICIPANT_FIELDS },
+        { path: "applicant", select: PARTICIPANT_FIELDS },
+      ],
+    });
+
+    const unread = await Message.countUnreadByConversation(
+      page.items.map((conversation) => conversation._id),
+      req.user.id
+    );
+
+    const response = APIResponse.paginated(
+      {
+        ...page,
+        items: page.items.map((conversation) => ({
+          ...conversation.toJSON(),
+          unreadCount: unread.get(conversation.id) ?? 0,
+        })),
+      },
+      "Conversations retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a conversation
+ * @route GET /api/v1/conversations/:id
+ * @access Private (participants, admin)
+ */
+export const getConversation = async (req, res, next) => {
+  try {
+    const conversation = await findReadableConversationOrFail(req);
+
+    await conversation.populate([
+      { path: "job", select: "title company" },
+      { path: "employer", select: PARTICIPANT_FIELDS },
+      { path: "applicant", select: PARTICIPANT_FIELDS },
+    ]);
+
+    const response = APIResponse.success(conversation, "Conversation retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a conversation's messages, newest first. A message's readAt is its
+ * read receipt: when the other participant read it.
+ * @route GET /api/v1/conversations/:id/messages
+ * @access Private (participants, admin)
+ */
+export const listMessages = async (req, res, next) => {
+  try {
+    const conversation = await findReadableConversationOrFail(req);
+
+    const params = parseListQuery(req.query, MESSAGE_LIST_QUERY);
+    const page = await paginate(Message, { conversation: conversation._id }, params, {
+      populate: { path: "attachments", select: "originalName mimeType size" },
+    });
+
+    const response = APIResponse.paginated(
+      { ...page, items: page.items.map((message) => serializeMessage(message)) },
+      "Messages retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a message, with optional file attachments (multipart field "attachments")
+ * @route POST /api/v1/conversations/:id/messages
+ * @access Private (participants)
+ */
+export const sendMessage = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversationOrFail(req);
+    const body = req.body.body || undefined;
+
+    if (conversation.isBlocked) {
+      throw APIError.fromCode("CONVERSATION_BLOCKED");
+    }
+
+    if (!body && req.files.length === 0) {
+      throw APIError.fromCode("MESSAGE_EMPTY");
+    }
+
+    const attachments = [];
+    let message;
+    try {
+      for (const file of req.files) {
+        attachments.push(
+          await storeUpload({
+            file,
+            owner: req.user.id,
+            purpose: "message_attachment",
+            conversation: conversation._id,
+          })
+        );
+      }
+
+      message = await Message.create({
+        conversation: conversation._id,
+        sender: req.user.id,
+        body,
+        attachments: attachments.map((upload) => upload._id),
+      });
+    } catch (error) {
+      await Promise.all(attachments.map(removeUpload));
+      throw error;
+    }
+
+    const recipientId = await findRecipient(conversation, req.user.id);
+
+    // Unread messages before this one mean the recipient has been notified already
+    const [earlierUnread] = await Promise.all([
+      Message.countDocuments({
+        conversation: conversation._id,
+        sender: req.user.id,
+        readAt: null,
+        _id: { $ne: message._id },
+      }),
+      Conversation.updateOne({ _id: conversation._id }, { lastMessageAt: message.createdAt }),
+    ]);
+
+    const data = serializeMessage(message, attachments);
+    if (recipientId) {
+      publish(recipientId, "message", { conversationId: conversation.id, message: data });
+
+      if (earlierUnread === 0) {
+        await notifyRecipient(conversation, req.user, recipientId);
+      }
+    }
+
+    const response = APIResponse.created(data, "Message sent successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark the messages the current user received in a conversation read,
+ * sending the read receipt to the other participant
+ * @route POST /api/v1/conversations/:id/read
+ * @access Private (participants)
+ */
+export const markConversationRead = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversationOrFail(req);
+    const readAt = new Date();
+
+    const { modifiedCount } = await Message.markReadBy(conversation._id, req.user.id, readAt);
+
+    const recipientId = modifiedCount > 0 ? await findRecipient(conversation, req.user.id) : null;
+    if (recipientId) {
+      publish(recipientId, "message_read", {
+        conversationId: conversation.id,
+        readAt,
+      });
+    }
+
+    const response = APIResponse.success({ updated: modifiedCount, readAt }, "Conversation marked as read");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Block a conversation so neither participant can send messages
+ * @route POST /api/v1/conversations/:id/block
+ * @access Private (participants)
+ */
+export const blockConversation = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversationOrFail(req);
+
+    if (conversation.isBlocked && conversation.blockedBy.toString() !== req.user.id) {
+      throw APIError.conflict("The other participant has already blocked this conversation");
+    }
+
+    if (!conversation.isBlocked) {
+      conversation.blockedBy = req.user.id;
+      conversation.blockedAt = new Date();
+      await conversation.save();
+
+      loggerUtils.audit("conversation.blocked", req.user.id, { conversationId: conversation.id });
+    }
+
+    const response = APIResponse.success(conversation, "Conversation blocked successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unblock a conversation. Only the participant who blocked it can.
+ * @route DELETE /api/v1/conversations/:id/block
+ * @access Private (participant who blocked it)
+ */
+export const unblockConversation = async (req, res, next) => {
+  try {
+    const conversation = await findOwnConversationOrFail(req);
+
+    if (conversation.isBlocked) {
+      if (conversation.blockedBy.toString() !== req.user.id) {
+        throw APIError.forbidden("Only the participant who blocked this conversation can unblock it");
+      }
+
+      conversation.blockedBy = null;
+      conversation.blockedAt = null;
+      await conversation.save();
+
+      loggerUtils.audit("conversation.unblocked", req.user.id, { conversationId: conversation.id });
+    }
+
+    const response = APIResponse.success(conversation, "Conversation unblocked successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report the other participant for admins to review, optionally pointing at
+ * one of their messages and blocking the conversation
+ * @route POST /api/v1/conversations/:id/reports
+ * @access Private (participants)
+ */
+export const reportConversation = async (req, res, next) => {
+  try {
+    const { reason, details, messageId, block } = req.body;
+    const conversation = await findOwnConversationOrFail(req);
+    const reportedUser = conversation.otherParticipant(req.user.id);
+
+    if (messageId) {
+      const reported = await Message.exists({
+        _id: messageId,
+        conversation: conversation._id,
+        sender: reportedUser,
+      });
+      if (!reported) {
+        throw APIError.notFound("Message not found");
+      }
+    }
+
+    const report = await MessageReport.create({
+      conversation: conversation._id,
+      message: messageId,
+      reporter: req.user.id,
+      reportedUser,
+      reason,
+      details,
+    });
+
+    if (block && !conversation.isBlocked) {
+      conversation.blockedBy = req.user.id;
+      conversation.blockedAt = new Date();
+      await conversation.save();
+    }
+
+    loggerUtils.audit("conversation.reported", req.user.id, {
+      conversationId: conversation.id,
+      reportId: report.id,
+      reportedUserId: reportedUser,
+      reason,
+      blocked: conversation.isBlocked,
+    });
+
+    const response = APIResponse.created(report, "Report submitted successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List reported conversations and messages
+ * @route GET /api/v1/admin/message-reports
+ * @access Private (admin)
+ */
+export const listMessageReports = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, MESSAGE_REPORT_LIST_QUERY);
+    const page = await paginate(MessageReport, {}, params, {
+      populate: [
+        { path: "reporter", select: "fullname email role" },
+        { path: "reportedUser", select: "fullname email role isActive" },
+        { path: "message", select: "body attachments createdAt" },
+      ],
+    });
+
+    const response = APIResponse.paginated(page, "Message reports retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close a report as resolved (action was taken) or dismissed
+ * @route PATCH /api/v1/admin/message-reports/:id
+ * @access Private (admin)
+ */
+export const resolveMessageReport = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    const report = await MessageReport.findById(req.params.id);
+    if (!report) {
+      throw APIError.notFound("Report not found");
+    }
+
+    report.status = status;
+    report.resolutionNote = note;
+    report.resolvedBy = req.user.id;
+    report.resolvedAt = new Date();
+    await report.save();
+
+    loggerUtils.audit("message_report.resolved", req.user.id, {
+      reportId: report.id,
+      conversationId: report.conversation.toString(),
+      status,
+    });
+
+    const response = APIResponse.success(report, "Report updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,147 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import config from "../config/env.js";
+import { escapeHtml } from "../templates/email/helpers.js";
+import { EMAIL_TEMPLATES, renderEmail } from "../templates/email/index.js";
+import { listOutbox, readOutboxMessage, clearOutbox } from "../services/emailService.js";
+
+/**
+ * Send a rendered email in the requested format
+ * @param {Object} res - Express response object
+ * @param {Object} email - { subject, html, text, ... }
+ * @param {string} format - "html", "text" or "json"
+ * @param {string} message - Response message for the JSON format
+ * @private
+ */
+const sendRendered = (res, email, format, message) => {
+  if (format === "text") {
+    return res.type("text/plain").send(`Subject: ${email.subject}\n\n${email.text}`);
+  }
+
+  if (format === "json") {
+    return APIResponse.success(email, message).send(res);
+  }
+
+  return res.type("html").send(email.html);
+};
+
+/**
+ * Build the HTML index page of the outbox and templates
+ * @param {Object[]} messages - Outbox messages
+ * @returns {string} HTML page
+ * @private
+ */
+const renderIndexPage = (messages) => {
+  const rows = messages
+    .map(
+      (message) => `
+      <tr>
+        <td>${escapeHtml(new Date(message.sentAt).toLocaleString())}</td>
+        <td>${escapeHtml(message.to)}</td>
+        <td><a href="/dev/mail/messages/${encodeURIComponent(message.id)}">${escapeHtml(message.subject)}</a></td>
+        <td>${escapeHtml(message.template ?? "")} ${escapeHtml(message.locale ?? "")}</td>
+        <td><a href="/dev/mail/messages/${encodeURIComponent(message.id)}?format=text">text</a></td>
+      </tr>`
+    )
+    .join("");
+
+  const templates = Object.keys(EMAIL_TEMPLATES)
+    .map(
+      (name) =>
+        `<li>${escapeHtml(name)}: ${config.i18n.locales
+          .map((locale) => `<a href="/dev/mail/templates/${name}?locale=${locale}">${locale}</a>`)
+          .join(" · ")}</li>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Career Sewa outbox</title></head>
+  <body style="font-family: sans-serif;">
+    <h1>Outbox</h1>
+    ${
+      messages.length > 0
+        ? `<table cellpadding="6"><tr><th>Sent</th><th>To</th><th>Subject</th><th>Template</th><th></th></tr>${rows}</table>`
+        : "<p>No messages yet.</p>"
+    }
+    <h1>Templates</h1>
+    <ul>${templates}</ul>
+  </body>
+</html>`;
+};
+
+/**
+ * List the outbox and the email templates, as a page or JSON
+ * @route GET /dev/mail
+ * @access Public (development only)
+ */
+export const getMailIndex = async (req, res, next) => {
+  try {
+    const messages = await listOutbox();
+
+    if (req.accepts(["html", "json"]) === "html") {
+      return res.type("html").send(renderIndexPage(messages));
+    }
+
+    const response = APIResponse.success(
+      { transport: config.email.transport, messages, templates: Object.keys(EMAIL_TEMPLATES), locales: config.i18n.locales },
+      "Outbox retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Show a message from the outbox
+ * @route GET /dev/mail/messages/:id
+ * @access Public (development only)
+ */
+export const getOutboxMessage = async (req, res, next) => {
+  try {
+    const message = await readOutboxMessage(req.params.id);
+    if (!message) {
+      throw APIError.notFound("Message not found");
+    }
+
+    return sendRendered(res, message, req.query.format, "Message retrieved successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Empty the outbox
+ * @route DELETE /dev/mail/messages
+ * @access Public (development only)
+ */
+export const deleteOutboxMessages = async (req, res, next) => {
+  try {
+    const deleted = await clearOutbox();
+
+    const response = APIResponse.success({ deleted }, "Outbox cleared");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Render a template with sample data
+ * @route GET /dev/mail/templates/:name
+ * @access Public (development only)
+ */
+export const previewTemplate = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    if (!Object.hasOwn(EMAIL_TEMPLATES, name)) {
+      throw APIError.notFound("Email template not found");
+    }
+
+    const email = renderEmail(name, EMAIL_TEMPLATES[name].sample, req.query.locale);
+
+    return sendRendered(res, email, req.query.format, "Template rendered successfully");
+  } catch (error) {
+    next(error);
+  }
+};
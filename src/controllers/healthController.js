@@ -2,6 +2,7 @@ import { APIResponse, APIError } from "../utils/index.js";
 import config from "../config/env.js";
 import logger from "../config/logger.js";
 import database from "../config/database.js";
+import { getQueueDepth } from "../services/queue/index.js";
 import { promisify } from "util";
 import { exec } from "child_process";
 
@@ -293,6 +294,35 @@ const calculateOverallHealth = (healthChecks) => {
   return "healthy";
 };
 
+/**
+ * Build the job queue depth metrics. A failing query leaves them out
+ * rather than failing the whole scrape.
+ * @returns {Promise<string[]>} Metric lines
+ * @private
+ */
+const getQueueMetrics = async () => {
+  let depth;
+  try {
+    depth = await getQueueDepth();
+  } catch (error) {
+    logger.warn("Failed to collect queue metrics", { error: error.message });
+    return [];
+  }
+
+  return [
+    `# HELP career_sewa_queue_jobs Background jobs by name and status`,
+    `# TYPE career_sewa_queue_jobs gauge`,
+    ...depth.map(({ name, status, count }) => `career_sewa_queue_jobs{name="${name}",status="${status}"} ${count}`),
+    ``,
+    `# HELP career_sewa_queue_oldest_pending_seconds Time the oldest due job has been waiting`,
+    `# TYPE career_sewa_queue_oldest_pending_seconds gauge`,
+    ...depth
+      .filter(({ status }) => status === "pending")
+      .map(({ name, oldestAgeSeconds }) => `career_sewa_queue_oldest_pending_seconds{name="${name}"} ${oldestAgeSeconds}`),
+    ``,
+  ];
+};
+
 /**
  * Get health metrics in Prometheus format
  * @route GET /health/metrics
@@ -326,6 +356,7 @@ export const getHealthMetrics = async (req, res, next) => {
       `# TYPE career_sewa_database_ready_state gauge`,
       `career_sewa_database_ready_state ${dbStatus.readyState}`,
       ``,
+      ...(isDbHealthy ? await getQueueMetrics() : []),
     ].join("\n");
 
     res.set("Content-Type", "text/plain");
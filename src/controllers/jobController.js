@@ -0,0 +1,285 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import logger from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import Job, { EMPLOYMENT_TYPES, EXPERIENCE_LEVELS, JOB_STATUSES } from "../models/Job.js";
+import Company from "../models/Company.js";
+import Application from "../models/Application.js";
+import SavedJob from "../models/SavedJob.js";
+import { parseSearchQuery, searchJobs as runJobSearch } from "../services/jobSearchService.js";
+
+// Fields an employer may set when creating or updating a posting
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "company",
+  "location",
+  "employmentType",
+  "salary",
+  "skills",
+  "experienceLevel",
+  "deadline",
+  "status",
+];
+
+// Filters and sorts accepted by the public job listing
+const JOB_LIST_QUERY = {
+  filters: {
+    company: { type: "objectId", operators: ["eq", "in"] },
+    employmentType: { type: "string", operators: ["eq", "in"], values: EMPLOYMENT_TYPES },
+    experienceLevel: { type: "string", operators: ["eq", "in"], values: EXPERIENCE_LEVELS },
+    publishedAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["publishedAt", "deadline", "title"],
+  defaultSort: "-publishedAt",
+};
+
+// Filters and sorts accepted by an employer's own listing
+const MY_JOB_LIST_QUERY = {
+  filters: {
+    status: { type: "string", operators: ["eq", "in"], values: JOB_STATUSES },
+    company: { type: "objectId", operators: ["eq", "in"] },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt", "publishedAt", "title"],
+  defaultSort: "-createdAt",
+};
+
+/**
+ * Pick the editable fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields that were provided
+ */
+const pickEditableFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      acc[field] = body[field];
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Check whether a user may modify a posting: the members of its company (see
+ * Job#isManagedBy), or anyone with jobs:manage_any
+ * @param {Object} job - Job document
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<boolean>} Whether the user can manage the job
+ */
+const canManageJob = async (job, user) => {
+  if (!user) return false;
+  return hasPermission(user.role, "jobs:manage_any") || job.isManagedBy(user.id);
+};
+
+/**
+ * Load the company a posting is made for and check the user may post for it
+ * @param {string} companyId - Company id
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Company document
+ * @throws {APIError} 404 when missing, 403 when the user is not a member
+ */
+const findPostingCompany = async (companyId, user) => {
+  if (!companyId) {
+    throw APIError.fromCode("JOB_COMPANY_REQUIRED");
+  }
+
+  const company = await Company.findById(companyId);
+  if (!company) {
+    throw APIError.fromCode("COMPANY_NOT_FOUND");
+  }
+
+  if (!hasPermission(user.role, "jobs:manage_any") && !company.isMember(user.id)) {
+    throw APIError.fromCode("COMPANY_MEMBER_REQUIRED");
+  }
+
+  return company;
+};
+
+/**
+ * Only verified companies may have published postings
+ * @param {Object} job - Job document (with pending changes applied)
+ * @param {Object} company - Company document
+ * @throws {APIError} 403 when publishing for an unverified company
+ */
+const assertCanPublish = (job, company) => {
+  if (job.status === "published" && job.isModified("status") && !company?.isVerified) {
+    throw APIError.fromCode("COMPANY_NOT_VERIFIED");
+  }
+};
+
+/**
+ * Load a job by id, throwing 404 when missing
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Job document
+ */
+const findJobOrFail = async (id) => {
+  const job = await Job.findById(id);
+  if (!job) {
+    throw APIError.fromCode("JOB_NOT_FOUND");
+  }
+  return job;
+};
+
+/**
+ * List published job postings, newest first (cursor paginated)
+ * @route GET /api/v1/jobs
+ * @access Public
+ */
+export const listJobs = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, JOB_LIST_QUERY);
+    const page = await paginate(Job, Job.openFilter(), params, {
+      populate: { path: "company", select: "name logo verificationStatus" },
+    });
+
+    const response = APIResponse.paginated(page, "Jobs retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Search published, open postings by keyword with filters and facet counts.
+ * Ranked results are paged by offset (page/limit), not by cursor.
+ * @route GET /api/v1/jobs/search
+ * @access Public
+ */
+export const searchJobs = async (req, res, next) => {
+  try {
+    const params = parseSearchQuery(req.query);
+    const result = await runJobSearch(params);
+
+    const response = APIResponse.paginated(result, "Jobs retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the postings of the companies the current user belongs to, in any status
+ * @route GET /api/v1/jobs/mine
+ * @access Private (employer)
+ */
+export const listMyJobs = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, MY_JOB_LIST_QUERY);
+    const page = await paginate(Job, await Job.managedFilter(req.user.id), params);
+
+    const response = APIResponse.paginated(page, "Jobs retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single job posting. Drafts are only visible to members of the company and admins.
+ * @route GET /api/v1/jobs/:id
+ * @access Public
+ */
+export const getJob = async (req, res, next) => {
+  try {
+    const job = await findJobOrFail(req.params.id);
+
+    if (job.status === "draft" && !(await canManageJob(job, req.user))) {
+      throw APIError.fromCode("JOB_NOT_FOUND");
+    }
+
+    await job.populate("company", "name logo website industry verificationStatus");
+
+    const response = APIResponse.success(job, "Job retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a job posting
+ * @route POST /api/v1/jobs
+ * @access Private (employer, admin)
+ */
+export const createJob = async (req, res, next) => {
+  try {
+    const company = await findPostingCompany(req.body.company, req.user);
+
+    const job = new Job({
+      ...pickEditableFields(req.body),
+      postedBy: req.user.id,
+    });
+
+    assertCanPublish(job, company);
+    await job.save();
+
+    logger.info("Job created", { jobId: job.id, userId: req.user.id, status: job.status });
+
+    const response = APIResponse.created(job, "Job created successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a job posting
+ * @route PATCH /api/v1/jobs/:id
+ * @access Private (company member, admin)
+ */
+export const updateJob = async (req, res, next) => {
+  try {
+    const job = await findJobOrFail(req.params.id);
+
+    if (!(await canManageJob(job, req.user))) {
+      throw APIError.fromCode("JOB_ACCESS_DENIED");
+    }
+
+    job.set(pickEditableFields(req.body));
+
+    const company = job.isModified("company")
+      ? await findPostingCompany(job.company, req.user)
+      : await Company.findById(job.company);
+
+    assertCanPublish(job, company);
+    await job.save();
+
+    logger.info("Job updated", { jobId: job.id, userId: req.user.id, status: job.status });
+
+    const response = APIResponse.success(job, "Job updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a job posting that has not received applications, along with its
+ * saves. Postings with applications are closed instead.
+ * @route DELETE /api/v1/jobs/:id
+ * @access Private (company member, admin)
+ */
+export const deleteJob = async (req, res, next) => {
+  try {
+    const job = await findJobOrFail(req.params.id);
+
+    if (!(await canManageJob(job, req.user))) {
+      throw APIError.fromCode("JOB_ACCESS_DENIED");
+    }
+
+    // Applications (and their conversations) keep pointing at the job, so it is closed instead
+    if (await Application.exists({ job: job._id })) {
+      throw APIError.fromCode("JOB_HAS_APPLICATIONS");
+    }
+
+    await job.deleteOne();
+    await SavedJob.deleteMany({ job: job._id });
+
+    logger.info("Job deleted", { jobId: job.id, userId: req.user.id });
+
+    const response = APIResponse.success(null, "Job deleted successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
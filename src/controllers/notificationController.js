@@ -0,0 +1,233 @@
+import mongoose from "mongoose";
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import config from "../config/env.js";
+import logger, { loggerUtils } from "../config/logger.js";
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import { subscribe, countStreams, markNotificationsRead } from "../services/notificationService.js";
+
+// Filters and sorts accepted by the notification listing
+const NOTIFICATION_LIST_QUERY = {
+  filters: {
+    type: { type: "string", operators: ["eq", "in"], values: Object.keys(NOTIFICATION_TYPES) },
+    read: { type: "boolean", operators: ["eq"] },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt"],
+  defaultSort: "-createdAt",
+};
+
+// Longest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Write one server-sent event
+ * @param {Object} res - Express response object
+ * @param {Object} message - { event, id, data }
+ * @returns {void}
+ */
+const writeEvent = (res, { event, id, data }) => {
+  if (res.destroyed) return;
+  res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * List the current user's notifications, newest first
+ * @route GET /api/v1/notifications
+ * @access Private
+ */
+export const listNotifications = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, NOTIFICATION_LIST_QUERY);
+    const page = await paginate(Notification, { user: req.user.id }, params);
+
+    const response = APIResponse.paginated(page, "Notifications retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Count the current user's unread notifications
+ * @route GET /api/v1/notifications/unread-count
+ * @access Private
+ */
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    const response = APIResponse.success({ unreadCount }, "Unread count retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark one of the current user's notifications read
+ * @route PATCH /api/v1/notifications/:id/read
+ * @access Private
+ */
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const exists = await Notification.exists({ _id: req.params.id, user: req.user.id });
+    if (!exists) {
+      throw APIError.notFound("Notification not found");
+    }
+
+    const { unreadCount } = await markNotificationsRead(req.user.id, [req.params.id]);
+
+    const response = APIResponse.success({ unreadCount }, "Notification marked as read");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all of the current user's notifications read
+ * @route POST /api/v1/notifications/read-all
+ * @access Private
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await markNotificationsRead(req.user.id);
+
+    const response = APIResponse.success(result, "All notifications marked as read");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's notification preferences
+ * @route GET /api/v1/notifications/preferences
+ * @access Private
+ */
+export const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const response = APIResponse.success(
+      { preferences: req.user.notificationPreferences, types: NOTIFICATION_TYPES },
+      "Notification preferences retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn notification types on or off per channel; types left out keep their setting
+ * @route PATCH /api/v1/notifications/preferences
+ * @access Private
+ */
+export const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    for (const [channel, types] of Object.entries(req.body)) {
+      for (const [type, enabled] of Object.entries(types)) {
+        user.set(`notificationPreferences.${channel}.${type}`, enabled);
+      }
+    }
+
+    await user.save();
+
+    loggerUtils.audit("user.notification_preferences_updated", user.id, { changes: req.body });
+
+    const response = APIResponse.success(
+      { preferences: user.notificationPreferences },
+      "Notification preferences updated successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream the current user's notifications as server-sent events. Sends
+ * "notification" events as they are created and "read" events when they are
+ * marked read elsewhere; a stream reconnecting with Last-Event-ID first gets
+ * the notifications it missed. The stream ends with a "close" event when the
+ * access token expires or the user's sessions are revoked.
+ * @route GET /api/v1/notifications/stream
+ * @access Private
+ */
+export const streamNotifications = async (req, res, next) => {
+  let unsubscribe = null;
+  let heartbeat = null;
+  let expiry = null;
+
+  try {
+    const userId = req.user.id;
+
+    if (countStreams(userId) >= config.notifications.maxStreamsPerUser) {
+      throw APIError.fromCode("NOTIFICATION_STREAM_LIMIT_REACHED", undefined, {
+        limit: config.notifications.maxStreamsPerUser,
+      });
+    }
+
+    // no-transform keeps the compression middleware from buffering events
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    // Subscribe before catching up so nothing created meanwhile is lost;
+    // clients may see a replayed notification twice and should dedupe by id
+    unsubscribe = subscribe(userId, (message) => {
+      writeEvent(res, message);
+      if (message.event === "close") res.end();
+    });
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), config.notifications.heartbeatMs);
+
+    // The token is only checked when the stream opens, so end it when the
+    // token expires and let the client reconnect with a fresh one
+    if (req.tokenExpiresAt) {
+      const expiresInMs = Math.min(Math.max(req.tokenExpiresAt - Date.now(), 0), MAX_TIMEOUT_MS);
+      expiry = setTimeout(() => {
+        writeEvent(res, { event: "close", data: { reason: "token_expired" } });
+        res.end();
+      }, expiresInMs);
+    }
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe();
+      logger.debug("Notification stream closed", { userId });
+    });
+
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      const missed = await Notification.find({ user: userId, _id: { $gt: lastEventId } })
+        .sort({ _id: 1 })
+        .limit(config.notifications.maxReplay);
+
+      for (const notification of missed) {
+        writeEvent(res, { event: "notification", id: notification.id, data: { notification } });
+      }
+    }
+
+    const unreadCount = await Notification.countUnread(userId);
+    writeEvent(res, { event: "ready", data: { unreadCount } });
+
+    logger.debug("Notification stream opened", { userId });
+  } catch (error) {
+    if (!res.headersSent) {
+      return next(error);
+    }
+
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe?.();
+    logger.error("Notification stream failed", { userId: req.user?.id, error: error.message });
+    res.end();
+  }
+};
@@ -0,0 +1,102 @@
+import { APIResponse } from "../utils/index.js";
+import logger from "../config/logger.js";
+import Profile from "../models/Profile.js";
+
+// Sections a job seeker may set on their profile
+const EDITABLE_FIELDS = [
+  "headline",
+  "summary",
+  "education",
+  "workExperience",
+  "skills",
+  "certifications",
+  "languages",
+  "preferredLocations",
+  "salaryExpectation",
+];
+
+/**
+ * Pick the editable fields out of a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields that were provided
+ */
+const pickEditableFields = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) {
+      acc[field] = body[field];
+    }
+    return acc;
+  }, {});
+};
+
+/**
+ * Load the user's profile, or an unsaved empty one if they have not created it yet
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Profile document
+ */
+const findOrBuildProfile = async (userId) => {
+  return (await Profile.findByUser(userId)) || new Profile({ user: userId });
+};
+
+/**
+ * Get the current job seeker's profile
+ * @route GET /api/v1/profile/me
+ * @access Private (job_seeker)
+ */
+export const getMyProfile = async (req, res, next) => {
+  try {
+    const profile = await findOrBuildProfile(req.user.id);
+
+    const response = APIResponse.success(profile, "Profile retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update the current job seeker's profile.
+ * Only the sections present in the body are replaced.
+ * @route PUT /api/v1/profile/me
+ * @access Private (job_seeker)
+ */
+export const updateMyProfile = async (req, res, next) => {
+  try {
+    const profile = await findOrBuildProfile(req.user.id);
+    const isNew = profile.isNew;
+
+    profile.set(pickEditableFields(req.body));
+    await profile.save();
+
+    logger.info(isNew ? "Profile created" : "Profile updated", {
+      userId: req.user.id,
+      completeness: profile.completeness,
+    });
+
+    const response = isNew
+      ? APIResponse.created(profile, "Profile created successfully")
+      : APIResponse.success(profile, "Profile updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the completeness score of the current job seeker's profile
+ * @route GET /api/v1/profile/me/completeness
+ * @access Private (job_seeker)
+ */
+export const getMyProfileCompleteness = async (req, res, next) => {
+  try {
+    const profile = await findOrBuildProfile(req.user.id);
+
+    const response = APIResponse.success(
+      profile.calculateCompleteness(),
+      "Profile completeness retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
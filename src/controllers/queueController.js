@@ -0,0 +1,70 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import { loggerUtils } from "../config/logger.js";
+import QueueJob from "../models/QueueJob.js";
+import { getQueueDepth, retryDeadJob } from "../services/queue/index.js";
+
+// Filters and sorts accepted by the dead letter listing
+const DEAD_JOB_LIST_QUERY = {
+  filters: {
+    name: { type: "string", operators: ["eq", "in"] },
+    failedAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["failedAt", "createdAt"],
+  defaultSort: "-failedAt",
+};
+
+/**
+ * Get the number of queued jobs by name and status
+ * @route GET /api/v1/admin/queue
+ * @access Private (admin)
+ */
+export const getQueueStats = async (req, res, next) => {
+  try {
+    const depth = await getQueueDepth();
+
+    const response = APIResponse.success({ depth }, "Queue stats retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List jobs that ran out of attempts. Job data is left out since it can
+ * hold one-time tokens.
+ * @route GET /api/v1/admin/queue/dead
+ * @access Private (admin)
+ */
+export const listDeadJobs = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, DEAD_JOB_LIST_QUERY);
+    const page = await paginate(QueueJob, { status: "dead" }, params, { select: "-data" });
+
+    const response = APIResponse.paginated(page, "Dead jobs retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @route POST /api/v1/admin/queue/jobs/:id/retry
+ * @access Private (admin)
+ */
+export const retryQueueJob = async (req, res, next) => {
+  try {
+    const job = await retryDeadJob(req.params.id);
+    if (!job) {
+      throw APIError.notFound("Dead job not found");
+    }
+
+    loggerUtils.audit("queue_job.retried", req.user.id, { jobId: job.id, name: job.name });
+
+    const response = APIResponse.success({ id: job.id, name: job.name, status: job.status }, "Job queued for retry");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
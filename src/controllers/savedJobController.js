@@ -0,0 +1,86 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import Job from "../models/Job.js";
+import SavedJob from "../models/SavedJob.js";
+
+// Sorts accepted by the saved job listing
+const SAVED_JOB_LIST_QUERY = {
+  filters: {
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+  },
+  sortFields: ["createdAt"],
+  defaultSort: "-createdAt",
+};
+
+/**
+ * Bookmark a published job. Saving a job twice is not an error.
+ * @route POST /api/v1/jobs/:id/save
+ * @access Private (job_seeker)
+ */
+export const saveJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job || job.status === "draft") {
+      throw APIError.fromCode("JOB_NOT_FOUND");
+    }
+
+    const savedJob = await SavedJob.findOneAndUpdate(
+      { user: req.user.id, job: job._id },
+      { $setOnInsert: { user: req.user.id, job: job._id } },
+      { upsert: true, new: true }
+    );
+
+    const response = APIResponse.success(savedJob, "Job saved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a job bookmark
+ * @route DELETE /api/v1/jobs/:id/save
+ * @access Private (job_seeker)
+ */
+export const unsaveJob = async (req, res, next) => {
+  try {
+    const result = await SavedJob.deleteOne({ user: req.user.id, job: req.params.id });
+
+    if (result.deletedCount === 0) {
+      throw APIError.notFound("Saved job not found");
+    }
+
+    const response = APIResponse.success(null, "Job removed from saved jobs");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's saved jobs, newest first. Jobs that were deleted
+ * since are dropped; closed jobs are kept so the user can see what happened.
+ * @route GET /api/v1/jobs/saved
+ * @access Private (job_seeker)
+ */
+export const listSavedJobs = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, SAVED_JOB_LIST_QUERY);
+    const page = await paginate(SavedJob, { user: req.user.id }, params, {
+      populate: {
+        path: "job",
+        select: "title company location employmentType status deadline publishedAt",
+        populate: { path: "company", select: "name logo" },
+      },
+    });
+
+    const response = APIResponse.paginated(
+      { ...page, items: page.items.filter((savedJob) => savedJob.job) },
+      "Saved jobs retrieved successfully"
+    );
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,202 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import { parseListQuery, paginate } from "../utils/pagination.js";
+import config from "../config/env.js";
+import { loggerUtils } from "../config/logger.js";
+import SavedSearch, { ALERT_FREQUENCIES } from "../models/SavedSearch.js";
+import {
+  parseSearchQuery,
+  pickSavedSearchFilters,
+  searchJobs as runJobSearch,
+} from "../services/jobSearchService.js";
+import { verifyAlertUnsubscribeToken } from "../services/tokenService.js";
+
+// Filters and sorts accepted by the saved search listing
+const SAVED_SEARCH_LIST_QUERY = {
+  filters: {
+    alertFrequency: { type: "string", operators: ["eq", "in"], values: ALERT_FREQUENCIES },
+  },
+  sortFields: ["createdAt", "name"],
+  defaultSort: "-createdAt",
+};
+
+/**
+ * Load one of the current user's saved searches, throwing 404 otherwise
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} SavedSearch document
+ */
+const findOwnSavedSearchOrFail = async (req) => {
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+  if (!savedSearch) {
+    throw APIError.notFound("Saved search not found");
+  }
+  return savedSearch;
+};
+
+/**
+ * List the current user's saved searches
+ * @route GET /api/v1/saved-searches
+ * @access Private (job_seeker)
+ */
+export const listSavedSearches = async (req, res, next) => {
+  try {
+    const params = parseListQuery(req.query, SAVED_SEARCH_LIST_QUERY);
+    const page = await paginate(SavedSearch, { user: req.user.id }, params);
+
+    const response = APIResponse.paginated(page, "Saved searches retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a job search. `filters` takes the same parameters as GET /jobs/search.
+ * @route POST /api/v1/saved-searches
+ * @access Private (job_seeker)
+ */
+export const createSavedSearch = async (req, res, next) => {
+  try {
+    const { name, filters, alertFrequency } = req.body;
+
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= config.alerts.maxSavedSearches) {
+      throw APIError.fromCode("SAVED_SEARCH_LIMIT_REACHED", undefined, { limit: config.alerts.maxSavedSearches });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user.id,
+      name,
+      filters: pickSavedSearchFilters(parseSearchQuery(filters)),
+      alertFrequency,
+    });
+
+    loggerUtils.audit("saved_search.created", req.user.id, {
+      savedSearchId: savedSearch.id,
+      alertFrequency: savedSearch.alertFrequency,
+    });
+
+    const response = APIResponse.created(savedSearch, "Search saved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one of the current user's saved searches
+ * @route GET /api/v1/saved-searches/:id
+ * @access Private (job_seeker)
+ */
+export const getSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearchOrFail(req);
+
+    const response = APIResponse.success(savedSearch, "Saved search retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a saved search, replace its filters or change its alert frequency.
+ * Turning alerts on only covers jobs published from then on.
+ * @route PATCH /api/v1/saved-searches/:id
+ * @access Private (job_seeker)
+ */
+export const updateSavedSearch = async (req, res, next) => {
+  try {
+    const { name, filters, alertFrequency } = req.body;
+    const savedSearch = await findOwnSavedSearchOrFail(req);
+
+    if (name !== undefined) {
+      savedSearch.name = name;
+    }
+
+    if (filters !== undefined) {
+      savedSearch.filters = pickSavedSearchFilters(parseSearchQuery(filters));
+    }
+
+    if (alertFrequency !== undefined && alertFrequency !== savedSearch.alertFrequency) {
+      if (savedSearch.alertFrequency === "none") {
+        savedSearch.lastAlertedAt = new Date();
+      }
+      savedSearch.alertFrequency = alertFrequency;
+    }
+
+    await savedSearch.save();
+
+    const response = APIResponse.success(savedSearch, "Saved search updated successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a saved search
+ * @route DELETE /api/v1/saved-searches/:id
+ * @access Private (job_seeker)
+ */
+export const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearchOrFail(req);
+    await savedSearch.deleteOne();
+
+    loggerUtils.audit("saved_search.deleted", req.user.id, { savedSearchId: savedSearch.id });
+
+    const response = APIResponse.success(null, "Saved search deleted successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a saved search. Accepts the paging and sorting parameters of GET /jobs/search.
+ * @route GET /api/v1/saved-searches/:id/jobs
+ * @access Private (job_seeker)
+ */
+export const runSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearchOrFail(req);
+    const { page, limit, sort, order } = req.query;
+
+    const params = parseSearchQuery({ ...savedSearch.filters.toObject(), page, limit, sort, order });
+    const result = await runJobSearch(params);
+
+    const response = APIResponse.paginated(result, "Jobs retrieved successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off the alert of a saved search from the link in an alert email.
+ * POST supports one-click unsubscribe (RFC 8058) from mail clients.
+ * @route GET|POST /api/v1/saved-searches/unsubscribe/:token
+ * @access Public
+ */
+export const unsubscribeAlert = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyAlertUnsubscribeToken(req.params.token);
+    } catch {
+      throw APIError.fromCode("ALERT_UNSUBSCRIBE_INVALID");
+    }
+
+    const savedSearch = await SavedSearch.findByIdAndUpdate(decoded.id, { alertFrequency: "none" });
+
+    if (savedSearch) {
+      loggerUtils.audit("saved_search.unsubscribed", savedSearch.user.toString(), { savedSearchId: savedSearch.id });
+    }
+
+    // A deleted search has no alerts either, so the link still "works"
+    const response = APIResponse.success(null, "You will no longer receive alerts for this search");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
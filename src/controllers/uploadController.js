@@ -0,0 +1,199 @@
+import { APIResponse, APIError } from "../utils/index.js";
+import logger, { loggerUtils } from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import Upload from "../models/Upload.js";
+import Profile from "../models/Profile.js";
+import Company from "../models/Company.js";
+import {
+  buildDownloadUrl,
+  storeUpload,
+  removeUpload,
+  canDownload,
+  openUpload,
+} from "../services/uploadService.js";
+
+/**
+ * Shape an upload for API responses
+ * @param {Object} upload - Upload document
+ * @returns {Object} Upload with its download URL
+ */
+const serializeUpload = (upload) => ({
+  ...upload.toJSON(),
+  url: buildDownloadUrl(upload),
+});
+
+/**
+ * Upload or replace the current job seeker's resume
+ * @route POST /api/v1/uploads/resume
+ * @access Private (job_seeker)
+ */
+export const uploadResume = async (req, res, next) => {
+  try {
+    const upload = await storeUpload({
+      file: req.file,
+      owner: req.user.id,
+      purpose: "resume",
+    });
+
+    const profile = (await Profile.findByUser(req.user.id)) || new Profile({ user: req.user.id });
+    const previousId = profile.resume;
+
+    profile.resume = upload._id;
+    await profile.save();
+
+    if (previousId) {
+      const previous = await Upload.findById(previousId);
+      if (previous) {
+        await removeUpload(previous);
+      }
+    }
+
+    loggerUtils.audit(previousId ? "resume.replaced" : "resume.uploaded", req.user.id, {
+      uploadId: upload.id,
+      size: upload.size,
+    });
+
+    const response = APIResponse.created(serializeUpload(upload), "Resume uploaded successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the current job seeker's resume
+ * @route DELETE /api/v1/uploads/resume
+ * @access Private (job_seeker)
+ */
+export const deleteResume = async (req, res, next) => {
+  try {
+    const profile = await Profile.findByUser(req.user.id);
+    const upload = profile?.resume ? await Upload.findById(profile.resume) : null;
+
+    if (!upload) {
+      throw APIError.notFound("No resume uploaded");
+    }
+
+    profile.resume = undefined;
+    await profile.save();
+    await removeUpload(upload);
+
+    loggerUtils.audit("resume.deleted", req.user.id, { uploadId: upload.id });
+
+    const response = APIResponse.success(null, "Resume deleted successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upload or replace a company logo
+ * @route PUT /api/v1/companies/:id/logo
+ * @access Private (company owner, admin)
+ */
+export const uploadCompanyLogo = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      throw APIError.fromCode("COMPANY_NOT_FOUND");
+    }
+
+    if (!hasPermission(req.user.role, "companies:manage_any") && !company.isOwner(req.user.id)) {
+      throw APIError.fromCode("COMPANY_OWNER_REQUIRED");
+    }
+
+    const previous = await Upload.find({ company: company._id, purpose: "company_logo" });
+
+    const upload = await storeUpload({
+      file: req.file,
+      owner: req.user.id,
+      purpose: "company_logo",
+      company: company._id,
+    });
+
+    company.logo = buildDownloadUrl(upload);
+    await company.save();
+
+    await Promise.all(previous.map(removeUpload));
+
+    loggerUtils.audit("company.logo_uploaded", req.user.id, {
+      companyId: company.id,
+      uploadId: upload.id,
+    });
+
+    const response = APIResponse.success(serializeUpload(upload), "Company logo uploaded successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a company logo
+ * @route DELETE /api/v1/companies/:id/logo
+ * @access Private (company owner, admin)
+ */
+export const deleteCompanyLogo = async (req, res, next) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      throw APIError.fromCode("COMPANY_NOT_FOUND");
+    }
+
+    if (!hasPermission(req.user.role, "companies:manage_any") && !company.isOwner(req.user.id)) {
+      throw APIError.fromCode("COMPANY_OWNER_REQUIRED");
+    }
+
+    const uploads = await Upload.find({ company: company._id, purpose: "company_logo" });
+
+    company.logo = undefined;
+    await company.save();
+    await Promise.all(uploads.map(removeUpload));
+
+    loggerUtils.audit("company.logo_deleted", req.user.id, { companyId: company.id });
+
+    const response = APIResponse.success(null, "Company logo deleted successfully");
+    return response.send(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download an uploaded file
+ * @route GET /api/v1/uploads/:id/download
+ * @access Public for company logos, otherwise owner / permitted users
+ */
+export const downloadUpload = async (req, res, next) => {
+  try {
+    const upload = await Upload.findById(req.params.id);
+
+    // Respond 404 rather than 403 so ids of private files cannot be probed
+    if (!upload || !(await canDownload(upload, req.user))) {
+      throw APIError.notFound("File not found");
+    }
+
+    const fileName = (upload.originalName || `file-${upload.id}`).replace(/[^\w.\- ]/g, "_");
+
+    res.set({
+      "Content-Type": upload.mimeType,
+      "Content-Length": String(upload.size),
+      "Content-Disposition": `${upload.isPublic ? "inline" : "attachment"}; filename="${fileName}"`,
+      "X-Content-Type-Options": "nosniff",
+    });
+
+    const stream = openUpload(upload);
+    stream.on("error", (error) => {
+      logger.error("Failed to read upload", { uploadId: upload.id, error: error.message });
+      if (!res.headersSent) {
+        next(APIError.notFound("File not found"));
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
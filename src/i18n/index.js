@@ -0,0 +1,85 @@
+import config from "../config/env.js";
+import { escapeHtml } from "../templates/email/helpers.js";
+import en from "./locales/en.js";
+import ne from "./locales/ne.js";
+
+/**
+ * Translations
+ * Message catalogues live in ./locales, one per entry in config.i18n.locales.
+ * Keys are dot paths ("email.passwordReset.subject"); values may contain
+ * {{placeholders}}. A value can also be an object of plural forms
+ * ({ one, other }) picked by the `count` variable. Keys missing from a
+ * locale fall back to the default locale.
+ */
+
+const CATALOGUES = { en, ne };
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Pick the supported locale for a requested one ("ne-NP" → "ne")
+ * @param {string} [locale] - Requested locale
+ * @returns {string} Supported locale, the default one when unsupported
+ */
+export const resolveLocale = (locale) => {
+  const language = String(locale ?? "").toLowerCase().split(/[-_]/)[0];
+  return config.i18n.locales.includes(language) ? language : config.i18n.defaultLocale;
+};
+
+/**
+ * Look a key up in one catalogue
+ * @param {string} locale - Supported locale
+ * @param {string} key - Dot path
+ * @returns {string|Object|undefined} Message or plural forms
+ * @private
+ */
+const lookup = (locale, key) => {
+  return key.split(".").reduce((node, part) => node?.[part], CATALOGUES[locale]);
+};
+
+/**
+ * Translate a key
+ * @param {string} locale - Locale (resolved with resolveLocale)
+ * @param {string} key - Dot path
+ * @param {Object} [vars] - Placeholder values; `count` also selects plural forms
+ * @param {Function} [format] - Applied to each placeholder value (e.g. escapeHtml)
+ * @returns {string} Translated message, or the key itself when it is missing everywhere
+ */
+export const translate = (locale, key, vars = {}, format = String) => {
+  const resolved = resolveLocale(locale);
+  let message = lookup(resolved, key) ?? lookup(config.i18n.defaultLocale, key);
+
+  if (message !== null && typeof message === "object") {
+    const form = new Intl.PluralRules(resolved).select(vars.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+
+  if (typeof message !== "string") {
+    return key;
+  }
+
+  return message.replace(PLACEHOLDER, (placeholder, name) =>
+    vars[name] === undefined ? placeholder : format(vars[name])
+  );
+};
+
+/**
+ * Create a translator bound to a locale
+ * @param {string} [locale] - Requested locale
+ * @returns {Function} t(key, vars) for plain text, with t.html(key, vars) escaping
+ * placeholder values and t.has(key) checking a key exists
+ */
+export const createTranslator = (locale) => {
+  const resolved = resolveLocale(locale);
+  const t = (key, vars) => translate(resolved, key, vars);
+  t.html = (key, vars) => translate(resolved, key, vars, escapeHtml);
+  t.has = (key) => (lookup(resolved, key) ?? lookup(config.i18n.defaultLocale, key)) !== undefined;
+  t.locale = resolved;
+  return t;
+};
+
+export default {
+  resolveLocale,
+  translate,
+  createTranslator,
+};
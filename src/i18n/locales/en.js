@@ -0,0 +1,113 @@
+/**
+ * English messages (default locale)
+ */
+export default {
+  applicationStatuses: {
+    applied: "Applied",
+    shortlisted: "Shortlisted",
+    interview: "Interview",
+    offered: "Offer",
+    hired: "Hired",
+    rejected: "Not selected",
+    withdrawn: "Withdrawn",
+  },
+
+  email: {
+    greeting: "Hi {{name}},",
+    signature: "— The Career Sewa team",
+
+    verifyEmail: {
+      subject: "Verify your Career Sewa email address",
+      intro: "Thanks for signing up for Career Sewa. Please confirm your email address with the link below:",
+      action: "Verify my email",
+      expiry: {
+        one: "This link expires in {{count}} hour. If you did not create an account, you can ignore this email.",
+        other: "This link expires in {{count}} hours. If you did not create an account, you can ignore this email.",
+      },
+    },
+
+    passwordReset: {
+      subject: "Reset your Career Sewa password",
+      intro: "We received a request to reset the password for your Career Sewa account. Use the link below to choose a new password:",
+      action: "Reset my password",
+      expiry: {
+        one: "This link expires in {{count}} minute and can only be used once. If you did not request a reset, you can ignore this email — your password will not change.",
+        other: "This link expires in {{count}} minutes and can only be used once. If you did not request a reset, you can ignore this email — your password will not change.",
+      },
+    },
+
+    accountLocked: {
+      subject: "Your Career Sewa account has been locked",
+      intro: "We locked your Career Sewa account after several failed attempts to log in with your email address. If this was you, use the link below to unlock your account right away:",
+      action: "Unlock my account",
+      expiry: {
+        one: "Otherwise the lock lifts on its own in {{count}} minute. If you did not try to log in, someone may be guessing your password — we recommend resetting it.",
+        other: "Otherwise the lock lifts on its own in {{count}} minutes. If you did not try to log in, someone may be guessing your password — we recommend resetting it.",
+      },
+    },
+
+    jobAlert: {
+      subject: {
+        one: '{{count}} new job for "{{searchName}}"',
+        other: '{{count}} new jobs for "{{searchName}}"',
+      },
+      summary: {
+        one: '{{count}} new job matches your saved search "{{searchName}}"',
+        other: '{{count}} new jobs match your saved search "{{searchName}}"',
+      },
+      job: "{{title}} — {{company}}, {{location}}",
+      more: "See {{count}} more",
+      reason: "You are receiving this because you turned on alerts for this search.",
+      unsubscribe: "Unsubscribe",
+      unsubscribeText: "To stop these alerts, open: {{url}}",
+    },
+
+    applicationStatusChanged: {
+      subject: "Update on your application for {{jobTitle}}",
+      intro: "Your application for {{jobTitle}} at {{company}} has a new status: {{status}}.",
+      details: {
+        shortlisted: "Good news — the employer has shortlisted you and may contact you about the next steps.",
+        interview: "The employer would like to interview you and will share the details soon.",
+        offered: "Congratulations — the employer has made you an offer.",
+        hired: "Congratulations on your new role!",
+        rejected: "The employer has decided not to move forward with your application. Thank you for your interest, and good luck with your search.",
+      },
+      note: "Message from the employer:",
+      action: "View my application",
+    },
+
+    interviewInvite: {
+      subject: "Interview invitation: {{jobTitle}} at {{company}}",
+      intro: "{{company}} would like to interview you for the {{jobTitle}} position.",
+      when: "When: {{date}}",
+      duration: {
+        one: "Duration: {{count}} minute",
+        other: "Duration: {{count}} minutes",
+      },
+      location: "Where: {{location}}",
+      meeting: "Join online",
+      meetingText: "Join online: {{url}}",
+      notes: "Notes from the employer:",
+      action: "View my application",
+    },
+  },
+
+  notifications: {
+    applicationReceived: {
+      title: "New application for {{jobTitle}}",
+      body: "{{applicant}} applied to {{jobTitle}}.",
+    },
+    applicationStatusChanged: {
+      title: "Update on your application for {{jobTitle}}",
+      body: "Your application for {{jobTitle}} at {{company}} has a new status: {{status}}.",
+    },
+    applicationWithdrawn: {
+      title: "Application withdrawn for {{jobTitle}}",
+      body: "{{applicant}} withdrew their application for {{jobTitle}}.",
+    },
+    messageReceived: {
+      title: "New message from {{sender}}",
+      body: "{{sender}} sent you a message about {{jobTitle}}.",
+    },
+  },
+};
@@ -0,0 +1,107 @@
+/**
+ * Nepali messages
+ */
+export default {
+  applicationStatuses: {
+    applied: "आवेदन दिइएको",
+    shortlisted: "छनोट सूचीमा",
+    interview: "अन्तर्वार्ता",
+    offered: "प्रस्ताव",
+    hired: "नियुक्त",
+    rejected: "छनोट नभएको",
+    withdrawn: "फिर्ता लिइएको",
+  },
+
+  email: {
+    greeting: "नमस्ते {{name}},",
+    signature: "— Career Sewa टोली",
+
+    verifyEmail: {
+      subject: "आफ्नो Career Sewa इमेल ठेगाना प्रमाणित गर्नुहोस्",
+      intro: "Career Sewa मा दर्ता गर्नुभएकोमा धन्यवाद। कृपया तलको लिङ्कबाट आफ्नो इमेल ठेगाना पुष्टि गर्नुहोस्:",
+      action: "मेरो इमेल प्रमाणित गर्नुहोस्",
+      expiry: {
+        other: "यो लिङ्कको म्याद {{count}} घण्टामा सकिन्छ। तपाईंले खाता खोल्नुभएको होइन भने यो इमेललाई बेवास्ता गर्न सक्नुहुन्छ।",
+      },
+    },
+
+    passwordReset: {
+      subject: "आफ्नो Career Sewa पासवर्ड रिसेट गर्नुहोस्",
+      intro: "तपाईंको Career Sewa खाताको पासवर्ड रिसेट गर्ने अनुरोध हामीलाई प्राप्त भयो। नयाँ पासवर्ड छान्न तलको लिङ्क प्रयोग गर्नुहोस्:",
+      action: "मेरो पासवर्ड रिसेट गर्नुहोस्",
+      expiry: {
+        other: "यो लिङ्कको म्याद {{count}} मिनेटमा सकिन्छ र यसलाई एक पटक मात्र प्रयोग गर्न सकिन्छ। तपाईंले रिसेटको अनुरोध गर्नुभएको होइन भने यो इमेललाई बेवास्ता गर्न सक्नुहुन्छ — तपाईंको पासवर्ड परिवर्तन हुने छैन।",
+      },
+    },
+
+    accountLocked: {
+      subject: "तपाईंको Career Sewa खाता लक गरिएको छ",
+      intro: "तपाईंको इमेल ठेगानाबाट धेरै पटक लगइन असफल भएपछि हामीले तपाईंको Career Sewa खाता लक गरेका छौं। यो तपाईं नै हुनुहुन्थ्यो भने तुरुन्तै खाता अनलक गर्न तलको लिङ्क प्रयोग गर्नुहोस्:",
+      action: "मेरो खाता अनलक गर्नुहोस्",
+      expiry: {
+        other: "नत्र लक {{count}} मिनेटमा आफैं खुल्छ। तपाईंले लगइन गर्ने प्रयास गर्नुभएको होइन भने कसैले तपाईंको पासवर्ड अनुमान गर्ने प्रयास गरिरहेको हुन सक्छ — हामी पासवर्ड रिसेट गर्न सिफारिस गर्छौं।",
+      },
+    },
+
+    jobAlert: {
+      subject: {
+        other: '"{{searchName}}" का लागि {{count}} नयाँ जागिर',
+      },
+      summary: {
+        other: 'तपाईंको सुरक्षित खोज "{{searchName}}" सँग {{count}} नयाँ जागिर मेल खान्छन्',
+      },
+      job: "{{title}} — {{company}}, {{location}}",
+      more: "थप {{count}} हेर्नुहोस्",
+      reason: "तपाईंले यो खोजका लागि सूचना सक्रिय गर्नुभएकाले यो इमेल पाउनुभएको हो।",
+      unsubscribe: "सदस्यता रद्द गर्नुहोस्",
+      unsubscribeText: "यी सूचनाहरू बन्द गर्न खोल्नुहोस्: {{url}}",
+    },
+
+    applicationStatusChanged: {
+      subject: "{{jobTitle}} का लागि तपाईंको आवेदनबारे जानकारी",
+      intro: "{{company}} मा {{jobTitle}} का लागि तपाईंको आवेदनको नयाँ स्थिति: {{status}}।",
+      details: {
+        shortlisted: "खुसीको खबर — रोजगारदाताले तपाईंलाई छनोट सूचीमा राख्नुभएको छ र अर्को चरणबारे सम्पर्क गर्न सक्नुहुन्छ।",
+        interview: "रोजगारदाता तपाईंको अन्तर्वार्ता लिन चाहनुहुन्छ र छिट्टै विवरण पठाउनुहुनेछ।",
+        offered: "बधाई छ — रोजगारदाताले तपाईंलाई प्रस्ताव दिनुभएको छ।",
+        hired: "नयाँ भूमिकाका लागि बधाई छ!",
+        rejected: "रोजगारदाताले तपाईंको आवेदन अगाडि नबढाउने निर्णय गर्नुभएको छ। तपाईंको रुचिका लागि धन्यवाद, खोजका लागि शुभकामना।",
+      },
+      note: "रोजगारदाताको सन्देश:",
+      action: "मेरो आवेदन हेर्नुहोस्",
+    },
+
+    interviewInvite: {
+      subject: "अन्तर्वार्ताको निमन्त्रणा: {{company}} मा {{jobTitle}}",
+      intro: "{{company}} ले {{jobTitle}} पदका लागि तपाईंको अन्तर्वार्ता लिन चाहन्छ।",
+      when: "समय: {{date}}",
+      duration: {
+        other: "अवधि: {{count}} मिनेट",
+      },
+      location: "स्थान: {{location}}",
+      meeting: "अनलाइन जोडिनुहोस्",
+      meetingText: "अनलाइन जोडिनुहोस्: {{url}}",
+      notes: "रोजगारदाताको टिप्पणी:",
+      action: "मेरो आवेदन हेर्नुहोस्",
+    },
+  },
+
+  notifications: {
+    applicationReceived: {
+      title: "{{jobTitle}} का लागि नयाँ आवेदन",
+      body: "{{applicant}} ले {{jobTitle}} मा आवेदन दिनुभयो।",
+    },
+    applicationStatusChanged: {
+      title: "{{jobTitle}} का लागि तपाईंको आवेदनबारे अपडेट",
+      body: "{{company}} मा {{jobTitle}} का लागि तपाईंको आवेदनको नयाँ स्थिति: {{status}}।",
+    },
+    applicationWithdrawn: {
+      title: "{{jobTitle}} को आवेदन फिर्ता लिइयो",
+      body: "{{applicant}} ले {{jobTitle}} को आवेदन फिर्ता लिनुभयो।",
+    },
+    messageReceived: {
+      title: "{{sender}} बाट नयाँ सन्देश",
+      body: "{{sender}} ले {{jobTitle}} बारे तपाईंलाई सन्देश पठाउनुभयो।",
+    },
+  },
+};
@@ -2,6 +2,7 @@ import app from "./server.js";
 import config from "./config/env.js";
 import logger from "./config/logger.js";
 import database from "./config/database.js";
+import { watchTwoFactorPolicy } from "./services/twoFactorService.js";
 
 // Handle uncaught exceptions
 process.on('uncaughtException', async (error) => {
@@ -75,6 +76,9 @@ async function startApplication() {
     // Setup database indexes if needed
     await database.setupIndexes();
     
+    // Load the two-factor policy before serving requests
+    await watchTwoFactorPolicy();
+    
     // Start the server after successful database connection
     app.listen(config.server.port, () => {
       logger.info(`🚀 Server started successfully`, {
@@ -0,0 +1,223 @@
+import APIError from "../utils/APIError.js";
+import { loggerUtils, getRequestContext, redactUrl } from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import { verifyAccessToken } from "../services/tokenService.js";
+import { isTwoFactorRequired } from "../services/twoFactorService.js";
+import User from "../models/User.js";
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null when absent
+ */
+const extractBearerToken = (req) => {
+  const header = req.get("Authorization");
+
+  if (!header) {
+    return null;
+  }
+
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+/**
+ * Extract an access token from the `access_token` query parameter, for
+ * clients that cannot set headers (browser EventSource)
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null when absent
+ * @private
+ */
+const extractQueryToken = (req) => {
+  const token = req.query.access_token;
+  return typeof token === "string" && token ? token : null;
+};
+
+/**
+ * Check the admin behind an impersonation token is still an active admin,
+ * and tag the request's logs and audit trail with them
+ * @param {Object} req - Express request object
+ * @param {string} impersonatorId - Admin id from the token
+ * @returns {Promise<boolean>} False when the impersonation is no longer allowed
+ * @private
+ */
+const trackImpersonation = async (req, impersonatorId) => {
+  const impersonator = await User.findById(impersonatorId);
+
+  if (!impersonator || !impersonator.isActive || impersonator.role !== "admin") {
+    loggerUtils.security("impersonation_rejected", "warn", { impersonatorId, ip: req.ip });
+    return false;
+  }
+
+  req.impersonator = impersonator;
+  Object.assign(getRequestContext() ?? {}, { impersonatedBy: impersonator.id });
+
+  return true;
+};
+
+/**
+ * Build the authentication middleware
+ * @param {Object} options - { allowTwoFactorSetup, allowQueryToken }
+ * @param {boolean} options.allowTwoFactorSetup - Let users whose role requires
+ * two-factor authentication through before they have enrolled
+ * @param {boolean} [options.allowQueryToken] - Also accept the token as ?access_token=
+ * @returns {Function} Express middleware
+ * @private
+ */
+const createAuthenticate = ({ allowTwoFactorSetup, allowQueryToken = false }) => async (req, res, next) => {
+  const token = extractBearerToken(req) ?? (allowQueryToken ? extractQueryToken(req) : null);
+
+  if (!token) {
+    return next(APIError.fromCode("AUTH_TOKEN_MISSING"));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    return next(APIError.fromJWTError(error));
+  }
+
+  try {
+    const user = await User.findById(decoded.id).select("+passwordChangedAt");
+
+    if (!user || !user.isActive) {
+      loggerUtils.auth("authenticate", decoded.id, req.ip, false);
+      return next(APIError.fromCode("AUTH_ACCOUNT_INACTIVE"));
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+      loggerUtils.auth("authenticate", decoded.id, req.ip, false);
+      return next(APIError.fromCode("AUTH_PASSWORD_CHANGED"));
+    }
+
+    // An impersonating admin passed their own checks when they logged in, so
+    // the impersonated user's 2FA enrollment does not apply
+    if (decoded.impersonatedBy) {
+      if (!(await trackImpersonation(req, decoded.impersonatedBy))) {
+        return next(APIError.fromCode("AUTH_TOKEN_INVALID"));
+      }
+      loggerUtils.audit("user.impersonation_request", decoded.impersonatedBy, {
+        userId: user.id,
+        method: req.method,
+        url: redactUrl(req.originalUrl),
+      });
+    } else if (!allowTwoFactorSetup && !user.twoFactorEnabled && isTwoFactorRequired(user.role)) {
+      return next(APIError.fromCode("TWO_FACTOR_SETUP_REQUIRED"));
+    }
+
+    req.user = user;
+    req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require a valid access token and attach the user to req.user. Users whose
+ * role requires two-factor authentication are rejected until they enroll.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = createAuthenticate({ allowTwoFactorSetup: false });
+
+/**
+ * Like authenticate, but lets users who still have to enroll in two-factor
+ * authentication through. Only for the enrollment routes and the few account
+ * routes a client needs to get there.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticateForTwoFactorSetup = createAuthenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Like authenticate, but also takes the access token from ?access_token= for
+ * event streams, which browsers open without custom headers. Only for
+ * GET routes; the token is redacted from request logs.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticateStream = createAuthenticate({ allowTwoFactorSetup: false, allowQueryToken: true });
+
+/**
+ * Attach req.user when a bearer token is present, otherwise continue anonymously.
+ * A token that is present but invalid is still rejected.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const optionalAuthenticate = (req, res, next) => {
+  if (!extractBearerToken(req)) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
+/**
+ * Restrict a route to the given roles. Must run after authenticate.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(APIError.fromCode("AUTH_REQUIRED"));
+  }
+
+  if (!roles.includes(req.user.role)) {
+    loggerUtils.security("access_denied", "warn", {
+      userId: req.user.id,
+      role: req.user.role,
+      requiredRoles: roles,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+    });
+    return next(APIError.fromCode("AUTH_PERMISSION_DENIED"));
+  }
+
+  next();
+};
+
+/**
+ * Require every given permission for the user's role. Must run after authenticate.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return next(APIError.fromCode("AUTH_REQUIRED"));
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+  if (missing.length > 0) {
+    loggerUtils.security("access_denied", "warn", {
+      userId: req.user.id,
+      role: req.user.role,
+      missingPermissions: missing,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+    });
+    return next(APIError.fromCode("AUTH_PERMISSION_DENIED"));
+  }
+
+  next();
+};
+
+export {
+  authenticate,
+  authenticateForTwoFactorSetup,
+  authenticateStream,
+  optionalAuthenticate,
+  authorize,
+  requirePermission,
+  extractBearerToken,
+};
@@ -1,7 +1,8 @@
+import { getReasonPhrase } from "http-status-codes";
 import APIError from "../utils/APIError.js";
 import APIResponse from "../utils/APIResponse.js";
 import config from "../config/env.js";
-import logger from "../config/logger.js";
+import logger, { redactUrl } from "../config/logger.js";
 
 /**
  * Convert different types of errors to APIError instances
@@ -36,25 +37,25 @@ const convertToAPIError = (err) => {
 
   // Handle Multer errors (file upload)
   if (err.code === "LIMIT_FILE_SIZE") {
-    return APIError.badRequest("File size too large");
+    return APIError.fromCode("FILE_TOO_LARGE");
   }
 
   if (err.code === "LIMIT_FILE_COUNT") {
-    return APIError.badRequest("Too many files");
+    return APIError.fromCode("FILE_TOO_MANY");
   }
 
   if (err.code === "LIMIT_UNEXPECTED_FILE") {
-    return APIError.badRequest("Unexpected file field");
+    return APIError.fromCode("FILE_UNEXPECTED_FIELD", undefined, { field: err.field });
   }
 
   // Handle rate limit errors
   if (err.status === 429) {
-    return APIError.tooManyRequests("Too many requests, please try again later");
+    return APIError.fromCode("RATE_LIMITED");
   }
 
   // Handle SyntaxError (malformed JSON)
   if (err instanceof SyntaxError && err.status === 400 && "body" in err) {
-    return APIError.badRequest("Invalid JSON format");
+    return APIError.fromCode("INVALID_JSON");
   }
 
   // For all other errors, create a generic server error
@@ -70,10 +71,12 @@ const logError = (error, req) => {
   const errorDetails = {
     message: error.message,
     statusCode: error.statusCode,
+    code: error.code,
+    requestId: req.id,
     isOperational: error.isOperational,
     timestamp: error.timestamp,
     method: req.method,
-    url: req.originalUrl,
+    url: redactUrl(req.originalUrl),
     ip: req.ip,
     userAgent: req.get("User-Agent"),
   };
@@ -108,40 +111,62 @@ const logError = (error, req) => {
   }
 };
 
+/**
+ * Check whether the error should be rendered as RFC 7807 problem details,
+ * either because it is the configured format or because the client asked
+ * for application/problem+json
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether to send problem+json
+ */
+const wantsProblemJson = (req) => {
+  if (config.errors.format === "problem") return true;
+  return req.accepts(["application/json", "application/problem+json"]) === "application/problem+json";
+};
+
+/**
+ * Build an RFC 7807 problem details document
+ * @param {APIError} error - APIError instance
+ * @param {Object} req - Express request object
+ * @param {string} message - Client-facing message
+ * @param {Object|null} debug - Development-only debugging data
+ * @returns {Object} Problem details
+ */
+const buildProblem = (error, req, message, debug) => ({
+  type: config.errors.typeBaseUrl ? `${config.errors.typeBaseUrl}/${error.code}` : "about:blank",
+  title: getReasonPhrase(error.statusCode),
+  status: error.statusCode,
+  detail: message,
+  instance: req.originalUrl,
+  code: error.code,
+  details: error.details ?? null,
+  requestId: req.id ?? null,
+  timestamp: error.timestamp,
+  ...(debug && { debug }),
+});
+
 /**
  * Send error response to client
  * @param {APIError} error - APIError instance
+ * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const sendErrorResponse = (error, res) => {
+const sendErrorResponse = (error, req, res) => {
   const isDevelopment = config.env.NODE_ENV === "development";
-  
-  // Prepare error response data
-  const errorResponse = {
-    message: error.message,
-    statusCode: error.statusCode,
-  };
+
+  // Don't expose internal server error details in production
+  const message = error.statusCode >= 500 && !isDevelopment ? "Internal server error" : error.message;
 
   // Add stack trace in development mode
-  if (isDevelopment) {
-    errorResponse.stack = error.stack;
-    errorResponse.isOperational = error.isOperational;
-  }
+  const debug = isDevelopment ? { stack: error.stack, isOperational: error.isOperational } : null;
 
-  // Don't expose internal server error details in production
-  if (error.statusCode >= 500 && !isDevelopment) {
-    errorResponse.message = "Internal server error";
+  if (wantsProblemJson(req)) {
+    return res
+      .status(error.statusCode)
+      .type("application/problem+json")
+      .json(buildProblem(error, req, message, debug));
   }
 
-  // Create and send API response
-  const apiResponse = new APIResponse(
-    error.statusCode,
-    isDevelopment ? errorResponse : null,
-    errorResponse.message,
-    false
-  );
-
-  apiResponse.send(res);
+  APIResponse.fromError(error, { message, requestId: req.id ?? null, data: debug }).send(res);
 };
 
 /**
@@ -159,7 +184,7 @@ const errorHandler = (err, req, res, next) => {
   logError(apiError, req);
 
   // Send error response
-  sendErrorResponse(apiError, res);
+  sendErrorResponse(apiError, req, res);
 };
 
 /**
@@ -169,7 +194,7 @@ const errorHandler = (err, req, res, next) => {
  * @param {Function} next - Express next middleware function
  */
 const notFoundHandler = (req, res, next) => {
-  const error = APIError.notFound(`Route ${req.originalUrl} not found`);
+  const error = APIError.fromCode("ROUTE_NOT_FOUND", `Route ${req.originalUrl} not found`);
   next(error);
 };
 
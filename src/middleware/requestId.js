@@ -0,0 +1,30 @@
+import { v4 as uuidv4 } from "uuid";
+import { createChildLogger, runWithRequestContext } from "../config/logger.js";
+
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+// Ids accepted from clients/proxies; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign every request an id so responses and logs can be correlated.
+ * An incoming X-Request-Id (e.g. from a gateway) is reused when well formed.
+ * The id is echoed in the X-Request-Id response header, exposed as `req.id`
+ * and attached to every log entry written while the request is handled;
+ * `req.log` is a child logger bound to the request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  runWithRequestContext({ requestId: req.id }, () => {
+    req.log = createChildLogger();
+    next();
+  });
+};
+
+export default requestId;
@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import helmet from "helmet";
+import cors from "cors";
+import compression from "compression";
+import { rateLimit, ipKeyGenerator } from "express-rate-limit";
+import config from "../config/env.js";
+import { loggerUtils, redactUrl } from "../config/logger.js";
+import { APIError } from "../utils/index.js";
+import { extractBearerToken } from "./auth.js";
+import { verifyAccessToken } from "../services/tokenService.js";
+import rateLimitBackend, { SlidingWindowStore } from "../services/rateLimit/index.js";
+
+/**
+ * Security headers. The API only serves JSON and files, so the CSP allows
+ * nothing to load, run or frame; uploads stay embeddable by the client app.
+ */
+export const securityHeaders = helmet({
+  contentSecurityPolicy: {
+    useDefaults: false,
+    directives: {
+      defaultSrc: ["'none'"],
+      baseUri: ["'none'"],
+      formAction: ["'none'"],
+      frameAncestors: ["'none'"],
+    },
+  },
+  crossOriginResourcePolicy: { policy: "cross-origin" },
+});
+
+const allowAnyOrigin = config.cors.origin.includes("*");
+
+/**
+ * CORS with an origin allowlist from config.cors.origin. Requests from other
+ * origins get no CORS headers (the browser blocks them); requests without an
+ * Origin header (curl, server-to-server) are unaffected.
+ */
+export const corsOptions = {
+  origin: allowAnyOrigin ? "*" : config.cors.origin,
+  // Credentials cannot be combined with a wildcard origin
+  credentials: !allowAnyOrigin && config.cors.credentials,
+  methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+  allowedHeaders: [
+    "Origin",
+    "X-Requested-With",
+    "Content-Type",
+    "Accept",
+    "Authorization",
+    "Cache-Control",
+    "X-Request-Id",
+  ],
+  exposedHeaders: ["X-Request-Id", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset"],
+  optionsSuccessStatus: config.cors.optionsSuccessStatus, // Some legacy browsers (IE11, various SmartTVs) choke on 204
+};
+
+export const corsMiddleware = cors(corsOptions);
+
+/**
+ * gzip/brotli response compression (negotiated via Accept-Encoding)
+ */
+export const compressionMiddleware = compression();
+
+// Clients resolved per request, shared by every limiter the request passes through
+const resolvedClients = new WeakMap();
+
+/**
+ * Identify the user behind a request for rate limiting. The global limiter
+ * runs before authenticate, so a bearer token is verified here (signature and
+ * expiry only); authenticate still rejects tokens of deactivated users later.
+ * @param {Object} req - Express request object
+ * @returns {{ id: string, role: string }|null} User or null when anonymous
+ */
+const resolveClient = (req) => {
+  if (req.user) {
+    return { id: req.user.id, role: req.user.role };
+  }
+
+  if (!resolvedClients.has(req)) {
+    let client = null;
+    const token = extractBearerToken(req);
+    if (token) {
+      try {
+        const { id, role } = verifyAccessToken(token);
+        client = { id, role };
+      } catch {
+        // Invalid tokens are counted by IP; authenticate rejects them
+      }
+    }
+    resolvedClients.set(req, client);
+  }
+
+  return resolvedClients.get(req);
+};
+
+/**
+ * Build the key a request is counted under
+ * @param {Object} req - Express request object
+ * @param {string|Function} keyBy - "ip", "user" (falls back to IP), "apiKey"
+ *   (X-API-Key header, falls back to user) or a function returning a key
+ * @returns {string} Client key
+ */
+const clientKey = (req, keyBy) => {
+  if (typeof keyBy === "function") {
+    return keyBy(req);
+  }
+
+  // Only use "apiKey" on routes that validate the key, or clients can rotate keys to dodge limits
+  const apiKey = keyBy === "apiKey" && req.get("X-API-Key");
+  if (apiKey) {
+    return `key:${crypto.createHash("sha256").update(apiKey).digest("hex").slice(0, 32)}`;
+  }
+
+  const client = keyBy === "ip" ? null : resolveClient(req);
+  return client ? `user:${client.id}` : `ip:${ipKeyGenerator(req.ip)}`;
+};
+
+/**
+ * Create a sliding window rate limiter. Counters live in the store selected
+ * by config.rateLimit.store; rejections are reported as RATE_LIMITED errors,
+ * so clients get the usual error body plus Retry-After and RateLimit-* headers.
+ * @param {Object} options - Limiter options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests per window for anonymous clients (and roles without a quota)
+ * @param {Object} [options.roles] - Requests per window by user role
+ * @param {string|Function} [options.keyBy] - How clients are told apart, see clientKey
+ * @param {string} [options.name] - Limiter name, namespaces its counters
+ * @param {boolean} [options.skipSuccessfulRequests] - Only count requests that fail
+ * @param {Object} [options.backend] - Redis-compatible counter backend
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = ({
+  windowMs,
+  max,
+  roles = {},
+  keyBy = "user",
+  name = "global",
+  skipSuccessfulRequests = false,
+  backend = rateLimitBackend,
+}) => {
+  return rateLimit({
+    windowMs,
+    limit: (req) => {
+      const client = keyBy === "ip" ? null : resolveClient(req);
+      return (client && roles[client.role]) || max;
+    },
+    keyGenerator: (req) => clientKey(req, keyBy),
+    store: new SlidingWindowStore(backend, { prefix: `rl:${name}` }),
+    standardHeaders: "draft-6",
+    legacyHeaders: false,
+    skipSuccessfulRequests,
+    // Fail open: an unavailable store must not take the API down with it
+    passOnStoreError: true,
+    skip: () => !config.rateLimit.enabled,
+    handler: (req, res, next) => {
+      const { limit } = req.rateLimit;
+      const retryAfter = Number(res.getHeader("Retry-After")) || Math.ceil(windowMs / 1000);
+
+      loggerUtils.security("rate_limit_exceeded", "warn", {
+        limiter: name,
+        key: clientKey(req, keyBy),
+        ip: req.ip,
+        method: req.method,
+        url: redactUrl(req.originalUrl),
+      });
+
+      next(APIError.fromCode("RATE_LIMITED", undefined, { retryAfter, limit }));
+    },
+  });
+};
+
+// Limit for every API request, per user (by role) or per IP for anonymous clients
+export const globalRateLimiter = createRateLimiter({
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
+  roles: config.rateLimit.roles,
+});
+
+// Stricter limit for password logins, per IP; successful logins don't count
+export const loginRateLimiter = createRateLimiter({
+  windowMs: config.rateLimit.login.windowMs,
+  max: config.rateLimit.login.max,
+  keyBy: "ip",
+  name: "login",
+  skipSuccessfulRequests: true,
+});
+
+// Job search quota, per user (by role) or per IP
+export const searchRateLimiter = createRateLimiter({
+  windowMs: config.rateLimit.search.windowMs,
+  max: config.rateLimit.search.max,
+  roles: config.rateLimit.search.roles,
+  name: "search",
+});
+
+// Sending messages, per user
+export const messageRateLimiter = createRateLimiter({
+  windowMs: config.rateLimit.messages.windowMs,
+  max: config.rateLimit.messages.max,
+  name: "messages",
+});
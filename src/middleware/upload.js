@@ -0,0 +1,65 @@
+import multer from "multer";
+import config from "../config/env.js";
+import APIError from "../utils/APIError.js";
+
+/**
+ * Accept a single file in memory so its content can be sniffed before it is stored.
+ * Multer's LIMIT_* errors are mapped to 400 responses by convertToAPIError.
+ * @param {string} fieldName - Multipart field holding the file
+ * @returns {Function} Express middleware
+ */
+const singleFile = (fieldName) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.upload.maxFileSize,
+      files: 1,
+    },
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      if (!req.file) {
+        return next(APIError.fromCode("FILE_REQUIRED", `A file is required in the "${fieldName}" field`, {
+          field: fieldName,
+        }));
+      }
+
+      next();
+    });
+  };
+};
+
+/**
+ * Accept up to maxCount files in memory, or none. Requests that are not
+ * multipart pass through untouched with req.files set to an empty array.
+ * @param {string} fieldName - Multipart field holding the files
+ * @param {number} maxCount - Maximum number of files
+ * @returns {Function} Express middleware
+ */
+const optionalFiles = (fieldName, maxCount) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.upload.maxFileSize,
+      files: maxCount,
+    },
+  }).array(fieldName, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error) {
+        return next(error);
+      }
+
+      req.files = req.files ?? [];
+      next();
+    });
+  };
+};
+
+export { singleFile, optionalFiles };
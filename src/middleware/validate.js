@@ -0,0 +1,56 @@
+import APIError from "../utils/APIError.js";
+
+// Request segments a schema may describe, in the order they are checked
+const SEGMENTS = ["params", "query", "body"];
+
+const JOI_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Map a Joi error detail to the field error shape returned to clients
+ * @param {Object} detail - Joi error detail
+ * @param {string} location - Request segment (body, query, params)
+ * @returns {{field: string, message: string, rule: string, location: string}} Field error
+ */
+const toFieldError = (detail, location) => ({
+  field: detail.path.join(".") || location,
+  message: detail.message,
+  rule: detail.type,
+  location,
+});
+
+/**
+ * Validate request params, query and body against Joi schemas.
+ * Valid segments are replaced with the converted, unknown-key-stripped values;
+ * any failures are collected across segments and reported together as 422.
+ * @param {Object} schema - { params?, query?, body? } Joi schemas
+ * @returns {Function} Express middleware
+ */
+export const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  for (const segment of SEGMENTS) {
+    if (!schema[segment]) continue;
+
+    const { value, error } = schema[segment].validate(req[segment] ?? {}, JOI_OPTIONS);
+
+    if (error) {
+      errors.push(...error.details.map((detail) => toFieldError(detail, segment)));
+      continue;
+    }
+
+    // req.query is a getter in Express 5, so it is shadowed rather than assigned
+    Object.defineProperty(req, segment, { value, writable: true, enumerable: true, configurable: true });
+  }
+
+  if (errors.length > 0) {
+    return next(APIError.validationError("Validation failed", errors));
+  }
+
+  next();
+};
+
+export default validate;
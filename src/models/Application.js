@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { refId } from '../utils/refs.js';
+
+export const APPLICATION_STATUSES = [
+  'applied',
+  'shortlisted',
+  'interview',
+  'offered',
+  'hired',
+  'rejected',
+  'withdrawn'
+];
+
+// Stages an employer may move an application to from each stage
+export const EMPLOYER_TRANSITIONS = Object.freeze({
+  applied: ['shortlisted', 'rejected'],
+  shortlisted: ['interview', 'rejected'],
+  interview: ['offered', 'rejected'],
+  offered: ['hired', 'rejected'],
+  hired: [],
+  rejected: [],
+  withdrawn: []
+});
+
+// Stages from which the applicant may still withdraw
+export const WITHDRAWABLE_STATUSES = ['applied', 'shortlisted', 'interview', 'offered'];
+
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+// Interview arranged by the employer when moving the application to "interview"
+const interviewSchema = new mongoose.Schema(
+  {
+    scheduledAt: {
+      type: Date,
+      required: [true, 'Interview time is required']
+    },
+    // IANA time zone the time is shown in to the applicant
+    timeZone: {
+      type: String,
+      required: true
+    },
+    durationMinutes: {
+      type: Number,
+      min: [5, 'Interview must be at least 5 minutes long'],
+      max: [480, 'Interview cannot exceed 8 hours']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Location cannot exceed 200 characters']
+    },
+    meetingUrl: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Meeting URL cannot exceed 500 characters']
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    }
+  },
+  { _id: false }
+);
+
+const applicationSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: [true, 'Job is required']
+    },
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Applicant is required']
+    },
+    // Denormalized job owner so employers can query their pipeline directly
+    employer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Employer is required']
+    },
+    coverLetter: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Cover letter cannot exceed 5000 characters']
+    },
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      default: 'applied'
+    },
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: []
+    },
+    interview: {
+      type: interviewSchema,
+      default: undefined
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One application per job seeker per job
+applicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
+applicationSchema.index({ applicant: 1, createdAt: -1 });
+applicationSchema.index({ employer: 1, status: 1 });
+
+// Pre-save middleware to seed the history with the initial status
+applicationSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: refId(this.applicant) });
+  }
+  next();
+});
+
+// Instance method to check whether the employer may move the application to a status
+applicationSchema.methods.canTransitionTo = function(status) {
+  return (EMPLOYER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to check whether the applicant may still withdraw
+applicationSchema.methods.canWithdraw = function() {
+  return WITHDRAWABLE_STATUSES.includes(this.status);
+};
+
+// Instance method to change status and append to the history
+applicationSchema.methods.changeStatus = function(status, changedBy, note) {
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, note });
+  return this.save();
+};
+
+// Instance method to check whether a user takes part in the application: the
+// applicant or a member of the job's company (see Job#isManagedBy)
+applicationSchema.methods.isParticipant = async function(userId) {
+  if (refId(this.applicant) === userId.toString()) return true;
+
+  const job = await this.model('Job').findById(refId(this.job));
+  return Boolean(job && (await job.isManagedBy(userId)));
+};
+
+const Application = mongoose.model('Application', applicationSchema);
+
+export default Application;
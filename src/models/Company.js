@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+
+export const COMPANY_SIZES = ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'];
+export const MEMBER_ROLES = ['owner', 'recruiter'];
+export const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Member user is required']
+    },
+    role: {
+      type: String,
+      enum: MEMBER_ROLES,
+      default: 'recruiter'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  { _id: false }
+);
+
+const companySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Company name is required'],
+      trim: true,
+      minlength: [2, 'Company name must be at least 2 characters long'],
+      maxlength: [150, 'Company name cannot exceed 150 characters']
+    },
+    logo: {
+      type: String,
+      trim: true
+    },
+    website: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/\S+$/, 'Website must be a valid http(s) URL']
+    },
+    industry: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Industry cannot exceed 100 characters']
+    },
+    size: {
+      type: String,
+      enum: COMPANY_SIZES
+    },
+    locations: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [150, 'Location cannot exceed 150 characters']
+        }
+      ],
+      default: []
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Description cannot exceed 5000 characters']
+    },
+    members: {
+      type: [memberSchema],
+      validate: {
+        validator: v => v.some(member => member.role === 'owner'),
+        message: 'A company must have at least one owner'
+      }
+    },
+    verificationStatus: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: 'pending'
+    },
+    verificationNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Verification note cannot exceed 1000 characters']
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verifiedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+companySchema.index({ 'members.user': 1 });
+companySchema.index({ verificationStatus: 1, createdAt: -1 });
+
+// Instance method to get a user's role within the company (or null)
+companySchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Instance method to check whether a user belongs to the company
+companySchema.methods.isMember = function(userId) {
+  return this.getMemberRole(userId) !== null;
+};
+
+// Instance method to check whether a user owns the company
+companySchema.methods.isOwner = function(userId) {
+  return this.getMemberRole(userId) === 'owner';
+};
+
+// Instance method to record an admin verification decision
+companySchema.methods.setVerification = function(status, adminId, note) {
+  this.verificationStatus = status;
+  this.verificationNote = note;
+  this.verifiedBy = adminId;
+  this.verifiedAt = new Date();
+  return this.save();
+};
+
+// Static method to find the companies a user belongs to
+companySchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId });
+};
+
+// Virtual to check whether the company may publish jobs
+companySchema.virtual('isVerified').get(function() {
+  return this.verificationStatus === 'verified';
+});
+
+const Company = mongoose.model('Company', companySchema);
+
+export default Company;
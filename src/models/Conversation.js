@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { refId } from '../utils/refs.js';
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Message thread between the applicant of one application and the members of
+// the job's company; employer is the member the application was sent to
+const conversationSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      required: [true, 'Application is required'],
+      unique: true
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: [true, 'Job is required']
+    },
+    employer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Employer is required']
+    },
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Applicant is required']
+    },
+    // When the last message was sent; the creation time until then, so threads sort by activity
+    lastMessageAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Participant who blocked the thread; nobody can send until they unblock it
+    blockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    blockedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+conversationSchema.index({ job: 1, lastMessageAt: -1 });
+conversationSchema.index({ applicant: 1, lastMessageAt: -1 });
+
+// Instance method to check whether a user takes part in the thread: the
+// applicant or a member of the job's company (see Job#isManagedBy)
+conversationSchema.methods.isParticipant = async function(userId) {
+  if (refId(this.applicant) === userId.toString()) return true;
+
+  const job = await this.model('Job').findById(refId(this.job));
+  return Boolean(job && (await job.isManagedBy(userId)));
+};
+
+// Instance method to get the id of the other side from the given participant's
+// point of view: the applicant for company members, the employer for the applicant
+conversationSchema.methods.otherParticipant = function(userId) {
+  return refId(this.applicant) === userId.toString() ? refId(this.employer) : refId(this.applicant);
+};
+
+// Static method to get an application's conversation, creating it on first use
+conversationSchema.statics.findOrCreateForApplication = async function(application) {
+  try {
+    return await this.findOneAndUpdate(
+      { application: application._id },
+      {
+        $setOnInsert: {
+          job: application.job,
+          employer: application.employer,
+          applicant: application.applicant
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Lost an upsert race with a concurrent request creating the same thread
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return this.findOne({ application: application._id });
+    }
+    throw error;
+  }
+};
+
+// Static method to build the filter for the conversations a user takes part in
+conversationSchema.statics.participantFilter = async function(userId) {
+  const Job = this.model('Job');
+  const jobs = await Job.find(await Job.managedFilter(userId)).distinct('_id');
+  return { $or: [{ applicant: userId }, { job: { $in: jobs } }] };
+};
+
+// Virtual for whether the thread is blocked
+conversationSchema.virtual('isBlocked').get(function() {
+  return Boolean(this.blockedBy);
+});
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
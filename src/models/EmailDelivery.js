@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const EMAIL_DELIVERY_STATUSES = ['sent', 'failed'];
+
+// One record per delivery attempt made by emailService.sendEmail
+const emailDeliverySchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    // Template name, null for messages built without one
+    template: {
+      type: String,
+      default: null
+    },
+    locale: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: EMAIL_DELIVERY_STATUSES,
+      required: true
+    },
+    transport: {
+      type: String,
+      required: true
+    },
+    messageId: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    durationMs: {
+      type: Number
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+emailDeliverySchema.index({ to: 1, createdAt: -1 });
+emailDeliverySchema.index({ status: 1, createdAt: -1 });
+
+// Automatic cleanup after 90 days
+emailDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const EmailDelivery = mongoose.model('EmailDelivery', emailDeliverySchema);
+
+export default EmailDelivery;
@@ -0,0 +1,166 @@
+import mongoose from 'mongoose';
+import salarySchema from './schemas/salarySchema.js';
+
+export const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'contract', 'internship', 'temporary'];
+export const EXPERIENCE_LEVELS = ['entry', 'junior', 'mid', 'senior', 'lead', 'executive'];
+export const JOB_STATUSES = ['draft', 'published', 'closed'];
+
+const jobSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Job title is required'],
+      trim: true,
+      minlength: [3, 'Job title must be at least 3 characters long'],
+      maxlength: [150, 'Job title cannot exceed 150 characters']
+    },
+    description: {
+      type: String,
+      required: [true, 'Job description is required'],
+      trim: true,
+      minlength: [30, 'Job description must be at least 30 characters long'],
+      maxlength: [10000, 'Job description cannot exceed 10000 characters']
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      required: [true, 'Company is required']
+    },
+    location: {
+      type: String,
+      required: [true, 'Location is required'],
+      trim: true,
+      maxlength: [150, 'Location cannot exceed 150 characters']
+    },
+    employmentType: {
+      type: String,
+      enum: EMPLOYMENT_TYPES,
+      required: [true, 'Employment type is required']
+    },
+    salary: {
+      type: salarySchema,
+      default: undefined
+    },
+    skills: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          lowercase: true,
+          maxlength: [50, 'Skill cannot exceed 50 characters']
+        }
+      ],
+      validate: {
+        validator: v => v.length <= 30,
+        message: 'A job cannot list more than 30 skills'
+      }
+    },
+    experienceLevel: {
+      type: String,
+      enum: EXPERIENCE_LEVELS,
+      required: [true, 'Experience level is required']
+    },
+    deadline: {
+      type: Date
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'draft'
+    },
+    publishedAt: {
+      type: Date
+    },
+    closedAt: {
+      type: Date
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Job owner is required']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+jobSchema.index({ status: 1, publishedAt: -1 });
+jobSchema.index({ postedBy: 1, createdAt: -1 });
+jobSchema.index({ company: 1, status: 1 });
+
+// Keyword search over the posting text; built by database.setupIndexes()
+jobSchema.index(
+  { title: 'text', skills: 'text', description: 'text' },
+  {
+    name: 'job_text_search',
+    weights: { title: 10, skills: 5, description: 1 }
+  }
+);
+
+// Pre-validate middleware to reject deadlines in the past when they change
+jobSchema.pre('validate', function(next) {
+  if (this.deadline && this.isModified('deadline') && this.deadline <= new Date()) {
+    this.invalidate('deadline', 'Deadline must be in the future');
+  }
+  next();
+});
+
+// Pre-save middleware to stamp status transitions
+jobSchema.pre('save', function(next) {
+  if (this.isModified('status')) {
+    if (this.status === 'published' && !this.publishedAt) {
+      this.publishedAt = new Date();
+    }
+    if (this.status === 'closed') {
+      this.closedAt = new Date();
+    }
+  }
+  next();
+});
+
+// Instance method to check whether a user owns the posting
+jobSchema.methods.isOwnedBy = function(userId) {
+  return this.postedBy.toString() === userId.toString();
+};
+
+// Instance method to check whether a user may act for the posting, its
+// applications and their conversations: any current member of its company
+jobSchema.methods.isManagedBy = async function(userId) {
+  const company = await this.model('Company').findById(this.company);
+  return Boolean(company && company.isMember(userId));
+};
+
+// Static method building the filter for the jobs a user may act for (see isManagedBy)
+jobSchema.statics.managedFilter = async function(userId) {
+  const companies = await this.model('Company').find({ 'members.user': userId }).distinct('_id');
+  return { company: { $in: companies } };
+};
+
+// Static method to take a company's published jobs off the board (back to draft)
+jobSchema.statics.unpublishForCompany = function(companyId) {
+  return this.updateMany({ company: companyId, status: 'published' }, { status: 'draft' });
+};
+
+// Static method building the filter for published jobs still open for applications
+jobSchema.statics.openFilter = function(now = new Date()) {
+  return {
+    status: 'published',
+    $or: [{ deadline: null }, { deadline: { $gt: now } }]
+  };
+};
+
+// Static method to find published jobs that are still open for applications
+jobSchema.statics.findOpen = function() {
+  return this.find(this.openFilter());
+};
+
+// Virtual to check whether the posting still accepts applications
+jobSchema.virtual('isOpen').get(function() {
+  return this.status === 'published' && (!this.deadline || this.deadline > new Date());
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
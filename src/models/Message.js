@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: [true, 'Conversation is required']
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Sender is required']
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Message cannot exceed 5000 characters']
+    },
+    attachments: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Upload' }],
+      default: []
+    },
+    // Read receipt: when the other participant read the message
+    readAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, sender: 1, readAt: 1 });
+
+// Static method to mark the messages a user received in a conversation read
+messageSchema.statics.markReadBy = function(conversationId, userId, now = new Date()) {
+  return this.updateMany(
+    { conversation: conversationId, sender: { $ne: userId }, readAt: null },
+    { readAt: now }
+  );
+};
+
+// Static method to count a user's unread messages per conversation
+messageSchema.statics.countUnreadByConversation = async function(conversationIds, userId) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        conversation: { $in: conversationIds },
+        sender: { $ne: new mongoose.Types.ObjectId(String(userId)) },
+        readAt: null
+      }
+    },
+    { $group: { _id: '$conversation', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+export const MESSAGE_REPORT_REASONS = ['spam', 'harassment', 'scam', 'inappropriate', 'other'];
+
+export const MESSAGE_REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// A participant's report of a conversation, or of one message in it, for admins to review
+const messageReportSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: [true, 'Conversation is required']
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reporter is required']
+    },
+    reportedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reported user is required']
+    },
+    reason: {
+      type: String,
+      enum: MESSAGE_REPORT_REASONS,
+      required: [true, 'Reason is required']
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Details cannot exceed 1000 characters']
+    },
+    status: {
+      type: String,
+      enum: MESSAGE_REPORT_STATUSES,
+      default: 'open'
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+messageReportSchema.index({ status: 1, createdAt: -1 });
+messageReportSchema.index({ conversation: 1 });
+messageReportSchema.index({ reportedUser: 1, createdAt: -1 });
+
+const MessageReport = mongoose.model('MessageReport', messageReportSchema);
+
+export default MessageReport;
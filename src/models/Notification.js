@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Channels a notification can be delivered on; users opt out per channel (User.notificationPreferences)
+export const NOTIFICATION_CHANNELS = ['inApp', 'email'];
+
+// Notification types and the channels each is delivered on
+export const NOTIFICATION_TYPES = Object.freeze({
+  applicationReceived: ['inApp'],
+  applicationStatusChanged: ['inApp', 'email'],
+  applicationWithdrawn: ['inApp'],
+  messageReceived: ['inApp']
+});
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    type: {
+      type: String,
+      enum: Object.keys(NOTIFICATION_TYPES),
+      required: [true, 'Type is required']
+    },
+    // Rendered in the user's locale when the notification is created
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    body: {
+      type: String,
+      maxlength: [1000, 'Body cannot exceed 1000 characters']
+    },
+    // Client path the notification opens (e.g. /applications/:id)
+    link: {
+      type: String
+    },
+    // Ids of the documents it is about, for clients that render their own text
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({})
+    },
+    read: {
+      type: Boolean,
+      default: false
+    },
+    readAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1, createdAt: -1 });
+
+// Automatic cleanup after 180 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Static method to mark a user's notifications read; all unread ones when no ids are given
+notificationSchema.statics.markRead = function(userId, ids = null, now = new Date()) {
+  const filter = { user: userId, read: false };
+  if (ids) {
+    filter._id = { $in: ids };
+  }
+  return this.updateMany(filter, { read: true, readAt: now });
+};
+
+// Static method to count a user's unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, read: false });
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
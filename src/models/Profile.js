@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import salarySchema from './schemas/salarySchema.js';
+
+export const SKILL_PROFICIENCIES = ['beginner', 'intermediate', 'advanced', 'expert'];
+export const LANGUAGE_PROFICIENCIES = ['basic', 'conversational', 'fluent', 'native'];
+
+// Weight of each section in the completeness score (sums to 100)
+export const COMPLETENESS_WEIGHTS = Object.freeze({
+  headline: 10,
+  summary: 15,
+  education: 15,
+  workExperience: 20,
+  skills: 20,
+  certifications: 5,
+  languages: 5,
+  preferredLocations: 5,
+  salaryExpectation: 5
+});
+
+/**
+ * Validator ensuring an entry does not end before it starts
+ * @returns {boolean} Whether endDate is on or after startDate
+ */
+function endAfterStart(v) {
+  return v == null || this.startDate == null || v >= this.startDate;
+}
+
+const educationSchema = new mongoose.Schema({
+  institution: {
+    type: String,
+    required: [true, 'Institution is required'],
+    trim: true,
+    maxlength: [150, 'Institution cannot exceed 150 characters']
+  },
+  degree: {
+    type: String,
+    required: [true, 'Degree is required'],
+    trim: true,
+    maxlength: [100, 'Degree cannot exceed 100 characters']
+  },
+  fieldOfStudy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Field of study cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: endAfterStart,
+      message: 'End date must be after start date'
+    }
+  },
+  current: {
+    type: Boolean,
+    default: false
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Grade cannot exceed 20 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  }
+});
+
+const workExperienceSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Job title is required'],
+    trim: true,
+    maxlength: [150, 'Job title cannot exceed 150 characters']
+  },
+  company: {
+    type: String,
+    required: [true, 'Company is required'],
+    trim: true,
+    maxlength: [150, 'Company cannot exceed 150 characters']
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Location cannot exceed 150 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    validate: {
+      validator: endAfterStart,
+      message: 'End date must be after start date'
+    }
+  },
+  current: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  }
+});
+
+const skillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Skill name is required'],
+      trim: true,
+      lowercase: true,
+      maxlength: [50, 'Skill cannot exceed 50 characters']
+    },
+    proficiency: {
+      type: String,
+      enum: SKILL_PROFICIENCIES,
+      default: 'intermediate'
+    },
+    yearsOfExperience: {
+      type: Number,
+      min: [0, 'Years of experience cannot be negative'],
+      max: [60, 'Years of experience cannot exceed 60']
+    }
+  },
+  { _id: false }
+);
+
+const certificationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Certification name is required'],
+    trim: true,
+    maxlength: [150, 'Certification name cannot exceed 150 characters']
+  },
+  issuer: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Issuer cannot exceed 150 characters']
+  },
+  issueDate: {
+    type: Date
+  },
+  expiryDate: {
+    type: Date
+  },
+  credentialId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Credential id cannot exceed 100 characters']
+  },
+  credentialUrl: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Credential URL must be a valid http(s) URL']
+  }
+});
+
+const languageSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Language name is required'],
+      trim: true,
+      maxlength: [50, 'Language cannot exceed 50 characters']
+    },
+    proficiency: {
+      type: String,
+      enum: LANGUAGE_PROFICIENCIES,
+      default: 'conversational'
+    }
+  },
+  { _id: false }
+);
+
+const profileSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      unique: true
+    },
+    headline: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Headline cannot exceed 150 characters']
+    },
+    summary: {
+      type: String,
+      trim: true,
+      maxlength: [5000, 'Summary cannot exceed 5000 characters']
+    },
+    education: {
+      type: [educationSchema],
+      default: []
+    },
+    workExperience: {
+      type: [workExperienceSchema],
+      default: []
+    },
+    skills: {
+      type: [skillSchema],
+      default: [],
+      validate: {
+        validator: v => v.length <= 50,
+        message: 'A profile cannot list more than 50 skills'
+      }
+    },
+    certifications: {
+      type: [certificationSchema],
+      default: []
+    },
+    languages: {
+      type: [languageSchema],
+      default: []
+    },
+    preferredLocations: {
+      type: [
+        {
+          type: String,
+          trim: true,
+          maxlength: [150, 'Location cannot exceed 150 characters']
+        }
+      ],
+      default: []
+    },
+    salaryExpectation: {
+      type: salarySchema,
+      default: undefined
+    },
+    resume: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Upload'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Instance method to compute how complete the profile is
+profileSchema.methods.calculateCompleteness = function() {
+  const filled = {
+    headline: Boolean(this.headline),
+    summary: Boolean(this.summary),
+    education: this.education.length > 0,
+    workExperience: this.workExperience.length > 0,
+    skills: this.skills.length > 0,
+    certifications: this.certifications.length > 0,
+    languages: this.languages.length > 0,
+    preferredLocations: this.preferredLocations.length > 0,
+    salaryExpectation: Boolean(this.salaryExpectation && this.salaryExpectation.min != null)
+  };
+
+  const sections = Object.keys(COMPLETENESS_WEIGHTS);
+
+  return {
+    score: sections.reduce((sum, section) => sum + (filled[section] ? COMPLETENESS_WEIGHTS[section] : 0), 0),
+    missing: sections.filter(section => !filled[section])
+  };
+};
+
+// Static method to find a user's profile
+profileSchema.statics.findByUser = function(userId) {
+  return this.findOne({ user: userId });
+};
+
+// Virtual for the completeness score
+profileSchema.virtual('completeness').get(function() {
+  return this.calculateCompleteness().score;
+});
+
+const Profile = mongoose.model('Profile', profileSchema);
+
+export default Profile;
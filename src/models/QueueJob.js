@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+export const QUEUE_JOB_STATUSES = ['pending', 'running', 'completed', 'dead'];
+
+// A unit of background work (see services/queue); "dead" jobs ran out of attempts
+const queueJobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Job name is required'],
+      trim: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: () => ({})
+    },
+    status: {
+      type: String,
+      enum: QUEUE_JOB_STATUSES,
+      default: 'pending'
+    },
+    // Only one job per key can exist, e.g. "cron:alerts.run:2025-01-01T00:00:00.000Z"
+    uniqueKey: {
+      type: String
+    },
+    runAt: {
+      type: Date,
+      default: Date.now
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+      min: 1
+    },
+    // Worker holding the job; another worker may take it over once lockedUntil passes
+    lockedBy: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    failedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+queueJobSchema.index({ status: 1, runAt: 1 });
+queueJobSchema.index({ status: 1, lockedUntil: 1 });
+queueJobSchema.index({ status: 1, failedAt: -1 });
+queueJobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+
+// Automatic cleanup of completed jobs
+queueJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to atomically take the next due job (or one whose worker stopped
+// renewing its lock); null when there is nothing to do
+queueJobSchema.statics.claimNext = function(names, workerId, now, lockMs) {
+  return this.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + lockMs)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+// Static method to update a job only while the given worker still holds it
+queueJobSchema.statics.updateLocked = function(job, update) {
+  return this.updateOne({ _id: job._id, lockedBy: job.lockedBy, status: 'running' }, update);
+};
+
+const QueueJob = mongoose.model('QueueJob', queueJobSchema);
+
+export default QueueJob;
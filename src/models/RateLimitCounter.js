@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// One counter per rate limit window; keys look like "rl:<limiter>:<client>:<window>"
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String
+    },
+    value: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+// Automatic cleanup of expired counters
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+export default RateLimitCounter;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    jti: {
+      type: String,
+      required: [true, 'Token id is required'],
+      unique: true
+    },
+    family: {
+      type: String,
+      required: [true, 'Token family is required']
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required']
+    },
+    usedAt: {
+      type: Date,
+      default: null
+    },
+    replacedBy: {
+      type: String,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout_all', 'reuse_detected', 'password_reset', 'account_inactive', 'admin', null],
+      default: null
+    },
+    createdByIp: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for family/user revocation and automatic cleanup of expired tokens
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { runValidators: true }
+  );
+};
+
+// Static method to revoke every token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { runValidators: true }
+  );
+};
+
+// Static method to list a user's active sessions (one per family)
+refreshTokenSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    usedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
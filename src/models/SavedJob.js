@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+const savedJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: [true, 'Job is required']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// A job can be bookmarked once per user; listings are newest first
+savedJobSchema.index({ user: 1, job: 1 }, { unique: true });
+savedJobSchema.index({ user: 1, createdAt: -1 });
+
+const SavedJob = mongoose.model('SavedJob', savedJobSchema);
+
+export default SavedJob;
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { EMPLOYMENT_TYPES, EXPERIENCE_LEVELS } from './Job.js';
+import { SALARY_PERIODS } from './schemas/salarySchema.js';
+
+export const ALERT_FREQUENCIES = ['none', 'instant', 'daily', 'weekly'];
+
+// The job search filters a saved search keeps (see services/jobSearchService.js);
+// paging and sorting are chosen each time it is run
+const searchFiltersSchema = new mongoose.Schema(
+  {
+    q: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Search query cannot exceed 200 characters']
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [150, 'Location cannot exceed 150 characters']
+    },
+    employmentType: {
+      type: [{ type: String, enum: EMPLOYMENT_TYPES }],
+      default: undefined
+    },
+    experienceLevel: {
+      type: [{ type: String, enum: EXPERIENCE_LEVELS }],
+      default: undefined
+    },
+    salaryMin: {
+      type: Number,
+      min: 0
+    },
+    salaryMax: {
+      type: Number,
+      min: 0
+    },
+    salaryCurrency: {
+      type: String,
+      match: /^[A-Z]{3}$/
+    },
+    salaryPeriod: {
+      type: String,
+      enum: SALARY_PERIODS
+    }
+  },
+  { _id: false }
+);
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    filters: {
+      type: searchFiltersSchema,
+      default: () => ({})
+    },
+    alertFrequency: {
+      type: String,
+      enum: ALERT_FREQUENCIES,
+      default: 'none'
+    },
+    // Jobs published after this have not been sent in an alert yet
+    lastAlertedAt: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertFrequency: 1, lastAlertedAt: 1 });
+
+// Static method to atomically claim an alert run; null when another run got there first
+savedSearchSchema.statics.claimAlert = function(savedSearch, now) {
+  return this.findOneAndUpdate(
+    { _id: savedSearch._id, lastAlertedAt: savedSearch.lastAlertedAt },
+    { lastAlertedAt: now },
+    { new: true }
+  );
+};
+
+// Static method to hand a claimed run back when its alert could not be sent
+savedSearchSchema.statics.releaseAlert = function(savedSearch, now) {
+  return this.updateOne(
+    { _id: savedSearch._id, lastAlertedAt: now },
+    { lastAlertedAt: savedSearch.lastAlertedAt }
+  );
+};
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+export default SavedSearch;
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Runtime setting admins change through the API, one document per key
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Key is required'],
+      unique: true,
+      trim: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Admin who last changed the value
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Static method to get a setting's value, or the fallback while it was never set
+settingSchema.statics.getValue = async function(key, fallback = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+// Static method to store a setting's value
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate({ key }, { value, updatedBy }, { upsert: true, new: true, setDefaultsOnInsert: true });
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// What an upload is for, and which detected content types each purpose accepts
+export const UPLOAD_PURPOSES = Object.freeze({
+  resume: ['application/pdf'],
+  company_logo: ['image/jpeg', 'image/png', 'image/gif'],
+  message_attachment: ['application/pdf', 'image/jpeg', 'image/png', 'image/gif']
+});
+
+const uploadSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Owner is required']
+    },
+    purpose: {
+      type: String,
+      enum: Object.keys(UPLOAD_PURPOSES),
+      required: [true, 'Upload purpose is required']
+    },
+    company: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company'
+    },
+    // Conversation a message attachment was sent in
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation'
+    },
+    storageKey: {
+      type: String,
+      required: [true, 'Storage key is required'],
+      unique: true
+    },
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: [255, 'File name cannot exceed 255 characters']
+    },
+    mimeType: {
+      type: String,
+      required: [true, 'MIME type is required']
+    },
+    size: {
+      type: Number,
+      required: [true, 'File size is required'],
+      min: [1, 'File cannot be empty']
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: function(doc, ret) {
+        delete ret.storageKey;
+        return ret;
+      }
+    }
+  }
+);
+
+// Indexes for faster queries
+uploadSchema.index({ owner: 1, purpose: 1 });
+uploadSchema.index({ company: 1, purpose: 1 });
+uploadSchema.index({ conversation: 1 });
+
+// Instance method to check whether a user owns the upload
+uploadSchema.methods.isOwnedBy = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+// Virtual for whether anyone may download the file
+uploadSchema.virtual('isPublic').get(function() {
+  return this.purpose === 'company_logo';
+});
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+export default Upload;
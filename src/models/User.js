@@ -1,5 +1,30 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { escapeRegex } from '../utils/regex.js';
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from './Notification.js';
+
+/**
+ * Hash a one-time token before storing or looking it up
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Per channel, whether each notification type delivered on it is wanted (all on by default)
+const notificationPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(
+    NOTIFICATION_CHANNELS.map((channel) => [
+      channel,
+      Object.fromEntries(
+        Object.entries(NOTIFICATION_TYPES)
+          .filter(([, channels]) => channels.includes(channel))
+          .map(([type]) => [type, { type: Boolean, default: true }])
+      )
+    ])
+  ),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -34,6 +59,17 @@ const userSchema = new mongoose.Schema(
       enum: ['job_seeker', 'employer', 'admin'],
       default: 'job_seeker'
     },
+    // Language of emails and notifications; one of config.i18n.locales (checked by the validators)
+    locale: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'en'
+    },
+    notificationPreferences: {
+      type: notificationPreferencesSchema,
+      default: () => ({})
+    },
     isActive: {
       type: Boolean,
       default: true
@@ -46,6 +82,14 @@ const userSchema = new mongoose.Schema(
       type: String,
       select: false
     },
+    emailVerificationExpires: {
+      type: Date,
+      select: false
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false
+    },
     passwordResetToken: {
       type: String,
       select: false
@@ -54,6 +98,58 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false
     },
+    // Set by an admin: the current password no longer works until it is reset
+    passwordResetRequired: {
+      type: Boolean,
+      default: false
+    },
+    passwordChangedAt: {
+      type: Date,
+      select: false
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      select: false
+    },
+    lockUntil: {
+      type: Date,
+      select: false
+    },
+    accountUnlockToken: {
+      type: String,
+      select: false
+    },
+    accountUnlockExpires: {
+      type: Date,
+      select: false
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secrets (see services/twoFactorService.js); pending until the first code is verified
+    twoFactorSecret: {
+      type: String,
+      select: false
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last TOTP time step accepted, so a code cannot be used twice
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false
+    },
     lastLogin: {
       type: Date
     }
@@ -64,8 +160,20 @@ const userSchema = new mongoose.Schema(
       transform: function(doc, ret) {
         delete ret.password;
         delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
+        delete ret.passwordChangedAt;
+        delete ret.failedLoginAttempts;
+        delete ret.lastFailedLoginAt;
+        delete ret.lockUntil;
+        delete ret.accountUnlockToken;
+        delete ret.accountUnlockExpires;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorRecoveryCodes;
+        delete ret.twoFactorLastUsedStep;
         return ret;
       }
     },
@@ -73,8 +181,20 @@ const userSchema = new mongoose.Schema(
       transform: function(doc, ret) {
         delete ret.password;
         delete ret.emailVerificationToken;
+        delete ret.emailVerificationExpires;
+        delete ret.emailVerificationSentAt;
         delete ret.passwordResetToken;
         delete ret.passwordResetExpires;
+        delete ret.passwordChangedAt;
+        delete ret.failedLoginAttempts;
+        delete ret.lastFailedLoginAt;
+        delete ret.lockUntil;
+        delete ret.accountUnlockToken;
+        delete ret.accountUnlockExpires;
+        delete ret.twoFactorSecret;
+        delete ret.twoFactorPendingSecret;
+        delete ret.twoFactorRecoveryCodes;
+        delete ret.twoFactorLastUsedStep;
         return ret;
       }
     }
@@ -100,6 +220,16 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to record when an existing user's password changed
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Backdate by a second so tokens issued right after the change (JWT iat has
+  // one-second resolution) are not treated as older than the change
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 // Pre-save middleware to normalize email
 userSchema.pre('save', function(next) {
   if (this.isModified('email')) {
@@ -135,16 +265,222 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Instance method to issue an email verification token (returns the raw token, stores its hash)
+userSchema.methods.createEmailVerificationToken = function(expiresInMs = 24 * 60 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + expiresInMs);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+// Instance method to mark the email as verified and clear the token
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save();
+};
+
+// Instance method to issue a password reset token (returns the raw token, stores its hash)
+userSchema.methods.createPasswordResetToken = function(expiresInMs = 60 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMs);
+
+  return token;
+};
+
+// Instance method to set a new password and consume the reset token.
+// Proving control of the email also lifts a login lockout.
+userSchema.methods.resetPassword = function(newPassword) {
+  this.password = newPassword;
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+  this.passwordResetRequired = false;
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  this.accountUnlockToken = undefined;
+  this.accountUnlockExpires = undefined;
+  return this.save();
+};
+
+// Instance method to make the user choose a new password: the current one stops working
+// and access tokens issued before now are rejected
+userSchema.methods.requirePasswordReset = function() {
+  this.passwordResetRequired = true;
+  this.passwordChangedAt = new Date();
+  return this.save();
+};
+
+// Instance method to check whether logins are locked (lockUntil must be selected)
+userSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockUntil && this.lockUntil > now);
+};
+
+// Instance method to generate an account unlock token; returns the raw token for the email link
+userSchema.methods.createUnlockToken = function(expiresInMs = 24 * 60 * 60 * 1000) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.accountUnlockToken = hashToken(token);
+  this.accountUnlockExpires = new Date(Date.now() + expiresInMs);
+
+  return token;
+};
+
+// Instance method to lift a lockout and clear the failed login counter
+userSchema.methods.unlock = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+  this.accountUnlockToken = undefined;
+  this.accountUnlockExpires = undefined;
+  return this.save();
+};
+
+// Instance method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // Static method to find by email
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase().trim() });
 };
 
+// Static method to find a user by an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to find a user by an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Instance method to replace the two-factor recovery codes; returns the raw codes to show once
+userSchema.methods.createRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () =>
+    crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-')
+  );
+
+  this.twoFactorRecoveryCodes = codes.map(hashToken);
+
+  return codes;
+};
+
+// Instance method to turn two-factor authentication off and forget its secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+  return this.save();
+};
+
+// Static method to atomically accept a TOTP time step; false when it (or a later step) was already used
+userSchema.statics.consumeTotpStep = async function(userId, step) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+    },
+    { twoFactorLastUsedStep: step }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to atomically use up a recovery code; false when it is unknown or already used
+userSchema.statics.consumeRecoveryCode = async function(userId, code) {
+  const hash = hashToken(code.trim().toLowerCase());
+  const result = await this.updateOne(
+    { _id: userId, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to find a user by an unexpired account unlock token
+userSchema.statics.findByUnlockToken = function(token) {
+  return this.findOne({
+    accountUnlockToken: hashToken(token),
+    accountUnlockExpires: { $gt: new Date() }
+  });
+};
+
+// Static method to atomically count a failed login. The counter starts over
+// when the previous failure is older than windowStart or a lockout has expired.
+userSchema.statics.recordFailedLogin = function(userId, windowStart) {
+  const lockExpired = {
+    $and: [{ $eq: [{ $type: '$lockUntil' }, 'date'] }, { $lte: ['$lockUntil', '$$NOW'] }]
+  };
+  const stale = {
+    $or: [{ $lt: [{ $ifNull: ['$lastFailedLoginAt', new Date(0)] }, windowStart] }, lockExpired]
+  };
+
+  return this.findOneAndUpdate(
+    { _id: userId },
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [stale, 1, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }]
+          },
+          lastFailedLoginAt: '$$NOW',
+          lockUntil: { $cond: [lockExpired, null, { $ifNull: ['$lockUntil', null] }] }
+        }
+      }
+    ],
+    { new: true }
+  ).select('+failedLoginAttempts +lastFailedLoginAt +lockUntil');
+};
+
+// Static method to lock logins until a date. Only locks an account that is not
+// already locked, so concurrent failures trigger a single lockout (and email).
+userSchema.statics.lockAccount = async function(userId, until) {
+  const result = await this.updateOne(
+    { _id: userId, $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }] },
+    { lockUntil: until }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to clear the failed login counter after a successful login
+userSchema.statics.resetFailedLogins = function(userId) {
+  return this.updateOne(
+    { _id: userId },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+  );
+};
+
 // Static method to find active users
 userSchema.statics.findActiveUsers = function() {
   return this.find({ isActive: true });
 };
 
+// Static method to build a case-insensitive name/email search filter
+userSchema.statics.searchFilter = function(term) {
+  const pattern = { $regex: escapeRegex(term.trim()), $options: 'i' };
+  return { $or: [{ fullname: pattern }, { email: pattern }] };
+};
+
+// Instance method to check whether the user wants a notification type on a channel
+userSchema.methods.wantsNotification = function(type, channel) {
+  return this.notificationPreferences?.[channel]?.[type] !== false;
+};
+
 // Virtual for user's full display name
 userSchema.virtual('displayName').get(function() {
   return this.fullname || this.email;
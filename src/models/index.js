@@ -1,9 +1,57 @@
 import User from './User.js';
+import RefreshToken from './RefreshToken.js';
+import Job from './Job.js';
+import Application from './Application.js';
+import Profile from './Profile.js';
+import Company from './Company.js';
+import Upload from './Upload.js';
+import RateLimitCounter from './RateLimitCounter.js';
+import SavedJob from './SavedJob.js';
+import SavedSearch from './SavedSearch.js';
+import QueueJob from './QueueJob.js';
+import EmailDelivery from './EmailDelivery.js';
+import Notification from './Notification.js';
+import Conversation from './Conversation.js';
+import Message from './Message.js';
+import MessageReport from './MessageReport.js';
+import Setting from './Setting.js';
 
 export {
-  User
+  User,
+  RefreshToken,
+  Job,
+  Application,
+  Profile,
+  Company,
+  Upload,
+  RateLimitCounter,
+  SavedJob,
+  SavedSearch,
+  QueueJob,
+  EmailDelivery,
+  Notification,
+  Conversation,
+  Message,
+  MessageReport,
+  Setting
 };
 
 export default {
-  User
+  User,
+  RefreshToken,
+  Job,
+  Application,
+  Profile,
+  Company,
+  Upload,
+  RateLimitCounter,
+  SavedJob,
+  SavedSearch,
+  QueueJob,
+  EmailDelivery,
+  Notification,
+  Conversation,
+  Message,
+  MessageReport,
+  Setting
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+export const SALARY_PERIODS = ['hour', 'month', 'year'];
+export const DEFAULT_SALARY_CURRENCY = 'NPR';
+export const DEFAULT_SALARY_PERIOD = 'month';
+
+// Salary range shared by job postings and job seeker expectations
+const salarySchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      min: [0, 'Minimum salary cannot be negative']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Maximum salary cannot be negative'],
+      validate: {
+        validator: function(v) {
+          return v == null || this.min == null || v >= this.min;
+        },
+        message: 'Maximum salary must be greater than or equal to minimum salary'
+      }
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: DEFAULT_SALARY_CURRENCY,
+      match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+    },
+    period: {
+      type: String,
+      enum: SALARY_PERIODS,
+      default: DEFAULT_SALARY_PERIOD
+    }
+  },
+  { _id: false }
+);
+
+export default salarySchema;
@@ -0,0 +1,156 @@
+import express from "express";
+import {
+  listUsers,
+  getUser,
+  updateUserRole,
+  deactivateUser,
+  activateUser,
+  forceUserPasswordReset,
+  impersonateUser,
+  unlockUser,
+  listEmailDeliveries,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from "../controllers/adminController.js";
+import { getQueueStats, listDeadJobs, retryQueueJob } from "../controllers/queueController.js";
+import { listMessageReports, resolveMessageReport } from "../controllers/conversationController.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  userIdSchema,
+  updateUserRoleSchema,
+  userActionSchema,
+  impersonateUserSchema,
+  queueJobIdSchema,
+  resolveMessageReportSchema,
+  twoFactorPolicySchema,
+} from "../validators/adminValidators.js";
+
+const router = express.Router();
+
+// Account administration is limited to admins
+router.use(authenticate, requirePermission("users:manage"));
+
+/**
+ * @route GET /api/v1/admin/users
+ * @desc List user accounts (cursor paginated, ?q= searches names and emails, filterable by role, status and dates)
+ * @access Private (admin)
+ */
+router.get("/users", listUsers);
+
+/**
+ * @route GET /api/v1/admin/users/:id
+ * @desc Get a user with their lockout, 2FA and session state
+ * @access Private (admin)
+ */
+router.get("/users/:id", validate(userIdSchema), getUser);
+
+/**
+ * @route PATCH /api/v1/admin/users/:id/role
+ * @desc Change a user's role
+ * @access Private (admin)
+ */
+router.patch("/users/:id/role", validate(updateUserRoleSchema), updateUserRole);
+
+/**
+ * @route POST /api/v1/admin/users/:id/deactivate
+ * @desc Deactivate a user and revoke all their sessions
+ * @access Private (admin)
+ */
+router.post("/users/:id/deactivate", validate(userActionSchema), deactivateUser);
+
+/**
+ * @route POST /api/v1/admin/users/:id/activate
+ * @desc Reactivate a deactivated user
+ * @access Private (admin)
+ */
+router.post("/users/:id/activate", validate(userIdSchema), activateUser);
+
+/**
+ * @route POST /api/v1/admin/users/:id/force-password-reset
+ * @desc Invalidate the user's password and sessions and email them a reset link
+ * @access Private (admin)
+ */
+router.post("/users/:id/force-password-reset", validate(userActionSchema), forceUserPasswordReset);
+
+/**
+ * @route POST /api/v1/admin/users/:id/impersonate
+ * @desc Get a short-lived access token for the user (reason required, audited)
+ * @access Private (admin)
+ */
+router.post("/users/:id/impersonate", validate(impersonateUserSchema), impersonateUser);
+
+/**
+ * @route POST /api/v1/admin/users/:id/unlock
+ * @desc Lift a login lockout and clear the failed login counter
+ * @access Private (admin)
+ */
+router.post("/users/:id/unlock", validate(userIdSchema), unlockUser);
+
+/**
+ * @route GET /api/v1/admin/emails
+ * @desc List email delivery attempts (cursor paginated, filterable by recipient, status, template and date)
+ * @access Private (admin)
+ */
+router.get("/emails", listEmailDeliveries);
+
+/**
+ * @route GET /api/v1/admin/settings/two-factor
+ * @desc Get the roles that must use two-factor authentication
+ * @access Private (admin)
+ */
+router.get("/settings/two-factor", requirePermission("settings:manage"), getTwoFactorPolicy);
+
+/**
+ * @route PUT /api/v1/admin/settings/two-factor
+ * @desc Set the roles that must use two-factor authentication (audited)
+ * @access Private (admin)
+ */
+router.put(
+  "/settings/two-factor",
+  requirePermission("settings:manage"),
+  validate(twoFactorPolicySchema),
+  updateTwoFactorPolicy
+);
+
+/**
+ * @route GET /api/v1/admin/queue
+ * @desc Get the number of background jobs by name and status
+ * @access Private (admin)
+ */
+router.get("/queue", requirePermission("queue:manage"), getQueueStats);
+
+/**
+ * @route GET /api/v1/admin/queue/dead
+ * @desc List jobs that ran out of attempts (cursor paginated, filterable by name and failedAt)
+ * @access Private (admin)
+ */
+router.get("/queue/dead", requirePermission("queue:manage"), listDeadJobs);
+
+/**
+ * @route POST /api/v1/admin/queue/jobs/:id/retry
+ * @desc Put a dead job back in the queue
+ * @access Private (admin)
+ */
+router.post("/queue/jobs/:id/retry", requirePermission("queue:manage"), validate(queueJobIdSchema), retryQueueJob);
+
+/**
+ * @route GET /api/v1/admin/message-reports
+ * @desc List reported conversations and messages (cursor paginated, filterable by status, reason, reported user and date)
+ * @access Private (admin)
+ */
+router.get("/message-reports", requirePermission("messages:moderate"), listMessageReports);
+
+/**
+ * @route PATCH /api/v1/admin/message-reports/:id
+ * @desc Close a report as resolved or dismissed
+ * @access Private (admin)
+ */
+router.patch(
+  "/message-reports/:id",
+  requirePermission("messages:moderate"),
+  validate(resolveMessageReportSchema),
+  resolveMessageReport
+);
+
+export default router;
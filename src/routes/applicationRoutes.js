@@ -0,0 +1,50 @@
+import express from "express";
+import {
+  listMyApplications,
+  getApplication,
+  updateApplicationStatus,
+  withdrawApplication,
+} from "../controllers/applicationController.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { updateApplicationStatusSchema } from "../validators/applicationValidators.js";
+
+const router = express.Router();
+
+// Every application route requires a logged-in user
+router.use(authenticate);
+
+/**
+ * @route GET /api/v1/applications/mine
+ * @desc List the current job seeker's applications
+ * @access Private (job_seeker)
+ */
+router.get("/mine", requirePermission("applications:create"), listMyApplications);
+
+/**
+ * @route GET /api/v1/applications/:id
+ * @desc Get an application (applicant, job owner, company owner or admin)
+ * @access Private
+ */
+router.get("/:id", getApplication);
+
+/**
+ * @route PATCH /api/v1/applications/:id/status
+ * @desc Move an application through the hiring pipeline
+ * @access Private (job owner, company owner, admin)
+ */
+router.patch(
+  "/:id/status",
+  requirePermission("applications:review"),
+  validate(updateApplicationStatusSchema),
+  updateApplicationStatus
+);
+
+/**
+ * @route POST /api/v1/applications/:id/withdraw
+ * @desc Withdraw an application
+ * @access Private (applicant)
+ */
+router.post("/:id/withdraw", requirePermission("applications:create"), withdrawApplication);
+
+export default router;
@@ -0,0 +1,163 @@
+import express from "express";
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  getCurrentUser,
+  updateCurrentUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  unlockAccountWithToken,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+} from "../controllers/authController.js";
+import { authenticate, authenticateForTwoFactorSetup, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { loginRateLimiter } from "../middleware/security.js";
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyTwoFactorSchema,
+  enableTwoFactorSchema,
+  twoFactorCodeSchema,
+  disableTwoFactorSchema,
+  updateAccountSchema,
+} from "../validators/authValidators.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/auth/register
+ * @desc Register a new account and receive an access + refresh token pair
+ * @access Public
+ */
+router.post("/register", validate(registerSchema), register);
+
+/**
+ * @route POST /api/v1/auth/login
+ * @desc Log in with email and password (rate limited per IP)
+ * @access Public
+ */
+router.post("/login", loginRateLimiter, validate(loginSchema), login);
+
+/**
+ * @route POST /api/v1/auth/2fa/verify
+ * @desc Exchange a login challenge token and a TOTP or recovery code for a token pair
+ * @access Public
+ */
+router.post("/2fa/verify", loginRateLimiter, validate(verifyTwoFactorSchema), verifyTwoFactorLogin);
+
+/**
+ * @route POST /api/v1/auth/2fa/setup
+ * @desc Start two-factor enrollment (returns the secret and otpauth:// URI for a QR code)
+ * @access Private
+ */
+router.post("/2fa/setup", authenticateForTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @route POST /api/v1/auth/2fa/enable
+ * @desc Confirm enrollment with an authenticator code and receive recovery codes
+ * @access Private
+ */
+router.post("/2fa/enable", authenticateForTwoFactorSetup, validate(enableTwoFactorSchema), enableTwoFactor);
+
+/**
+ * @route POST /api/v1/auth/2fa/disable
+ * @desc Turn two-factor authentication off (password and code required)
+ * @access Private
+ */
+router.post("/2fa/disable", authenticate, validate(disableTwoFactorSchema), disableTwoFactor);
+
+/**
+ * @route POST /api/v1/auth/2fa/recovery-codes
+ * @desc Replace the recovery codes
+ * @access Private
+ */
+router.post(
+  "/2fa/recovery-codes",
+  authenticate,
+  validate(twoFactorCodeSchema),
+  regenerateTwoFactorRecoveryCodes
+);
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Exchange a refresh token for a new token pair
+ * @access Public
+ */
+router.post("/refresh", validate(refreshTokenSchema), refresh);
+
+/**
+ * @route POST /api/v1/auth/logout
+ * @desc Log out the session identified by a refresh token
+ * @access Public
+ */
+router.post("/logout", validate(refreshTokenSchema), logout);
+
+/**
+ * @route POST /api/v1/auth/logout-all
+ * @desc Revoke every session of the current user (log out of all devices)
+ * @access Private
+ */
+router.post("/logout-all", authenticateForTwoFactorSetup, logoutAll);
+
+/**
+ * @route GET /api/v1/auth/me
+ * @desc Get the currently authenticated user
+ * @access Private
+ */
+router.get("/me", authenticateForTwoFactorSetup, requirePermission("account:read"), getCurrentUser);
+
+/**
+ * @route PATCH /api/v1/auth/me
+ * @desc Update the current user's name or language (locale of emails)
+ * @access Private
+ */
+router.patch("/me", authenticate, requirePermission("account:update"), validate(updateAccountSchema), updateCurrentUser);
+
+/**
+ * @route POST /api/v1/auth/verify-email/resend
+ * @desc Resend the email verification link (throttled)
+ * @access Private
+ */
+router.post("/verify-email/resend", authenticate, resendVerificationEmail);
+
+/**
+ * @route GET /api/v1/auth/verify-email/:token
+ * @desc Verify an email address with the token from the verification email
+ * @access Public
+ */
+router.get("/verify-email/:token", verifyEmail);
+
+/**
+ * @route GET /api/v1/auth/unlock/:token
+ * @desc Lift a login lockout with the token from the account locked email
+ * @access Public
+ */
+router.get("/unlock/:token", unlockAccountWithToken);
+
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @desc Email a password reset link (response never reveals whether the email exists)
+ * @access Public
+ */
+router.post("/forgot-password", validate(forgotPasswordSchema), forgotPassword);
+
+/**
+ * @route POST /api/v1/auth/reset-password/:token
+ * @desc Set a new password with a single-use reset token and revoke all sessions
+ * @access Public
+ */
+router.post("/reset-password/:token", validate(resetPasswordSchema), resetPassword);
+
+export default router;
@@ -0,0 +1,120 @@
+import express from "express";
+import {
+  listCompanies,
+  listMyCompanies,
+  getCompany,
+  createCompany,
+  updateCompany,
+  addCompanyMember,
+  removeCompanyMember,
+  listPendingCompanies,
+  setCompanyVerification,
+} from "../controllers/companyController.js";
+import {
+  uploadCompanyLogo,
+  deleteCompanyLogo,
+} from "../controllers/uploadController.js";
+import {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+} from "../middleware/auth.js";
+import { singleFile } from "../middleware/upload.js";
+import { validate } from "../middleware/validate.js";
+import {
+  addCompanyMemberSchema,
+  setCompanyVerificationSchema,
+} from "../validators/companyValidators.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/companies
+ * @desc List verified companies
+ * @access Public
+ */
+router.get("/", listCompanies);
+
+/**
+ * @route GET /api/v1/companies/mine
+ * @desc List the companies the current employer belongs to
+ * @access Private (employer)
+ */
+router.get("/mine", authenticate, requirePermission("companies:create"), listMyCompanies);
+
+/**
+ * @route GET /api/v1/companies/verification/pending
+ * @desc List companies awaiting verification
+ * @access Private (admin)
+ */
+router.get("/verification/pending", authenticate, requirePermission("companies:verify"), listPendingCompanies);
+
+/**
+ * @route GET /api/v1/companies/:id
+ * @desc Get a company page (unverified ones only for members and admins)
+ * @access Public
+ */
+router.get("/:id", optionalAuthenticate, getCompany);
+
+/**
+ * @route POST /api/v1/companies
+ * @desc Create a company page and submit it for verification
+ * @access Private (employer)
+ */
+router.post("/", authenticate, requirePermission("companies:create"), createCompany);
+
+/**
+ * @route PATCH /api/v1/companies/:id
+ * @desc Update a company page
+ * @access Private (company owner, admin)
+ */
+router.patch("/:id", authenticate, requirePermission("companies:create"), updateCompany);
+
+/**
+ * @route POST /api/v1/companies/:id/members
+ * @desc Add an employer to the company as owner or recruiter
+ * @access Private (company owner, admin)
+ */
+router.post(
+  "/:id/members",
+  authenticate,
+  requirePermission("companies:create"),
+  validate(addCompanyMemberSchema),
+  addCompanyMember
+);
+
+/**
+ * @route DELETE /api/v1/companies/:id/members/:userId
+ * @desc Remove a member from the company
+ * @access Private (company owner, admin)
+ */
+router.delete("/:id/members/:userId", authenticate, requirePermission("companies:create"), removeCompanyMember);
+
+/**
+ * @route PUT /api/v1/companies/:id/logo
+ * @desc Upload or replace the company logo (JPEG/PNG/GIF, multipart field "file")
+ * @access Private (company owner, admin)
+ */
+router.put("/:id/logo", authenticate, requirePermission("companies:create"), singleFile("file"), uploadCompanyLogo);
+
+/**
+ * @route DELETE /api/v1/companies/:id/logo
+ * @desc Delete the company logo
+ * @access Private (company owner, admin)
+ */
+router.delete("/:id/logo", authenticate, requirePermission("companies:create"), deleteCompanyLogo);
+
+/**
+ * @route PATCH /api/v1/companies/:id/verification
+ * @desc Verify or reject a company
+ * @access Private (admin)
+ */
+router.patch(
+  "/:id/verification",
+  authenticate,
+  requirePermission("companies:verify"),
+  validate(setCompanyVerificationSchema),
+  setCompanyVerification
+);
+
+export default router;
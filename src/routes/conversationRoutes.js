@@ -0,0 +1,101 @@
+import express from "express";
+import config from "../config/env.js";
+import {
+  openConversation,
+  listConversations,
+  getConversation,
+  listMessages,
+  sendMessage,
+  markConversationRead,
+  blockConversation,
+  unblockConversation,
+  reportConversation,
+} from "../controllers/conversationController.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { optionalFiles } from "../middleware/upload.js";
+import { messageRateLimiter } from "../middleware/security.js";
+import {
+  openConversationSchema,
+  conversationIdSchema,
+  sendMessageSchema,
+  reportConversationSchema,
+} from "../validators/conversationValidators.js";
+
+const router = express.Router();
+
+// Only the two participants of an application's conversation may use it;
+// admins can read any conversation (messages:read_any)
+router.use(authenticate, requirePermission("messages:send"));
+
+/**
+ * @route GET /api/v1/conversations
+ * @desc List the current user's conversations with their unread counts (cursor paginated)
+ * @access Private
+ */
+router.get("/", listConversations);
+
+/**
+ * @route POST /api/v1/conversations
+ * @desc Open the conversation of an application, creating it on first use
+ * @access Private (applicant, job owner)
+ */
+router.post("/", validate(openConversationSchema), openConversation);
+
+/**
+ * @route GET /api/v1/conversations/:id
+ * @desc Get a conversation
+ * @access Private (participants, admin)
+ */
+router.get("/:id", validate(conversationIdSchema), getConversation);
+
+/**
+ * @route GET /api/v1/conversations/:id/messages
+ * @desc List messages, newest first, with read receipts (cursor paginated)
+ * @access Private (participants, admin)
+ */
+router.get("/:id/messages", validate(conversationIdSchema), listMessages);
+
+/**
+ * @route POST /api/v1/conversations/:id/messages
+ * @desc Send a message: JSON, or multipart with files in the "attachments" field
+ * @access Private (participants)
+ */
+router.post(
+  "/:id/messages",
+  messageRateLimiter,
+  validate(conversationIdSchema),
+  optionalFiles("attachments", config.messaging.maxAttachments),
+  validate(sendMessageSchema),
+  sendMessage
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/read
+ * @desc Mark the messages received in a conversation read
+ * @access Private (participants)
+ */
+router.post("/:id/read", validate(conversationIdSchema), markConversationRead);
+
+/**
+ * @route POST /api/v1/conversations/:id/block
+ * @desc Block a conversation so neither participant can send messages
+ * @access Private (participants)
+ */
+router.post("/:id/block", validate(conversationIdSchema), blockConversation);
+
+/**
+ * @route DELETE /api/v1/conversations/:id/block
+ * @desc Unblock a conversation
+ * @access Private (participant who blocked it)
+ */
+router.delete("/:id/block", validate(conversationIdSchema), unblockConversation);
+
+/**
+ * @route POST /api/v1/conversations/:id/reports
+ * @desc Report the other participant to admins, optionally blocking the conversation
+ * @access Private (participants)
+ */
+router.post("/:id/reports", validate(reportConversationSchema), reportConversation);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from "express";
+import {
+  getMailIndex,
+  getOutboxMessage,
+  deleteOutboxMessages,
+  previewTemplate,
+} from "../controllers/devMailController.js";
+import { validate } from "../middleware/validate.js";
+import { outboxMessageSchema, templatePreviewSchema } from "../validators/devMailValidators.js";
+
+const router = express.Router();
+
+// Previewed emails use inline styles and remote images; scripts stay blocked
+router.use((req, res, next) => {
+  res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; img-src https: data:");
+  next();
+});
+
+/**
+ * @route GET /dev/mail
+ * @desc List outbox messages and email templates (HTML page, or JSON with Accept: application/json)
+ * @access Public (development only)
+ */
+router.get("/mail", getMailIndex);
+
+/**
+ * @route GET /dev/mail/messages/:id
+ * @desc Show an outbox message (?format=html|text|json)
+ * @access Public (development only)
+ */
+router.get("/mail/messages/:id", validate(outboxMessageSchema), getOutboxMessage);
+
+/**
+ * @route DELETE /dev/mail/messages
+ * @desc Empty the outbox
+ * @access Public (development only)
+ */
+router.delete("/mail/messages", deleteOutboxMessages);
+
+/**
+ * @route GET /dev/mail/templates/:name
+ * @desc Render a template with sample data (?locale=en|ne&format=html|text|json)
+ * @access Public (development only)
+ */
+router.get("/mail/templates/:name", validate(templatePreviewSchema), previewTemplate);
+
+export default router;
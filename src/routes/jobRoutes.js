@@ -0,0 +1,120 @@
+import express from "express";
+import {
+  listJobs,
+  searchJobs,
+  listMyJobs,
+  getJob,
+  createJob,
+  updateJob,
+  deleteJob,
+} from "../controllers/jobController.js";
+import {
+  applyToJob,
+  listJobApplications,
+} from "../controllers/applicationController.js";
+import { saveJob, unsaveJob, listSavedJobs } from "../controllers/savedJobController.js";
+import {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+} from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { searchRateLimiter } from "../middleware/security.js";
+import { createJobSchema, updateJobSchema, jobIdSchema } from "../validators/jobValidators.js";
+import { applyToJobSchema } from "../validators/applicationValidators.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/jobs
+ * @desc List published job postings that are still open
+ * @access Public
+ */
+router.get("/", listJobs);
+
+/**
+ * @route GET /api/v1/jobs/search
+ * @desc Keyword search with location, employment type, salary, experience and
+ *       posted-date filters, facet counts and relevance/date/salary sorting
+ *       (rate limited, with higher quotas for signed-in users)
+ * @access Public
+ */
+router.get("/search", searchRateLimiter, searchJobs);
+
+/**
+ * @route GET /api/v1/jobs/mine
+ * @desc List the current employer's postings in any status
+ * @access Private (employer)
+ */
+router.get("/mine", authenticate, requirePermission("jobs:create"), listMyJobs);
+
+/**
+ * @route GET /api/v1/jobs/saved
+ * @desc List the current user's saved (bookmarked) jobs
+ * @access Private (job_seeker)
+ */
+router.get("/saved", authenticate, requirePermission("jobs:save"), listSavedJobs);
+
+/**
+ * @route GET /api/v1/jobs/:id
+ * @desc Get a job posting (drafts only for their owner or an admin)
+ * @access Public
+ */
+router.get("/:id", optionalAuthenticate, getJob);
+
+/**
+ * @route POST /api/v1/jobs
+ * @desc Create a job posting
+ * @access Private (employer, admin)
+ */
+router.post("/", authenticate, requirePermission("jobs:create"), validate(createJobSchema), createJob);
+
+/**
+ * @route PATCH /api/v1/jobs/:id
+ * @desc Update a job posting
+ * @access Private (owner, admin)
+ */
+router.patch("/:id", authenticate, requirePermission("jobs:manage_own"), validate(updateJobSchema), updateJob);
+
+/**
+ * @route DELETE /api/v1/jobs/:id
+ * @desc Delete a job posting
+ * @access Private (owner, admin)
+ */
+router.delete("/:id", authenticate, requirePermission("jobs:manage_own"), deleteJob);
+
+/**
+ * @route POST /api/v1/jobs/:id/save
+ * @desc Bookmark a job posting
+ * @access Private (job_seeker)
+ */
+router.post("/:id/save", authenticate, requirePermission("jobs:save"), validate(jobIdSchema), saveJob);
+
+/**
+ * @route DELETE /api/v1/jobs/:id/save
+ * @desc Remove a job bookmark
+ * @access Private (job_seeker)
+ */
+router.delete("/:id/save", authenticate, requirePermission("jobs:save"), validate(jobIdSchema), unsaveJob);
+
+/**
+ * @route POST /api/v1/jobs/:jobId/applications
+ * @desc Apply to a job posting
+ * @access Private (job_seeker)
+ */
+router.post(
+  "/:jobId/applications",
+  authenticate,
+  requirePermission("applications:create"),
+  validate(applyToJobSchema),
+  applyToJob
+);
+
+/**
+ * @route GET /api/v1/jobs/:jobId/applications
+ * @desc List applications received for a job posting
+ * @access Private (job owner, company owner, admin)
+ */
+router.get("/:jobId/applications", authenticate, requirePermission("applications:review"), listJobApplications);
+
+export default router;
@@ -0,0 +1,80 @@
+import express from "express";
+import {
+  listNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  streamNotifications,
+} from "../controllers/notificationController.js";
+import { authenticate, authenticateStream, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  notificationIdSchema,
+  notificationStreamSchema,
+  updatePreferencesSchema,
+} from "../validators/notificationValidators.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/notifications/stream
+ * @desc Receive notifications as they happen (server-sent events). Takes the
+ * access token as a bearer token or, for EventSource, as ?access_token=
+ * @access Private
+ */
+router.get(
+  "/stream",
+  authenticateStream,
+  requirePermission("notifications:manage"),
+  validate(notificationStreamSchema),
+  streamNotifications
+);
+
+// Everything else manages the current user's own notifications
+router.use(authenticate, requirePermission("notifications:manage"));
+
+/**
+ * @route GET /api/v1/notifications
+ * @desc List the current user's notifications
+ * @access Private
+ */
+router.get("/", listNotifications);
+
+/**
+ * @route GET /api/v1/notifications/unread-count
+ * @desc Count the current user's unread notifications
+ * @access Private
+ */
+router.get("/unread-count", getUnreadCount);
+
+/**
+ * @route POST /api/v1/notifications/read-all
+ * @desc Mark all of the current user's notifications read
+ * @access Private
+ */
+router.post("/read-all", markAllNotificationsRead);
+
+/**
+ * @route GET /api/v1/notifications/preferences
+ * @desc Get which notification types the current user gets on each channel
+ * @access Private
+ */
+router.get("/preferences", getNotificationPreferences);
+
+/**
+ * @route PATCH /api/v1/notifications/preferences
+ * @desc Turn notification types on or off per channel (inApp, email)
+ * @access Private
+ */
+router.patch("/preferences", validate(updatePreferencesSchema), updateNotificationPreferences);
+
+/**
+ * @route PATCH /api/v1/notifications/:id/read
+ * @desc Mark a notification read
+ * @access Private
+ */
+router.patch("/:id/read", validate(notificationIdSchema), markNotificationRead);
+
+export default router;
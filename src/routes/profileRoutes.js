@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getMyProfile,
+  updateMyProfile,
+  getMyProfileCompleteness,
+} from "../controllers/profileController.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// Profiles belong to job seekers
+router.use(authenticate, requirePermission("profile:manage"));
+
+/**
+ * @route GET /api/v1/profile/me
+ * @desc Get the current job seeker's profile
+ * @access Private (job_seeker)
+ */
+router.get("/me", getMyProfile);
+
+/**
+ * @route PUT /api/v1/profile/me
+ * @desc Create or update the current job seeker's profile
+ * @access Private (job_seeker)
+ */
+router.put("/me", updateMyProfile);
+
+/**
+ * @route GET /api/v1/profile/me/completeness
+ * @desc Get the profile completeness score and missing sections
+ * @access Private (job_seeker)
+ */
+router.get("/me/completeness", getMyProfileCompleteness);
+
+export default router;
@@ -0,0 +1,81 @@
+import express from "express";
+import {
+  listSavedSearches,
+  createSavedSearch,
+  getSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch,
+  unsubscribeAlert,
+} from "../controllers/savedSearchController.js";
+import { authenticate, requirePermission } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { searchRateLimiter } from "../middleware/security.js";
+import {
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  savedSearchIdSchema,
+} from "../validators/savedSearchValidators.js";
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/saved-searches/unsubscribe/:token
+ * @desc Turn off a saved search's alert from the link in an alert email
+ * @access Public
+ */
+router.get("/unsubscribe/:token", unsubscribeAlert);
+
+/**
+ * @route POST /api/v1/saved-searches/unsubscribe/:token
+ * @desc One-click unsubscribe (List-Unsubscribe-Post) from mail clients
+ * @access Public
+ */
+router.post("/unsubscribe/:token", unsubscribeAlert);
+
+// Everything else manages the current user's own saved searches
+router.use(authenticate, requirePermission("searches:manage"));
+
+/**
+ * @route GET /api/v1/saved-searches
+ * @desc List the current user's saved searches
+ * @access Private (job_seeker)
+ */
+router.get("/", listSavedSearches);
+
+/**
+ * @route POST /api/v1/saved-searches
+ * @desc Save a job search, optionally with an instant, daily or weekly email alert
+ * @access Private (job_seeker)
+ */
+router.post("/", validate(createSavedSearchSchema), createSavedSearch);
+
+/**
+ * @route GET /api/v1/saved-searches/:id
+ * @desc Get a saved search
+ * @access Private (job_seeker)
+ */
+router.get("/:id", validate(savedSearchIdSchema), getSavedSearch);
+
+/**
+ * @route PATCH /api/v1/saved-searches/:id
+ * @desc Rename a saved search, change its filters or its alert frequency
+ * @access Private (job_seeker)
+ */
+router.patch("/:id", validate(updateSavedSearchSchema), updateSavedSearch);
+
+/**
+ * @route DELETE /api/v1/saved-searches/:id
+ * @desc Delete a saved search
+ * @access Private (job_seeker)
+ */
+router.delete("/:id", validate(savedSearchIdSchema), deleteSavedSearch);
+
+/**
+ * @route GET /api/v1/saved-searches/:id/jobs
+ * @desc Run a saved search (same paging and sorting as /jobs/search)
+ * @access Private (job_seeker)
+ */
+router.get("/:id/jobs", searchRateLimiter, validate(savedSearchIdSchema), runSavedSearch);
+
+export default router;
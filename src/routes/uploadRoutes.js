@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  uploadResume,
+  deleteResume,
+  downloadUpload,
+} from "../controllers/uploadController.js";
+import {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+} from "../middleware/auth.js";
+import { singleFile } from "../middleware/upload.js";
+
+const router = express.Router();
+
+/**
+ * @route POST /api/v1/uploads/resume
+ * @desc Upload or replace the current job seeker's resume (PDF, multipart field "file")
+ * @access Private (job_seeker)
+ */
+router.post("/resume", authenticate, requirePermission("profile:manage"), singleFile("file"), uploadResume);
+
+/**
+ * @route DELETE /api/v1/uploads/resume
+ * @desc Delete the current job seeker's resume
+ * @access Private (job_seeker)
+ */
+router.delete("/resume", authenticate, requirePermission("profile:manage"), deleteResume);
+
+/**
+ * @route GET /api/v1/uploads/:id/download
+ * @desc Download a file (logos are public; resumes only for their owner, admins and employers applied to)
+ * @access Public / Private
+ */
+router.get("/:id/download", optionalAuthenticate, downloadUpload);
+
+export default router;
@@ -1,50 +1,81 @@
 import express from "express";
-import cors from "cors";
+import cookieParser from "cookie-parser";
 import logger, { requestLogger, loggerUtils } from "./config/logger.js";
 import config from "./config/env.js";
 import { errorHandler, notFoundHandler, setupGlobalErrorHandlers } from "./middleware/errorHandler.js";
+import { requestId } from "./middleware/requestId.js";
+import {
+  securityHeaders,
+  corsMiddleware,
+  corsOptions,
+  compressionMiddleware,
+  globalRateLimiter,
+} from "./middleware/security.js";
 import { APIResponse } from "./utils/index.js";
 import healthRoutes from "./routes/healthRoutes.js";
+import authRoutes from "./routes/authRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import applicationRoutes from "./routes/applicationRoutes.js";
+import profileRoutes from "./routes/profileRoutes.js";
+import companyRoutes from "./routes/companyRoutes.js";
+import uploadRoutes from "./routes/uploadRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import savedSearchRoutes from "./routes/savedSearchRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import devRoutes from "./routes/devRoutes.js";
 
 const app = express();
 
-// CORS configuration - Allow all origins
-const corsOptions = {
-  origin: "*", // Allow all origins
-  credentials: false, // Set to false when using wildcard origin
-  methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: [
-    "Origin",
-    "X-Requested-With",
-    "Content-Type",
-    "Accept",
-    "Authorization",
-    "Cache-Control",
-    "X-Requested-With"
-  ],
-  optionsSuccessStatus: 200, // Some legacy browsers (IE11, various SmartTVs) choke on 204
-};
-
-// Apply CORS middleware
-app.use(cors(corsOptions));
-
-// Security and middleware logging
-logger.info("CORS middleware configured", {
-  origin: corsOptions.origin,
+// Honour X-Forwarded-* from trusted proxies so req.ip is the client address
+app.set("trust proxy", config.security.trustProxy);
+
+// Request id for correlating responses and logs
+app.use(requestId);
+
+// Security headers, CORS allowlist and compression
+app.use(securityHeaders);
+app.use(corsMiddleware);
+app.use(compressionMiddleware);
+
+logger.info("Security middleware configured", {
+  corsOrigins: corsOptions.origin,
   credentials: corsOptions.credentials,
-  methods: corsOptions.methods
+  rateLimit: config.rateLimit.enabled
+    ? { windowMs: config.rateLimit.windowMs, max: config.rateLimit.max }
+    : "disabled",
 });
 
 // Request logging middleware
 app.use(requestLogger);
 
-// Body parsing middleware
+// Body and cookie parsing middleware
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
+app.use(cookieParser(config.security.cookieSecret));
 
 // Health check routes
 app.use("/health", healthRoutes);
 
+// API routes
+const apiBase = `${config.api.prefix}/${config.api.version}`;
+app.use(apiBase, globalRateLimiter);
+app.use(`${apiBase}/auth`, authRoutes);
+app.use(`${apiBase}/jobs`, jobRoutes);
+app.use(`${apiBase}/applications`, applicationRoutes);
+app.use(`${apiBase}/profile`, profileRoutes);
+app.use(`${apiBase}/companies`, companyRoutes);
+app.use(`${apiBase}/uploads`, uploadRoutes);
+app.use(`${apiBase}/admin`, adminRoutes);
+app.use(`${apiBase}/saved-searches`, savedSearchRoutes);
+app.use(`${apiBase}/notifications`, notificationRoutes);
+app.use(`${apiBase}/conversations`, conversationRoutes);
+
+// Outbox and email template previews, never mounted in production
+if (config.email.previewEnabled) {
+  app.use("/dev", devRoutes);
+}
+
 // 404 handler - must be before error handler
 app.use(notFoundHandler);
 
@@ -0,0 +1,401 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import config from "../config/env.js";
+import logger from "../config/logger.js";
+import database from "../config/database.js";
+import EmailDelivery from "../models/EmailDelivery.js";
+import { renderEmail } from "../templates/email/index.js";
+import { signAlertUnsubscribeToken } from "./tokenService.js";
+import { enqueue } from "./queue/index.js";
+
+/**
+ * Email Service
+ * Sends transactional emails through SMTP, or writes them to a local outbox
+ * directory when config.email.transport is "file": an .eml file per message
+ * plus a .json copy that GET /dev/mail uses for previews.
+ *
+ * Messages are rendered from the named templates in templates/email in the
+ * recipient's locale. Request handlers should not wait on the mail server:
+ * they build the message and hand it to queueEmail(), and the queue worker
+ * sends it with retries. Every attempt is logged and recorded as an
+ * EmailDelivery.
+ */
+
+// Outbox message ids are file names without extension
+const OUTBOX_ID_PATTERN = /^[\w.-]+$/;
+
+let transporter = null;
+
+/**
+ * Lazily create the nodemailer transporter for the configured transport
+ * @returns {Object} Nodemailer transporter
+ * @private
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (config.email.transport === "smtp") {
+    transporter = nodemailer.createTransport({
+      host: config.email.host,
+      port: config.email.port,
+      secure: config.email.secure,
+      auth: config.email.user
+        ? { user: config.email.user, pass: config.email.pass }
+        : undefined,
+    });
+  } else {
+    transporter = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: "unix",
+    });
+  }
+
+  return transporter;
+};
+
+/**
+ * Write a buffered message to the outbox directory, with a JSON copy of its parts
+ * @param {Object} info - Nodemailer send result
+ * @param {Object} message - Message that was sent
+ * @returns {Promise<string>} Path of the written .eml file
+ * @private
+ */
+const writeToOutbox = async (info, message) => {
+  const outboxDir = path.resolve(config.email.outboxDir);
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const safeId = info.messageId.replace(/[^a-zA-Z0-9.-]/g, "");
+  const id = `${Date.now()}-${safeId}`;
+  const filePath = path.join(outboxDir, `${id}.eml`);
+
+  await fs.writeFile(filePath, info.message);
+  await fs.writeFile(
+    path.join(outboxDir, `${id}.json`),
+    JSON.stringify({ id, messageId: info.messageId, sentAt: new Date(), ...message }, null, 2)
+  );
+
+  return filePath;
+};
+
+/**
+ * Record a delivery attempt. Only logged when the database is not connected
+ * (e.g. one-off scripts); a failing write never fails the delivery.
+ * @param {Object} entry - EmailDelivery fields
+ * @returns {Promise<void>}
+ * @private
+ */
+const recordDelivery = async (entry) => {
+  if (!database.isConnected) {
+    return;
+  }
+
+  try {
+    await EmailDelivery.create(entry);
+  } catch (error) {
+    logger.warn("Failed to record email delivery", { to: entry.to, error: error.message });
+  }
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - HTML body
+ * @param {string} message.text - Plain text body
+ * @param {Object} [message.headers] - Extra headers (e.g. List-Unsubscribe)
+ * @param {string} [message.template] - Template the message was rendered from, for the delivery log
+ * @param {string} [message.locale] - Locale it was rendered in, for the delivery log
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+export const sendEmail = async (message) => {
+  const { to, subject, html, text, headers, template = null, locale = null } = message;
+  const delivery = { to, subject, template, locale, transport: config.email.transport };
+  const startedAt = Date.now();
+
+  let info;
+  try {
+    info = await getTransporter().sendMail({
+      from: config.email.from,
+      to,
+      subject,
+      html,
+      text,
+      headers,
+    });
+
+    if (config.email.transport !== "smtp") {
+      info.outboxPath = await writeToOutbox(info, { to, subject, html, text, headers, template, locale });
+    }
+  } catch (error) {
+    logger.error("Email delivery failed", { ...delivery, error: error.message });
+    await recordDelivery({ ...delivery, status: "failed", error: error.message, durationMs: Date.now() - startedAt });
+    throw error;
+  }
+
+  logger.info("Email sent", { ...delivery, messageId: info.messageId });
+  await recordDelivery({ ...delivery, status: "sent", messageId: info.messageId, durationMs: Date.now() - startedAt });
+
+  return info;
+};
+
+/**
+ * Queue an email for the worker to send
+ * @param {Object} message - Message to send (see sendEmail)
+ * @returns {Promise<Object>} QueueJob document
+ */
+export const queueEmail = (message) => {
+  return enqueue("email.send", message);
+};
+
+/**
+ * Build the email verification message for a user
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ * @returns {Object} Message for sendEmail/queueEmail
+ */
+export const verificationEmail = (user, token) => {
+  const verificationUrl = `${config.server.publicUrl}${config.api.prefix}/${config.api.version}/auth/verify-email/${token}`;
+
+  return {
+    to: user.email,
+    ...renderEmail(
+      "verifyEmail",
+      {
+        name: user.displayName,
+        verificationUrl,
+        expiresInHours: Math.round(config.email.verification.tokenExpiresMs / (60 * 60 * 1000)),
+      },
+      user.locale
+    ),
+  };
+};
+
+/**
+ * Send the email verification link to a user
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+export const sendVerificationEmail = (user, token) => {
+  return sendEmail(verificationEmail(user, token));
+};
+
+/**
+ * Build the password reset message for a user
+ * @param {Object} user - User document
+ * @param {string} token - Raw password reset token
+ * @returns {Object} Message for sendEmail/queueEmail
+ */
+export const passwordResetEmail = (user, token) => {
+  return {
+    to: user.email,
+    ...renderEmail(
+      "passwordReset",
+      {
+        name: user.displayName,
+        resetUrl: `${config.client.url}/reset-password/${token}`,
+        expiresInMinutes: Math.round(config.security.passwordResetExpiresMs / (60 * 1000)),
+      },
+      user.locale
+    ),
+  };
+};
+
+/**
+ * Send the password reset link to a user
+ * @param {Object} user - User document
+ * @param {string} token - Raw password reset token
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+export const sendPasswordResetEmail = (user, token) => {
+  return sendEmail(passwordResetEmail(user, token));
+};
+
+/**
+ * Build the message telling a user their account was locked, with the unlock link
+ * @param {Object} user - User document
+ * @param {string} token - Raw unlock token
+ * @returns {Object} Message for sendEmail/queueEmail
+ */
+export const accountLockedEmail = (user, token) => {
+  const unlockUrl = `${config.server.publicUrl}${config.api.prefix}/${config.api.version}/auth/unlock/${token}`;
+
+  return {
+    to: user.email,
+    ...renderEmail(
+      "accountLocked",
+      {
+        name: user.displayName,
+        unlockUrl,
+        lockedForMinutes: Math.round(config.security.lockout.durationMs / (60 * 1000)),
+      },
+      user.locale
+    ),
+  };
+};
+
+/**
+ * Tell a user their account was locked and send the unlock link
+ * @param {Object} user - User document
+ * @param {string} token - Raw unlock token
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+export const sendAccountLockedEmail = (user, token) => {
+  return sendEmail(accountLockedEmail(user, token));
+};
+
+/**
+ * Send a job alert digest for a saved search, with a one-click unsubscribe link
+ * @param {Object} user - User document
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} matches - { jobs, total } (jobs with company populated)
+ * @returns {Promise<Object>} Nodemailer send result
+ */
+export const sendJobAlertEmail = (user, savedSearch, { jobs, total }) => {
+  const unsubscribeUrl = `${config.server.publicUrl}${config.api.prefix}/${config.api.version}/saved-searches/unsubscribe/${signAlertUnsubscribeToken(savedSearch)}`;
+
+  return sendEmail({
+    to: user.email,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribeUrl}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+    ...renderEmail(
+      "jobAlert",
+      {
+        name: user.displayName,
+        searchName: savedSearch.name,
+        jobs: jobs.map((job) => ({
+          title: job.title,
+          company: job.company?.name ?? "",
+          location: job.location,
+          url: `${config.client.url}/jobs/${job._id}`,
+        })),
+        total,
+        searchUrl: `${config.client.url}/saved-searches/${savedSearch._id}`,
+        unsubscribeUrl,
+      },
+      user.locale
+    ),
+  });
+};
+
+/**
+ * Build the message telling an applicant their application changed status.
+ * Moving to "interview" with interview details sends the invitation instead.
+ * @param {Object} user - Applicant User document
+ * @param {Object} application - Application document
+ * @param {Object} job - Job document with company populated
+ * @returns {Object} Message for sendEmail/queueEmail
+ */
+export const applicationStatusEmail = (user, application, job) => {
+  const params = {
+    name: user.displayName,
+    jobTitle: job.title,
+    company: job.company?.name ?? "",
+    applicationUrl: `${config.client.url}/applications/${application._id}`,
+  };
+
+  if (application.status === "interview" && application.interview?.scheduledAt) {
+    return {
+      to: user.email,
+      ...renderEmail("interviewInvite", { ...params, interview: application.interview }, user.locale),
+    };
+  }
+
+  const { note } = application.statusHistory.at(-1) ?? {};
+  return {
+    to: user.email,
+    ...renderEmail("applicationStatusChanged", { ...params, status: application.status, note }, user.locale),
+  };
+};
+
+/**
+ * List the messages in the outbox, newest first
+ * @param {number} [limit] - Maximum number of messages
+ * @returns {Promise<Object[]>} [{ id, to, subject, template, locale, sentAt }]
+ */
+export const listOutbox = async (limit = 50) => {
+  const outboxDir = path.resolve(config.email.outboxDir);
+
+  let files;
+  try {
+    files = await fs.readdir(outboxDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const ids = files
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort()
+    .reverse()
+    .slice(0, limit);
+
+  const messages = await Promise.all(ids.map((id) => readOutboxMessage(id)));
+  return messages
+    .filter(Boolean)
+    .map(({ id, to, subject, template, locale, sentAt }) => ({ id, to, subject, template, locale, sentAt }));
+};
+
+/**
+ * Read one outbox message
+ * @param {string} id - Message id (from listOutbox)
+ * @returns {Promise<Object|null>} Message with its html and text, or null when it does not exist
+ */
+export const readOutboxMessage = async (id) => {
+  if (!OUTBOX_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  try {
+    const contents = await fs.readFile(path.join(path.resolve(config.email.outboxDir), `${id}.json`), "utf8");
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete every message in the outbox
+ * @returns {Promise<number>} Number of messages deleted
+ */
+export const clearOutbox = async () => {
+  const outboxDir = path.resolve(config.email.outboxDir);
+
+  let files;
+  try {
+    files = await fs.readdir(outboxDir);
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  const messages = files.filter((file) => file.endsWith(".eml") || file.endsWith(".json"));
+  await Promise.all(messages.map((file) => fs.rm(path.join(outboxDir, file), { force: true })));
+
+  return messages.filter((file) => file.endsWith(".eml")).length;
+};
+
+export default {
+  sendEmail,
+  queueEmail,
+  verificationEmail,
+  sendVerificationEmail,
+  passwordResetEmail,
+  sendPasswordResetEmail,
+  accountLockedEmail,
+  sendAccountLockedEmail,
+  sendJobAlertEmail,
+  applicationStatusEmail,
+  listOutbox,
+  readOutboxMessage,
+  clearOutbox,
+};
@@ -0,0 +1,128 @@
+import config from "../config/env.js";
+import logger from "../config/logger.js";
+import Job from "../models/Job.js";
+import SavedSearch from "../models/SavedSearch.js";
+import { parseSearchQuery, buildSearchFilter } from "./jobSearchService.js";
+import { sendJobAlertEmail } from "./emailService.js";
+
+/**
+ * Job Alert Service
+ * Emails users the jobs published since their last alert that match their
+ * saved searches. The queue worker runs them on `config.alerts.cron` (every
+ * minute by default), picking up every saved search whose alert is due:
+ *
+ * - instant: on every run, so new jobs arrive within one interval
+ * - daily / weekly: once a day / week since the last alert
+ *
+ * Each search is claimed by moving `lastAlertedAt` forward atomically, so
+ * concurrent runs (several instances) never send the same alert twice.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Minimum time between two alerts of each frequency
+export const ALERT_PERIODS_MS = Object.freeze({
+  instant: 0,
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+});
+
+/**
+ * Find the open jobs published in a window that match a saved search
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Date} since - Start of the window (exclusive)
+ * @param {Date} until - End of the window (inclusive)
+ * @returns {Promise<{jobs: Object[], total: number}>} First matches (newest first) and the total
+ */
+export const findNewMatches = async (savedSearch, since, until) => {
+  const params = parseSearchQuery(savedSearch.filters.toObject());
+  const filter = { ...buildSearchFilter(params, until), publishedAt: { $gt: since, $lte: until } };
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(config.alerts.maxJobsPerEmail)
+      .populate("company", "name"),
+    Job.countDocuments(filter),
+  ]);
+
+  return { jobs, total };
+};
+
+/**
+ * Send one saved search's alert if it has new matches. The run is claimed
+ * first; when sending fails the claim is released so the next run retries.
+ * @param {Object} savedSearch - SavedSearch document with user populated
+ * @param {Date} now - Time of the run
+ * @returns {Promise<boolean>} Whether an email was sent
+ */
+export const processAlert = async (savedSearch, now) => {
+  const claimed = await SavedSearch.claimAlert(savedSearch, now);
+  if (!claimed) {
+    return false;
+  }
+
+  const user = savedSearch.user;
+  if (!user?.isActive) {
+    return false;
+  }
+
+  try {
+    const matches = await findNewMatches(savedSearch, savedSearch.lastAlertedAt, now);
+    if (matches.total === 0) {
+      return false;
+    }
+
+    await sendJobAlertEmail(user, savedSearch, matches);
+    return true;
+  } catch (error) {
+    await SavedSearch.releaseAlert(savedSearch, now);
+    throw error;
+  }
+};
+
+/**
+ * Send every alert that is due
+ * @param {Date} [now] - Time of the run
+ * @returns {Promise<{checked: number, sent: number, failed: number}>} Run summary
+ */
+export const runDueAlerts = async (now = new Date()) => {
+  const summary = { checked: 0, sent: 0, failed: 0 };
+
+  for (const [frequency, periodMs] of Object.entries(ALERT_PERIODS_MS)) {
+    const cursor = SavedSearch.find({
+      alertFrequency: frequency,
+      lastAlertedAt: { $lte: new Date(now.getTime() - periodMs) },
+    })
+      .populate("user", "fullname email isActive locale")
+      .cursor();
+
+    for await (const savedSearch of cursor) {
+      summary.checked++;
+      try {
+        if (await processAlert(savedSearch, now)) {
+          summary.sent++;
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.error("Failed to send job alert", {
+          savedSearchId: savedSearch.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  if (summary.checked > 0) {
+    logger.info("Job alerts run completed", summary);
+  }
+
+  return summary;
+};
+
+export default {
+  ALERT_PERIODS_MS,
+  findNewMatches,
+  processAlert,
+  runDueAlerts,
+};
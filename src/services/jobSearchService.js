@@ -0,0 +1,415 @@
+import Job, { EMPLOYMENT_TYPES, EXPERIENCE_LEVELS } from "../models/Job.js";
+import { SALARY_PERIODS, DEFAULT_SALARY_CURRENCY, DEFAULT_SALARY_PERIOD } from "../models/schemas/salarySchema.js";
+import { APIError } from "../utils/index.js";
+import { escapeRegex } from "../utils/regex.js";
+
+export const SEARCH_SORTS = ["relevance", "date", "salary"];
+
+// Posted-date windows (in days) offered as facets
+export const POSTED_WITHIN_DAYS = [1, 7, 30];
+
+// Lower bounds of the salary facet buckets, matched against salary.min
+export const SALARY_BUCKETS = [0, 25000, 50000, 100000, 200000];
+
+// Parsed parameters a saved search keeps; paging and sorting are chosen when it is run
+export const SAVED_SEARCH_FILTERS = [
+  "q",
+  "location",
+  "employmentType",
+  "experienceLevel",
+  "salaryMin",
+  "salaryMax",
+  "salaryCurrency",
+  "salaryPeriod",
+];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+const LOCATION_FACET_LIMIT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Parse a comma separated (or repeated) query parameter against allowed values
+ * @param {string|string[]} value - Raw value
+ * @param {string[]} allowed - Allowed values
+ * @param {string} name - Parameter name for error messages
+ * @returns {string[]|undefined} Parsed values
+ * @throws {APIError} 400 when a value is not allowed
+ */
+const parseList = (value, allowed, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const values = (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+  const invalid = values.filter((item) => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw APIError.fromCode("INVALID_QUERY", `Invalid ${name}: ${invalid.join(", ")}`, { allowed });
+  }
+
+  return values.length > 0 ? values : undefined;
+};
+
+/**
+ * Parse a non-negative numeric query parameter
+ * @param {string} value - Raw value
+ * @param {string} name - Parameter name for error messages
+ * @returns {number|undefined} Parsed number
+ * @throws {APIError} 400 when the value is not a non-negative number
+ */
+const parseNumber = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw APIError.fromCode("INVALID_QUERY", `${name} must be a non-negative number`, { parameter: name });
+  }
+
+  return number;
+};
+
+/**
+ * Parse the currency salaries are searched, sorted and bucketed in
+ * @param {string} value - Raw value
+ * @returns {string|undefined} Uppercase ISO currency code
+ * @throws {APIError} 400 when the value is not a 3-letter code
+ */
+const parseCurrency = (value) => {
+  if (value === undefined || value === "") return undefined;
+
+  const currency = String(value).trim().toUpperCase();
+  if (!CURRENCY_PATTERN.test(currency)) {
+    throw APIError.fromCode("INVALID_QUERY", "salaryCurrency must be a 3-letter ISO code", {
+      parameter: "salaryCurrency",
+    });
+  }
+
+  return currency;
+};
+
+/**
+ * Parse and validate the search query string
+ * @param {Object} query - req.query
+ * @returns {Object} Normalized search parameters
+ * @throws {APIError} 400 on invalid parameters
+ */
+export const parseSearchQuery = (query = {}) => {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw APIError.fromCode("INVALID_QUERY", `Search query cannot exceed ${MAX_QUERY_LENGTH} characters`, {
+      parameter: "q",
+    });
+  }
+
+  const salaryMin = parseNumber(query.salaryMin, "salaryMin");
+  const salaryMax = parseNumber(query.salaryMax, "salaryMax");
+  if (salaryMin !== undefined && salaryMax !== undefined && salaryMax < salaryMin) {
+    throw APIError.fromCode("INVALID_QUERY", "salaryMax cannot be less than salaryMin", { parameter: "salaryMax" });
+  }
+
+  if (query.salaryPeriod !== undefined && query.salaryPeriod !== "" && !SALARY_PERIODS.includes(query.salaryPeriod)) {
+    throw APIError.fromCode("INVALID_QUERY", `salaryPeriod must be one of: ${SALARY_PERIODS.join(", ")}`, {
+      parameter: "salaryPeriod",
+      allowed: SALARY_PERIODS,
+    });
+  }
+
+  const sort = query.sort || (q ? "relevance" : "date");
+  if (!SEARCH_SORTS.includes(sort)) {
+    throw APIError.fromCode("INVALID_QUERY", `sort must be one of: ${SEARCH_SORTS.join(", ")}`, {
+      parameter: "sort",
+      allowed: SEARCH_SORTS,
+    });
+  }
+
+  if (query.order !== undefined && !["asc", "desc"].includes(query.order)) {
+    throw APIError.fromCode("INVALID_QUERY", "order must be asc or desc", { parameter: "order" });
+  }
+
+  const limit = parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE;
+
+  return {
+    q,
+    location: typeof query.location === "string" ? query.location.trim() : "",
+    employmentType: parseList(query.employmentType, EMPLOYMENT_TYPES, "employment type"),
+    experienceLevel: parseList(query.experienceLevel, EXPERIENCE_LEVELS, "experience level"),
+    salaryMin,
+    salaryMax,
+    salaryCurrency: parseCurrency(query.salaryCurrency),
+    salaryPeriod: query.salaryPeriod || undefined,
+    postedWithin: parseNumber(query.postedWithin, "postedWithin"),
+    // Relevance only means something when there are keywords to rank against
+    sort: sort === "relevance" && !q ? "date" : sort,
+    order: query.order === "asc" ? 1 : -1,
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(limit, 1), MAX_PAGE_SIZE),
+  };
+};
+
+/**
+ * Keep the filters of parsed search parameters that are set, for storing on a saved search
+ * @param {Object} params - Parsed search parameters
+ * @returns {Object} Filters
+ */
+export const pickSavedSearchFilters = (params) =>
+  Object.fromEntries(
+    SAVED_SEARCH_FILTERS.filter((field) => params[field] !== undefined && params[field] !== "").map((field) => [
+      field,
+      params[field],
+    ])
+  );
+
+/**
+ * The currency and pay period salaries are compared in. Amounts in other
+ * units cannot be compared without conversion, so salary filters and facet
+ * buckets only consider postings stated in this unit.
+ * @param {Object} params - Parsed search parameters
+ * @returns {{ currency: string, period: string }} Salary unit
+ */
+const salaryUnit = (params) => ({
+  currency: params.salaryCurrency || DEFAULT_SALARY_CURRENCY,
+  period: params.salaryPeriod || DEFAULT_SALARY_PERIOD,
+});
+
+/**
+ * Match postings whose salary is stated in the given unit
+ * @param {{ currency: string, period: string }} unit - Salary unit
+ * @returns {Object} $match expression
+ */
+const salaryUnitMatch = ({ currency, period }) => ({ "salary.currency": currency, "salary.period": period });
+
+/**
+ * Build one $match clause per filter, keyed by the facet it belongs to, so
+ * each facet can be counted with every filter except its own applied
+ * @param {Object} params - Parsed search parameters
+ * @param {Date} now - Reference time for the posted-date filter
+ * @returns {Object} Clauses keyed by facet name
+ */
+const buildFilterClauses = (params, now) => {
+  const clauses = {};
+
+  if (params.location) {
+    clauses.location = { location: { $regex: escapeRegex(params.location), $options: "i" } };
+  }
+
+  if (params.employmentType) {
+    clauses.employmentType = { employmentType: { $in: params.employmentType } };
+  }
+
+  if (params.experienceLevel) {
+    clauses.experienceLevel = { experienceLevel: { $in: params.experienceLevel } };
+  }
+
+  // A posting matches a salary range when its own range, in the same currency
+  // and pay period, overlaps it; postings without a maximum are compared on
+  // their minimum alone
+  const salary = [];
+  if (params.salaryMin !== undefined) {
+    salary.push({
+      $or: [
+        { "salary.max": { $gte: params.salaryMin } },
+        { "salary.max": null, "salary.min": { $gte: params.salaryMin } },
+      ],
+    });
+  }
+  if (params.salaryMax !== undefined) {
+    salary.push({ "salary.min": { $lte: params.salaryMax } });
+  }
+  if (salary.length > 0) {
+    clauses.salary = { $and: [salaryUnitMatch(salaryUnit(params)), ...salary] };
+  }
+
+  if (params.postedWithin !== undefined) {
+    clauses.postedDate = {
+      publishedAt: { $gte: new Date(now.getTime() - params.postedWithin * DAY_MS) },
+    };
+  }
+
+  return clauses;
+};
+
+/**
+ * Combine filter clauses into a single $match, optionally leaving one out
+ * @param {Object} clauses - Clauses keyed by facet name
+ * @param {string} [except] - Facet whose clause should be skipped
+ * @returns {Object} $match expression
+ */
+const combineClauses = (clauses, except) => {
+  const selected = Object.entries(clauses)
+    .filter(([name]) => name !== except)
+    .map(([, clause]) => clause);
+
+  return selected.length > 0 ? { $and: selected } : {};
+};
+
+/**
+ * Build a find() filter for open jobs matching the search filters, without
+ * facets or paging (used to match new postings against saved searches)
+ * @param {Object} params - Parsed search parameters
+ * @param {Date} [now] - Reference time
+ * @returns {Object} MongoDB filter
+ */
+export const buildSearchFilter = (params, now = new Date()) => {
+  const filter = { ...Job.openFilter(now), ...combineClauses(buildFilterClauses(params, now)) };
+  if (params.q) {
+    filter.$text = { $search: params.q };
+  }
+  return filter;
+};
+
+/**
+ * Build the sort stage for the results
+ * @param {Object} params - Parsed search parameters
+ * @returns {Object} $sort specification
+ */
+const buildSort = ({ sort, order }) => {
+  switch (sort) {
+    case "relevance":
+      return { score: -1, publishedAt: -1, _id: -1 };
+    case "salary":
+      // Postings in the searched unit first, whichever the order
+      return { inSalaryUnit: -1, "salary.max": order, "salary.min": order, _id: order };
+    default:
+      return { publishedAt: order, _id: order };
+  }
+};
+
+/**
+ * Build the aggregation pipeline returning a page of results, the total and
+ * the facet counts in a single round trip
+ * @param {Object} params - Parsed search parameters
+ * @param {Date} [now] - Reference time
+ * @returns {Object[]} Aggregation pipeline
+ */
+export const buildSearchPipeline = (params, now = new Date()) => {
+  // $text must be part of the first stage of the pipeline
+  const baseMatch = Job.openFilter(now);
+  if (params.q) {
+    baseMatch.$text = { $search: params.q };
+  }
+
+  const clauses = buildFilterClauses(params, now);
+  const unit = salaryUnit(params);
+  const bySalary = params.sort === "salary";
+  const countBy = (field) => [
+    { $match: combineClauses(clauses, field) },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  return [
+    { $match: baseMatch },
+    ...(params.q ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    {
+      $facet: {
+        results: [
+          { $match: combineClauses(clauses) },
+          ...(bySalary
+            ? [
+                {
+                  $addFields: {
+                    inSalaryUnit: {
+                      $and: [{ $eq: ["$salary.currency", unit.currency] }, { $eq: ["$salary.period", unit.period] }],
+                    },
+                  },
+                },
+              ]
+            : []),
+          { $sort: buildSort(params) },
+          { $skip: (params.page - 1) * params.limit },
+          { $limit: params.limit },
+          ...(bySalary ? [{ $project: { inSalaryUnit: 0 } }] : []),
+        ],
+        total: [{ $match: combineClauses(clauses) }, { $count: "count" }],
+        employmentType: countBy("employmentType"),
+        experienceLevel: countBy("experienceLevel"),
+        location: [...countBy("location"), { $limit: LOCATION_FACET_LIMIT }],
+        salary: [
+          { $match: combineClauses(clauses, "salary") },
+          { $match: salaryUnitMatch(unit) },
+          {
+            $bucket: {
+              groupBy: "$salary.min",
+              boundaries: [...SALARY_BUCKETS, Number.MAX_SAFE_INTEGER],
+              default: "unspecified",
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        postedDate: [
+          { $match: combineClauses(clauses, "postedDate") },
+          {
+            $group: POSTED_WITHIN_DAYS.reduce(
+              (group, days) => ({
+                ...group,
+                [`within${days}`]: {
+                  $sum: {
+                    $cond: [{ $gte: ["$publishedAt", new Date(now.getTime() - days * DAY_MS)] }, 1, 0],
+                  },
+                },
+              }),
+              { _id: null }
+            ),
+          },
+        ],
+      },
+    },
+  ];
+};
+
+/**
+ * Shape the raw $facet output into the response format
+ * @param {Object} raw - First (only) document returned by the pipeline
+ * @param {Object} params - Parsed search parameters
+ * @returns {Object} Facet counts keyed by filter name
+ */
+const formatFacets = (raw, params) => {
+  const unit = salaryUnit(params);
+  const toCounts = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+  const posted = raw.postedDate[0] || {};
+
+  return {
+    employmentType: toCounts(raw.employmentType),
+    experienceLevel: toCounts(raw.experienceLevel),
+    location: toCounts(raw.location),
+    salary: raw.salary.map(({ _id, count }) => {
+      if (_id === "unspecified") return { value: _id, count };
+
+      const next = SALARY_BUCKETS[SALARY_BUCKETS.indexOf(_id) + 1];
+      return { value: { min: _id, max: next === undefined ? null : next, ...unit }, count };
+    }),
+    postedDate: POSTED_WITHIN_DAYS.map((days) => ({
+      value: days,
+      count: posted[`within${days}`] || 0,
+    })),
+  };
+};
+
+/**
+ * Run a job search. Results are ranked, so they are paged by offset rather
+ * than with the cursor of utils/pagination.js.
+ * @param {Object} params - Parsed search parameters (see parseSearchQuery)
+ * @returns {Promise<Object>} Page for APIResponse.paginated: { items, facets, page, limit, total, totalPages, hasMore }
+ */
+export const searchJobs = async (params) => {
+  const [raw] = await Job.aggregate(buildSearchPipeline(params));
+
+  const jobs = await Job.populate(raw.results, {
+    path: "company",
+    select: "name logo verificationStatus",
+  });
+  const total = raw.total[0]?.count || 0;
+
+  return {
+    items: jobs,
+    facets: formatFacets(raw, params),
+    page: params.page,
+    limit: params.limit,
+    total,
+    totalPages: Math.ceil(total / params.limit),
+    hasMore: params.page * params.limit < total,
+  };
+};
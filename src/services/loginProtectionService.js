@@ -0,0 +1,193 @@
+import { ipKeyGenerator } from "express-rate-limit";
+import { APIError } from "../utils/index.js";
+import config from "../config/env.js";
+import logger, { loggerUtils } from "../config/logger.js";
+import User from "../models/User.js";
+import rateLimitBackend from "./rateLimit/index.js";
+import { queueEmail, accountLockedEmail } from "./emailService.js";
+
+/**
+ * Login Protection Service
+ * Brute-force protection for password logins, on top of the per-IP login
+ * rate limiter:
+ *
+ * - per account: after `freeAttempts` failures each further attempt has to
+ *   wait a doubling delay; after `maxAttempts` failures the account is locked
+ *   for `durationMs` and the owner gets an email with an unlock link
+ * - per IP: after `ipMaxAttempts` failures across any accounts the IP is
+ *   blocked from logging in for the rest of `ipWindowMs`
+ *
+ * Account counters live on the User document, IP counters in the rate limit
+ * store (see services/rateLimit).
+ */
+
+// Fields the checks below need; login selects them along with the password
+export const LOCKOUT_FIELDS = "+failedLoginAttempts +lastFailedLoginAt +lockUntil";
+
+/**
+ * Counter key for failed logins from an IP
+ * @param {string} ip - Client IP
+ * @returns {string} Counter key
+ * @private
+ */
+const ipCounterKey = (ip) => `lockout:ip:${ipKeyGenerator(ip)}`;
+
+/**
+ * Delay required before the next attempt after a number of consecutive failures
+ * @param {number} attempts - Consecutive failed attempts
+ * @param {Object} policy - Lockout policy (config.security.lockout)
+ * @returns {number} Delay in milliseconds
+ */
+export const loginDelayMs = (attempts, policy = config.security.lockout) => {
+  if (attempts <= policy.freeAttempts) {
+    return 0;
+  }
+  return Math.min(policy.baseDelayMs * 2 ** (attempts - policy.freeAttempts - 1), policy.maxDelayMs);
+};
+
+/**
+ * Reject the login before checking credentials when the IP is blocked
+ * @param {string} ip - Client IP
+ * @returns {Promise<void>}
+ * @throws {APIError} 429 when the IP has too many recent failures
+ */
+export const assertIpAllowed = async (ip) => {
+  const { ipMaxAttempts, ipWindowMs } = config.security.lockout;
+  const failures = Number(await rateLimitBackend.get(ipCounterKey(ip))) || 0;
+
+  if (failures >= ipMaxAttempts) {
+    throw APIError.fromCode("AUTH_LOGIN_THROTTLED", undefined, { retryAfter: Math.ceil(ipWindowMs / 1000) });
+  }
+};
+
+/**
+ * Reject the login before checking the password when the account is locked
+ * or still inside its progressive delay
+ * @param {Object} user - User document with LOCKOUT_FIELDS selected
+ * @param {Date} now - Current time
+ * @throws {APIError} 423 when locked, 429 when the delay has not passed
+ */
+export const assertAccountAllowed = (user, now = new Date()) => {
+  if (user.isLocked(now)) {
+    throw APIError.fromCode("AUTH_ACCOUNT_LOCKED", undefined, {
+      retryAfter: Math.ceil((user.lockUntil.getTime() - now.getTime()) / 1000),
+    });
+  }
+
+  const { attemptWindowMs } = config.security.lockout;
+  const lastFailure = user.lastFailedLoginAt?.getTime();
+  if (!lastFailure || now.getTime() - lastFailure > attemptWindowMs) {
+    return;
+  }
+
+  const waitMs = lastFailure + loginDelayMs(user.failedLoginAttempts) - now.getTime();
+  if (waitMs > 0) {
+    throw APIError.fromCode("AUTH_LOGIN_THROTTLED", undefined, { retryAfter: Math.ceil(waitMs / 1000) });
+  }
+};
+
+/**
+ * Lock an account and email the owner an unlock link
+ * @param {Object} user - User document
+ * @param {string} ip - IP of the attempt that tripped the lock
+ * @returns {Promise<void>}
+ * @private
+ */
+const lockAccount = async (user, ip) => {
+  const { durationMs, unlockTokenExpiresMs } = config.security.lockout;
+  const lockUntil = new Date(Date.now() + durationMs);
+
+  if (!(await User.lockAccount(user._id, lockUntil))) {
+    return; // Already locked by a concurrent attempt
+  }
+
+  loggerUtils.security("account_locked", "warn", {
+    userId: user.id,
+    ip,
+    attempts: user.failedLoginAttempts,
+    lockUntil: lockUntil.toISOString(),
+  });
+
+  try {
+    const token = user.createUnlockToken(unlockTokenExpiresMs);
+    await user.save();
+    await queueEmail(accountLockedEmail(user, token));
+  } catch (error) {
+    logger.error("Failed to queue account locked email", {
+      userId: user.id,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Count a failed login against the IP and, when it exists, the account
+ * @param {Object} params - { user, ip }
+ * @param {Object|null} params.user - User document, or null for unknown emails
+ * @param {string} params.ip - Client IP
+ * @returns {Promise<void>}
+ */
+export const recordFailedLogin = async ({ user, ip }) => {
+  const policy = config.security.lockout;
+
+  const key = ipCounterKey(ip);
+  // Create the counter with its expiry first, so it can never be left without one
+  await rateLimitBackend.set(key, 0, "PX", policy.ipWindowMs, "NX");
+  const ipFailures = await rateLimitBackend.incr(key);
+  if (ipFailures === policy.ipMaxAttempts) {
+    loggerUtils.security("login_ip_blocked", "warn", { ip, attempts: ipFailures });
+  }
+
+  if (!user) {
+    return;
+  }
+
+  const updated = await User.recordFailedLogin(user._id, new Date(Date.now() - policy.attemptWindowMs));
+  if (!updated) {
+    return;
+  }
+
+  const attempts = updated.failedLoginAttempts;
+  if (attempts >= policy.maxAttempts) {
+    await lockAccount(updated, ip);
+  } else if (attempts === policy.freeAttempts + 1) {
+    loggerUtils.security("login_delay_enforced", "warn", { userId: user.id, ip, attempts });
+  }
+};
+
+/**
+ * Clear the account's failure counter after a successful login
+ * @param {Object} user - User document with LOCKOUT_FIELDS selected
+ * @returns {Promise<void>}
+ */
+export const recordSuccessfulLogin = async (user) => {
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.resetFailedLogins(user._id);
+  }
+};
+
+/**
+ * Lift a lockout, from the emailed link or by an admin
+ * @param {Object} user - User document
+ * @param {Object} context - { ip, actorId } (actorId is set for admin unlocks)
+ * @returns {Promise<void>}
+ */
+export const unlockAccount = async (user, { ip, actorId = null } = {}) => {
+  await user.unlock();
+
+  loggerUtils.security("account_unlocked", "info", {
+    userId: user.id,
+    ip,
+    by: actorId ? "admin" : "email",
+    ...(actorId && { actorId }),
+  });
+};
+
+export default {
+  loginDelayMs,
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+};
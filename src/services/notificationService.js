@@ -0,0 +1,131 @@
+import { EventEmitter } from "events";
+import Notification, { NOTIFICATION_TYPES } from "../models/Notification.js";
+import { createTranslator } from "../i18n/index.js";
+import { queueEmail } from "./emailService.js";
+
+/**
+ * Notification Service
+ * Creates in-app notifications and pushes them to the user's open event
+ * streams (GET /notifications/stream). Each channel a notification type is
+ * delivered on can be turned off in the user's notificationPreferences.
+ *
+ * Streams are held in memory by the API process that accepted them, so a
+ * push only reaches streams on the process that created the notification.
+ * Clients catch up on reconnect (Last-Event-ID) or from GET /notifications.
+ */
+
+const streams = new EventEmitter();
+streams.setMaxListeners(0);
+
+/**
+ * Listen for events pushed to a user
+ * @param {string} userId - User id
+ * @param {Function} listener - Called with { event, id, data }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (userId, listener) => {
+  const key = String(userId);
+  streams.on(key, listener);
+  return () => streams.off(key, listener);
+};
+
+/**
+ * Count the event streams a user has open on this process
+ * @param {string} userId - User id
+ * @returns {number} Open streams
+ */
+export const countStreams = (userId) => {
+  return streams.listenerCount(String(userId));
+};
+
+/**
+ * Push an event to a user's open streams
+ * @param {string} userId - User id
+ * @param {string} event - Event name ("notification", "read", "close", ...)
+ * @param {Object} data - Event payload
+ * @param {string} [id] - Event id, sent back as Last-Event-ID when the stream reconnects
+ * @returns {void}
+ */
+export const publish = (userId, event, data, id) => {
+  streams.emit(String(userId), { event, id, data });
+};
+
+/**
+ * End a user's open streams on this process with a "close" event, e.g. once
+ * their sessions have been revoked. Streams on other processes end when their
+ * access token expires.
+ * @param {string} userId - User id
+ * @param {string} reason - Why the streams are closed, sent with the event
+ * @returns {void}
+ */
+export const closeStreams = (userId, reason) => {
+  publish(userId, "close", { reason });
+};
+
+/**
+ * Notify a user on every channel of the type they have not turned off: store
+ * and push the in-app notification, and queue the email when one is given
+ * @param {Object} user - User document (with locale and notificationPreferences)
+ * @param {string} type - Notification type (a key of NOTIFICATION_TYPES)
+ * @param {Object} [options] - Notification contents
+ * @param {Object} [options.params] - Values for the title and body (notifications.<type> messages)
+ * @param {string} [options.link] - Client path the notification opens
+ * @param {Object} [options.data] - Ids of the documents it is about
+ * @param {Object} [options.email] - Message for queueEmail, for types delivered by email
+ * @returns {Promise<Object|null>} Notification document, null when in-app notifications of the type are off
+ */
+export const notify = async (user, type, { params = {}, link, data, email } = {}) => {
+  const channels = NOTIFICATION_TYPES[type];
+  if (!channels) {
+    throw new Error(`Unknown notification type: ${type}`);
+  }
+
+  let notification = null;
+  if (user.wantsNotification(type, "inApp")) {
+    const t = createTranslator(user.locale);
+    notification = await Notification.create({
+      user: user._id,
+      type,
+      title: t(`notifications.${type}.title`, params),
+      body: t(`notifications.${type}.body`, params),
+      link,
+      data,
+    });
+
+    if (countStreams(user.id) > 0) {
+      const unreadCount = await Notification.countUnread(user._id);
+      publish(user.id, "notification", { notification, unreadCount }, notification.id);
+    }
+  }
+
+  if (email && channels.includes("email") && user.wantsNotification(type, "email")) {
+    await queueEmail(email);
+  }
+
+  return notification;
+};
+
+/**
+ * Mark a user's notifications read and tell their other open streams
+ * @param {string} userId - User id
+ * @param {string[]|null} [ids] - Notification ids; every unread one when null
+ * @returns {Promise<{updated: number, unreadCount: number}>} Result
+ */
+export const markNotificationsRead = async (userId, ids = null) => {
+  const { modifiedCount } = await Notification.markRead(userId, ids);
+  const unreadCount = await Notification.countUnread(userId);
+
+  if (modifiedCount > 0) {
+    publish(userId, "read", { ids: ids ?? "all", unreadCount });
+  }
+
+  return { updated: modifiedCount, unreadCount };
+};
+
+export default {
+  subscribe,
+  countStreams,
+  publish,
+  notify,
+  markNotificationsRead,
+};
@@ -0,0 +1,216 @@
+import os from "os";
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import QueueJob from "../../models/QueueJob.js";
+import { getJobDefinitions, scheduleNextRun, retryDelayMs } from "./index.js";
+
+// How often every worker makes sure the next occurrence of each cron job is queued
+const CRON_TICK_MS = 60 * 1000;
+
+/**
+ * Queue Worker
+ * Claims due jobs for the registered job names and runs up to `concurrency`
+ * of them at a time. A running job's lock is renewed while its handler runs,
+ * so a job is only taken over by another worker when this one dies.
+ *
+ * Several workers can run side by side; claims are atomic.
+ */
+class Worker {
+  /**
+   * @param {Object} [options] - Worker options
+   * @param {string} [options.id] - Worker id recorded on the jobs it holds
+   * @param {Object[]} [options.definitions] - Job definitions to run (default: every registered job)
+   * @param {number} [options.concurrency] - Jobs run at the same time
+   * @param {number} [options.pollIntervalMs] - Delay between polls when idle
+   * @param {number} [options.lockMs] - How long a claim lasts without renewal
+   */
+  constructor(options = {}) {
+    this.id = options.id ?? `${os.hostname()}:${process.pid}`;
+    this.definitions = new Map(
+      (options.definitions ?? getJobDefinitions()).map((definition) => [definition.name, definition])
+    );
+    this.concurrency = options.concurrency ?? config.queue.concurrency;
+    this.pollIntervalMs = options.pollIntervalMs ?? config.queue.pollIntervalMs;
+    this.lockMs = options.lockMs ?? config.queue.lockMs;
+
+    this.active = new Set();
+    this.stopped = true;
+    this.pollTimer = null;
+    this.cronTimer = null;
+  }
+
+  /**
+   * Start polling for jobs and scheduling cron jobs
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.stopped) {
+      return;
+    }
+    this.stopped = false;
+
+    await this.scheduleCronJobs();
+    this.cronTimer = setInterval(() => this.scheduleCronJobs(), CRON_TICK_MS);
+    this.poll();
+
+    logger.info("Queue worker started", {
+      workerId: this.id,
+      jobs: [...this.definitions.keys()],
+      concurrency: this.concurrency,
+    });
+  }
+
+  /**
+   * Stop taking new jobs and wait for the running ones to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+    clearInterval(this.cronTimer);
+
+    await Promise.allSettled(this.active);
+    logger.info("Queue worker stopped", { workerId: this.id });
+  }
+
+  /**
+   * Queue the next occurrence of every cron job
+   * @param {Date} [now] - Current time
+   * @returns {Promise<void>}
+   */
+  async scheduleCronJobs(now = new Date()) {
+    for (const definition of this.definitions.values()) {
+      if (!definition.cron) continue;
+
+      try {
+        await scheduleNextRun(definition, now);
+      } catch (error) {
+        logger.error("Failed to schedule cron job", { name: definition.name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Claim and start due jobs until every slot is busy or nothing is due,
+   * then poll again after pollIntervalMs
+   * @private
+   */
+  async poll() {
+    try {
+      while (!this.stopped && this.active.size < this.concurrency) {
+        const job = await QueueJob.claimNext([...this.definitions.keys()], this.id, new Date(), this.lockMs);
+        if (!job) break;
+
+        const run = this.process(job).finally(() => this.active.delete(run));
+        this.active.add(run);
+      }
+    } catch (error) {
+      logger.error("Failed to poll the job queue", { workerId: this.id, error: error.message });
+    }
+
+    if (!this.stopped) {
+      this.pollTimer = setTimeout(() => this.poll(), this.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - QueueJob document held by this worker
+   * @returns {Promise<void>}
+   */
+  async process(job) {
+    const definition = this.definitions.get(job.name);
+    const startedAt = Date.now();
+    const heartbeat = setInterval(() => this.renewLock(job), this.lockMs / 2);
+
+    try {
+      // Taken over after its previous worker died during the last attempt
+      if (job.attempts > job.maxAttempts) {
+        throw new Error("Worker stopped while running the job");
+      }
+
+      await definition.handler(job.data, job);
+      await this.complete(job, definition);
+
+      logger.info("Queue job completed", {
+        jobId: job.id,
+        name: job.name,
+        attempts: job.attempts,
+        durationMs: Date.now() - startedAt,
+      });
+    } catch (error) {
+      await this.fail(job, error).catch((updateError) => {
+        logger.error("Failed to record queue job failure", { jobId: job.id, error: updateError.message });
+      });
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    if (definition.cron && !this.stopped) {
+      await this.scheduleCronJobs();
+    }
+  }
+
+  /**
+   * Extend the lock on a running job
+   * @param {Object} job - QueueJob document held by this worker
+   * @private
+   */
+  async renewLock(job) {
+    try {
+      await QueueJob.updateLocked(job, { $set: { lockedUntil: new Date(Date.now() + this.lockMs) } });
+    } catch (error) {
+      logger.warn("Failed to renew queue job lock", { jobId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * Mark a job completed, or delete it when its definition says so
+   * @param {Object} job - QueueJob document held by this worker
+   * @param {Object} definition - Job definition
+   * @private
+   */
+  async complete(job, definition) {
+    if (definition.removeOnComplete) {
+      await QueueJob.deleteOne({ _id: job._id, lockedBy: job.lockedBy });
+      return;
+    }
+
+    const now = new Date();
+    await QueueJob.updateLocked(job, {
+      $set: {
+        status: "completed",
+        completedAt: now,
+        lockedBy: null,
+        lockedUntil: null,
+        expiresAt: new Date(now.getTime() + config.queue.completedRetentionMs),
+      },
+    });
+  }
+
+  /**
+   * Schedule a retry for a failed job, or dead-letter it after its last attempt
+   * @param {Object} job - QueueJob document held by this worker
+   * @param {Error} error - Failure
+   * @private
+   */
+  async fail(job, error) {
+    const now = new Date();
+    const context = { jobId: job.id, name: job.name, attempts: job.attempts, error: error.message };
+    const release = { lockedBy: null, lockedUntil: null, lastError: error.message };
+
+    if (job.attempts >= job.maxAttempts) {
+      await QueueJob.updateLocked(job, { $set: { ...release, status: "dead", failedAt: now } });
+      logger.error("Queue job moved to the dead letter queue", context);
+      return;
+    }
+
+    const delayMs = retryDelayMs(job.attempts);
+    await QueueJob.updateLocked(job, {
+      $set: { ...release, status: "pending", runAt: new Date(now.getTime() + delayMs) },
+    });
+    logger.warn("Queue job failed, retrying", { ...context, retryInMs: delayMs });
+  }
+}
+
+export default Worker;
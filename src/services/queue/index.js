@@ -0,0 +1,190 @@
+import config from "../../config/env.js";
+import logger from "../../config/logger.js";
+import QueueJob from "../../models/QueueJob.js";
+import { parseCron, nextCronDate } from "../../utils/cron.js";
+import Worker from "./Worker.js";
+
+/**
+ * Job Queue
+ * Background work is stored as QueueJob documents in MongoDB, so the API only
+ * records what has to be done and a worker process (src/worker.js) does it.
+ *
+ * - enqueue() adds a job, optionally delayed or deduplicated by a unique key
+ * - defineJob() registers the handler a worker runs for a job name, and
+ *   optionally a cron schedule that enqueues the job on every occurrence
+ * - failed jobs are retried with exponential backoff; after maxAttempts they
+ *   become "dead" and stay in the dead letter queue until retried or purged
+ */
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const definitions = new Map();
+
+/**
+ * Register the handler for a job name
+ * @param {string} name - Job name (e.g. "email.send")
+ * @param {Function} handler - async (data, job) => void; throwing fails the attempt
+ * @param {Object} [options] - Job options
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead-lettered
+ * @param {boolean} [options.removeOnComplete] - Delete the job once it succeeds (e.g. data holding secrets)
+ * @param {string} [options.cron] - Five-field UTC cron expression to run the job on
+ * @throws {Error} When the cron expression is invalid
+ */
+export const defineJob = (name, handler, options = {}) => {
+  if (options.cron) {
+    parseCron(options.cron);
+  }
+
+  definitions.set(name, {
+    name,
+    handler,
+    maxAttempts: options.maxAttempts ?? config.queue.maxAttempts,
+    removeOnComplete: options.removeOnComplete ?? false,
+    cron: options.cron ?? null,
+  });
+};
+
+/**
+ * Get every registered job definition
+ * @returns {Object[]} Job definitions
+ */
+export const getJobDefinitions = () => [...definitions.values()];
+
+/**
+ * Add a job to the queue. With a uniqueKey, enqueuing the same key again
+ * returns the existing job instead of adding another.
+ * @param {string} name - Job name
+ * @param {Object} [data] - Job data, passed to the handler
+ * @param {Object} [options] - Enqueue options
+ * @param {Date} [options.runAt] - Earliest time to run the job
+ * @param {number} [options.delayMs] - Delay before the job runs (when runAt is not given)
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead-lettered
+ * @param {string} [options.uniqueKey] - Deduplication key
+ * @returns {Promise<Object>} QueueJob document
+ */
+export const enqueue = async (name, data = {}, options = {}) => {
+  const { delayMs = 0, uniqueKey } = options;
+  const job = {
+    name,
+    data,
+    runAt: options.runAt ?? new Date(Date.now() + delayMs),
+    maxAttempts: options.maxAttempts ?? definitions.get(name)?.maxAttempts ?? config.queue.maxAttempts,
+  };
+
+  if (!uniqueKey) {
+    return QueueJob.create(job);
+  }
+
+  try {
+    return await QueueJob.findOneAndUpdate(
+      { uniqueKey },
+      { $setOnInsert: { ...job, uniqueKey } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Lost an upsert race with another process enqueuing the same key
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return QueueJob.findOne({ uniqueKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Enqueue the next occurrence of a cron job. Every worker does this, the
+ * occurrence's unique key makes sure it is only queued once.
+ * @param {Object} definition - Job definition with a cron schedule
+ * @param {Date} [after] - Find the first occurrence after this time
+ * @returns {Promise<Object>} QueueJob document
+ */
+export const scheduleNextRun = (definition, after = new Date()) => {
+  const runAt = nextCronDate(definition.cron, after);
+
+  return enqueue(definition.name, {}, {
+    runAt,
+    maxAttempts: definition.maxAttempts,
+    uniqueKey: `cron:${definition.name}:${runAt.toISOString()}`,
+  });
+};
+
+/**
+ * Delay before retrying a job that failed, doubling with every attempt up to
+ * the configured maximum. The delay is randomised between half and all of it
+ * so jobs that failed together do not retry together.
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @param {Object} [backoff] - { baseMs, maxMs }
+ * @returns {number} Delay in milliseconds
+ */
+export const retryDelayMs = (attempt, { baseMs, maxMs } = config.queue.backoff) => {
+  const delay = Math.min(baseMs * 2 ** (attempt - 1), maxMs);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * Count jobs by name and status, with the age of the oldest due job
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} [{ name, status, count, oldestAgeSeconds }]
+ */
+export const getQueueDepth = async (now = new Date()) => {
+  const groups = await QueueJob.aggregate([
+    {
+      $group: {
+        _id: { name: "$name", status: "$status" },
+        count: { $sum: 1 },
+        oldestRunAt: { $min: "$runAt" },
+      },
+    },
+    { $sort: { "_id.name": 1, "_id.status": 1 } },
+  ]);
+
+  return groups.map(({ _id, count, oldestRunAt }) => ({
+    name: _id.name,
+    status: _id.status,
+    count,
+    // Jobs scheduled for later are not waiting yet
+    oldestAgeSeconds:
+      _id.status === "pending" ? Math.max(0, Math.floor((now - oldestRunAt) / 1000)) : 0,
+  }));
+};
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {string} id - QueueJob id
+ * @returns {Promise<Object|null>} Updated job, or null when no dead job has that id
+ */
+export const retryDeadJob = (id) => {
+  return QueueJob.findOneAndUpdate(
+    { _id: id, status: "dead" },
+    { $set: { status: "pending", attempts: 0, runAt: new Date(), failedAt: null } },
+    { new: true }
+  );
+};
+
+/**
+ * Delete dead jobs that failed before a given time
+ * @param {Date} before - Cutoff
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+export const purgeDeadJobs = async (before) => {
+  const { deletedCount } = await QueueJob.deleteMany({ status: "dead", failedAt: { $lt: before } });
+
+  if (deletedCount > 0) {
+    logger.info("Purged dead queue jobs", { deletedCount, before: before.toISOString() });
+  }
+
+  return deletedCount;
+};
+
+export { Worker };
+
+export default {
+  defineJob,
+  getJobDefinitions,
+  enqueue,
+  scheduleNextRun,
+  retryDelayMs,
+  getQueueDepth,
+  retryDeadJob,
+  purgeDeadJobs,
+  Worker,
+};
@@ -0,0 +1,26 @@
+import config from "../../config/env.js";
+import { sendEmail } from "../emailService.js";
+import { runDueAlerts } from "../jobAlertService.js";
+import { defineJob, purgeDeadJobs } from "./index.js";
+
+/**
+ * Register the handlers the worker runs. Kept apart from the queue itself so
+ * the API process can enqueue jobs without loading their handlers.
+ */
+export const registerJobs = () => {
+  // Rendered messages carry one-time tokens, so they are not kept once sent
+  defineJob("email.send", (message) => sendEmail(message), { removeOnComplete: true });
+
+  // A failed run is not retried, the next occurrence picks the alerts up
+  if (config.alerts.enabled) {
+    defineJob("alerts.run", () => runDueAlerts(), { cron: config.alerts.cron, maxAttempts: 1 });
+  }
+
+  defineJob(
+    "queue.cleanup",
+    () => purgeDeadJobs(new Date(Date.now() - config.queue.deadRetentionMs)),
+    { cron: config.queue.cleanupCron, maxAttempts: 1 }
+  );
+};
+
+export default registerJobs;
@@ -0,0 +1,140 @@
+/**
+ * Memory Store
+ * Keeps rate limit counters in process memory. Counts are per process, so
+ * use a shared store (MongoDB, Redis) when running more than one instance.
+ *
+ * Every rate limit store exposes the same async subset of Redis commands, so
+ * an ioredis client can be used in place of any of them:
+ *   get(key)          -> Promise<number|string|null>
+ *   set(key, value, "PX", ms, "NX")
+ *                     -> Promise<"OK"|null>  (only creates a missing key, with a time to live)
+ *   incr(key)         -> Promise<number>
+ *   decr(key)         -> Promise<number>
+ *   pexpire(key, ms)  -> Promise<number>   (1 when set, 0 when the key is missing)
+ *   del(key)          -> Promise<number>   (number of keys removed)
+ */
+class MemoryStore {
+  /**
+   * @param {Object} options - { sweepIntervalMs }
+   */
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired counters periodically; unref so the timer never keeps the process alive
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get a live entry, removing it when expired
+   * @param {string} key - Counter key
+   * @returns {Object|undefined} { value, expiresAt }
+   * @private
+   */
+  entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Remove every expired entry
+   * @private
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get a counter value
+   * @param {string} key - Counter key
+   * @returns {Promise<number|null>} Value or null when missing
+   */
+  async get(key) {
+    return this.entry(key)?.value ?? null;
+  }
+
+  /**
+   * Create a counter with a time to live, unless it already exists
+   * (SET key value PX ms NX, the only form of SET the stores support)
+   * @param {string} key - Counter key
+   * @param {number} value - Initial value
+   * @param {string} px - "PX"
+   * @param {number} ms - Time to live in milliseconds
+   * @param {string} nx - "NX"
+   * @returns {Promise<string|null>} "OK" when created, null when the key exists
+   * @throws {Error} For other forms of SET
+   */
+  async set(key, value, px, ms, nx) {
+    if (px !== "PX" || nx !== "NX") {
+      throw new Error("Only SET key value PX ms NX is supported");
+    }
+    if (this.entry(key)) return null;
+    this.entries.set(key, { value: Number(value), expiresAt: Date.now() + ms });
+    return "OK";
+  }
+
+  /**
+   * Increment a counter, creating it without expiry when missing
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} New value
+   */
+  async incr(key) {
+    return this.add(key, 1);
+  }
+
+  /**
+   * Decrement a counter, creating it without expiry when missing
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} New value
+   */
+  async decr(key) {
+    return this.add(key, -1);
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add
+   * @returns {number} New value
+   * @private
+   */
+  add(key, amount) {
+    const entry = this.entry(key) || { value: 0, expiresAt: null };
+    entry.value += amount;
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Set a counter's time to live
+   * @param {string} key - Counter key
+   * @param {number} ms - Time to live in milliseconds
+   * @returns {Promise<number>} 1 when set, 0 when the key is missing
+   */
+  async pexpire(key, ms) {
+    const entry = this.entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + ms;
+    return 1;
+  }
+
+  /**
+   * Delete counters
+   * @param {...string} keys - Counter keys
+   * @returns {Promise<number>} Number of counters removed
+   */
+  async del(...keys) {
+    return keys.filter((key) => this.entry(key) && this.entries.delete(key)).length;
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,135 @@
+import RateLimitCounter from "../../models/RateLimitCounter.js";
+
+/**
+ * MongoDB Store
+ * Keeps rate limit counters in the RateLimitCounter collection so every
+ * instance behind a load balancer shares the same counts. Expired counters
+ * are ignored on read and removed by a TTL index.
+ *
+ * Implements the same Redis-compatible interface as MemoryStore.
+ */
+// Aggregation expression: the counter's expiry has passed
+const EXPIRED = {
+  $and: [{ $eq: [{ $type: "$expiresAt" }, "date"] }, { $lte: ["$expiresAt", "$$NOW"] }],
+};
+
+class MongoStore {
+  /**
+   * @param {mongoose.Model} model - Counter model
+   */
+  constructor(model = RateLimitCounter) {
+    this.model = model;
+  }
+
+  /**
+   * Get a counter value
+   * @param {string} key - Counter key
+   * @returns {Promise<number|null>} Value or null when missing or expired
+   */
+  async get(key) {
+    const counter = await this.model
+      .findOne({ _id: key, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+      .lean();
+    return counter ? counter.value : null;
+  }
+
+  /**
+   * Create a counter with a time to live, unless a live one exists
+   * (SET key value PX ms NX, the only form of SET the stores support).
+   * The counter and its expiry are written in one atomic upsert.
+   * @param {string} key - Counter key
+   * @param {number} value - Initial value
+   * @param {string} px - "PX"
+   * @param {number} ms - Time to live in milliseconds
+   * @param {string} nx - "NX"
+   * @returns {Promise<string|null>} "OK" when created, null when the key exists
+   * @throws {Error} For other forms of SET
+   */
+  async set(key, value, px, ms, nx) {
+    if (px !== "PX" || nx !== "NX") {
+      throw new Error("Only SET key value PX ms NX is supported");
+    }
+
+    const missing = { $or: [{ $eq: [{ $type: "$value" }, "missing"] }, EXPIRED] };
+    const previous = await this.model.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            value: { $cond: [missing, Number(value), "$value"] },
+            expiresAt: { $cond: [missing, { $add: ["$$NOW", ms] }, "$expiresAt"] },
+          },
+        },
+      ],
+      { upsert: true, new: false, lean: true }
+    );
+
+    return !previous || (previous.expiresAt && previous.expiresAt <= new Date()) ? "OK" : null;
+  }
+
+  /**
+   * Atomically add to a counter. A counter whose expiry has passed (but which
+   * the TTL monitor has not removed yet) starts again from zero without expiry.
+   * @param {string} key - Counter key
+   * @param {number} amount - Amount to add
+   * @returns {Promise<number>} New value
+   * @private
+   */
+  async add(key, amount) {
+    const counter = await this.model.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            value: { $add: [{ $cond: [EXPIRED, 0, { $ifNull: ["$value", 0] }] }, amount] },
+            expiresAt: { $cond: [EXPIRED, null, { $ifNull: ["$expiresAt", null] }] },
+          },
+        },
+      ],
+      { upsert: true, new: true, lean: true }
+    );
+
+    return counter.value;
+  }
+
+  /**
+   * Increment a counter, creating it without expiry when missing
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} New value
+   */
+  async incr(key) {
+    return this.add(key, 1);
+  }
+
+  /**
+   * Decrement a counter, creating it without expiry when missing
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} New value
+   */
+  async decr(key) {
+    return this.add(key, -1);
+  }
+
+  /**
+   * Set a counter's time to live
+   * @param {string} key - Counter key
+   * @param {number} ms - Time to live in milliseconds
+   * @returns {Promise<number>} 1 when set, 0 when the key is missing
+   */
+  async pexpire(key, ms) {
+    const result = await this.model.updateOne({ _id: key }, { expiresAt: new Date(Date.now() + ms) });
+    return result.matchedCount > 0 ? 1 : 0;
+  }
+
+  /**
+   * Delete counters
+   * @param {...string} keys - Counter keys
+   * @returns {Promise<number>} Number of counters removed
+   */
+  async del(...keys) {
+    const result = await this.model.deleteMany({ _id: { $in: keys } });
+    return result.deletedCount;
+  }
+}
+
+export default MongoStore;
@@ -0,0 +1,157 @@
+/**
+ * Sliding Window Store
+ * express-rate-limit store that counts hits with a sliding window on top of
+ * any Redis-compatible counter backend (see MemoryStore).
+ *
+ * Hits are counted in fixed windows; the count reported for a client is the
+ * current window plus the previous window weighted by how much of it still
+ * overlaps the sliding window. This avoids the burst of 2x the limit that a
+ * fixed window allows around window boundaries, with two counters per client.
+ */
+class SlidingWindowStore {
+  /**
+   * @param {Object} backend - Redis-compatible counter backend
+   * @param {Object} options - { prefix } namespacing this limiter's counters
+   */
+  constructor(backend, { prefix = "rl" } = {}) {
+    this.backend = backend;
+    this.prefix = prefix;
+    this.localKeys = false;
+    this.windowMs = 60 * 1000;
+    // Hits that may still be taken back: window -> (client key -> hits)
+    this.pending = new Map();
+  }
+
+  /**
+   * Receive the limiter options
+   * @param {Object} options - express-rate-limit options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Key of a client's counter for a fixed window
+   * @param {string} key - Client key
+   * @param {number} window - Window index
+   * @returns {string} Counter key
+   * @private
+   */
+  counterKey(key, window) {
+    return `${this.prefix}:${key}:${window}`;
+  }
+
+  /**
+   * Weigh the previous window's hits into the current count
+   * @param {number} previous - Hits in the previous window
+   * @param {number} current - Hits in the current window
+   * @param {number} now - Current time
+   * @returns {{ totalHits: number, resetTime: Date }} Client rate limit info
+   * @private
+   */
+  slide(previous, current, now) {
+    const window = Math.floor(now / this.windowMs);
+    const overlap = 1 - (now - window * this.windowMs) / this.windowMs;
+
+    return {
+      totalHits: Math.floor(previous * overlap) + current,
+      resetTime: new Date((window + 1) * this.windowMs),
+    };
+  }
+
+  /**
+   * Get a client's current hit count without counting a hit
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} { totalHits, resetTime }
+   */
+  async get(key) {
+    const now = Date.now();
+    const window = Math.floor(now / this.windowMs);
+    const [previous, current] = await Promise.all([
+      this.backend.get(this.counterKey(key, window - 1)),
+      this.backend.get(this.counterKey(key, window)),
+    ]);
+
+    return this.slide(Number(previous) || 0, Number(current) || 0, now);
+  }
+
+  /**
+   * Count a hit for a client
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} { totalHits, resetTime }
+   */
+  async increment(key) {
+    const now = Date.now();
+    const window = Math.floor(now / this.windowMs);
+    const currentKey = this.counterKey(key, window);
+
+    // Create the counter together with its expiry before counting, so it can
+    // never be left without one. A window's counter is still read as
+    // "previous" during the next window.
+    await this.backend.set(currentKey, 0, "PX", this.windowMs * 2, "NX");
+    const [current, previous] = await Promise.all([
+      this.backend.incr(currentKey),
+      this.backend.get(this.counterKey(key, window - 1)),
+    ]);
+
+    this.trackPending(key, window);
+    return this.slide(Number(previous) || 0, current, now);
+  }
+
+  /**
+   * Remember the window a hit was counted in, so decrement can take it back
+   * from there; windows that no longer count are forgotten
+   * @param {string} key - Client key
+   * @param {number} window - Window index
+   * @private
+   */
+  trackPending(key, window) {
+    for (const tracked of this.pending.keys()) {
+      if (tracked < window - 1) this.pending.delete(tracked);
+    }
+
+    const hits = this.pending.get(window) || new Map();
+    hits.set(key, (hits.get(key) || 0) + 1);
+    this.pending.set(window, hits);
+  }
+
+  /**
+   * Take back a hit (e.g. a request that should not have counted) from the
+   * window it was counted in, oldest first
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    const window = Math.floor(Date.now() / this.windowMs);
+    const counted = [window - 1, window].find((tracked) => this.pending.get(tracked)?.get(key));
+
+    // Hits from older windows no longer count
+    if (counted === undefined) return;
+
+    const hits = this.pending.get(counted);
+    if (hits.get(key) === 1) {
+      hits.delete(key);
+    } else {
+      hits.set(key, hits.get(key) - 1);
+    }
+
+    const counterKey = this.counterKey(key, counted);
+    // Don't leave a counter without expiry behind if it expired in the meantime
+    if ((await this.backend.decr(counterKey)) <= 0) {
+      await this.backend.del(counterKey);
+    }
+  }
+
+  /**
+   * Reset a client's counters
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    const window = Math.floor(Date.now() / this.windowMs);
+    for (const hits of this.pending.values()) {
+      hits.delete(key);
+    }
+    await this.backend.del(this.counterKey(key, window - 1), this.counterKey(key, window));
+  }
+}
+
+export default SlidingWindowStore;
@@ -0,0 +1,26 @@
+import config from "../../config/env.js";
+import MemoryStore from "./MemoryStore.js";
+import MongoStore from "./MongoStore.js";
+import SlidingWindowStore from "./SlidingWindowStore.js";
+
+/**
+ * Create the counter backend selected by config.rateLimit.store
+ * @returns {Object} Redis-compatible counter backend
+ * @throws {Error} When the store is unknown
+ */
+const createRateLimitBackend = () => {
+  switch (config.rateLimit.store) {
+    case "memory":
+      return new MemoryStore();
+    case "mongo":
+      return new MongoStore();
+    default:
+      throw new Error(`Unsupported rate limit store: ${config.rateLimit.store}`);
+  }
+};
+
+// Shared by every limiter; each limiter namespaces its counters with a prefix
+const rateLimitBackend = createRateLimitBackend();
+
+export { MemoryStore, MongoStore, SlidingWindowStore, createRateLimitBackend };
+export default rateLimitBackend;
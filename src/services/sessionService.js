@@ -0,0 +1,134 @@
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { APIError } from "../utils/index.js";
+import { loggerUtils } from "../config/logger.js";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { issueTokenPair, verifyRefreshToken } from "./tokenService.js";
+import { closeStreams } from "./notificationService.js";
+
+/**
+ * Session Service
+ * Persists refresh tokens so they can be rotated and revoked server-side.
+ *
+ * Every login starts a token "family". Each /auth/refresh consumes the
+ * presented token and issues its successor in the same family. Presenting a
+ * token that was already consumed means it was copied, so the whole family
+ * is revoked and the legitimate holder has to log in again.
+ */
+
+/**
+ * Persist a refresh token record and return the signed token pair
+ * @param {Object} user - User document
+ * @param {string} family - Token family
+ * @param {Object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<Object>} Token pair
+ * @private
+ */
+const persistTokenPair = async (user, family, context = {}) => {
+  const jti = uuidv4();
+  const tokens = issueTokenPair(user, { jti, family });
+  const { exp } = jwt.decode(tokens.refreshToken);
+
+  await RefreshToken.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: new Date(exp * 1000),
+    createdByIp: context.ip,
+    userAgent: context.userAgent,
+  });
+
+  return tokens;
+};
+
+/**
+ * Start a new session (token family) for a user
+ * @param {Object} user - User document
+ * @param {Object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<Object>} Token pair
+ */
+export const createSession = (user, context = {}) => {
+  return persistTokenPair(user, uuidv4(), context);
+};
+
+/**
+ * Consume a refresh token and issue its successor in the same family
+ * @param {string} refreshToken - Presented refresh token
+ * @param {Object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<{user: Object, tokens: Object}>} Authenticated user and new token pair
+ * @throws {APIError} 401 when the token is unknown, revoked or replayed
+ */
+export const rotateSession = async (refreshToken, context = {}) => {
+  const decoded = verifyRefreshToken(refreshToken);
+
+  // Atomically claim the token so two concurrent refreshes cannot both succeed
+  const record = await RefreshToken.findOneAndUpdate(
+    { jti: decoded.jti, usedAt: null, revokedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+    // A consumed token being presented again means it was copied
+    if (existing?.usedAt) {
+      await RefreshToken.revokeFamily(existing.family, "reuse_detected");
+
+      loggerUtils.security("refresh_token_reuse", "warn", {
+        userId: existing.user.toString(),
+        family: existing.family,
+        ip: context.ip,
+        userAgent: context.userAgent,
+      });
+    }
+
+    loggerUtils.auth("refresh", decoded.id, context.ip, false);
+    throw APIError.fromCode("AUTH_TOKEN_REVOKED");
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive) {
+    await RefreshToken.revokeFamily(record.family, "account_inactive");
+    loggerUtils.auth("refresh", decoded.id, context.ip, false);
+    throw APIError.fromCode("AUTH_ACCOUNT_INACTIVE");
+  }
+
+  const tokens = await persistTokenPair(user, record.family, context);
+
+  record.replacedBy = jwt.decode(tokens.refreshToken).jti;
+  await record.save();
+
+  return { user, tokens };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token identifying the session
+ * @returns {Promise<Object>} Decoded refresh token
+ */
+export const revokeSession = async (refreshToken) => {
+  const decoded = verifyRefreshToken(refreshToken);
+  await RefreshToken.revokeFamily(decoded.family, "logout");
+  return decoded;
+};
+
+/**
+ * Revoke every session a user has (log out of all devices) and end their
+ * notification streams
+ * @param {string} userId - User id
+ * @param {string} reason - Revocation reason recorded on each token
+ * @returns {Promise<void>}
+ */
+export const revokeAllSessions = async (userId, reason = "logout_all") => {
+  await RefreshToken.revokeAllForUser(userId, reason);
+  closeStreams(userId, "session_revoked");
+};
+
+export default {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,86 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+
+/**
+ * Local Disk Storage
+ * Stores uploaded files under a root directory on the local filesystem.
+ *
+ * Every storage driver exposes the same async interface so an S3-compatible
+ * driver can replace this one without touching callers:
+ *   save(key, buffer, { contentType }) -> Promise<void>
+ *   createReadStream(key)              -> Readable
+ *   exists(key)                        -> Promise<boolean>
+ *   delete(key)                        -> Promise<void>
+ */
+class LocalDiskStorage {
+  /**
+   * @param {string} rootDir - Directory files are stored under
+   */
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a storage key to an absolute path inside the root directory
+   * @param {string} key - Storage key (e.g. "resume/<userId>/<uuid>.pdf")
+   * @returns {string} Absolute path
+   * @throws {Error} When the key escapes the root directory
+   * @private
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<void>}
+   */
+  async save(key, buffer) {
+    const filePath = this.resolvePath(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+    await fsPromises.writeFile(filePath, buffer);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {ReadableStream} File stream
+   */
+  createReadStream(key) {
+    return fs.createReadStream(this.resolvePath(key));
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} Whether the file exists
+   */
+  async exists(key) {
+    try {
+      await fsPromises.access(this.resolvePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fsPromises.rm(this.resolvePath(key), { force: true });
+  }
+}
+
+export default LocalDiskStorage;
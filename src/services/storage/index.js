@@ -0,0 +1,21 @@
+import config from "../../config/env.js";
+import LocalDiskStorage from "./LocalDiskStorage.js";
+
+/**
+ * Create the storage driver selected by config.upload.driver
+ * @returns {Object} Storage driver
+ * @throws {Error} When the driver is unknown
+ */
+const createStorage = () => {
+  switch (config.upload.driver) {
+    case "local":
+      return new LocalDiskStorage(config.upload.uploadPath);
+    default:
+      throw new Error(`Unsupported storage driver: ${config.upload.driver}`);
+  }
+};
+
+const storage = createStorage();
+
+export { LocalDiskStorage, createStorage };
+export default storage;
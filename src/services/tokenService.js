@@ -0,0 +1,177 @@
+import jwt from "jsonwebtoken";
+import config from "../config/env.js";
+
+/**
+ * Token Service
+ * Issues and verifies the JWT access and refresh tokens used by the auth routes
+ */
+
+/**
+ * Build the payload embedded in an access token
+ * @param {Object} user - User document
+ * @returns {Object} Access token payload
+ */
+const buildAccessPayload = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  role: user.role,
+});
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed access token
+ */
+export const signAccessToken = (user) => {
+  return jwt.sign(buildAccessPayload(user), config.jwt.secret, {
+    expiresIn: config.jwt.expiresIn,
+  });
+};
+
+/**
+ * Sign a short-lived access token that lets an admin act as another user.
+ * It carries the admin's id, which authenticate checks and logs on every request.
+ * @param {Object} user - User being impersonated
+ * @param {Object} actor - Admin user document
+ * @returns {string} Signed access token
+ */
+export const signImpersonationToken = (user, actor) => {
+  return jwt.sign({ ...buildAccessPayload(user), impersonatedBy: actor._id.toString() }, config.jwt.secret, {
+    expiresIn: config.jwt.impersonationExpiresIn,
+  });
+};
+
+/**
+ * Sign a long-lived refresh token for a user
+ * @param {Object} user - User document
+ * @param {Object} claims - Refresh token claims
+ * @param {string} claims.jti - Unique token id
+ * @param {string} claims.family - Rotation family the token belongs to
+ * @returns {string} Signed refresh token
+ */
+export const signRefreshToken = (user, { jti, family }) => {
+  return jwt.sign(
+    { id: user._id.toString(), type: "refresh", family },
+    config.jwt.refreshSecret,
+    { expiresIn: config.jwt.refreshExpiresIn, jwtid: jti }
+  );
+};
+
+/**
+ * Issue an access + refresh token pair for a user
+ * @param {Object} user - User document
+ * @param {Object} refreshClaims - Claims for the refresh token (jti, family)
+ * @returns {{accessToken: string, refreshToken: string, tokenType: string, expiresIn: string}} Token pair
+ */
+export const issueTokenPair = (user, refreshClaims) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user, refreshClaims),
+  tokenType: "Bearer",
+  expiresIn: config.jwt.expiresIn,
+});
+
+/**
+ * Verify an access token
+ * @param {string} token - Access token
+ * @returns {Object} Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError|NotBeforeError} When the token is invalid
+ */
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  // Other tokens signed with the same secret (e.g. 2FA challenges) carry a type
+  if (decoded.type) {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  return decoded;
+};
+
+/**
+ * Sign the short-lived challenge returned by /auth/login when a user has
+ * two-factor authentication enabled; it only proves the password was right
+ * @param {Object} user - User document
+ * @returns {string} Signed challenge token
+ */
+export const signTwoFactorChallenge = (user) => {
+  return jwt.sign({ id: user._id.toString(), type: "2fa_challenge" }, config.jwt.secret, {
+    expiresIn: config.twoFactor.challengeExpiresIn,
+  });
+};
+
+// Audience of unsubscribe tokens, so they are only accepted by the unsubscribe link
+const ALERT_UNSUBSCRIBE_AUDIENCE = "alert_unsubscribe";
+
+/**
+ * Sign the token in job alert unsubscribe links. It expires after
+ * config.alerts.unsubscribeExpiresIn, so links in old emails stop working.
+ * @param {Object} savedSearch - SavedSearch document
+ * @returns {string} Signed token
+ */
+export const signAlertUnsubscribeToken = (savedSearch) => {
+  return jwt.sign({ id: savedSearch._id.toString(), type: "alert_unsubscribe" }, config.jwt.secret, {
+    audience: ALERT_UNSUBSCRIBE_AUDIENCE,
+    expiresIn: config.alerts.unsubscribeExpiresIn,
+  });
+};
+
+/**
+ * Verify a job alert unsubscribe token
+ * @param {string} token - Unsubscribe token
+ * @returns {Object} Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError} When the token is invalid or expired
+ */
+export const verifyAlertUnsubscribeToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret, { audience: ALERT_UNSUBSCRIBE_AUDIENCE });
+
+  if (decoded.type !== "alert_unsubscribe") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  return decoded;
+};
+
+/**
+ * Verify a two-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError|NotBeforeError} When the token is invalid
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, config.jwt.secret);
+
+  if (decoded.type !== "2fa_challenge") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  return decoded;
+};
+
+/**
+ * Verify a refresh token
+ * @param {string} token - Refresh token
+ * @returns {Object} Decoded payload
+ * @throws {JsonWebTokenError|TokenExpiredError|NotBeforeError} When the token is invalid
+ */
+export const verifyRefreshToken = (token) => {
+  const decoded = jwt.verify(token, config.jwt.refreshSecret);
+
+  if (decoded.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+
+  return decoded;
+};
+
+export default {
+  signAccessToken,
+  signImpersonationToken,
+  signRefreshToken,
+  issueTokenPair,
+  verifyAccessToken,
+  verifyRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signAlertUnsubscribeToken,
+  verifyAlertUnsubscribeToken,
+};
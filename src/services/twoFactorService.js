@@ -0,0 +1,252 @@
+import crypto from "crypto";
+import { APIError } from "../utils/index.js";
+import config from "../config/env.js";
+import logger, { loggerUtils } from "../config/logger.js";
+import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "../utils/totp.js";
+
+/**
+ * Two-factor Authentication Service
+ * TOTP enrollment and verification for users who opt in, or whose role the
+ * policy requires it for. Admins set the policy at runtime; it is stored as a
+ * Setting and kept in memory, so checking it on every request costs nothing.
+ *
+ * Secrets are stored AES-256-GCM encrypted with a key derived from
+ * `TWO_FACTOR_ENCRYPTION_KEY`; recovery codes are stored as SHA-256 hashes and
+ * can each be used once in place of a TOTP code.
+ */
+
+// Fields verifyCode needs; select them when loading the user
+export const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+// Setting holding the roles that must use two-factor authentication
+export const REQUIRED_ROLES_SETTING = "twoFactor.requiredRoles";
+
+// In-memory copy of the stored policy; no role is required until it is loaded
+let requiredRoles = [];
+
+/**
+ * Derive the 256-bit encryption key from the configured secret
+ * @returns {Buffer} Key
+ * @private
+ */
+const encryptionKey = () => crypto.createHash("sha256").update(config.twoFactor.encryptionKey).digest();
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} `iv.tag.ciphertext`, each base64url encoded
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join(".");
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ * @throws {Error} When the payload was tampered with or the key changed
+ */
+export const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split(".").map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Whether the policy requires a role to use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} True when enrollment is mandatory
+ */
+export const isTwoFactorRequired = (role) => requiredRoles.includes(role);
+
+/**
+ * Load the stored policy into memory
+ * @returns {Promise<string[]>} Roles that must use two-factor authentication
+ */
+export const loadTwoFactorPolicy = async () => {
+  requiredRoles = await Setting.getValue(REQUIRED_ROLES_SETTING, []);
+  return [...requiredRoles];
+};
+
+/**
+ * Load the stored policy, then reload it periodically so changes made through
+ * another instance apply here too (config.twoFactor.policyRefreshMs)
+ * @returns {Promise<NodeJS.Timeout>} Refresh timer, which does not keep the process alive
+ */
+export const watchTwoFactorPolicy = async () => {
+  await loadTwoFactorPolicy();
+
+  const timer = setInterval(() => {
+    loadTwoFactorPolicy().catch((error) => {
+      logger.error("Failed to reload the two-factor policy", { error: error.message });
+    });
+  }, config.twoFactor.policyRefreshMs);
+  timer.unref();
+
+  return timer;
+};
+
+/**
+ * Store the roles that must use two-factor authentication and apply them at once
+ * @param {string[]} roles - Roles
+ * @param {string} actorId - Id of the admin making the change
+ * @returns {Promise<string[]>} The roles required before the change
+ */
+export const setRequiredRoles = async (roles, actorId) => {
+  const previous = await Setting.getValue(REQUIRED_ROLES_SETTING, []);
+
+  await Setting.setValue(REQUIRED_ROLES_SETTING, roles, actorId);
+  requiredRoles = [...roles];
+
+  return previous;
+};
+
+/**
+ * Start enrollment: generate a secret and keep it pending until the user
+ * proves their authenticator works. Calling it again replaces the pending secret.
+ * @param {Object} user - User document
+ * @returns {Promise<{secret: string, otpauthUrl: string}>} Secret for manual entry and provisioning URI for the QR code
+ * @throws {APIError} 409 when two-factor authentication is already on
+ */
+export const startSetup = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw APIError.fromCode("TWO_FACTOR_ALREADY_ENABLED");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({ secret, account: user.email, issuer: config.twoFactor.issuer }),
+  };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator
+ * @param {Object} user - User document with +twoFactorPendingSecret selected
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]>} Recovery codes, shown to the user only this once
+ * @throws {APIError} When already enabled, setup was not started or the code is wrong
+ */
+export const enable = async (user, code) => {
+  if (user.twoFactorEnabled) {
+    throw APIError.fromCode("TWO_FACTOR_ALREADY_ENABLED");
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw APIError.fromCode("TWO_FACTOR_SETUP_NOT_STARTED");
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) {
+    throw APIError.fromCode("TWO_FACTOR_CODE_INVALID");
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.createRecoveryCodes(config.twoFactor.recoveryCodeCount);
+  await user.save();
+
+  loggerUtils.security("two_factor_enabled", "info", { userId: user.id });
+
+  return recoveryCodes;
+};
+
+/**
+ * Check a second factor: a TOTP code (each time step is accepted once) or an
+ * unused recovery code, which is consumed
+ * @param {Object} user - User document with TWO_FACTOR_FIELDS selected
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<{method: string, remainingRecoveryCodes: number}>} How the user verified
+ * @throws {APIError} 401 when the code is wrong or already used
+ */
+export const verifyCode = async (user, code) => {
+  if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+    throw APIError.fromCode("TWO_FACTOR_NOT_ENABLED");
+  }
+
+  const remaining = user.twoFactorRecoveryCodes?.length ?? 0;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step !== null) {
+    if (await User.consumeTotpStep(user._id, step)) {
+      return { method: "totp", remainingRecoveryCodes: remaining };
+    }
+    loggerUtils.security("two_factor_code_replayed", "warn", { userId: user.id });
+    throw APIError.fromCode("TWO_FACTOR_CODE_INVALID");
+  }
+
+  if (await User.consumeRecoveryCode(user._id, code)) {
+    loggerUtils.security("two_factor_recovery_code_used", "warn", {
+      userId: user.id,
+      remainingRecoveryCodes: remaining - 1,
+    });
+    return { method: "recovery_code", remainingRecoveryCodes: remaining - 1 };
+  }
+
+  throw APIError.fromCode("TWO_FACTOR_CODE_INVALID");
+};
+
+/**
+ * Replace the recovery codes, invalidating the old ones
+ * @param {Object} user - User document with TWO_FACTOR_FIELDS selected
+ * @param {string} code - Current TOTP or recovery code
+ * @returns {Promise<string[]>} New recovery codes
+ */
+export const regenerateRecoveryCodes = async (user, code) => {
+  await verifyCode(user, code);
+
+  const recoveryCodes = user.createRecoveryCodes(config.twoFactor.recoveryCodeCount);
+  await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes });
+
+  loggerUtils.security("two_factor_recovery_codes_regenerated", "info", { userId: user.id });
+
+  return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {Object} user - User document with +password and TWO_FACTOR_FIELDS selected
+ * @param {Object} params - { password, code }
+ * @returns {Promise<void>}
+ * @throws {APIError} 403 when the role requires it, 401 on a wrong password or code
+ */
+export const disable = async (user, { password, code }) => {
+  if (isTwoFactorRequired(user.role)) {
+    throw APIError.fromCode("TWO_FACTOR_REQUIRED_BY_POLICY");
+  }
+
+  if (!(await user.comparePassword(password))) {
+    throw APIError.fromCode("AUTH_INVALID_CREDENTIALS");
+  }
+
+  await verifyCode(user, code);
+  await user.disableTwoFactor();
+
+  loggerUtils.security("two_factor_disabled", "warn", { userId: user.id });
+};
+
+export default {
+  encryptSecret,
+  decryptSecret,
+  isTwoFactorRequired,
+  loadTwoFactorPolicy,
+  watchTwoFactorPolicy,
+  setRequiredRoles,
+  startSetup,
+  enable,
+  verifyCode,
+  regenerateRecoveryCodes,
+  disable,
+};
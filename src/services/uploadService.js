@@ -0,0 +1,132 @@
+import { v4 as uuidv4 } from "uuid";
+import config from "../config/env.js";
+import logger from "../config/logger.js";
+import { hasPermission } from "../config/roles.js";
+import { APIError } from "../utils/index.js";
+import { detectFileType } from "../utils/fileType.js";
+import storage from "./storage/index.js";
+import Upload, { UPLOAD_PURPOSES } from "../models/Upload.js";
+import Job from "../models/Job.js";
+import Application from "../models/Application.js";
+import Conversation from "../models/Conversation.js";
+
+/**
+ * Upload Service
+ * Validates uploaded files by content, stores them through the configured
+ * storage driver and records their metadata and ownership.
+ */
+
+/**
+ * Build the public download URL of an upload
+ * @param {Object} upload - Upload document
+ * @returns {string} Download URL
+ */
+export const buildDownloadUrl = (upload) => {
+  return `${config.server.publicUrl}${config.api.prefix}/${config.api.version}/uploads/${upload.id}/download`;
+};
+
+/**
+ * Validate and store an uploaded file
+ * @param {Object} params - Upload parameters
+ * @param {Object} params.file - Multer file (memory storage)
+ * @param {string} params.owner - Id of the uploading user
+ * @param {string} params.purpose - Upload purpose (see UPLOAD_PURPOSES)
+ * @param {string} [params.company] - Company the file belongs to
+ * @param {string} [params.conversation] - Conversation a message attachment is sent in
+ * @returns {Promise<Object>} Upload document
+ * @throws {APIError} 415 when the content is not an accepted type for the purpose
+ */
+export const storeUpload = async ({ file, owner, purpose, company, conversation }) => {
+  const detected = detectFileType(file.buffer);
+  const accepted = (UPLOAD_PURPOSES[purpose] || []).filter(type =>
+    config.upload.allowedTypes.includes(type)
+  );
+
+  if (!detected || !accepted.includes(detected.mimeType)) {
+    logger.warn("Rejected upload with unexpected content", {
+      owner,
+      purpose,
+      claimedType: file.mimetype,
+      detectedType: detected?.mimeType || "unknown",
+    });
+    throw APIError.fromCode("FILE_TYPE_NOT_ALLOWED", `File must be one of: ${accepted.join(", ")}`, {
+      accepted,
+    });
+  }
+
+  const storageKey = `${purpose}/${owner}/${uuidv4()}${detected.extension}`;
+  await storage.save(storageKey, file.buffer, { contentType: detected.mimeType });
+
+  try {
+    return await Upload.create({
+      owner,
+      purpose,
+      company,
+      conversation,
+      storageKey,
+      originalName: file.originalname,
+      mimeType: detected.mimeType,
+      size: file.size,
+    });
+  } catch (error) {
+    await storage.delete(storageKey);
+    throw error;
+  }
+};
+
+/**
+ * Delete an upload's file and its record
+ * @param {Object} upload - Upload document
+ * @returns {Promise<void>}
+ */
+export const removeUpload = async (upload) => {
+  await storage.delete(upload.storageKey);
+  await upload.deleteOne();
+};
+
+/**
+ * Check whether a user may download an upload. Company logos are public;
+ * resumes are readable by their owner, admins, and the members of companies
+ * with a job the owner has an application to that was not withdrawn (the users
+ * who can review it, see Job#isManagedBy);
+ * message attachments by the participants of the conversation and admins.
+ * @param {Object} upload - Upload document
+ * @param {Object} [user] - Authenticated user
+ * @returns {Promise<boolean>} Whether the download is allowed
+ */
+export const canDownload = async (upload, user) => {
+  if (upload.isPublic) return true;
+  if (!user) return false;
+  if (upload.isOwnedBy(user.id) || hasPermission(user.role, "uploads:read_any")) return true;
+
+  if (upload.purpose === "resume") {
+    const jobs = await Job.find(await Job.managedFilter(user.id)).distinct("_id");
+    return Boolean(
+      await Application.exists({ applicant: upload.owner, job: { $in: jobs }, status: { $ne: "withdrawn" } })
+    );
+  }
+
+  if (upload.purpose === "message_attachment") {
+    const conversation = await Conversation.findById(upload.conversation).select("job applicant");
+    return Boolean(conversation && (await conversation.isParticipant(user.id)));
+  }
+
+  return false;
+};
+
+/**
+ * Open an upload's file for reading
+ * @param {Object} upload - Upload document
+ * @returns {ReadableStream} File stream
+ */
+export const openUpload = (upload) => {
+  return storage.createReadStream(upload.storageKey);
+};
+
+export default {
+  buildDownloadUrl,
+  storeUpload,
+  removeUpload,
+  canDownload,
+  openUpload,
+};
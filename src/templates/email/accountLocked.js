@@ -0,0 +1,38 @@
+import { escapeHtml } from "./helpers.js";
+import { createTranslator } from "../../i18n/index.js";
+
+/**
+ * Account locked template
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient display name
+ * @param {string} params.unlockUrl - Link that unlocks the account
+ * @param {number} params.lockedForMinutes - Minutes until the lock expires on its own
+ * @param {string} [params.locale] - Recipient locale
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const accountLocked = ({ name, unlockUrl, lockedForMinutes, locale }) => {
+  const t = createTranslator(locale);
+
+  return {
+    subject: t("email.accountLocked.subject"),
+    html: `
+    <p>${t.html("email.greeting", { name })}</p>
+    <p>${t.html("email.accountLocked.intro")}</p>
+    <p><a href="${escapeHtml(unlockUrl)}">${t.html("email.accountLocked.action")}</a></p>
+    <p>${t.html("email.accountLocked.expiry", { count: lockedForMinutes })}</p>
+    <p>${t.html("email.signature")}</p>
+  `,
+    text: [
+      t("email.greeting", { name }),
+      "",
+      t("email.accountLocked.intro"),
+      unlockUrl,
+      "",
+      t("email.accountLocked.expiry", { count: lockedForMinutes }),
+      "",
+      t("email.signature"),
+    ].join("\n"),
+  };
+};
+
+export default accountLocked;
@@ -0,0 +1,46 @@
+import { escapeHtml } from "./helpers.js";
+import { createTranslator } from "../../i18n/index.js";
+
+/**
+ * Application status changed template, sent to the applicant
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient display name
+ * @param {string} params.jobTitle - Title of the job applied to
+ * @param {string} params.company - Company name
+ * @param {string} params.status - New application status
+ * @param {string} [params.note] - Note the employer left with the change
+ * @param {string} params.applicationUrl - Link to the application
+ * @param {string} [params.locale] - Recipient locale
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const applicationStatusChanged = ({ name, jobTitle, company, status, note, applicationUrl, locale }) => {
+  const t = createTranslator(locale);
+  const vars = { jobTitle, company, status: t(`applicationStatuses.${status}`) };
+  const detailsKey = `email.applicationStatusChanged.details.${status}`;
+  const details = t.has(detailsKey) ? t(detailsKey) : null;
+
+  return {
+    subject: t("email.applicationStatusChanged.subject", vars),
+    html: `
+    <p>${t.html("email.greeting", { name })}</p>
+    <p>${t.html("email.applicationStatusChanged.intro", vars)}</p>
+    ${details ? `<p>${escapeHtml(details)}</p>` : ""}
+    ${note ? `<p>${t.html("email.applicationStatusChanged.note")}</p>\n    <blockquote>${escapeHtml(note)}</blockquote>` : ""}
+    <p><a href="${escapeHtml(applicationUrl)}">${t.html("email.applicationStatusChanged.action")}</a></p>
+    <p>${t.html("email.signature")}</p>
+  `,
+    text: [
+      t("email.greeting", { name }),
+      "",
+      t("email.applicationStatusChanged.intro", vars),
+      ...(details ? ["", details] : []),
+      ...(note ? ["", t("email.applicationStatusChanged.note"), note] : []),
+      "",
+      `${t("email.applicationStatusChanged.action")}: ${applicationUrl}`,
+      "",
+      t("email.signature"),
+    ].join("\n"),
+  };
+};
+
+export default applicationStatusChanged;
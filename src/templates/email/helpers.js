@@ -0,0 +1,34 @@
+/**
+ * Escape a value for safe interpolation into an HTML email body
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Format a date and time for the recipient, e.g. "Monday, 6 January 2025 at 10:30"
+ * @param {Date|string} date - Date to format
+ * @param {string} locale - Recipient locale
+ * @param {string} timeZone - IANA time zone to show the time in
+ * @returns {string} Formatted date and time, with the time zone name
+ */
+export const formatDateTime = (date, locale, timeZone) => {
+  const formatted = new Intl.DateTimeFormat(locale, {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone,
+  }).format(new Date(date));
+
+  return `${formatted} (${timeZone})`;
+};
+
+export default {
+  escapeHtml,
+  formatDateTime,
+};
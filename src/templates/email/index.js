@@ -0,0 +1,93 @@
+import { resolveLocale } from "../../i18n/index.js";
+import verifyEmail from "./verifyEmail.js";
+import passwordReset from "./passwordReset.js";
+import accountLocked from "./accountLocked.js";
+import jobAlert from "./jobAlert.js";
+import applicationStatusChanged from "./applicationStatusChanged.js";
+import interviewInvite from "./interviewInvite.js";
+
+const SAMPLE_URL = "https://career-sewa.example.com";
+
+/**
+ * Email templates by name. Each renders { subject, html, text } in the given
+ * locale; `sample` holds the parameters used by the GET /dev/mail previews.
+ */
+export const EMAIL_TEMPLATES = Object.freeze({
+  verifyEmail: {
+    render: verifyEmail,
+    sample: { name: "Sita Sharma", verificationUrl: `${SAMPLE_URL}/verify-email/sample`, expiresInHours: 24 },
+  },
+  passwordReset: {
+    render: passwordReset,
+    sample: { name: "Sita Sharma", resetUrl: `${SAMPLE_URL}/reset-password/sample`, expiresInMinutes: 60 },
+  },
+  accountLocked: {
+    render: accountLocked,
+    sample: { name: "Sita Sharma", unlockUrl: `${SAMPLE_URL}/unlock/sample`, lockedForMinutes: 30 },
+  },
+  jobAlert: {
+    render: jobAlert,
+    sample: {
+      name: "Sita Sharma",
+      searchName: "Remote Node.js",
+      jobs: [
+        { title: "Backend Engineer", company: "Himal Tech", location: "Kathmandu", url: `${SAMPLE_URL}/jobs/1` },
+        { title: "Node.js Developer", company: "Everest Labs", location: "Remote", url: `${SAMPLE_URL}/jobs/2` },
+      ],
+      total: 5,
+      searchUrl: `${SAMPLE_URL}/saved-searches/1`,
+      unsubscribeUrl: `${SAMPLE_URL}/unsubscribe/sample`,
+    },
+  },
+  applicationStatusChanged: {
+    render: applicationStatusChanged,
+    sample: {
+      name: "Sita Sharma",
+      jobTitle: "Backend Engineer",
+      company: "Himal Tech",
+      status: "shortlisted",
+      note: "Thanks for applying, we enjoyed reading your cover letter.",
+      applicationUrl: `${SAMPLE_URL}/applications/1`,
+    },
+  },
+  interviewInvite: {
+    render: interviewInvite,
+    sample: {
+      name: "Sita Sharma",
+      jobTitle: "Backend Engineer",
+      company: "Himal Tech",
+      interview: {
+        scheduledAt: new Date("2025-01-06T04:45:00Z"),
+        timeZone: "Asia/Kathmandu",
+        durationMinutes: 45,
+        location: "Himal Tech office, Baluwatar",
+        meetingUrl: "https://meet.example.com/abc-defg-hij",
+        notes: "Please bring a copy of your CV.",
+      },
+      applicationUrl: `${SAMPLE_URL}/applications/1`,
+    },
+  },
+});
+
+/**
+ * Render a named email template
+ * @param {string} name - Template name (a key of EMAIL_TEMPLATES)
+ * @param {Object} params - Template parameters
+ * @param {string} [locale] - Recipient locale; unsupported locales use the default
+ * @returns {{subject: string, html: string, text: string, template: string, locale: string}} Rendered email
+ * @throws {Error} When the template does not exist
+ */
+export const renderEmail = (name, params, locale) => {
+  if (!Object.hasOwn(EMAIL_TEMPLATES, name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const template = EMAIL_TEMPLATES[name];
+  const resolved = resolveLocale(locale);
+  return { ...template.render({ ...params, locale: resolved }), template: name, locale: resolved };
+};
+
+export default {
+  EMAIL_TEMPLATES,
+  renderEmail,
+};
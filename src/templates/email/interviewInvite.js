@@ -0,0 +1,54 @@
+import { escapeHtml, formatDateTime } from "./helpers.js";
+import { createTranslator } from "../../i18n/index.js";
+
+/**
+ * Interview invitation template, sent to the applicant
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient display name
+ * @param {string} params.jobTitle - Title of the job applied to
+ * @param {string} params.company - Company name
+ * @param {Object} params.interview - { scheduledAt, timeZone, durationMinutes, location, meetingUrl, notes }
+ * @param {string} params.applicationUrl - Link to the application
+ * @param {string} [params.locale] - Recipient locale
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const interviewInvite = ({ name, jobTitle, company, interview, applicationUrl, locale }) => {
+  const t = createTranslator(locale);
+  const { scheduledAt, timeZone, durationMinutes, location, meetingUrl, notes } = interview;
+
+  const details = [
+    t("email.interviewInvite.when", { date: formatDateTime(scheduledAt, t.locale, timeZone) }),
+    ...(durationMinutes ? [t("email.interviewInvite.duration", { count: durationMinutes })] : []),
+    ...(location ? [t("email.interviewInvite.location", { location })] : []),
+  ];
+
+  return {
+    subject: t("email.interviewInvite.subject", { jobTitle, company }),
+    html: `
+    <p>${t.html("email.greeting", { name })}</p>
+    <p>${t.html("email.interviewInvite.intro", { jobTitle, company })}</p>
+    <ul>
+      ${details.map((line) => `<li>${escapeHtml(line)}</li>`).join("\n      ")}
+      ${meetingUrl ? `<li><a href="${escapeHtml(meetingUrl)}">${t.html("email.interviewInvite.meeting")}</a></li>` : ""}
+    </ul>
+    ${notes ? `<p>${t.html("email.interviewInvite.notes")}</p>\n    <blockquote>${escapeHtml(notes)}</blockquote>` : ""}
+    <p><a href="${escapeHtml(applicationUrl)}">${t.html("email.interviewInvite.action")}</a></p>
+    <p>${t.html("email.signature")}</p>
+  `,
+    text: [
+      t("email.greeting", { name }),
+      "",
+      t("email.interviewInvite.intro", { jobTitle, company }),
+      "",
+      ...details,
+      ...(meetingUrl ? [t("email.interviewInvite.meetingText", { url: meetingUrl })] : []),
+      ...(notes ? ["", t("email.interviewInvite.notes"), notes] : []),
+      "",
+      `${t("email.interviewInvite.action")}: ${applicationUrl}`,
+      "",
+      t("email.signature"),
+    ].join("\n"),
+  };
+};
+
+export default interviewInvite;
@@ -0,0 +1,52 @@
+import { escapeHtml } from "./helpers.js";
+import { createTranslator } from "../../i18n/index.js";
+
+/**
+ * Job alert digest template
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient display name
+ * @param {string} params.searchName - Name of the saved search
+ * @param {Object[]} params.jobs - Matching jobs ({ title, company, location, url })
+ * @param {number} params.total - Number of matches (may exceed jobs.length)
+ * @param {string} params.searchUrl - Link to all results of the saved search
+ * @param {string} params.unsubscribeUrl - Link that turns the alert off
+ * @param {string} [params.locale] - Recipient locale
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const jobAlert = ({ name, searchName, jobs, total, searchUrl, unsubscribeUrl, locale }) => {
+  const t = createTranslator(locale);
+  const more = total > jobs.length ? total - jobs.length : 0;
+
+  return {
+    subject: t("email.jobAlert.subject", { count: total, searchName }),
+    html: `
+    <p>${t.html("email.greeting", { name })}</p>
+    <p>${t.html("email.jobAlert.summary", { count: total, searchName })}:</p>
+    <ul>
+      ${jobs
+        .map(
+          (job) =>
+            `<li><a href="${escapeHtml(job.url)}">${escapeHtml(job.title)}</a> — ${escapeHtml(job.company)}, ${escapeHtml(job.location)}</li>`
+        )
+        .join("\n      ")}
+    </ul>
+    ${more ? `<p><a href="${escapeHtml(searchUrl)}">${t.html("email.jobAlert.more", { count: more })}</a></p>` : ""}
+    <p>${t.html("email.signature")}</p>
+    <p style="font-size: 12px; color: #666;">${t.html("email.jobAlert.reason")} <a href="${escapeHtml(unsubscribeUrl)}">${t.html("email.jobAlert.unsubscribe")}</a></p>
+  `,
+    text: [
+      t("email.greeting", { name }),
+      "",
+      `${t("email.jobAlert.summary", { count: total, searchName })}:`,
+      "",
+      ...jobs.map((job) => `- ${t("email.jobAlert.job", job)}\n  ${job.url}`),
+      ...(more ? ["", `${t("email.jobAlert.more", { count: more })}: ${searchUrl}`] : []),
+      "",
+      t("email.signature"),
+      "",
+      t("email.jobAlert.unsubscribeText", { url: unsubscribeUrl }),
+    ].join("\n"),
+  };
+};
+
+export default jobAlert;
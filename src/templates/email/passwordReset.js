@@ -0,0 +1,38 @@
+import { escapeHtml } from "./helpers.js";
+import { createTranslator } from "../../i18n/index.js";
+
+/**
+ * Password reset template
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient display name
+ * @param {string} params.resetUrl - Link to the password reset page
+ * @param {number} params.expiresInMinutes - Minutes until the link expires
+ * @param {string} [params.locale] - Recipient locale
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const passwordReset = ({ name, resetUrl, expiresInMinutes, locale }) => {
+  const t = createTranslator(locale);
+
+  return {
+    subject: t("email.passwordReset.subject"),
+    html: `
+    <p>${t.html("email.greeting", { name })}</p>
+    <p>${t.html("email.passwordReset.intro")}</p>
+    <p><a href="${escapeHtml(resetUrl)}">${t.html("email.passwordReset.action")}</a></p>
+    <p>${t.html("email.passwordReset.expiry", { count: expiresInMinutes })}</p>
+    <p>${t.html("email.signature")}</p>
+  `,
+    text: [
+      t("email.greeting", { name }),
+      "",
+      t("email.passwordReset.intro"),
+      resetUrl,
+      "",
+      t("email.passwordReset.expiry", { count: expiresInMinutes }),
+      "",
+      t("email.signature"),
+    ].join("\n"),
+  };
+};
+
+export default passwordReset;
@@ -0,0 +1,38 @@
+import { escapeHtml } from "./helpers.js";
+import { createTranslator } from "../../i18n/index.js";
+
+/**
+ * Email verification template
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient display name
+ * @param {string} params.verificationUrl - Link that verifies the address
+ * @param {number} params.expiresInHours - Hours until the link expires
+ * @param {string} [params.locale] - Recipient locale
+ * @returns {{subject: string, html: string, text: string}} Rendered email
+ */
+const verifyEmail = ({ name, verificationUrl, expiresInHours, locale }) => {
+  const t = createTranslator(locale);
+
+  return {
+    subject: t("email.verifyEmail.subject"),
+    html: `
+    <p>${t.html("email.greeting", { name })}</p>
+    <p>${t.html("email.verifyEmail.intro")}</p>
+    <p><a href="${escapeHtml(verificationUrl)}">${t.html("email.verifyEmail.action")}</a></p>
+    <p>${t.html("email.verifyEmail.expiry", { count: expiresInHours })}</p>
+    <p>${t.html("email.signature")}</p>
+  `,
+    text: [
+      t("email.greeting", { name }),
+      "",
+      t("email.verifyEmail.intro"),
+      verificationUrl,
+      "",
+      t("email.verifyEmail.expiry", { count: expiresInHours }),
+      "",
+      t("email.signature"),
+    ].join("\n"),
+  };
+};
+
+export default verifyEmail;
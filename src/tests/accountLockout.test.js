@@ -0,0 +1,134 @@
+import crypto from "crypto";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import config from "../config/env.js";
+import User from "../models/User.js";
+import { APIError } from "../utils/index.js";
+import rateLimitBackend from "../services/rateLimit/index.js";
+import {
+  loginDelayMs,
+  assertIpAllowed,
+  assertAccountAllowed,
+  recordFailedLogin,
+} from "../services/loginProtectionService.js";
+import { buildUser } from "./helpers/fixtures.js";
+
+const policy = config.security.lockout;
+
+/**
+ * Capture the error thrown by a function
+ * @param {Function} fn - Function expected to throw
+ * @returns {any} Thrown error
+ */
+const thrownBy = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+};
+
+describe("Progressive login delays", () => {
+  it("should allow the free attempts, then double the delay up to the maximum", () => {
+    expect(loginDelayMs(policy.freeAttempts)).toBe(0);
+    expect(loginDelayMs(policy.freeAttempts + 1)).toBe(policy.baseDelayMs);
+    expect(loginDelayMs(policy.freeAttempts + 2)).toBe(policy.baseDelayMs * 2);
+    expect(loginDelayMs(policy.freeAttempts + 3)).toBe(policy.baseDelayMs * 4);
+    expect(loginDelayMs(100)).toBe(policy.maxDelayMs);
+  });
+
+  it("should throttle attempts made before the delay has passed", () => {
+    const now = new Date();
+    const user = buildUser({
+      failedLoginAttempts: policy.freeAttempts + 2,
+      lastFailedLoginAt: new Date(now.getTime() - 500),
+    });
+
+    const error = thrownBy(() => assertAccountAllowed(user, now));
+
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.code).toBe("AUTH_LOGIN_THROTTLED");
+    expect(error.details.retryAfter).toBe(Math.ceil((policy.baseDelayMs * 2 - 500) / 1000));
+    expect(() => assertAccountAllowed(user, new Date(now.getTime() + policy.baseDelayMs * 2))).not.toThrow();
+  });
+
+  it("should ignore failures older than the attempt window", () => {
+    const now = new Date();
+    const user = buildUser({
+      failedLoginAttempts: policy.maxAttempts - 1,
+      lastFailedLoginAt: new Date(now.getTime() - policy.attemptWindowMs - 1),
+    });
+
+    expect(() => assertAccountAllowed(user, now)).not.toThrow();
+  });
+});
+
+describe("Account lockout", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should reject locked accounts with 423 until the lock expires", () => {
+    const now = new Date();
+    const user = buildUser({ lockUntil: new Date(now.getTime() + 60 * 1000) });
+
+    const error = thrownBy(() => assertAccountAllowed(user, now));
+
+    expect(error.statusCode).toBe(423);
+    expect(error.code).toBe("AUTH_ACCOUNT_LOCKED");
+    expect(error.details.retryAfter).toBe(60);
+    expect(user.isLocked(new Date(now.getTime() + 60 * 1000))).toBe(false);
+  });
+
+  it("should lock the account once the maximum is reached", async () => {
+    const user = buildUser();
+    const updated = buildUser({ _id: user._id, failedLoginAttempts: policy.maxAttempts });
+    jest.spyOn(User, "recordFailedLogin").mockResolvedValue(updated);
+    const lockAccount = jest.spyOn(User, "lockAccount").mockResolvedValue(false);
+
+    await recordFailedLogin({ user, ip: "203.0.113.7" });
+
+    expect(User.recordFailedLogin).toHaveBeenCalledWith(user._id, expect.any(Date));
+    expect(lockAccount).toHaveBeenCalledWith(user._id, expect.any(Date));
+    expect(lockAccount.mock.calls[0][1].getTime()).toBeGreaterThan(Date.now() + policy.durationMs - 1000);
+  });
+
+  it("should store only a hash of the unlock token", () => {
+    const user = buildUser();
+
+    const token = user.createUnlockToken(60 * 1000);
+
+    expect(user.accountUnlockToken).toBe(crypto.createHash("sha256").update(token).digest("hex"));
+    expect(user.accountUnlockExpires.getTime()).toBeGreaterThan(Date.now());
+    expect(user.toJSON().accountUnlockToken).toBeUndefined();
+  });
+});
+
+describe("IP blocking", () => {
+  it("should block an IP after too many failures across accounts", async () => {
+    const ip = "198.51.100.23";
+
+    for (let attempt = 0; attempt < policy.ipMaxAttempts; attempt++) {
+      await recordFailedLogin({ user: null, ip });
+    }
+
+    await expect(assertIpAllowed(ip)).rejects.toMatchObject({ code: "AUTH_LOGIN_THROTTLED" });
+    await expect(assertIpAllowed("198.51.100.24")).resolves.toBeUndefined();
+  });
+
+  it("should forget an IP's failures after the IP window", async () => {
+    await recordFailedLogin({ user: null, ip: "198.51.100.25" });
+
+    const counter = rateLimitBackend.entries.get("lockout:ip:198.51.100.25");
+    expect(counter.value).toBe(1);
+    expect(counter.expiresAt).toBeGreaterThan(Date.now() + policy.ipWindowMs - 1000);
+  });
+});
+
+describe("Unlock routes", () => {
+  it("should require an admin to unlock users", async () => {
+    await request(app).post("/api/v1/admin/users/507f1f77bcf86cd799439011/unlock").expect(401);
+  });
+});
@@ -0,0 +1,158 @@
+import request from "supertest";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import QueueJob from "../models/QueueJob.js";
+import { loggerUtils } from "../config/logger.js";
+import { signAccessToken, verifyAccessToken } from "../services/tokenService.js";
+import { buildUser } from "./helpers/fixtures.js";
+
+/**
+ * Make User.findById resolve the given users, whether awaited directly or after .select()
+ * @param {...Object} users - User documents
+ */
+const mockUsers = (...users) => {
+  jest.spyOn(User, "findById").mockImplementation((id) => {
+    const user = users.find((candidate) => candidate.id === String(id)) ?? null;
+    const result = Promise.resolve(user);
+    return { select: () => result, then: (resolve, reject) => result.then(resolve, reject) };
+  });
+};
+
+describe("Admin User Management", () => {
+  const admin = buildUser({ role: "admin" });
+  const seeker = buildUser({ role: "job_seeker" });
+  const adminToken = signAccessToken(admin);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should be restricted to admins", async () => {
+    mockUsers(seeker);
+
+    await request(app).get("/api/v1/admin/users").expect(401);
+    const response = await request(app)
+      .get("/api/v1/admin/users")
+      .set("Authorization", `Bearer ${signAccessToken(seeker)}`)
+      .expect(403);
+
+    expect(response.body.code).toBe("AUTH_PERMISSION_DENIED");
+  });
+
+  it("should validate role changes", async () => {
+    mockUsers(admin, seeker);
+
+    await request(app)
+      .patch(`/api/v1/admin/users/${seeker.id}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "superuser" })
+      .expect(422);
+  });
+
+  it("should not let admins change their own role or deactivate themselves", async () => {
+    mockUsers(admin);
+
+    await request(app)
+      .patch(`/api/v1/admin/users/${admin.id}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "job_seeker" })
+      .expect(403);
+    await request(app)
+      .post(`/api/v1/admin/users/${admin.id}/deactivate`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(403);
+  });
+
+  it("should revoke sessions with a stored revocation reason", async () => {
+    const target = buildUser({ role: "employer" });
+    mockUsers(admin, target);
+    jest.spyOn(User.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(QueueJob, "create").mockResolvedValue({});
+    const revoke = jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+    const allowedReasons = RefreshToken.schema.path("revokedReason").enumValues;
+
+    await request(app)
+      .post(`/api/v1/admin/users/${target.id}/deactivate`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Spam postings" })
+      .expect(200);
+    await request(app)
+      .post(`/api/v1/admin/users/${target.id}/force-password-reset`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Compromised account" })
+      .expect(200);
+
+    const reasons = revoke.mock.calls.map(([, update]) => update.revokedReason);
+    expect(reasons).toEqual(["account_inactive", "password_reset"]);
+    reasons.forEach((reason) => expect(allowedReasons).toContain(reason));
+  });
+
+  it("should search names and emails literally", () => {
+    const filter = User.searchFilter(" john.doe+1 ");
+
+    expect(filter.$or[0].fullname.$regex).toBe("john\\.doe\\+1");
+    expect(filter.$or[1].email.$options).toBe("i");
+  });
+});
+
+describe("Impersonation", () => {
+  const admin = buildUser({ role: "admin" });
+  const seeker = buildUser({ role: "job_seeker" });
+  const adminToken = signAccessToken(admin);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should require a reason", async () => {
+    mockUsers(admin, seeker);
+
+    await request(app)
+      .post(`/api/v1/admin/users/${seeker.id}/impersonate`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({})
+      .expect(422);
+  });
+
+  it("should issue a token that is audited on every request", async () => {
+    mockUsers(admin, seeker);
+    const audit = jest.spyOn(loggerUtils, "audit");
+
+    const response = await request(app)
+      .post(`/api/v1/admin/users/${seeker.id}/impersonate`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Support ticket 42" })
+      .expect(200);
+
+    const { accessToken } = response.body.data;
+    expect(verifyAccessToken(accessToken)).toMatchObject({ id: seeker.id, impersonatedBy: admin.id });
+    expect(audit).toHaveBeenCalledWith("user.impersonation_started", admin.id, expect.objectContaining({
+      userId: seeker.id,
+      reason: "Support ticket 42",
+    }));
+
+    const me = await request(app).get("/api/v1/auth/me").set("Authorization", `Bearer ${accessToken}`).expect(200);
+
+    expect(me.body.data.user.email).toBe(seeker.email);
+    expect(audit).toHaveBeenCalledWith("user.impersonation_request", admin.id, expect.objectContaining({
+      userId: seeker.id,
+      method: "GET",
+      url: "/api/v1/auth/me",
+    }));
+  });
+
+  it("should not impersonate other admins", async () => {
+    const otherAdmin = buildUser({ role: "admin", email: "other.admin@example.com" });
+    mockUsers(admin, otherAdmin);
+
+    await request(app)
+      .post(`/api/v1/admin/users/${otherAdmin.id}/impersonate`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Support ticket 42" })
+      .expect(403);
+  });
+});
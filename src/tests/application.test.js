@@ -0,0 +1,191 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Application from "../models/Application.js";
+import Company from "../models/Company.js";
+import Job from "../models/Job.js";
+import { buildApplication, buildCompany, buildJob, buildUser, loginAs } from "./helpers/fixtures.js";
+
+describe("Application Model Tests", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should default to the applied stage", () => {
+    const application = buildApplication();
+
+    expect(application.validateSync()).toBeUndefined();
+    expect(application.status).toBe("applied");
+  });
+
+  it("should declare a unique index on job + applicant", () => {
+    const indexes = Application.schema.indexes();
+    const unique = indexes.find(([fields]) => fields.job === 1 && fields.applicant === 1);
+
+    expect(unique).toBeDefined();
+    expect(unique[1].unique).toBe(true);
+  });
+
+  it("should only allow forward pipeline transitions", () => {
+    const application = buildApplication();
+
+    expect(application.canTransitionTo("shortlisted")).toBe(true);
+    expect(application.canTransitionTo("rejected")).toBe(true);
+    expect(application.canTransitionTo("offered")).toBe(false);
+    expect(application.canTransitionTo("withdrawn")).toBe(false);
+
+    application.status = "offered";
+    expect(application.canTransitionTo("hired")).toBe(true);
+
+    application.status = "hired";
+    expect(application.canTransitionTo("rejected")).toBe(false);
+  });
+
+  it("should allow withdrawal only before a final decision", () => {
+    const application = buildApplication({ status: "interview" });
+    expect(application.canWithdraw()).toBe(true);
+
+    application.status = "rejected";
+    expect(application.canWithdraw()).toBe(false);
+  });
+
+  it("should recognise the applicant and members of the job's company as participants", async () => {
+    const company = buildCompany();
+    const job = buildJob({ company: company._id });
+    const application = buildApplication({ job: job._id });
+    jest.spyOn(Job, "findById").mockResolvedValue(job);
+    jest.spyOn(Company, "findById").mockResolvedValue(company);
+
+    expect(await application.isParticipant(application.applicant)).toBe(true);
+    expect(await application.isParticipant(company.members[0].user)).toBe(true);
+    expect(await application.isParticipant(application.employer)).toBe(false);
+  });
+});
+
+describe("Application Endpoints", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should require authentication to apply", async () => {
+    await request(app)
+      .post(`/api/v1/jobs/${new mongoose.Types.ObjectId()}/applications`)
+      .send({ coverLetter: "Hello" })
+      .expect(401);
+  });
+
+  it("should require authentication to list own applications", async () => {
+    await request(app).get("/api/v1/applications/mine").expect(401);
+  });
+
+  it("should require authentication to change an application status", async () => {
+    await request(app)
+      .patch(`/api/v1/applications/${new mongoose.Types.ObjectId()}/status`)
+      .send({ status: "shortlisted" })
+      .expect(401);
+  });
+
+  it("should name why an application was refused", async () => {
+    const authorization = loginAs(buildUser());
+    const job = buildJob({ status: "published", deadline: new Date(Date.now() + 60 * 60 * 1000) });
+    jest.spyOn(Job, "findById").mockResolvedValue(job);
+    jest.spyOn(Application, "exists").mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const duplicate = await request(app)
+      .post(`/api/v1/jobs/${job.id}/applications`)
+      .set("Authorization", authorization)
+      .send({ coverLetter: "Hello" })
+      .expect(409);
+    expect(duplicate.body.code).toBe("APPLICATION_ALREADY_EXISTS");
+
+    job.status = "closed";
+    const closed = await request(app)
+      .post(`/api/v1/jobs/${job.id}/applications`)
+      .set("Authorization", authorization)
+      .send({ coverLetter: "Hello" })
+      .expect(400);
+    expect(closed.body.code).toBe("JOB_NOT_OPEN");
+  });
+});
+
+describe("Application Review Access", () => {
+  const poster = new mongoose.Types.ObjectId();
+  const companyOwner = buildUser({ fullname: "Ram Thapa", email: "ram@example.com", role: "employer" });
+  const recruiter = buildUser({ fullname: "Hari Rai", email: "hari@example.com", role: "employer" });
+
+  const company = buildCompany({
+    members: [
+      { user: companyOwner._id, role: "owner" },
+      { user: recruiter._id, role: "recruiter" },
+    ],
+  });
+  const job = buildJob({ company: company._id, postedBy: poster });
+
+  /**
+   * Authenticate as the given employer with the job and company above in place
+   * @param {Object} user - User document
+   * @returns {string} Authorization header value
+   */
+  const loginWithJob = (user) => {
+    jest.spyOn(Job, "findById").mockResolvedValue(job);
+    jest.spyOn(Company, "findById").mockResolvedValue(company);
+    return loginAs(user);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should let members of the job's company review its applications", async () => {
+    const authorization = loginWithJob(recruiter);
+    const application = buildApplication({ job: job._id, employer: poster });
+    jest.spyOn(Application, "findById").mockResolvedValue(application);
+    jest.spyOn(Application, "find").mockReturnValue({
+      sort() {
+        return this;
+      },
+      limit() {
+        return this;
+      },
+      populate: async () => [application],
+    });
+    jest.spyOn(Application, "countDocuments").mockResolvedValue(1);
+    jest.spyOn(application, "populate").mockResolvedValue(application);
+
+    const list = await request(app)
+      .get(`/api/v1/jobs/${job.id}/applications`)
+      .set("Authorization", authorization)
+      .expect(200);
+    expect(list.body.data).toHaveLength(1);
+
+    await request(app).get(`/api/v1/applications/${application.id}`).set("Authorization", authorization).expect(200);
+  });
+
+  it("should lock out members removed from the company, even the one the application was sent to", async () => {
+    const removed = buildCompany({ members: [{ user: companyOwner._id, role: "owner" }] });
+    const authorization = loginAs(recruiter);
+    const application = buildApplication({ job: job._id, employer: recruiter._id });
+    jest.spyOn(Job, "findById").mockResolvedValue(job);
+    jest.spyOn(Company, "findById").mockResolvedValue(removed);
+    jest.spyOn(Application, "findById").mockResolvedValue(application);
+
+    const list = await request(app)
+      .get(`/api/v1/jobs/${job.id}/applications`)
+      .set("Authorization", authorization)
+      .expect(403);
+    expect(list.body.code).toBe("APPLICATION_ACCESS_DENIED");
+
+    const read = await request(app)
+      .get(`/api/v1/applications/${application.id}`)
+      .set("Authorization", authorization)
+      .expect(404);
+    expect(read.body.code).toBe("APPLICATION_NOT_FOUND");
+
+    await request(app)
+      .patch(`/api/v1/applications/${application.id}/status`)
+      .set("Authorization", authorization)
+      .send({ status: "shortlisted" })
+      .expect(403);
+  });
+});
@@ -0,0 +1,190 @@
+import { jest } from "@jest/globals";
+import request from "supertest";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import app from "../server.js";
+import config from "../config/env.js";
+import { authorize, requirePermission } from "../middleware/auth.js";
+import {
+  issueTokenPair,
+  verifyAccessToken,
+  verifyRefreshToken,
+} from "../services/tokenService.js";
+
+const fakeUser = {
+  _id: new mongoose.Types.ObjectId(),
+  email: "john.doe@example.com",
+  role: "employer",
+};
+
+const refreshClaims = { jti: "test-jti", family: "test-family" };
+
+describe("Token Service", () => {
+  it("should issue a verifiable access + refresh token pair", () => {
+    const tokens = issueTokenPair(fakeUser, refreshClaims);
+
+    expect(tokens.tokenType).toBe("Bearer");
+    expect(tokens).toHaveProperty("expiresIn");
+
+    const access = verifyAccessToken(tokens.accessToken);
+    expect(access.id).toBe(fakeUser._id.toString());
+    expect(access.email).toBe(fakeUser.email);
+    expect(access.role).toBe("employer");
+
+    const refresh = verifyRefreshToken(tokens.refreshToken);
+    expect(refresh.id).toBe(fakeUser._id.toString());
+    expect(refresh.type).toBe("refresh");
+    expect(refresh.jti).toBe("test-jti");
+    expect(refresh.family).toBe("test-family");
+  });
+
+  it("should not accept an access token as a refresh token", () => {
+    const { accessToken } = issueTokenPair(fakeUser, refreshClaims);
+
+    expect(() => verifyRefreshToken(accessToken)).toThrow();
+  });
+});
+
+describe("Authentication Endpoints", () => {
+  describe("POST /api/v1/auth/register", () => {
+    it("should reject missing fields", async () => {
+      const response = await request(app)
+        .post("/api/v1/auth/register")
+        .send({ email: "john.doe@example.com" })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.details).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ field: "fullname", rule: "any.required", location: "body" }),
+          expect.objectContaining({ field: "password", rule: "any.required", location: "body" }),
+        ])
+      );
+    });
+
+    it("should not allow self-assigning the admin role", async () => {
+      const response = await request(app)
+        .post("/api/v1/auth/register")
+        .send({
+          fullname: "John Doe",
+          email: "john.doe@example.com",
+          password: "testpassword123",
+          role: "admin",
+        })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.details).toEqual([
+        expect.objectContaining({ field: "role", rule: "any.only" }),
+      ]);
+    });
+  });
+
+  describe("POST /api/v1/auth/login", () => {
+    it("should reject missing credentials", async () => {
+      const response = await request(app)
+        .post("/api/v1/auth/login")
+        .send({ email: "john.doe@example.com" })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe("POST /api/v1/auth/refresh", () => {
+    it("should require a refresh token", async () => {
+      await request(app).post("/api/v1/auth/refresh").send({}).expect(422);
+    });
+
+    it("should reject an invalid refresh token", async () => {
+      const response = await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: "not-a-token" })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe("Invalid token");
+    });
+  });
+
+  describe("POST /api/v1/auth/logout-all", () => {
+    it("should require authentication", async () => {
+      await request(app).post("/api/v1/auth/logout-all").expect(401);
+    });
+  });
+
+  describe("GET /api/v1/auth/me", () => {
+    it("should require authentication", async () => {
+      const response = await request(app).get("/api/v1/auth/me").expect(401);
+
+      expect(response.body.message).toBe("Authentication token is required");
+    });
+
+    it("should reject an invalid bearer token", async () => {
+      const response = await request(app)
+        .get("/api/v1/auth/me")
+        .set("Authorization", "Bearer not-a-token")
+        .expect(401);
+
+      expect(response.body.message).toBe("Invalid token");
+    });
+
+    it("should reject an expired bearer token", async () => {
+      const expiredToken = jwt.sign(
+        { id: fakeUser._id.toString(), email: fakeUser.email, role: fakeUser.role },
+        config.jwt.secret,
+        { expiresIn: -10 }
+      );
+
+      const response = await request(app)
+        .get("/api/v1/auth/me")
+        .set("Authorization", `Bearer ${expiredToken}`)
+        .expect(401);
+
+      expect(response.body.message).toBe("Token expired");
+    });
+  });
+});
+
+describe("Authorization Middleware", () => {
+  const runMiddleware = (middleware, user) => {
+    const req = { user, method: "GET", originalUrl: "/test" };
+    const next = jest.fn();
+    middleware(req, {}, next);
+    return next.mock.calls[0][0];
+  };
+
+  describe("authorize", () => {
+    it("should allow listed roles", () => {
+      const result = runMiddleware(authorize("employer", "admin"), { id: "1", role: "employer" });
+      expect(result).toBeUndefined();
+    });
+
+    it("should forbid other roles", () => {
+      const result = runMiddleware(authorize("admin"), { id: "1", role: "job_seeker" });
+      expect(result.statusCode).toBe(403);
+    });
+
+    it("should require an authenticated user", () => {
+      const result = runMiddleware(authorize("admin"), undefined);
+      expect(result.statusCode).toBe(401);
+    });
+  });
+
+  describe("requirePermission", () => {
+    it("should allow roles granting the permission", () => {
+      const result = runMiddleware(requirePermission("account:read"), { id: "1", role: "job_seeker" });
+      expect(result).toBeUndefined();
+    });
+
+    it("should allow admins everything", () => {
+      const result = runMiddleware(requirePermission("anything:at-all"), { id: "1", role: "admin" });
+      expect(result).toBeUndefined();
+    });
+
+    it("should forbid roles lacking the permission", () => {
+      const result = runMiddleware(requirePermission("anything:at-all"), { id: "1", role: "employer" });
+      expect(result.statusCode).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Company from "../models/Company.js";
+import Job from "../models/Job.js";
+import { buildCompany, buildUser, loginAs } from "./helpers/fixtures.js";
+
+describe("Company Model Tests", () => {
+  it("should start pending verification", () => {
+    const company = buildCompany();
+
+    expect(company.validateSync()).toBeUndefined();
+    expect(company.verificationStatus).toBe("pending");
+    expect(company.isVerified).toBe(false);
+  });
+
+  it("should require at least one owner", () => {
+    const company = buildCompany({
+      members: [{ user: new mongoose.Types.ObjectId(), role: "recruiter" }],
+    });
+
+    expect(company.validateSync().errors.members).toBeDefined();
+  });
+
+  it("should resolve member roles", () => {
+    const ownerId = new mongoose.Types.ObjectId();
+    const recruiterId = new mongoose.Types.ObjectId();
+    const company = buildCompany({
+      members: [
+        { user: ownerId, role: "owner" },
+        { user: recruiterId, role: "recruiter" },
+      ],
+    });
+
+    expect(company.isOwner(ownerId)).toBe(true);
+    expect(company.isOwner(recruiterId)).toBe(false);
+    expect(company.isMember(recruiterId)).toBe(true);
+    expect(company.getMemberRole(new mongoose.Types.ObjectId())).toBeNull();
+  });
+
+  it("should validate website, size and verification status", () => {
+    const error = buildCompany({
+      website: "not-a-url",
+      size: "huge",
+      verificationStatus: "approved",
+    }).validateSync();
+
+    expect(error.errors.website).toBeDefined();
+    expect(error.errors.size).toBeDefined();
+    expect(error.errors.verificationStatus).toBeDefined();
+  });
+});
+
+describe("Company Endpoints", () => {
+  it("should require authentication to create a company", async () => {
+    await request(app).post("/api/v1/companies").send({ name: "Acme" }).expect(401);
+  });
+
+  it("should require authentication to verify a company", async () => {
+    await request(app)
+      .patch(`/api/v1/companies/${new mongoose.Types.ObjectId()}/verification`)
+      .send({ status: "verified" })
+      .expect(401);
+  });
+
+  it("should require authentication to list pending companies", async () => {
+    await request(app).get("/api/v1/companies/verification/pending").expect(401);
+  });
+});
+
+describe("Company Verification", () => {
+  const admin = buildUser({ role: "admin" });
+  const owner = buildUser({ fullname: "Ram Thapa", email: "ram@example.com", role: "employer" });
+
+  /**
+   * Build a verified company owned by the owner above, as loaded from the database
+   * @returns {Object} Company document
+   */
+  const buildVerifiedCompany = () =>
+    Company.hydrate(
+      buildCompany({ members: [{ user: owner._id, role: "owner" }], verificationStatus: "verified" }).toObject()
+    );
+
+  /**
+   * Log in as the given user with the company in place, and capture job unpublishing
+   * @param {Object} company - Company document
+   * @param {Object} user - Authenticated user
+   * @returns {{ authorization: string, unpublish: Object }} Authorization header and spy on Job.updateMany
+   */
+  const mockCompany = (company, user) => {
+    const authorization = loginAs(user);
+    jest.spyOn(Company, "findById").mockResolvedValue(company);
+    jest.spyOn(company, "save").mockResolvedValue(company);
+    return { authorization, unpublish: jest.spyOn(Job, "updateMany").mockResolvedValue({ modifiedCount: 2 }) };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should unpublish the jobs of a company that is rejected", async () => {
+    const company = buildVerifiedCompany();
+    const { authorization, unpublish } = mockCompany(company, admin);
+
+    await request(app)
+      .patch(`/api/v1/companies/${company.id}/verification`)
+      .set("Authorization", authorization)
+      .send({ status: "rejected", note: "Website does not match" })
+      .expect(200);
+
+    expect(unpublish).toHaveBeenCalledWith({ company: company._id, status: "published" }, { status: "draft" });
+  });
+
+  it("should unpublish the jobs of a company sent back for verification", async () => {
+    const company = buildVerifiedCompany();
+    const { authorization, unpublish } = mockCompany(company, owner);
+
+    await request(app)
+      .patch(`/api/v1/companies/${company.id}`)
+      .set("Authorization", authorization)
+      .send({ name: "Career Sewa Pvt. Ltd." })
+      .expect(200);
+
+    expect(company.verificationStatus).toBe("pending");
+    expect(unpublish).toHaveBeenCalledTimes(1);
+  });
+
+  it("should leave jobs alone when verification is unchanged", async () => {
+    const company = buildVerifiedCompany();
+    const { authorization, unpublish } = mockCompany(company, owner);
+
+    await request(app)
+      .patch(`/api/v1/companies/${company.id}`)
+      .set("Authorization", authorization)
+      .send({ description: "Hiring across Nepal" })
+      .expect(200);
+
+    expect(unpublish).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,219 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Conversation from "../models/Conversation.js";
+import Company from "../models/Company.js";
+import Job from "../models/Job.js";
+import { canDownload } from "../services/uploadService.js";
+import config from "../config/env.js";
+import { buildCompany, buildConversation, buildJob, buildUpload, buildUser, loginAs } from "./helpers/fixtures.js";
+
+const PDF_BYTES = Buffer.from("%PDF-1.7\n%test\n");
+
+const employer = buildUser({ fullname: "Ram Thapa", email: "ram@example.com", role: "employer" });
+const applicant = buildUser();
+const outsider = buildUser({ fullname: "Hari Rai", email: "hari@example.com" });
+
+const company = buildCompany({ members: [{ user: employer._id, role: "owner" }] });
+const job = buildJob({ company: company._id, postedBy: employer._id });
+const participants = { job: job._id, employer: employer._id, applicant: applicant._id };
+
+/**
+ * Load the given company for the job above
+ * @param {Object} jobCompany - Company document
+ */
+const mockJobCompany = (jobCompany) => {
+  jest.spyOn(Job, "findById").mockResolvedValue(job);
+  jest.spyOn(Company, "findById").mockResolvedValue(jobCompany);
+};
+
+beforeEach(() => {
+  mockJobCompany(company);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("Conversation Model", () => {
+  it("should know its participants: the applicant and the job's company members", async () => {
+    const conversation = buildConversation(participants);
+
+    expect(await conversation.isParticipant(employer.id)).toBe(true);
+    expect(await conversation.isParticipant(applicant._id)).toBe(true);
+    expect(await conversation.isParticipant(outsider.id)).toBe(false);
+    expect(conversation.otherParticipant(employer.id)).toBe(applicant.id);
+    expect(conversation.otherParticipant(applicant.id)).toBe(employer.id);
+
+    mockJobCompany(buildCompany({ members: [{ user: outsider._id, role: "owner" }] }));
+    expect(await conversation.isParticipant(outsider.id)).toBe(true);
+    expect(await conversation.isParticipant(employer.id)).toBe(false);
+  });
+
+  it("should return the existing thread when a concurrent request created it first", async () => {
+    const existing = buildConversation(participants);
+    const application = { _id: existing.application, job: existing.job, employer: employer._id, applicant: applicant._id };
+    jest
+      .spyOn(Conversation, "findOneAndUpdate")
+      .mockRejectedValue(Object.assign(new Error("E11000 duplicate key error"), { code: 11000 }));
+    const findOne = jest.spyOn(Conversation, "findOne").mockResolvedValue(existing);
+
+    expect(await Conversation.findOrCreateForApplication(application)).toBe(existing);
+    expect(findOne).toHaveBeenCalledWith({ application: existing.application });
+  });
+
+  it("should only list conversations the user takes part in", async () => {
+    const companies = jest.spyOn(Company, "find").mockReturnValue({ distinct: async () => [company._id] });
+    const jobs = jest.spyOn(Job, "find").mockReturnValue({ distinct: async () => [job._id] });
+
+    expect(await Conversation.participantFilter(employer.id)).toEqual({
+      $or: [{ applicant: employer.id }, { job: { $in: [job._id] } }],
+    });
+    expect(companies).toHaveBeenCalledWith({ "members.user": employer.id });
+    expect(jobs).toHaveBeenCalledWith({ company: { $in: [company._id] } });
+  });
+});
+
+describe("Conversation Endpoints", () => {
+  it("should require authentication", async () => {
+    await request(app).get("/api/v1/conversations").expect(401);
+    await request(app).post(`/api/v1/conversations/${new mongoose.Types.ObjectId()}/messages`).expect(401);
+  });
+
+  it("should hide conversations from users outside them", async () => {
+    const conversation = buildConversation(participants);
+    const authorization = loginAs(outsider);
+    jest.spyOn(Conversation, "findById").mockResolvedValue(conversation);
+
+    await request(app).get(`/api/v1/conversations/${conversation.id}`).set("Authorization", authorization).expect(404);
+    await request(app)
+      .post(`/api/v1/conversations/${conversation.id}/messages`)
+      .set("Authorization", authorization)
+      .send({ body: "Hello" })
+      .expect(404);
+  });
+
+  it("should lock members removed from the company out of its conversations", async () => {
+    const conversation = buildConversation(participants);
+    const authorization = loginAs(employer);
+    mockJobCompany(buildCompany());
+    jest.spyOn(Conversation, "findById").mockResolvedValue(conversation);
+
+    await request(app).get(`/api/v1/conversations/${conversation.id}`).set("Authorization", authorization).expect(404);
+    await request(app)
+      .post(`/api/v1/conversations/${conversation.id}/messages`)
+      .set("Authorization", authorization)
+      .send({ body: "Hello" })
+      .expect(404);
+  });
+
+  it("should not send messages in a blocked conversation", async () => {
+    const conversation = buildConversation({ ...participants, blockedBy: employer._id, blockedAt: new Date() });
+    const authorization = loginAs(applicant);
+    jest.spyOn(Conversation, "findById").mockResolvedValue(conversation);
+
+    const response = await request(app)
+      .post(`/api/v1/conversations/${conversation.id}/messages`)
+      .set("Authorization", authorization)
+      .send({ body: "Hello?" })
+      .expect(403);
+
+    expect(response.body.code).toBe("CONVERSATION_BLOCKED");
+  });
+
+  it("should only let the participant who blocked a conversation unblock it", async () => {
+    const conversation = buildConversation({ ...participants, blockedBy: employer._id, blockedAt: new Date() });
+    const authorization = loginAs(applicant);
+    jest.spyOn(Conversation, "findById").mockResolvedValue(conversation);
+
+    await request(app)
+      .delete(`/api/v1/conversations/${conversation.id}/block`)
+      .set("Authorization", authorization)
+      .expect(403);
+  });
+
+  it("should reject empty messages and attachments of other types", async () => {
+    const conversation = buildConversation(participants);
+    const authorization = loginAs(employer);
+    jest.spyOn(Conversation, "findById").mockResolvedValue(conversation);
+
+    const empty = await request(app)
+      .post(`/api/v1/conversations/${conversation.id}/messages`)
+      .set("Authorization", authorization)
+      .send({ body: "  " })
+      .expect(400);
+    expect(empty.body.code).toBe("MESSAGE_EMPTY");
+
+    const disguised = await request(app)
+      .post(`/api/v1/conversations/${conversation.id}/messages`)
+      .set("Authorization", authorization)
+      .field("body", "See attached")
+      .attach("attachments", Buffer.from("<html>not a pdf</html>"), "offer.pdf")
+      .expect(415);
+    expect(disguised.body.code).toBe("FILE_TYPE_NOT_ALLOWED");
+  });
+
+  it("should limit the attachments per message", async () => {
+    const conversation = buildConversation(participants);
+    const authorization = loginAs(employer);
+    jest.spyOn(Conversation, "findById").mockResolvedValue(conversation);
+
+    let req = request(app).post(`/api/v1/conversations/${conversation.id}/messages`).set("Authorization", authorization);
+    for (let i = 0; i <= config.messaging.maxAttachments; i++) {
+      req = req.attach("attachments", PDF_BYTES, `file-${i}.pdf`);
+    }
+
+    const response = await req.expect(400);
+    expect(response.body.code).toBe("FILE_TOO_MANY");
+  });
+
+  it("should validate report reasons", async () => {
+    const authorization = loginAs(applicant);
+
+    const response = await request(app)
+      .post(`/api/v1/conversations/${new mongoose.Types.ObjectId()}/reports`)
+      .set("Authorization", authorization)
+      .send({ reason: "rude" })
+      .expect(422);
+
+    expect(response.body.details[0].field).toBe("reason");
+  });
+
+  it("should keep report moderation to admins", async () => {
+    const authorization = loginAs(employer);
+
+    await request(app).get("/api/v1/admin/message-reports").set("Authorization", authorization).expect(403);
+  });
+});
+
+describe("Message Attachments", () => {
+  it("should only be downloadable by the conversation's participants and admins", async () => {
+    const conversation = buildConversation(participants);
+    jest.spyOn(Conversation, "findById").mockReturnValue({ select: async () => conversation });
+
+    const upload = buildUpload({
+      owner: employer._id,
+      purpose: "message_attachment",
+      conversation: conversation._id,
+      storageKey: "message_attachment/x/file.pdf",
+    });
+
+    expect(await canDownload(upload, applicant)).toBe(true);
+    expect(await canDownload(upload, outsider)).toBe(false);
+    expect(await canDownload(upload, null)).toBe(false);
+    expect(await canDownload(upload, buildUser({ role: "admin" }))).toBe(true);
+
+    const fromApplicant = buildUpload({
+      owner: applicant._id,
+      purpose: "message_attachment",
+      conversation: conversation._id,
+      storageKey: "message_attachment/y/file.pdf",
+    });
+    expect(await canDownload(fromApplicant, employer)).toBe(true);
+
+    // Once removed from the company, the employer loses access to the thread's files
+    mockJobCompany(buildCompany());
+    expect(await canDownload(fromApplicant, employer)).toBe(false);
+  });
+});
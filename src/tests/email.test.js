@@ -0,0 +1,147 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+
+// Route the file transport to a throwaway outbox before config is loaded
+const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "career-sewa-mail-"));
+process.env.EMAIL_TRANSPORT = "file";
+process.env.EMAIL_OUTBOX_DIR = outboxDir;
+process.env.EMAIL_PREVIEW_ENABLED = "true";
+
+const { default: app } = await import("../server.js");
+const { buildApplication, buildUser, loginAs } = await import("./helpers/fixtures.js");
+const { resolveLocale, translate, createTranslator } = await import("../i18n/index.js");
+const { renderEmail } = await import("../templates/email/index.js");
+const { sendEmail, applicationStatusEmail, listOutbox } = await import("../services/emailService.js");
+
+afterAll(async () => {
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+describe("Translations", () => {
+  it("should resolve regional and unsupported locales", () => {
+    expect(resolveLocale("ne-NP")).toBe("ne");
+    expect(resolveLocale("fr")).toBe("en");
+    expect(resolveLocale(undefined)).toBe("en");
+  });
+
+  it("should pick plural forms and fill placeholders", () => {
+    expect(translate("en", "email.jobAlert.subject", { count: 1, searchName: "Node" })).toBe('1 new job for "Node"');
+    expect(translate("en", "email.jobAlert.subject", { count: 4, searchName: "Node" })).toBe('4 new jobs for "Node"');
+    expect(translate("ne", "email.greeting", { name: "Sita" })).toBe("नमस्ते Sita,");
+  });
+
+  it("should escape placeholder values in HTML", () => {
+    const t = createTranslator("en");
+
+    expect(t.html("email.greeting", { name: "<b>Sita</b>" })).toBe("Hi &lt;b&gt;Sita&lt;/b&gt;,");
+    expect(t.has("email.applicationStatusChanged.details.withdrawn")).toBe(false);
+    expect(t("email.missing.key")).toBe("email.missing.key");
+  });
+});
+
+describe("Email Templates", () => {
+  it("should render in the recipient's locale", () => {
+    const email = renderEmail("passwordReset", { name: "Sita", resetUrl: "http://localhost/r", expiresInMinutes: 60 }, "ne");
+
+    expect(email.locale).toBe("ne");
+    expect(email.template).toBe("passwordReset");
+    expect(email.subject).toBe("आफ्नो Career Sewa पासवर्ड रिसेट गर्नुहोस्");
+    expect(email.text).toContain("60 मिनेटमा");
+  });
+
+  it("should reject unknown templates", () => {
+    expect(() => renderEmail("constructor", {})).toThrow("Unknown email template");
+  });
+
+  it("should send an interview invitation with the time in the interview's time zone", () => {
+    const application = buildApplication({
+      status: "interview",
+      interview: {
+        scheduledAt: new Date("2025-01-06T04:45:00Z"),
+        timeZone: "Asia/Kathmandu",
+        durationMinutes: 45,
+        meetingUrl: "https://meet.example.com/abc",
+      },
+    });
+
+    const email = applicationStatusEmail(buildUser(), application, { title: "Backend Engineer", company: { name: "Himal Tech" } });
+
+    expect(email.template).toBe("interviewInvite");
+    expect(email.subject).toBe("Interview invitation: Backend Engineer at Himal Tech");
+    expect(email.text).toContain("Monday, January 6, 2025 at 10:30 AM (Asia/Kathmandu)");
+    expect(email.text).toContain("Join online: https://meet.example.com/abc");
+  });
+
+  it("should explain other status changes with the employer's note", () => {
+    const application = buildApplication({
+      status: "rejected",
+      statusHistory: [{ status: "rejected", changedBy: new mongoose.Types.ObjectId(), note: "Position filled" }],
+    });
+
+    const email = applicationStatusEmail(buildUser(), application, { title: "Backend Engineer", company: null });
+
+    expect(email.template).toBe("applicationStatusChanged");
+    expect(email.text).toContain("has a new status: Not selected.");
+    expect(email.html).toContain("<blockquote>Position filled</blockquote>");
+  });
+});
+
+describe("Dev Outbox", () => {
+  it("should keep a copy of each message for previews", async () => {
+    await sendEmail({ to: "sita@example.com", ...renderEmail("verifyEmail", { name: "Sita", verificationUrl: "http://localhost/v", expiresInHours: 24 }) });
+
+    const [message] = await listOutbox();
+    expect(message).toMatchObject({ to: "sita@example.com", template: "verifyEmail", locale: "en" });
+
+    const index = await request(app).get("/dev/mail").set("Accept", "application/json").expect(200);
+    expect(index.body.data.messages[0].id).toBe(message.id);
+
+    const preview = await request(app).get(`/dev/mail/messages/${message.id}`).expect(200);
+    expect(preview.headers["content-type"]).toMatch(/^text\/html/);
+    expect(preview.text).toContain("http://localhost/v");
+  });
+
+  it("should preview templates with sample data", async () => {
+    const response = await request(app).get("/dev/mail/templates/interviewInvite?locale=ne&format=text").expect(200);
+
+    expect(response.text).toContain("अन्तर्वार्ताको निमन्त्रणा");
+    await request(app).get("/dev/mail/templates/unknown").expect(404);
+    await request(app).get("/dev/mail/templates/verifyEmail?locale=fr").expect(422);
+  });
+});
+
+describe("Account Locale", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should only accept supported locales", async () => {
+    const user = buildUser();
+    const authorization = loginAs(user);
+
+    const response = await request(app)
+      .patch("/api/v1/auth/me")
+      .set("Authorization", authorization)
+      .send({ locale: "fr" })
+      .expect(422);
+
+    expect(response.body.details[0].field).toBe("locale");
+  });
+
+  it("should only take interview details when moving to interview", async () => {
+    const employer = buildUser({ role: "employer" });
+    const authorization = loginAs(employer);
+
+    const response = await request(app)
+      .patch(`/api/v1/applications/${new mongoose.Types.ObjectId()}/status`)
+      .set("Authorization", authorization)
+      .send({ status: "shortlisted", interview: { scheduledAt: "2099-01-01T10:00:00Z", location: "Office" } })
+      .expect(422);
+
+    expect(response.body.details[0].field).toBe("interview");
+  });
+});
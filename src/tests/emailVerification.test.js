@@ -0,0 +1,72 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// Route the file transport to a throwaway outbox before config is loaded
+const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "career-sewa-mail-"));
+process.env.EMAIL_TRANSPORT = "file";
+process.env.EMAIL_OUTBOX_DIR = outboxDir;
+
+const { default: User } = await import("../models/User.js");
+const { sendVerificationEmail } = await import("../services/emailService.js");
+const { default: verifyEmailTemplate } = await import("../templates/email/verifyEmail.js");
+
+afterAll(async () => {
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+describe("Email Verification", () => {
+  describe("User.createEmailVerificationToken", () => {
+    it("should store only a hash of the token with an expiry", () => {
+      const user = new User({
+        fullname: "John Doe",
+        email: "john.doe@example.com",
+        password: "testpassword123",
+      });
+
+      const token = user.createEmailVerificationToken(60 * 1000);
+      const expectedHash = crypto.createHash("sha256").update(token).digest("hex");
+
+      expect(token).toHaveLength(64);
+      expect(user.emailVerificationToken).toBe(expectedHash);
+      expect(user.emailVerificationExpires.getTime()).toBeGreaterThan(Date.now());
+      expect(user.emailVerificationSentAt).toBeInstanceOf(Date);
+      expect(user.toJSON().emailVerificationToken).toBeUndefined();
+      expect(user.toJSON().emailVerificationExpires).toBeUndefined();
+    });
+  });
+
+  describe("verifyEmail template", () => {
+    it("should render html and text bodies with escaped values", () => {
+      const email = verifyEmailTemplate({
+        name: "<script>alert(1)</script>",
+        verificationUrl: "http://localhost:5000/api/v1/auth/verify-email/abc",
+        expiresInHours: 24,
+      });
+
+      expect(email.subject).toContain("Verify");
+      expect(email.html).not.toContain("<script>");
+      expect(email.html).toContain("&lt;script&gt;");
+      expect(email.text).toContain("http://localhost:5000/api/v1/auth/verify-email/abc");
+      expect(email.text).toContain("24 hours");
+    });
+  });
+
+  describe("sendVerificationEmail", () => {
+    it("should write the message to the local outbox", async () => {
+      const user = new User({
+        fullname: "John Doe",
+        email: "john.doe@example.com",
+        password: "testpassword123",
+      });
+
+      const info = await sendVerificationEmail(user, "abc123");
+      const contents = await fs.readFile(info.outboxPath, "utf8");
+
+      expect(path.dirname(info.outboxPath)).toBe(outboxDir);
+      expect(contents).toContain("To: john.doe@example.com");
+      expect(contents).toContain("/api/v1/auth/verify-email/abc123");
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import request from "supertest";
+import app from "../server.js";
+import { APIError } from "../utils/index.js";
+import { ERROR_CODES } from "../utils/errorCodes.js";
+
+describe("Error Code Registry", () => {
+  it("should create errors from registered codes", () => {
+    const error = APIError.fromCode("USER_EMAIL_TAKEN");
+
+    expect(error.statusCode).toBe(409);
+    expect(error.code).toBe("USER_EMAIL_TAKEN");
+    expect(error.message).toBe(ERROR_CODES.USER_EMAIL_TAKEN.message);
+    expect(error.details).toBeNull();
+  });
+
+  it("should accept a message override and details", () => {
+    const error = APIError.fromCode("INVALID_QUERY", "sort must be one of: name", { parameter: "sort" });
+
+    expect(error.message).toBe("sort must be one of: name");
+    expect(error.details).toEqual({ parameter: "sort" });
+  });
+
+  it("should reject unknown codes", () => {
+    expect(() => APIError.fromCode("NOT_A_CODE")).toThrow("Unknown error code");
+  });
+
+  it("should fall back to a generic code for the status", () => {
+    expect(APIError.notFound("Job not found").code).toBe("NOT_FOUND");
+    expect(new APIError("Boom").code).toBe("INTERNAL_ERROR");
+  });
+
+  it("should map JWT errors to specific codes", () => {
+    expect(APIError.fromJWTError({ name: "TokenExpiredError" }).code).toBe("AUTH_TOKEN_EXPIRED");
+    expect(APIError.fromJWTError({ name: "JsonWebTokenError" }).code).toBe("AUTH_TOKEN_INVALID");
+  });
+
+  it("should only register valid HTTP error statuses", () => {
+    for (const [code, entry] of Object.entries(ERROR_CODES)) {
+      expect(code).toMatch(/^[A-Z][A-Z_]+$/);
+      expect(entry.statusCode).toBeGreaterThanOrEqual(400);
+      expect(entry.statusCode).toBeLessThan(600);
+    }
+  });
+});
+
+describe("Error Responses", () => {
+  it("should include code, details and a request id", async () => {
+    const response = await request(app).get("/api/v1/auth/me").expect(401);
+
+    expect(response.body).toMatchObject({
+      success: false,
+      statusCode: 401,
+      code: "AUTH_TOKEN_MISSING",
+      details: null,
+    });
+    expect(response.body.requestId).toEqual(expect.any(String));
+  });
+
+  it("should return RFC 7807 problem details when asked for", async () => {
+    const response = await request(app)
+      .get("/api/v1/does-not-exist")
+      .set("Accept", "application/problem+json")
+      .expect(404);
+
+    expect(response.headers["content-type"]).toMatch(/^application\/problem\+json/);
+    expect(response.body).toMatchObject({
+      type: "about:blank",
+      title: "Not Found",
+      status: 404,
+      detail: "Route /api/v1/does-not-exist not found",
+      instance: "/api/v1/does-not-exist",
+      code: "ROUTE_NOT_FOUND",
+      details: null,
+    });
+    expect(response.body.requestId).toEqual(expect.any(String));
+  });
+
+  it("should keep the envelope format for regular JSON clients", async () => {
+    const response = await request(app)
+      .get("/api/v1/does-not-exist")
+      .set("Accept", "application/json")
+      .expect(404);
+
+    expect(response.headers["content-type"]).toMatch(/^application\/json/);
+    expect(response.body.code).toBe("ROUTE_NOT_FOUND");
+  });
+});
@@ -0,0 +1,173 @@
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import User from "../../models/User.js";
+import Job from "../../models/Job.js";
+import Application from "../../models/Application.js";
+import Profile from "../../models/Profile.js";
+import Company from "../../models/Company.js";
+import Upload from "../../models/Upload.js";
+import SavedSearch from "../../models/SavedSearch.js";
+import QueueJob from "../../models/QueueJob.js";
+import Conversation from "../../models/Conversation.js";
+import { Worker } from "../../services/queue/index.js";
+import { signAccessToken } from "../../services/tokenService.js";
+
+/**
+ * Build an unsaved user, a job seeker unless fields say otherwise
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} User document
+ */
+export const buildUser = (fields = {}) =>
+  new User({
+    fullname: "Sita Sharma",
+    email: "sita@example.com",
+    password: "testpassword123",
+    ...fields,
+  });
+
+/**
+ * Make authentication resolve the given user, whatever token is presented
+ * @param {Object} user - User document
+ */
+export const resolveUser = (user) => {
+  jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+};
+
+/**
+ * Authenticate requests as the given user
+ * @param {Object} user - User document
+ * @returns {string} Authorization header value
+ */
+export const loginAs = (user) => {
+  resolveUser(user);
+  return `Bearer ${signAccessToken(user)}`;
+};
+
+/**
+ * Build an unsaved draft job that passes validation
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Job document
+ */
+export const buildJob = (fields = {}) =>
+  new Job({
+    title: "Senior Backend Engineer",
+    description: "Build and maintain the APIs that power the Career Sewa job portal.",
+    company: new mongoose.Types.ObjectId(),
+    location: "Kathmandu",
+    employmentType: "full_time",
+    experienceLevel: "senior",
+    skills: ["Node.js", "MongoDB"],
+    salary: { min: 100000, max: 150000 },
+    postedBy: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
+
+/**
+ * Build an unsaved application in the applied stage
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Application document
+ */
+export const buildApplication = (fields = {}) =>
+  new Application({
+    job: new mongoose.Types.ObjectId(),
+    applicant: new mongoose.Types.ObjectId(),
+    employer: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
+
+/**
+ * Build an unsaved, empty job seeker profile
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Profile document
+ */
+export const buildProfile = (fields = {}) =>
+  new Profile({
+    user: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
+
+/**
+ * Build an unsaved company, pending verification, with a single owner
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Company document
+ */
+export const buildCompany = (fields = {}) =>
+  new Company({
+    name: "Career Sewa",
+    website: "https://career-sewa.com",
+    industry: "Recruitment",
+    size: "11-50",
+    members: [{ user: new mongoose.Types.ObjectId(), role: "owner" }],
+    ...fields,
+  });
+
+/**
+ * Build an unsaved PDF resume upload
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Upload document
+ */
+export const buildUpload = (fields = {}) =>
+  new Upload({
+    owner: new mongoose.Types.ObjectId(),
+    purpose: "resume",
+    storageKey: "resume/x/file.pdf",
+    mimeType: "application/pdf",
+    size: 1024,
+    ...fields,
+  });
+
+/**
+ * Build an unsaved saved search with a daily alert that is due
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} SavedSearch document
+ */
+export const buildSavedSearch = (fields = {}) =>
+  new SavedSearch({
+    user: new mongoose.Types.ObjectId(),
+    name: "Node jobs",
+    filters: { q: "node", employmentType: ["full_time"] },
+    alertFrequency: "daily",
+    lastAlertedAt: new Date(Date.now() - 25 * 60 * 60 * 1000),
+    ...fields,
+  });
+
+/**
+ * Build an unsaved queue job on its first attempt, locked by the test worker
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} QueueJob document
+ */
+export const buildQueueJob = (fields = {}) =>
+  new QueueJob({
+    name: "email.send",
+    data: { to: "sita@example.com" },
+    status: "running",
+    attempts: 1,
+    maxAttempts: 3,
+    lockedBy: "test-worker",
+    ...fields,
+  });
+
+/**
+ * Build a queue worker that runs email.send jobs
+ * @param {Object} [definition] - Definition fields overriding the defaults
+ * @returns {Worker} Worker
+ */
+export const buildWorker = (definition = {}) =>
+  new Worker({
+    id: "test-worker",
+    definitions: [{ name: "email.send", handler: async () => {}, maxAttempts: 3, removeOnComplete: false, cron: null, ...definition }],
+  });
+
+/**
+ * Build an unsaved conversation for a new application
+ * @param {Object} [fields] - Fields overriding the defaults
+ * @returns {Object} Conversation document
+ */
+export const buildConversation = (fields = {}) =>
+  new Conversation({
+    application: new mongoose.Types.ObjectId(),
+    job: new mongoose.Types.ObjectId(),
+    employer: new mongoose.Types.ObjectId(),
+    applicant: new mongoose.Types.ObjectId(),
+    ...fields,
+  });
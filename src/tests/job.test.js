@@ -0,0 +1,148 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Job from "../models/Job.js";
+import Application from "../models/Application.js";
+import Company from "../models/Company.js";
+import SavedJob from "../models/SavedJob.js";
+import { buildCompany, buildJob, buildUser, loginAs } from "./helpers/fixtures.js";
+
+describe("Job Model Tests", () => {
+  it("should accept a valid job and apply defaults", () => {
+    const job = buildJob();
+
+    expect(job.validateSync()).toBeUndefined();
+    expect(job.status).toBe("draft");
+    expect(job.skills).toEqual(["node.js", "mongodb"]);
+    expect(job.salary.currency).toBe("NPR");
+    expect(job.salary.period).toBe("month");
+  });
+
+  it("should validate required fields", () => {
+    const error = new Job({}).validateSync();
+
+    expect(error.errors.title).toBeDefined();
+    expect(error.errors.description).toBeDefined();
+    expect(error.errors.company).toBeDefined();
+    expect(error.errors.location).toBeDefined();
+    expect(error.errors.employmentType).toBeDefined();
+    expect(error.errors.experienceLevel).toBeDefined();
+    expect(error.errors.postedBy).toBeDefined();
+  });
+
+  it("should reject a salary range where max is below min", () => {
+    const error = buildJob({ salary: { min: 200000, max: 100000 } }).validateSync();
+
+    expect(error.errors["salary.max"]).toBeDefined();
+  });
+
+  it("should reject unknown employment types and statuses", () => {
+    const error = buildJob({ employmentType: "freelance", status: "archived" }).validateSync();
+
+    expect(error.errors.employmentType).toBeDefined();
+    expect(error.errors.status).toBeDefined();
+  });
+
+  it("should reject a deadline in the past", async () => {
+    const job = buildJob({ deadline: new Date(Date.now() - 60 * 1000) });
+
+    await expect(job.validate()).rejects.toHaveProperty("errors.deadline");
+  });
+
+  it("should report ownership and openness", () => {
+    const owner = new mongoose.Types.ObjectId();
+    const job = buildJob({ postedBy: owner, status: "published" });
+
+    expect(job.isOwnedBy(owner)).toBe(true);
+    expect(job.isOwnedBy(new mongoose.Types.ObjectId())).toBe(false);
+    expect(job.isOpen).toBe(true);
+  });
+});
+
+describe("Job Endpoints", () => {
+  it("should require authentication to create a job", async () => {
+    await request(app).post("/api/v1/jobs").send({ title: "Engineer" }).expect(401);
+  });
+
+  it("should require authentication to update a job", async () => {
+    await request(app)
+      .patch(`/api/v1/jobs/${new mongoose.Types.ObjectId()}`)
+      .send({ title: "Engineer" })
+      .expect(401);
+  });
+
+  it("should require authentication to delete a job", async () => {
+    await request(app).delete(`/api/v1/jobs/${new mongoose.Types.ObjectId()}`).expect(401);
+  });
+
+  it("should require authentication to list own jobs", async () => {
+    await request(app).get("/api/v1/jobs/mine").expect(401);
+  });
+});
+
+describe("My Jobs", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should list the jobs of every company the user belongs to, whoever posted them", async () => {
+    const recruiter = buildUser({ fullname: "Hari Rai", email: "hari@example.com", role: "employer" });
+    const company = buildCompany({ members: [{ user: recruiter._id, role: "recruiter" }] });
+    const job = buildJob({ company: company._id });
+    const authorization = loginAs(recruiter);
+    const companies = jest.spyOn(Company, "find").mockReturnValue({ distinct: async () => [company._id] });
+    jest.spyOn(Job, "find").mockReturnValue({
+      sort() {
+        return this;
+      },
+      limit: async () => [job],
+    });
+    const count = jest.spyOn(Job, "countDocuments").mockResolvedValue(1);
+
+    const response = await request(app).get("/api/v1/jobs/mine").set("Authorization", authorization).expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(companies).toHaveBeenCalledWith({ "members.user": recruiter.id });
+    expect(count).toHaveBeenCalledWith({ company: { $in: [company._id] } });
+  });
+});
+
+describe("Job Deletion", () => {
+  const employer = buildUser({ fullname: "Ram Thapa", email: "ram@example.com", role: "employer" });
+  const company = buildCompany({ members: [{ user: employer._id, role: "owner" }] });
+
+  beforeEach(() => {
+    jest.spyOn(Company, "findById").mockResolvedValue(company);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should close rather than delete jobs that have applications", async () => {
+    const job = buildJob({ company: company._id, postedBy: employer._id });
+    const authorization = loginAs(employer);
+    jest.spyOn(Job, "findById").mockResolvedValue(job);
+    jest.spyOn(Application, "exists").mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const remove = jest.spyOn(job, "deleteOne");
+
+    const response = await request(app).delete(`/api/v1/jobs/${job.id}`).set("Authorization", authorization).expect(409);
+
+    expect(response.body.code).toBe("JOB_HAS_APPLICATIONS");
+    expect(remove).not.toHaveBeenCalled();
+  });
+
+  it("should delete jobs without applications together with their saves", async () => {
+    const job = buildJob({ company: company._id, postedBy: employer._id });
+    const authorization = loginAs(employer);
+    jest.spyOn(Job, "findById").mockResolvedValue(job);
+    jest.spyOn(Application, "exists").mockResolvedValue(null);
+    jest.spyOn(job, "deleteOne").mockResolvedValue({ deletedCount: 1 });
+    const removeSaves = jest.spyOn(SavedJob, "deleteMany").mockResolvedValue({ deletedCount: 2 });
+
+    await request(app).delete(`/api/v1/jobs/${job.id}`).set("Authorization", authorization).expect(200);
+
+    expect(removeSaves).toHaveBeenCalledWith({ job: job._id });
+  });
+});
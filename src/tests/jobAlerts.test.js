@@ -0,0 +1,202 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { jest } from "@jest/globals";
+
+// Route the file transport to a throwaway outbox before config is loaded
+const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), "career-sewa-mail-"));
+process.env.EMAIL_TRANSPORT = "file";
+process.env.EMAIL_OUTBOX_DIR = outboxDir;
+
+const { default: app } = await import("../server.js");
+const { default: User } = await import("../models/User.js");
+const { buildSavedSearch, buildUser, loginAs } = await import("./helpers/fixtures.js");
+const { default: Job } = await import("../models/Job.js");
+const { default: SavedSearch } = await import("../models/SavedSearch.js");
+const { default: jobAlertTemplate } = await import("../templates/email/jobAlert.js");
+const { parseSearchQuery, pickSavedSearchFilters, buildSearchFilter } = await import(
+  "../services/jobSearchService.js"
+);
+const { processAlert, runDueAlerts } = await import("../services/jobAlertService.js");
+const { signAlertUnsubscribeToken } = await import("../services/tokenService.js");
+const { default: config } = await import("../config/env.js");
+
+afterAll(async () => {
+  await fs.rm(outboxDir, { recursive: true, force: true });
+});
+
+/**
+ * Make Job.find resolve the given jobs through its sort/limit/populate chain
+ * @param {Object[]} jobs - Jobs to return
+ */
+const mockJobMatches = (jobs) => {
+  const query = { sort: () => query, limit: () => query, populate: () => Promise.resolve(jobs) };
+  jest.spyOn(Job, "find").mockReturnValue(query);
+  jest.spyOn(Job, "countDocuments").mockResolvedValue(jobs.length);
+};
+
+describe("Saved Search Filters", () => {
+  it("should keep only the filters that are set", () => {
+    const params = parseSearchQuery({ q: "react", location: "", employmentType: "full_time,contract", page: "3" });
+
+    expect(pickSavedSearchFilters(params)).toEqual({ q: "react", employmentType: ["full_time", "contract"] });
+  });
+
+  it("should build a find filter for open matching jobs", () => {
+    const filter = buildSearchFilter(parseSearchQuery({ q: "react", salaryMin: "50000" }));
+
+    expect(filter.status).toBe("published");
+    expect(filter.$text).toEqual({ $search: "react" });
+    expect(filter.$and).toHaveLength(1);
+  });
+});
+
+describe("Job Alert Emails", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should list the jobs and link to unsubscribe", () => {
+    const email = jobAlertTemplate({
+      name: "John Doe",
+      searchName: "<Node> jobs",
+      jobs: [{ title: "Backend Engineer", company: "Acme", location: "Kathmandu", url: "http://localhost:3000/jobs/1" }],
+      total: 3,
+      searchUrl: "http://localhost:3000/saved-searches/1",
+      unsubscribeUrl: "http://localhost:5000/api/v1/saved-searches/unsubscribe/abc",
+    });
+
+    expect(email.subject).toBe('3 new jobs for "<Node> jobs"');
+    expect(email.html).toContain("&lt;Node&gt; jobs");
+    expect(email.html).toContain("See 2 more");
+    expect(email.text).toContain("http://localhost:5000/api/v1/saved-searches/unsubscribe/abc");
+  });
+
+  it("should email new matches once the run is claimed", async () => {
+    const user = buildUser();
+    const savedSearch = buildSavedSearch({ user });
+    jest.spyOn(SavedSearch, "claimAlert").mockResolvedValue(savedSearch);
+    mockJobMatches([
+      { _id: new mongoose.Types.ObjectId(), title: "Node Developer", location: "Pokhara", company: { name: "Acme" } },
+    ]);
+
+    expect(await processAlert(savedSearch, new Date())).toBe(true);
+
+    const [file] = await fs.readdir(outboxDir);
+    const contents = await fs.readFile(path.join(outboxDir, file), "utf8");
+    expect(contents).toContain("To: sita@example.com");
+    expect(contents).toContain("List-Unsubscribe-Post: List-Unsubscribe=One-Click");
+    expect(contents).toContain("Node Developer =E2=80=94 Acme, Pokhara");
+  });
+
+  it("should skip searches another run already claimed", async () => {
+    const savedSearch = buildSavedSearch({ user: buildUser() });
+    jest.spyOn(SavedSearch, "claimAlert").mockResolvedValue(null);
+    const find = jest.spyOn(Job, "find");
+
+    expect(await processAlert(savedSearch, new Date())).toBe(false);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it("should release the claim when sending fails", async () => {
+    const savedSearch = buildSavedSearch({ user: buildUser() });
+    const now = new Date();
+    jest.spyOn(SavedSearch, "claimAlert").mockResolvedValue(savedSearch);
+    jest.spyOn(Job, "countDocuments").mockRejectedValue(new Error("connection lost"));
+    jest.spyOn(Job, "find").mockReturnValue({ sort() { return this; }, limit() { return this; }, populate: async () => [] });
+    const release = jest.spyOn(SavedSearch, "releaseAlert").mockResolvedValue({});
+
+    await expect(processAlert(savedSearch, now)).rejects.toThrow("connection lost");
+    expect(release).toHaveBeenCalledWith(savedSearch, now);
+  });
+
+  it("should send due alerts in the user's language", async () => {
+    const user = buildUser({ email: "sita.ne@example.com", locale: "ne" });
+    let selected = "";
+    jest.spyOn(SavedSearch, "find").mockImplementation(({ alertFrequency }) => ({
+      populate: (fieldPath, select) => {
+        selected = select;
+        return {
+          cursor: async function* () {
+            if (alertFrequency !== "daily") return;
+            // Only the selected fields are populated
+            const populated = new User(Object.fromEntries(select.split(" ").map((field) => [field, user.get(field)])));
+            yield buildSavedSearch({ user: populated });
+          },
+        };
+      },
+    }));
+    jest.spyOn(SavedSearch, "claimAlert").mockImplementation(async (savedSearch) => savedSearch);
+    mockJobMatches([
+      { _id: new mongoose.Types.ObjectId(), title: "Node Developer", location: "Pokhara", company: { name: "Acme" } },
+    ]);
+
+    expect(await runDueAlerts()).toMatchObject({ checked: 1, sent: 1 });
+    expect(selected.split(" ")).toContain("locale");
+
+    const sent = await Promise.all(
+      (await fs.readdir(outboxDir))
+        .filter((file) => file.endsWith(".json"))
+        .map(async (file) => JSON.parse(await fs.readFile(path.join(outboxDir, file), "utf8")))
+    );
+    const email = sent.find((message) => message.to === "sita.ne@example.com");
+    expect(email.locale).toBe("ne");
+    expect(email.subject).toBe('"Node jobs" का लागि 1 नयाँ जागिर');
+  });
+});
+
+describe("Saved Search Routes", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should require authentication", async () => {
+    await request(app).get("/api/v1/saved-searches").expect(401);
+    await request(app).post(`/api/v1/jobs/${new mongoose.Types.ObjectId()}/save`).expect(401);
+  });
+
+  it("should validate new saved searches", async () => {
+    const user = buildUser();
+    const authorization = loginAs(user);
+
+    const response = await request(app)
+      .post("/api/v1/saved-searches")
+      .set("Authorization", authorization)
+      .send({ filters: { q: "node" }, alertFrequency: "hourly" })
+      .expect(422);
+
+    expect(response.body.details.map((error) => error.field).sort()).toEqual(["alertFrequency", "name"]);
+  });
+
+  it("should turn alerts off from the unsubscribe link", async () => {
+    const savedSearch = buildSavedSearch({ user: buildUser() });
+    const update = jest.spyOn(SavedSearch, "findByIdAndUpdate").mockResolvedValue(savedSearch);
+
+    await request(app).get(`/api/v1/saved-searches/unsubscribe/${signAlertUnsubscribeToken(savedSearch)}`).expect(200);
+
+    expect(update).toHaveBeenCalledWith(savedSearch.id, { alertFrequency: "none" });
+  });
+
+  it("should reject tampered unsubscribe links", async () => {
+    const response = await request(app).post("/api/v1/saved-searches/unsubscribe/not-a-token").expect(400);
+
+    expect(response.body.code).toBe("ALERT_UNSUBSCRIBE_INVALID");
+  });
+
+  it("should reject expired unsubscribe links and tokens not scoped to unsubscribing", async () => {
+    const savedSearch = buildSavedSearch();
+    const update = jest.spyOn(SavedSearch, "findByIdAndUpdate");
+    const payload = { id: savedSearch.id, type: "alert_unsubscribe" };
+    const expired = jwt.sign(payload, config.jwt.secret, { audience: "alert_unsubscribe", expiresIn: -1 });
+    const unscoped = jwt.sign(payload, config.jwt.secret);
+
+    for (const token of [expired, unscoped]) {
+      const response = await request(app).get(`/api/v1/saved-searches/unsubscribe/${token}`).expect(400);
+      expect(response.body.code).toBe("ALERT_UNSUBSCRIBE_INVALID");
+    }
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+import request from "supertest";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Job from "../models/Job.js";
+import { parseSearchQuery, buildSearchPipeline } from "../services/jobSearchService.js";
+import { buildJob } from "./helpers/fixtures.js";
+
+const now = new Date("2025-01-31T00:00:00Z");
+
+describe("Job Search Query Parsing", () => {
+  it("should apply defaults", () => {
+    const params = parseSearchQuery({});
+
+    expect(params).toMatchObject({ q: "", sort: "date", order: -1, page: 1, limit: 20 });
+    expect(params.employmentType).toBeUndefined();
+  });
+
+  it("should default to relevance sorting when keywords are given", () => {
+    expect(parseSearchQuery({ q: " node developer " })).toMatchObject({
+      q: "node developer",
+      sort: "relevance",
+    });
+    expect(parseSearchQuery({ sort: "relevance" }).sort).toBe("date");
+  });
+
+  it("should parse list and numeric filters", () => {
+    const params = parseSearchQuery({
+      employmentType: "full_time,contract",
+      experienceLevel: ["mid", "senior"],
+      salaryMin: "50000",
+      postedWithin: "7",
+      limit: "500",
+    });
+
+    expect(params.employmentType).toEqual(["full_time", "contract"]);
+    expect(params.experienceLevel).toEqual(["mid", "senior"]);
+    expect(params.salaryMin).toBe(50000);
+    expect(params.postedWithin).toBe(7);
+    expect(params.limit).toBe(100);
+  });
+
+  it("should reject invalid filters", () => {
+    expect(() => parseSearchQuery({ employmentType: "freelance" })).toThrow("Invalid employment type");
+    expect(() => parseSearchQuery({ salaryMin: "-1" })).toThrow("salaryMin");
+    expect(() => parseSearchQuery({ salaryMin: "100", salaryMax: "50" })).toThrow("salaryMax");
+    expect(() => parseSearchQuery({ sort: "popularity" })).toThrow("sort must be one of");
+    expect(() => parseSearchQuery({ salaryCurrency: "rupees" })).toThrow("salaryCurrency");
+    expect(() => parseSearchQuery({ salaryPeriod: "week" })).toThrow("salaryPeriod");
+  });
+});
+
+describe("Job Search Pipeline", () => {
+  it("should put the text search in the first stage", () => {
+    const pipeline = buildSearchPipeline(parseSearchQuery({ q: "react" }), now);
+
+    expect(pipeline[0].$match.$text).toEqual({ $search: "react" });
+    expect(pipeline[0].$match.status).toBe("published");
+    expect(pipeline[1].$addFields.score).toEqual({ $meta: "textScore" });
+  });
+
+  it("should count each facet without its own filter", () => {
+    const pipeline = buildSearchPipeline(
+      parseSearchQuery({ employmentType: "full_time", location: "Kathmandu" }),
+      now
+    );
+    const { $facet: facet } = pipeline[pipeline.length - 1];
+
+    expect(facet.results[0].$match.$and).toHaveLength(2);
+    expect(facet.employmentType[0].$match.$and).toEqual([
+      { location: { $regex: "Kathmandu", $options: "i" } },
+    ]);
+    expect(facet.location[0].$match.$and).toEqual([
+      { employmentType: { $in: ["full_time"] } },
+    ]);
+  });
+
+  it("should escape regex characters in the location filter", () => {
+    const pipeline = buildSearchPipeline(parseSearchQuery({ location: "a.*b" }), now);
+    const { $facet: facet } = pipeline[pipeline.length - 1];
+
+    expect(facet.results[0].$match.$and[0].location.$regex).toBe("a\\.\\*b");
+  });
+
+  it("should sort by salary in the requested order, postings in the searched unit first", () => {
+    const pipeline = buildSearchPipeline(parseSearchQuery({ sort: "salary", order: "asc" }), now);
+    const { $facet: facet } = pipeline[pipeline.length - 1];
+
+    expect(facet.results[1].$addFields.inSalaryUnit.$and).toEqual([
+      { $eq: ["$salary.currency", "NPR"] },
+      { $eq: ["$salary.period", "month"] },
+    ]);
+    expect(facet.results[2].$sort).toEqual({ inSalaryUnit: -1, "salary.max": 1, "salary.min": 1, _id: 1 });
+    expect(facet.results[facet.results.length - 1]).toEqual({ $project: { inSalaryUnit: 0 } });
+  });
+
+  it("should only compare salaries stated in the searched currency and period", () => {
+    const pipeline = buildSearchPipeline(
+      parseSearchQuery({ salaryMin: "3000", salaryCurrency: "usd", salaryPeriod: "year" }),
+      now
+    );
+    const { $facet: facet } = pipeline[pipeline.length - 1];
+
+    expect(facet.results[0].$match.$and[0].$and[0]).toEqual({ "salary.currency": "USD", "salary.period": "year" });
+    expect(facet.salary[1].$match).toEqual({ "salary.currency": "USD", "salary.period": "year" });
+  });
+});
+
+describe("Job Search Endpoint", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should reject invalid filters with 400", async () => {
+    const response = await request(app)
+      .get("/api/v1/jobs/search")
+      .query({ employmentType: "freelance" })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it("should answer with the paginated envelope, paged by offset, plus facets", async () => {
+    const job = buildJob({ status: "published" });
+    jest.spyOn(Job, "aggregate").mockResolvedValue([
+      {
+        results: [job],
+        total: [{ count: 3 }],
+        employmentType: [{ _id: "full_time", count: 3 }],
+        experienceLevel: [],
+        location: [],
+        salary: [],
+        postedDate: [],
+      },
+    ]);
+    jest.spyOn(Job, "populate").mockImplementation(async (docs) => docs);
+
+    const response = await request(app).get("/api/v1/jobs/search").query({ page: 2, limit: 1 }).expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.pagination).toEqual({
+      limit: 1,
+      total: 3,
+      hasMore: true,
+      nextCursor: null,
+      page: 2,
+      totalPages: 3,
+    });
+    expect(response.body.facets.employmentType).toEqual([{ value: "full_time", count: 3 }]);
+  });
+});
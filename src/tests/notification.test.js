@@ -0,0 +1,209 @@
+import http from "http";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Notification from "../models/Notification.js";
+import QueueJob from "../models/QueueJob.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { notify, subscribe, countStreams } from "../services/notificationService.js";
+import { signAccessToken } from "../services/tokenService.js";
+import { revokeAllSessions } from "../services/sessionService.js";
+import { redactUrl } from "../config/logger.js";
+import config from "../config/env.js";
+import { buildUser, loginAs, resolveUser } from "./helpers/fixtures.js";
+
+/**
+ * Open an event stream and collect its events until `count` have arrived
+ * @param {string} url - Stream URL on a listening server
+ * @param {number} count - Events to wait for
+ * @param {Function} [onOpen] - Called once the response has started
+ * @returns {Promise<Object[]>} [{ event, id, data }]
+ */
+const readEvents = (url, count, onOpen = () => {}) =>
+  new Promise((resolve, reject) => {
+    const req = http.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return reject(new Error(`Stream responded ${res.statusCode}`));
+      }
+
+      const events = [];
+      let buffer = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (block.startsWith(":")) continue;
+
+          const fields = Object.fromEntries(
+            block.split("\n").map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 2)])
+          );
+          events.push({ event: fields.event, id: fields.id, data: JSON.parse(fields.data) });
+          if (events.length === 1) onOpen();
+        }
+
+        if (events.length >= count) {
+          req.destroy();
+          resolve(events);
+        }
+      });
+    });
+    req.on("error", reject);
+  });
+
+describe("Notification Preferences", () => {
+  it("should deliver every type on its channels by default", () => {
+    const user = buildUser();
+
+    expect(user.wantsNotification("applicationStatusChanged", "inApp")).toBe(true);
+    expect(user.wantsNotification("applicationStatusChanged", "email")).toBe(true);
+    expect(user.notificationPreferences.email.applicationReceived).toBeUndefined();
+  });
+
+  it("should skip channels the user turned off", async () => {
+    const user = buildUser({ notificationPreferences: { inApp: { applicationStatusChanged: false }, email: {} } });
+    const create = jest.spyOn(Notification, "create");
+    const queued = jest.spyOn(QueueJob, "create").mockResolvedValue({});
+
+    const result = await notify(user, "applicationStatusChanged", {
+      params: { jobTitle: "Backend Engineer", company: "Himal Tech", status: "Shortlisted" },
+      email: { to: user.email, subject: "Update", html: "", text: "" },
+    });
+
+    expect(result).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+    expect(queued).toHaveBeenCalledWith(expect.objectContaining({ name: "email.send" }));
+    jest.restoreAllMocks();
+  });
+
+  it("should reject preferences for channels a type is not delivered on", async () => {
+    const user = buildUser();
+    const authorization = loginAs(user);
+
+    const response = await request(app)
+      .patch("/api/v1/notifications/preferences")
+      .set("Authorization", authorization)
+      .send({ email: { applicationReceived: false } })
+      .expect(422);
+
+    expect(response.body.details[0].field).toBe("email");
+    jest.restoreAllMocks();
+  });
+});
+
+describe("Notification Endpoints", () => {
+  it("should require authentication", async () => {
+    await request(app).get("/api/v1/notifications").expect(401);
+    await request(app).get("/api/v1/notifications/unread-count").expect(401);
+    await request(app).post("/api/v1/notifications/read-all").expect(401);
+  });
+
+  it("should only accept the query string token on the stream", async () => {
+    const user = buildUser();
+    resolveUser(user);
+
+    await request(app).get(`/api/v1/notifications?access_token=${signAccessToken(user)}`).expect(401);
+    jest.restoreAllMocks();
+  });
+
+  it("should redact query string tokens from logged URLs", () => {
+    expect(redactUrl("/api/v1/notifications/stream?access_token=abc.def&lastEventId=1")).toBe(
+      "/api/v1/notifications/stream?access_token=[REDACTED]&lastEventId=1"
+    );
+  });
+});
+
+describe("Notification Stream", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/v1/notifications/stream`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should push new notifications to the user's open streams", async () => {
+    const user = buildUser();
+    resolveUser(user);
+    jest.spyOn(Notification, "countUnread").mockResolvedValue(3);
+    jest.spyOn(Notification, "create").mockImplementation(async (fields) => new Notification(fields));
+
+    const events = await readEvents(`${baseUrl}?access_token=${signAccessToken(user)}`, 2, () =>
+      notify(user, "applicationReceived", { params: { jobTitle: "Backend Engineer", applicant: "Ram" } })
+    );
+
+    expect(events[0]).toMatchObject({ event: "ready", data: { unreadCount: 3 } });
+    expect(events[1].event).toBe("notification");
+    expect(events[1].id).toBe(events[1].data.notification._id);
+    expect(events[1].data.notification.title).toBe("New application for Backend Engineer");
+    expect(events[1].data.unreadCount).toBe(3);
+
+    // The stream unsubscribes once the client goes away
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(countStreams(user.id)).toBe(0);
+  });
+
+  it("should end the stream when the access token expires", async () => {
+    const user = buildUser();
+    resolveUser(user);
+    jest.spyOn(Notification, "countUnread").mockResolvedValue(0);
+    const token = jwt.sign(
+      { id: user.id, email: user.email, role: user.role, exp: Math.floor(Date.now() / 1000) + 1 },
+      config.jwt.secret
+    );
+
+    const events = await readEvents(`${baseUrl}?access_token=${token}`, 2);
+
+    expect(events[1]).toMatchObject({ event: "close", data: { reason: "token_expired" } });
+  });
+
+  it("should end the user's streams when their sessions are revoked", async () => {
+    const user = buildUser();
+    resolveUser(user);
+    jest.spyOn(Notification, "countUnread").mockResolvedValue(0);
+    jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({ modifiedCount: 1 });
+
+    const events = await readEvents(`${baseUrl}?access_token=${signAccessToken(user)}`, 2, () =>
+      revokeAllSessions(user.id)
+    );
+
+    expect(events[1]).toMatchObject({ event: "close", data: { reason: "session_revoked" } });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(countStreams(user.id)).toBe(0);
+  });
+
+  it("should limit the streams a user can open", async () => {
+    const user = buildUser();
+    const authorization = loginAs(user);
+
+    const unsubscribes = Array.from({ length: config.notifications.maxStreamsPerUser }, () =>
+      subscribe(user.id, () => {})
+    );
+
+    const response = await request(server)
+      .get("/api/v1/notifications/stream")
+      .set("Authorization", authorization)
+      .expect(429);
+
+    expect(response.body.code).toBe("NOTIFICATION_STREAM_LIMIT_REACHED");
+    unsubscribes.forEach((unsubscribe) => unsubscribe());
+  });
+
+  it("should reject a stream without a valid token", async () => {
+    await request(server).get("/api/v1/notifications/stream?access_token=invalid").expect(401);
+  });
+});
@@ -0,0 +1,157 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import app from "../server.js";
+import { APIResponse } from "../utils/index.js";
+import {
+  parseListQuery,
+  encodeCursor,
+  decodeCursor,
+  buildCursorCondition,
+} from "../utils/pagination.js";
+
+const spec = {
+  filters: {
+    role: { type: "string", operators: ["eq", "in"], values: ["job_seeker", "employer", "admin"] },
+    isActive: { type: "boolean" },
+    createdAt: { type: "date", operators: ["gte", "lte"] },
+    company: { type: "objectId" },
+  },
+  sortFields: ["createdAt", "fullname"],
+  defaultSort: "-createdAt",
+};
+
+describe("List Query Parsing", () => {
+  it("should apply defaults", () => {
+    const params = parseListQuery({}, spec);
+
+    expect(params).toEqual({
+      filter: {},
+      sort: { field: "createdAt", direction: -1 },
+      limit: 20,
+      cursor: null,
+    });
+  });
+
+  it("should parse flat filter keys from the simple query parser", () => {
+    const params = parseListQuery(
+      {
+        "filter[role][in]": "employer,admin",
+        "filter[isActive]": "true",
+        "filter[createdAt][gte]": "2025-01-01",
+        "filter[createdAt][lte]": "2025-02-01",
+      },
+      spec
+    );
+
+    expect(params.filter).toEqual({
+      role: { $in: ["employer", "admin"] },
+      isActive: { $eq: true },
+      createdAt: { $gte: new Date("2025-01-01"), $lte: new Date("2025-02-01") },
+    });
+  });
+
+  it("should parse nested filters from the extended query parser", () => {
+    const params = parseListQuery({ filter: { role: { eq: "admin" } } }, spec);
+
+    expect(params.filter).toEqual({ role: { $eq: "admin" } });
+  });
+
+  it("should cast object ids", () => {
+    const id = new mongoose.Types.ObjectId();
+    const params = parseListQuery({ "filter[company]": id.toString() }, spec);
+
+    expect(params.filter.company.$eq.equals(id)).toBe(true);
+  });
+
+  it("should reject fields, operators and values outside the whitelist", () => {
+    expect(() => parseListQuery({ "filter[password]": "x" }, spec)).toThrow("not supported");
+    expect(() => parseListQuery({ "filter[role][gt]": "admin" }, spec)).toThrow("Operator");
+    expect(() => parseListQuery({ "filter[role]": "superuser" }, spec)).toThrow("must be one of");
+    expect(() => parseListQuery({ "filter[isActive]": "yes" }, spec)).toThrow("Invalid value");
+    expect(() => parseListQuery({ "filter[createdAt][gte]": "soon" }, spec)).toThrow("Invalid value");
+    expect(() => parseListQuery({ filter: { role: { $ne: null } } }, spec)).toThrow("Operator");
+  });
+
+  it("should validate sort and clamp the limit", () => {
+    expect(parseListQuery({ sort: "fullname", limit: "1000" }, spec)).toMatchObject({
+      sort: { field: "fullname", direction: 1 },
+      limit: 100,
+    });
+    expect(() => parseListQuery({ sort: "-password" }, spec)).toThrow("sort must be one of");
+  });
+});
+
+describe("Cursors", () => {
+  const sort = { field: "createdAt", direction: -1 };
+  const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date("2025-01-15T10:00:00Z") };
+
+  it("should round-trip a position", () => {
+    const position = decodeCursor(encodeCursor(doc, sort), sort);
+
+    expect(position.value).toEqual(doc.createdAt);
+    expect(position.id.equals(doc._id)).toBe(true);
+  });
+
+  it("should reject malformed cursors and cursors for another sort", () => {
+    expect(() => decodeCursor("not-a-cursor", sort)).toThrow("Invalid cursor");
+    expect(() => decodeCursor(encodeCursor(doc, sort), { field: "createdAt", direction: 1 })).toThrow(
+      "does not match"
+    );
+  });
+
+  it("should reject cursors carrying query operators or invalid dates", () => {
+    const forge = (payload) =>
+      Buffer.from(JSON.stringify({ s: "-createdAt", id: String(doc._id), ...payload })).toString("base64url");
+
+    expect(() => decodeCursor(forge({ v: { $ne: null }, d: false }), sort)).toThrow("Invalid cursor");
+    expect(() => decodeCursor(forge({ v: { $regex: ".*" }, d: false }), sort)).toThrow("Invalid cursor");
+    expect(() => decodeCursor(forge({ v: ["a"], d: false }), sort)).toThrow("Invalid cursor");
+    expect(() => decodeCursor(forge({ v: "yesterday", d: true }), sort)).toThrow("Invalid cursor");
+    expect(() => decodeCursor(forge({ v: { $gt: "" }, d: true }), sort)).toThrow("Invalid cursor");
+    expect(() => decodeCursor(forge({ v: null, d: false, id: { $ne: null } }), sort)).toThrow("Invalid cursor");
+
+    expect(decodeCursor(forge({ v: null, d: false }), sort).value).toBeNull();
+    expect(decodeCursor(forge({ v: 42, d: false }), sort).value).toBe(42);
+  });
+
+  it("should select documents after the position, breaking ties by id", () => {
+    const condition = buildCursorCondition({ value: doc.createdAt, id: doc._id }, sort);
+
+    expect(condition.$or).toEqual([
+      { createdAt: { $lt: doc.createdAt } },
+      { createdAt: doc.createdAt, _id: { $lt: doc._id } },
+      { createdAt: null },
+    ]);
+  });
+});
+
+describe("APIResponse.paginated", () => {
+  it("should include pagination metadata", () => {
+    const body = APIResponse.paginated(
+      { items: [{ id: 1 }], nextCursor: "abc", hasMore: true, total: 5, limit: 1 },
+      "Users retrieved successfully"
+    ).toObject();
+
+    expect(body.data).toEqual([{ id: 1 }]);
+    expect(body.pagination).toEqual({ limit: 1, total: 5, hasMore: true, nextCursor: "abc" });
+  });
+
+  it("should leave other responses unchanged", () => {
+    expect(APIResponse.success({ id: 1 }).toObject()).not.toHaveProperty("pagination");
+  });
+});
+
+describe("Paginated Endpoints", () => {
+  it("should require authentication to list users", async () => {
+    await request(app).get("/api/v1/admin/users").expect(401);
+  });
+
+  it("should reject unsupported filters before querying", async () => {
+    const response = await request(app)
+      .get("/api/v1/jobs")
+      .query({ "filter[postedBy]": new mongoose.Types.ObjectId().toString() })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+import crypto from "crypto";
+import request from "supertest";
+import app from "../server.js";
+import User from "../models/User.js";
+import passwordResetTemplate from "../templates/email/passwordReset.js";
+import { buildUser } from "./helpers/fixtures.js";
+
+describe("Password Reset", () => {
+  describe("User.createPasswordResetToken", () => {
+    it("should store only a hash of the token with an expiry", () => {
+      const user = buildUser();
+
+      const token = user.createPasswordResetToken(60 * 1000);
+      const expectedHash = crypto.createHash("sha256").update(token).digest("hex");
+
+      expect(user.passwordResetToken).toBe(expectedHash);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+      expect(user.toJSON().passwordResetToken).toBeUndefined();
+    });
+  });
+
+  describe("User.changedPasswordAfter", () => {
+    it("should be false when the password never changed", () => {
+      const user = buildUser();
+
+      expect(user.changedPasswordAfter(Math.floor(Date.now() / 1000))).toBe(false);
+    });
+
+    it("should flag tokens issued before the password change", () => {
+      const user = buildUser();
+      user.passwordChangedAt = new Date();
+
+      const issuedBefore = Math.floor(Date.now() / 1000) - 60;
+      const issuedAfter = Math.floor(Date.now() / 1000) + 60;
+
+      expect(user.changedPasswordAfter(issuedBefore)).toBe(true);
+      expect(user.changedPasswordAfter(issuedAfter)).toBe(false);
+    });
+  });
+
+  describe("passwordReset template", () => {
+    it("should include the reset link and expiry", () => {
+      const email = passwordResetTemplate({
+        name: "John Doe",
+        resetUrl: "http://localhost:3000/reset-password/abc",
+        expiresInMinutes: 60,
+      });
+
+      expect(email.html).toContain("http://localhost:3000/reset-password/abc");
+      expect(email.text).toContain("60 minutes");
+    });
+  });
+
+  describe("POST /api/v1/auth/forgot-password", () => {
+    it("should require an email", async () => {
+      await request(app).post("/api/v1/auth/forgot-password").send({}).expect(422);
+    });
+  });
+
+  describe("POST /api/v1/auth/reset-password/:token", () => {
+    it("should require a new password", async () => {
+      await request(app).post("/api/v1/auth/reset-password/abc").send({}).expect(422);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import request from "supertest";
+import app from "../server.js";
+import { buildProfile } from "./helpers/fixtures.js";
+
+describe("Profile Model Tests", () => {
+  it("should score an empty profile as 0% complete", () => {
+    const { score, missing } = buildProfile().calculateCompleteness();
+
+    expect(score).toBe(0);
+    expect(missing).toContain("headline");
+    expect(missing).toContain("workExperience");
+  });
+
+  it("should score a fully filled profile as 100% complete", () => {
+    const profile = buildProfile({
+      headline: "Backend developer",
+      summary: "Five years building Node.js services.",
+      education: [{ institution: "Tribhuvan University", degree: "BSc CSIT" }],
+      workExperience: [{ title: "Developer", company: "Acme", startDate: new Date("2020-01-01") }],
+      skills: [{ name: "Node.js", proficiency: "expert", yearsOfExperience: 5 }],
+      certifications: [{ name: "AWS Certified Developer" }],
+      languages: [{ name: "Nepali", proficiency: "native" }],
+      preferredLocations: ["Kathmandu"],
+      salaryExpectation: { min: 80000, max: 120000 },
+    });
+
+    expect(profile.validateSync()).toBeUndefined();
+    expect(profile.calculateCompleteness()).toEqual({ score: 100, missing: [] });
+    expect(profile.completeness).toBe(100);
+    expect(profile.skills[0].name).toBe("node.js");
+  });
+
+  it("should weight sections individually", () => {
+    const profile = buildProfile({
+      headline: "Backend developer",
+      skills: [{ name: "Node.js" }],
+    });
+
+    expect(profile.calculateCompleteness().score).toBe(30);
+  });
+
+  it("should reject entries that end before they start", () => {
+    const profile = buildProfile({
+      workExperience: [
+        {
+          title: "Developer",
+          company: "Acme",
+          startDate: new Date("2022-01-01"),
+          endDate: new Date("2021-01-01"),
+        },
+      ],
+    });
+
+    const error = profile.validateSync();
+    expect(error.errors["workExperience.0.endDate"]).toBeDefined();
+  });
+
+  it("should reject unknown proficiency levels", () => {
+    const profile = buildProfile({
+      skills: [{ name: "Node.js", proficiency: "guru" }],
+      languages: [{ name: "English", proficiency: "perfect" }],
+    });
+
+    const error = profile.validateSync();
+    expect(error.errors["skills.0.proficiency"]).toBeDefined();
+    expect(error.errors["languages.0.proficiency"]).toBeDefined();
+  });
+});
+
+describe("Profile Endpoints", () => {
+  it("should require authentication", async () => {
+    await request(app).get("/api/v1/profile/me").expect(401);
+    await request(app).put("/api/v1/profile/me").send({ headline: "Developer" }).expect(401);
+  });
+});
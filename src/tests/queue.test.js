@@ -0,0 +1,144 @@
+import request from "supertest";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import database from "../config/database.js";
+import QueueJob from "../models/QueueJob.js";
+import { parseCron, nextCronDate } from "../utils/cron.js";
+import { enqueue, retryDelayMs, scheduleNextRun } from "../services/queue/index.js";
+import { buildQueueJob, buildUser, buildWorker, loginAs } from "./helpers/fixtures.js";
+
+describe("Cron Expressions", () => {
+  it("should find the next occurrence in UTC", () => {
+    const after = new Date("2025-01-03T10:14:59Z"); // a Friday
+
+    expect(nextCronDate("*/15 * * * *", after).toISOString()).toBe("2025-01-03T10:15:00.000Z");
+    expect(nextCronDate("30 3 * * *", after).toISOString()).toBe("2025-01-04T03:30:00.000Z");
+    expect(nextCronDate("0 9 * * 1-5", after).toISOString()).toBe("2025-01-06T09:00:00.000Z");
+    expect(nextCronDate("0 0 29 2 *", after).toISOString()).toBe("2028-02-29T00:00:00.000Z");
+  });
+
+  it("should match either day field when both are restricted", () => {
+    // The 15th of the month or any Sunday
+    expect(nextCronDate("0 0 15 * 0", new Date("2025-01-03T00:00:00Z")).toISOString()).toBe(
+      "2025-01-05T00:00:00.000Z"
+    );
+    expect(parseCron("0 0 * * 7").dayOfWeek.has(0)).toBe(true);
+  });
+
+  it("should reject invalid expressions", () => {
+    expect(() => parseCron("* * * *")).toThrow("expected 5 fields");
+    expect(() => parseCron("60 * * * *")).toThrow("minute");
+    expect(() => parseCron("* * * * mon")).toThrow("day of week");
+    expect(() => nextCronDate("0 0 30 2 *")).toThrow("never matches");
+  });
+});
+
+describe("Job Queue", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should back off exponentially up to the maximum", () => {
+    const backoff = { baseMs: 1000, maxMs: 10000 };
+
+    for (let i = 0; i < 20; i++) {
+      expect(retryDelayMs(1, backoff)).toBeGreaterThanOrEqual(500);
+      expect(retryDelayMs(1, backoff)).toBeLessThanOrEqual(1000);
+      expect(retryDelayMs(3, backoff)).toBeGreaterThanOrEqual(2000);
+      expect(retryDelayMs(3, backoff)).toBeLessThanOrEqual(4000);
+      expect(retryDelayMs(10, backoff)).toBeLessThanOrEqual(10000);
+    }
+  });
+
+  it("should queue each cron occurrence once", async () => {
+    const upsert = jest.spyOn(QueueJob, "findOneAndUpdate").mockResolvedValue(buildQueueJob());
+
+    await scheduleNextRun({ name: "alerts.run", cron: "* * * * *", maxAttempts: 1 }, new Date("2025-01-01T00:00:30Z"));
+
+    expect(upsert).toHaveBeenCalledWith(
+      { uniqueKey: "cron:alerts.run:2025-01-01T00:01:00.000Z" },
+      expect.objectContaining({ $setOnInsert: expect.objectContaining({ name: "alerts.run", maxAttempts: 1 }) }),
+      expect.objectContaining({ upsert: true })
+    );
+  });
+
+  it("should return the existing job when a unique key is enqueued concurrently", async () => {
+    const existing = buildQueueJob({ uniqueKey: "welcome:1" });
+    jest.spyOn(QueueJob, "findOneAndUpdate").mockRejectedValue(Object.assign(new Error("E11000"), { code: 11000 }));
+    jest.spyOn(QueueJob, "findOne").mockResolvedValue(existing);
+
+    expect(await enqueue("email.send", {}, { uniqueKey: "welcome:1" })).toBe(existing);
+  });
+
+  it("should complete jobs whose handler succeeds", async () => {
+    const handler = jest.fn().mockResolvedValue();
+    const update = jest.spyOn(QueueJob, "updateLocked").mockResolvedValue({});
+    const job = buildQueueJob();
+
+    await buildWorker({ handler }).process(job);
+
+    expect(handler).toHaveBeenCalledWith(job.data, job);
+    expect(update).toHaveBeenCalledWith(job, { $set: expect.objectContaining({ status: "completed" }) });
+  });
+
+  it("should delete jobs marked removeOnComplete once they succeed", async () => {
+    const remove = jest.spyOn(QueueJob, "deleteOne").mockResolvedValue({});
+    const job = buildQueueJob();
+
+    await buildWorker({ removeOnComplete: true }).process(job);
+
+    expect(remove).toHaveBeenCalledWith({ _id: job._id, lockedBy: "test-worker" });
+  });
+
+  it("should retry failed jobs later", async () => {
+    const update = jest.spyOn(QueueJob, "updateLocked").mockResolvedValue({});
+    const job = buildQueueJob({ attempts: 1 });
+
+    await buildWorker({ handler: async () => { throw new Error("SMTP timeout"); } }).process(job);
+
+    const { $set } = update.mock.calls[0][1];
+    expect($set).toMatchObject({ status: "pending", lastError: "SMTP timeout", lockedBy: null });
+    expect($set.runAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("should dead-letter jobs after their last attempt", async () => {
+    const update = jest.spyOn(QueueJob, "updateLocked").mockResolvedValue({});
+    const handler = jest.fn();
+    const job = buildQueueJob({ attempts: 4 }); // taken over after a worker died on attempt 3
+
+    await buildWorker({ handler }).process(job);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: "dead", failedAt: expect.any(Date) });
+  });
+});
+
+describe("Queue Monitoring", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should export queue depth on /health/metrics", async () => {
+    jest.spyOn(database, "isHealthy").mockResolvedValue(true);
+    jest.spyOn(QueueJob, "aggregate").mockResolvedValue([
+      { _id: { name: "email.send", status: "dead" }, count: 2, oldestRunAt: new Date() },
+      { _id: { name: "email.send", status: "pending" }, count: 5, oldestRunAt: new Date(Date.now() - 90 * 1000) },
+    ]);
+
+    const response = await request(app).get("/health/metrics").expect(200);
+
+    expect(response.text).toContain('career_sewa_queue_jobs{name="email.send",status="pending"} 5');
+    expect(response.text).toContain('career_sewa_queue_jobs{name="email.send",status="dead"} 2');
+    expect(response.text).toMatch(/career_sewa_queue_oldest_pending_seconds\{name="email\.send"\} (89|90|91)/);
+  });
+
+  it("should 404 when retrying a job that is not dead", async () => {
+    const authorization = loginAs(buildUser({ role: "admin" }));
+    jest.spyOn(QueueJob, "findOneAndUpdate").mockResolvedValue(null);
+
+    await request(app)
+      .post(`/api/v1/admin/queue/jobs/${buildQueueJob().id}/retry`)
+      .set("Authorization", authorization)
+      .expect(404);
+  });
+});
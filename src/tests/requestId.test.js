@@ -0,0 +1,72 @@
+import request from "supertest";
+import winston from "winston";
+import app from "../server.js";
+import logger, { runWithRequestContext, createChildLogger } from "../config/logger.js";
+
+/**
+ * Winston transport that keeps log entries in memory
+ */
+class MemoryTransport extends winston.Transport {
+  constructor() {
+    super({ level: "debug" });
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+describe("Request IDs", () => {
+  it("should generate an id and return it in the header and body", async () => {
+    const response = await request(app).get("/health").expect("X-Request-Id", /^[0-9a-f-]{36}$/);
+
+    expect(response.body.requestId).toBe(response.headers["x-request-id"]);
+  });
+
+  it("should reuse a well-formed incoming id", async () => {
+    const response = await request(app)
+      .get("/api/v1/auth/me")
+      .set("X-Request-Id", "gateway-abc.123")
+      .expect(401);
+
+    expect(response.headers["x-request-id"]).toBe("gateway-abc.123");
+    expect(response.body.requestId).toBe("gateway-abc.123");
+  });
+
+  it("should replace a malformed incoming id", async () => {
+    const response = await request(app).get("/health").set("X-Request-Id", "bad id <script>");
+
+    expect(response.headers["x-request-id"]).not.toBe("bad id <script>");
+    expect(response.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
+
+describe("Request-scoped logging", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = new MemoryTransport();
+    logger.add(transport);
+  });
+
+  afterEach(() => {
+    logger.remove(transport);
+  });
+
+  it("should add the request id to logs written across async calls", async () => {
+    await runWithRequestContext({ requestId: "req-1" }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      logger.info("Inside request");
+      createChildLogger({ module: "test" }).info("From child logger");
+    });
+    logger.info("Outside request");
+
+    expect(transport.entries.map(({ message, requestId, module }) => ({ message, requestId, module }))).toEqual([
+      { message: "Inside request", requestId: "req-1", module: undefined },
+      { message: "From child logger", requestId: "req-1", module: "test" },
+      { message: "Outside request", requestId: undefined, module: undefined },
+    ]);
+  });
+});
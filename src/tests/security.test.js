@@ -0,0 +1,186 @@
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import config from "../config/env.js";
+import { signAccessToken } from "../services/tokenService.js";
+import { MemoryStore, MongoStore, SlidingWindowStore } from "../services/rateLimit/index.js";
+
+/**
+ * Sign an access token for a throwaway user with the given role
+ * @param {string} role - User role
+ * @returns {string} Access token
+ */
+const tokenFor = (role) =>
+  signAccessToken({ _id: new mongoose.Types.ObjectId(), email: `${role}@example.com`, role });
+
+describe("Security Middleware", () => {
+  it("should set security headers with a restrictive CSP", async () => {
+    const response = await request(app).get("/health").expect(200);
+
+    expect(response.headers["content-security-policy"]).toContain("default-src 'none'");
+    expect(response.headers["x-content-type-options"]).toBe("nosniff");
+    expect(response.headers).not.toHaveProperty("x-powered-by");
+  });
+
+  it("should allow configured origins with credentials", async () => {
+    const origin = config.cors.origin[0];
+    const response = await request(app).get("/health").set("Origin", origin).expect(200);
+
+    expect(response.headers["access-control-allow-origin"]).toBe(origin);
+    expect(response.headers["access-control-allow-credentials"]).toBe("true");
+    expect(response.headers["access-control-expose-headers"]).toContain("X-Request-Id");
+  });
+
+  it("should not grant CORS access to other origins", async () => {
+    const response = await request(app).get("/health").set("Origin", "https://evil.example.com").expect(200);
+
+    expect(response.headers).not.toHaveProperty("access-control-allow-origin");
+  });
+});
+
+describe("Email Preview", () => {
+  it("should not be served outside development unless enabled", async () => {
+    expect(config.email.previewEnabled).toBe(false);
+    await request(app).get("/dev/mail").expect(404);
+  });
+});
+
+describe("Rate Limiting", () => {
+  it("should send rate limit headers on API requests", async () => {
+    const response = await request(app).get("/api/v1/auth/me").expect(401);
+
+    expect(response.headers["ratelimit-limit"]).toBe(String(config.rateLimit.max));
+    expect(response.headers).toHaveProperty("ratelimit-remaining");
+  });
+
+  it("should reject repeated failed logins with 429 and Retry-After", async () => {
+    for (let attempt = 0; attempt < config.rateLimit.login.max; attempt++) {
+      await request(app).post("/api/v1/auth/login").send({}).expect(422);
+    }
+
+    const response = await request(app).post("/api/v1/auth/login").send({}).expect(429);
+
+    expect(Number(response.headers["retry-after"])).toBeGreaterThan(0);
+    expect(response.body).toMatchObject({
+      success: false,
+      statusCode: 429,
+      code: "RATE_LIMITED",
+      details: { limit: config.rateLimit.login.max },
+    });
+    expect(response.body.details.retryAfter).toBeGreaterThan(0);
+  });
+});
+
+describe("Per-user Quotas", () => {
+  it("should apply the role quota to authenticated users", async () => {
+    const response = await request(app)
+      .get("/api/v1/does-not-exist")
+      .set("Authorization", `Bearer ${tokenFor("employer")}`)
+      .expect(404);
+
+    expect(response.headers["ratelimit-limit"]).toBe(String(config.rateLimit.roles.employer));
+  });
+
+  it("should count each user separately from their IP", async () => {
+    const token = tokenFor("job_seeker");
+    await request(app).get("/api/v1/does-not-exist").set("Authorization", `Bearer ${token}`);
+    const second = await request(app).get("/api/v1/does-not-exist").set("Authorization", `Bearer ${token}`);
+    const other = await request(app).get("/api/v1/does-not-exist").set("Authorization", `Bearer ${tokenFor("job_seeker")}`);
+
+    expect(Number(second.headers["ratelimit-remaining"])).toBe(config.rateLimit.roles.job_seeker - 2);
+    expect(Number(other.headers["ratelimit-remaining"])).toBe(config.rateLimit.roles.job_seeker - 1);
+  });
+
+  it("should fall back to the anonymous quota for invalid tokens", async () => {
+    const response = await request(app)
+      .get("/api/v1/does-not-exist")
+      .set("Authorization", "Bearer not-a-token")
+      .expect(404);
+
+    expect(response.headers["ratelimit-limit"]).toBe(String(config.rateLimit.max));
+  });
+});
+
+describe("Rate Limit Stores", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should implement Redis counter semantics in memory", async () => {
+    const store = new MemoryStore();
+
+    expect(await store.get("a")).toBeNull();
+    expect(await store.incr("a")).toBe(1);
+    expect(await store.incr("a")).toBe(2);
+    expect(await store.decr("a")).toBe(1);
+    expect(await store.pexpire("missing", 1000)).toBe(0);
+    expect(await store.pexpire("a", 1000)).toBe(1);
+
+    jest.spyOn(Date, "now").mockReturnValue(Date.now() + 1001);
+    expect(await store.get("a")).toBeNull();
+    expect(await store.incr("a")).toBe(1);
+    expect(await store.del("a", "missing")).toBe(1);
+
+    expect(await store.set("b", 0, "PX", 1000, "NX")).toBe("OK");
+    expect(await store.incr("b")).toBe(1);
+    expect(await store.set("b", 0, "PX", 1000, "NX")).toBeNull();
+    expect(await store.get("b")).toBe(1);
+  });
+
+  it("should create MongoDB counters with their expiry in one upsert", async () => {
+    const store = new MongoStore();
+    const upsert = jest.spyOn(store.model, "findOneAndUpdate").mockResolvedValue(null);
+
+    expect(await store.set("a", 0, "PX", 1000, "NX")).toBe("OK");
+    const [filter, [{ $set: update }], options] = upsert.mock.calls[0];
+    expect(filter).toEqual({ _id: "a" });
+    expect(update.expiresAt.$cond[1]).toEqual({ $add: ["$$NOW", 1000] });
+    expect(options).toMatchObject({ upsert: true });
+
+    upsert.mockResolvedValue({ _id: "a", value: 3, expiresAt: new Date(Date.now() + 500) });
+    expect(await store.set("a", 0, "PX", 1000, "NX")).toBeNull();
+  });
+
+  it("should weigh the previous window into a sliding count", async () => {
+    const windowMs = 60 * 1000;
+    const store = new SlidingWindowStore(new MemoryStore(), { prefix: "test" });
+    store.init({ windowMs });
+
+    const start = 1000 * windowMs;
+    const now = jest.spyOn(Date, "now").mockReturnValue(start);
+    for (let hit = 0; hit < 10; hit++) {
+      await store.increment("client");
+    }
+
+    // A quarter into the next window, 75% of the previous window still overlaps
+    now.mockReturnValue(start + windowMs * 1.25);
+    const info = await store.increment("client");
+
+    expect(info.totalHits).toBe(7 + 1);
+    expect(info.resetTime).toEqual(new Date(start + windowMs * 2));
+
+    await store.decrement("client");
+    expect((await store.get("client")).totalHits).toBe(7);
+  });
+
+  it("should expire counters it creates and take hits back from the window they were counted in", async () => {
+    const windowMs = 60 * 1000;
+    const backend = new MemoryStore();
+    const store = new SlidingWindowStore(backend, { prefix: "test" });
+    store.init({ windowMs });
+
+    const start = 1000 * windowMs;
+    const now = jest.spyOn(Date, "now").mockReturnValue(start);
+    await store.increment("client");
+    expect(backend.entries.get("test:client:1000").expiresAt).toBe(start + windowMs * 2);
+
+    // The request finishes after the window rolled over
+    now.mockReturnValue(start + windowMs * 1.5);
+    await store.increment("client");
+    await store.decrement("client");
+
+    expect(await backend.get("test:client:1000")).toBeNull();
+    expect(await backend.get("test:client:1001")).toBe(1);
+  });
+});
@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import config from "../config/env.js";
+import User from "../models/User.js";
+import Setting from "../models/Setting.js";
+import { loggerUtils } from "../config/logger.js";
+import {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  totpStep,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+import {
+  encryptSecret,
+  decryptSecret,
+  verifyCode,
+  isTwoFactorRequired,
+  setRequiredRoles,
+} from "../services/twoFactorService.js";
+import {
+  signAccessToken,
+  verifyAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} from "../services/tokenService.js";
+import { buildUser, loginAs } from "./helpers/fixtures.js";
+
+// RFC 6238 appendix B test secret
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP", () => {
+  it("should match the RFC 6238 SHA-1 test vectors", () => {
+    const vectors = {
+      59: "287082",
+      1111111109: "081804",
+      1111111111: "050471",
+      1234567890: "005924",
+      2000000000: "279037",
+    };
+
+    for (const [seconds, code] of Object.entries(vectors)) {
+      expect(generateTotp(RFC_SECRET, totpStep(Number(seconds) * 1000))).toBe(code);
+    }
+  });
+
+  it("should round-trip base32", () => {
+    const bytes = crypto.randomBytes(20);
+
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    expect(base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+  });
+
+  it("should accept codes within one step of clock drift", () => {
+    const timeMs = 1111111111 * 1000;
+    const step = totpStep(timeMs);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { timeMs })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { timeMs })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, "abc123", { timeMs })).toBeNull();
+  });
+
+  it("should build a provisioning URI for authenticator apps", () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, account: "john@example.com", issuer: "Career Sewa" });
+
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Career%20Sewa%3Ajohn%40example\.com\?/);
+    expect(new URL(uri).searchParams.get("secret")).toBe(RFC_SECRET);
+  });
+});
+
+describe("Two-factor Secrets", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should encrypt secrets at rest", () => {
+    const encrypted = encryptSecret(RFC_SECRET);
+
+    expect(encrypted).not.toContain(RFC_SECRET);
+    expect(decryptSecret(encrypted)).toBe(RFC_SECRET);
+
+    const [iv, tag, ciphertext] = encrypted.split(".");
+    const tampered = [iv, tag, (ciphertext[0] === "A" ? "B" : "A") + ciphertext.slice(1)].join(".");
+    expect(() => decryptSecret(tampered)).toThrow();
+  });
+
+  it("should store only hashes of recovery codes", () => {
+    const user = buildUser();
+
+    const codes = user.createRecoveryCodes(config.twoFactor.recoveryCodeCount);
+
+    expect(codes).toHaveLength(config.twoFactor.recoveryCodeCount);
+    expect(codes[0]).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(user.twoFactorRecoveryCodes[0]).toBe(crypto.createHash("sha256").update(codes[0]).digest("hex"));
+    expect(user.toJSON().twoFactorRecoveryCodes).toBeUndefined();
+  });
+
+  it("should reject a TOTP code whose step was already used", async () => {
+    const user = buildUser({ twoFactorEnabled: true, twoFactorSecret: encryptSecret(RFC_SECRET) });
+    jest.spyOn(User, "consumeTotpStep").mockResolvedValue(false);
+
+    await expect(verifyCode(user, generateTotp(RFC_SECRET))).rejects.toMatchObject({
+      code: "TWO_FACTOR_CODE_INVALID",
+    });
+  });
+
+  it("should fall back to recovery codes", async () => {
+    const user = buildUser({ twoFactorEnabled: true, twoFactorSecret: encryptSecret(RFC_SECRET) });
+    user.createRecoveryCodes(2);
+    const consume = jest.spyOn(User, "consumeRecoveryCode").mockResolvedValue(true);
+
+    const result = await verifyCode(user, "abcd-ef01-2345");
+
+    expect(consume).toHaveBeenCalledWith(user._id, "abcd-ef01-2345");
+    expect(result).toEqual({ method: "recovery_code", remainingRecoveryCodes: 1 });
+  });
+});
+
+describe("Two-factor Challenge Tokens", () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: "john@example.com", role: "employer" };
+
+  it("should not be usable as access tokens", () => {
+    const challenge = signTwoFactorChallenge(user);
+
+    expect(verifyTwoFactorChallenge(challenge).id).toBe(user._id.toString());
+    expect(() => verifyAccessToken(challenge)).toThrow("invalid token type");
+    expect(() => verifyTwoFactorChallenge(signAccessToken(user))).toThrow("invalid token type");
+  });
+
+  it("should be rejected by protected routes", async () => {
+    await request(app)
+      .get("/api/v1/auth/me")
+      .set("Authorization", `Bearer ${signTwoFactorChallenge(user)}`)
+      .expect(401);
+  });
+
+  it("should reject invalid challenges at /auth/2fa/verify", async () => {
+    const response = await request(app)
+      .post("/api/v1/auth/2fa/verify")
+      .send({ challengeToken: "not-a-token", code: "123456" })
+      .expect(401);
+
+    expect(response.body.code).toBe("TWO_FACTOR_CHALLENGE_INVALID");
+  });
+});
+
+describe("Two-factor Policy", () => {
+  const admin = buildUser({ fullname: "Ram Thapa", email: "ram@example.com", role: "admin" });
+
+  /**
+   * Store settings in memory instead of the database
+   * @param {any} stored - Value of the required roles setting
+   */
+  const mockSettings = (stored = null) => {
+    jest.spyOn(Setting, "findOne").mockReturnValue({ lean: async () => stored && { value: stored } });
+    jest.spyOn(Setting, "findOneAndUpdate").mockResolvedValue({});
+  };
+
+  afterEach(async () => {
+    // Back to opt-in for every role
+    mockSettings();
+    await setRequiredRoles([], admin.id);
+    jest.restoreAllMocks();
+  });
+
+  it("should let admins require roles to use 2FA, with an audit trail", async () => {
+    mockSettings(["admin"]);
+    const audit = jest.spyOn(loggerUtils, "audit");
+
+    const response = await request(app)
+      .put("/api/v1/admin/settings/two-factor")
+      .set("Authorization", loginAs(admin))
+      .send({ requiredRoles: ["admin", "employer"] })
+      .expect(200);
+
+    expect(response.body.data.requiredRoles).toEqual(["admin", "employer"]);
+    expect(Setting.findOneAndUpdate).toHaveBeenCalledWith(
+      { key: "twoFactor.requiredRoles" },
+      { value: ["admin", "employer"], updatedBy: admin.id },
+      expect.objectContaining({ upsert: true })
+    );
+    expect(audit).toHaveBeenCalledWith("settings.two_factor_updated", admin.id, {
+      from: ["admin"],
+      to: ["admin", "employer"],
+    });
+    expect(isTwoFactorRequired("employer")).toBe(true);
+    expect(isTwoFactorRequired("job_seeker")).toBe(false);
+
+    const employer = buildUser({ fullname: "Hari Rai", email: "hari@example.com", role: "employer" });
+    const blocked = await request(app).get("/api/v1/jobs/mine").set("Authorization", loginAs(employer)).expect(403);
+    expect(blocked.body.code).toBe("TWO_FACTOR_SETUP_REQUIRED");
+  });
+
+  it("should keep the policy to admins and known roles", async () => {
+    mockSettings();
+
+    await request(app)
+      .put("/api/v1/admin/settings/two-factor")
+      .set("Authorization", loginAs(buildUser({ role: "employer" })))
+      .send({ requiredRoles: [] })
+      .expect(403);
+
+    const invalid = await request(app)
+      .put("/api/v1/admin/settings/two-factor")
+      .set("Authorization", loginAs(admin))
+      .send({ requiredRoles: ["superuser"] })
+      .expect(422);
+    expect(invalid.body.details[0].field).toBe("requiredRoles.0");
+    expect(Setting.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe("Two-factor Code Guessing", () => {
+  /**
+   * Build a user with 2FA on; recovery codes are mocked as all used up
+   * @param {Object} [fields] - Fields overriding the defaults
+   * @returns {Object} User document
+   */
+  const buildEnrolledUser = (fields = {}) =>
+    buildUser({ twoFactorEnabled: true, twoFactorSecret: encryptSecret(RFC_SECRET), ...fields });
+
+  beforeEach(() => {
+    jest.spyOn(User, "consumeRecoveryCode").mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should count wrong codes towards the lockout when regenerating recovery codes", async () => {
+    const user = buildEnrolledUser();
+    const recordFailure = jest.spyOn(User, "recordFailedLogin").mockResolvedValue(null);
+
+    const response = await request(app)
+      .post("/api/v1/auth/2fa/recovery-codes")
+      .set("Authorization", loginAs(user))
+      .send({ code: "abcd-ef01-2345" })
+      .expect(401);
+
+    expect(response.body.code).toBe("TWO_FACTOR_CODE_INVALID");
+    expect(recordFailure).toHaveBeenCalledWith(user._id, expect.any(Date));
+  });
+
+  it("should count wrong passwords and codes towards the lockout when disabling 2FA", async () => {
+    const user = buildEnrolledUser();
+    jest.spyOn(user, "comparePassword").mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+    const recordFailure = jest.spyOn(User, "recordFailedLogin").mockResolvedValue(null);
+    const authorization = loginAs(user);
+
+    for (const expected of ["AUTH_INVALID_CREDENTIALS", "TWO_FACTOR_CODE_INVALID"]) {
+      const response = await request(app)
+        .post("/api/v1/auth/2fa/disable")
+        .set("Authorization", authorization)
+        .send({ password: "guess", code: "abcd-ef01-2345" })
+        .expect(401);
+      expect(response.body.code).toBe(expected);
+    }
+
+    expect(recordFailure).toHaveBeenCalledTimes(2);
+  });
+
+  it("should refuse code checks while the account is locked", async () => {
+    const user = buildEnrolledUser({ lockUntil: new Date(Date.now() + 60 * 1000) });
+    const consume = jest.spyOn(User, "consumeTotpStep");
+
+    const response = await request(app)
+      .post("/api/v1/auth/2fa/recovery-codes")
+      .set("Authorization", loginAs(user))
+      .send({ code: generateTotp(RFC_SECRET) })
+      .expect(423);
+
+    expect(response.body.code).toBe("AUTH_ACCOUNT_LOCKED");
+    expect(consume).not.toHaveBeenCalled();
+  });
+});
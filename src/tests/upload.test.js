@@ -0,0 +1,127 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import request from "supertest";
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import Application from "../models/Application.js";
+import Company from "../models/Company.js";
+import Job from "../models/Job.js";
+import { detectFileType } from "../utils/fileType.js";
+import { LocalDiskStorage } from "../services/storage/index.js";
+import { canDownload } from "../services/uploadService.js";
+import { buildCompany, buildJob, buildUpload, buildUser } from "./helpers/fixtures.js";
+
+const PDF_BYTES = Buffer.from("%PDF-1.7\n%test\n");
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+const JPEG_BYTES = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+
+describe("File Type Detection", () => {
+  it("should detect supported types from magic bytes", () => {
+    expect(detectFileType(PDF_BYTES)).toEqual({ mimeType: "application/pdf", extension: ".pdf" });
+    expect(detectFileType(PNG_BYTES).mimeType).toBe("image/png");
+    expect(detectFileType(JPEG_BYTES).mimeType).toBe("image/jpeg");
+    expect(detectFileType(Buffer.from("GIF89a...")).mimeType).toBe("image/gif");
+  });
+
+  it("should not trust content that only looks right by name", () => {
+    expect(detectFileType(Buffer.from("<html>not a pdf</html>"))).toBeNull();
+    expect(detectFileType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe("LocalDiskStorage", () => {
+  let rootDir;
+  let storage;
+
+  beforeAll(async () => {
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "career-sewa-uploads-"));
+    storage = new LocalDiskStorage(rootDir);
+  });
+
+  afterAll(async () => {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  });
+
+  it("should save, read and delete files", async () => {
+    await storage.save("resume/user1/file.pdf", PDF_BYTES);
+    expect(await storage.exists("resume/user1/file.pdf")).toBe(true);
+
+    const chunks = [];
+    for await (const chunk of storage.createReadStream("resume/user1/file.pdf")) {
+      chunks.push(chunk);
+    }
+    expect(Buffer.concat(chunks).equals(PDF_BYTES)).toBe(true);
+
+    await storage.delete("resume/user1/file.pdf");
+    expect(await storage.exists("resume/user1/file.pdf")).toBe(false);
+  });
+
+  it("should reject keys that escape the root directory", async () => {
+    await expect(storage.save("../outside.pdf", PDF_BYTES)).rejects.toThrow("Invalid storage key");
+  });
+});
+
+describe("Upload Endpoints", () => {
+  it("should require authentication to upload a resume", async () => {
+    await request(app)
+      .post("/api/v1/uploads/resume")
+      .attach("file", PDF_BYTES, "resume.pdf")
+      .expect(401);
+  });
+
+  it("should require authentication to upload a company logo", async () => {
+    await request(app)
+      .put(`/api/v1/companies/${new mongoose.Types.ObjectId()}/logo`)
+      .attach("file", PNG_BYTES, "logo.png")
+      .expect(401);
+  });
+});
+
+describe("Resume Downloads", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should let members of the company a live application went to read the resume", async () => {
+    const applicant = buildUser();
+    const owner = buildUser({ fullname: "Ram Thapa", email: "ram@example.com", role: "employer" });
+    const recruiter = buildUser({ fullname: "Hari Rai", email: "hari@example.com", role: "employer" });
+    const company = buildCompany({
+      members: [
+        { user: owner._id, role: "owner" },
+        { user: recruiter._id, role: "recruiter" },
+      ],
+    });
+    const job = buildJob({ company: company._id, postedBy: recruiter._id });
+    const upload = buildUpload({ owner: applicant._id });
+
+    jest.spyOn(Company, "find").mockImplementation((filter) => ({
+      distinct: async () => (company.isMember(filter["members.user"]) ? [company._id] : []),
+    }));
+    jest.spyOn(Job, "find").mockImplementation((filter) => ({
+      distinct: async () => (filter.company.$in.length > 0 ? [job._id] : []),
+    }));
+    const exists = jest
+      .spyOn(Application, "exists")
+      .mockImplementation(async (filter) => (filter.job.$in.length > 0 ? { _id: new mongoose.Types.ObjectId() } : null));
+
+    expect(await canDownload(upload, owner)).toBe(true);
+    expect(await canDownload(upload, recruiter)).toBe(true);
+    expect(exists).toHaveBeenCalledWith({
+      applicant: applicant._id,
+      job: { $in: [job._id] },
+      status: { $ne: "withdrawn" },
+    });
+
+    // A removed member loses access, even to applications sent to them
+    company.members = company.members.filter((member) => !member.user.equals(recruiter._id));
+    expect(await canDownload(upload, recruiter)).toBe(false);
+    expect(await canDownload(upload, owner)).toBe(true);
+
+    exists.mockResolvedValue(null);
+    expect(await canDownload(upload, owner)).toBe(false);
+  });
+
+});
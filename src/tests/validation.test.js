@@ -0,0 +1,105 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import request from "supertest";
+import { jest } from "@jest/globals";
+import app from "../server.js";
+import { validate } from "../middleware/validate.js";
+import { APIError } from "../utils/index.js";
+import { createJobSchema, updateJobSchema } from "../validators/jobValidators.js";
+
+const schema = {
+  params: Joi.object({ id: Joi.string().hex().length(24).required() }),
+  query: Joi.object({ page: Joi.number().integer().min(1).default(1) }),
+  body: Joi.object({
+    email: Joi.string().email({ tlds: { allow: false } }).required(),
+    age: Joi.number().min(18),
+  }),
+};
+
+/**
+ * Run the validate middleware against a fake request
+ * @returns {{ req: Object, next: Function }} Request and next mock
+ */
+const run = (req) => {
+  const next = jest.fn();
+  validate(schema)(req, {}, next);
+  return { req, next };
+};
+
+describe("validate middleware", () => {
+  it("should pass through valid input with conversions applied", () => {
+    const { req, next } = run({
+      params: { id: new mongoose.Types.ObjectId().toString() },
+      query: {},
+      body: { email: "jane@example.com", age: "30", isAdmin: true },
+    });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.query.page).toBe(1);
+    expect(req.body).toEqual({ email: "jane@example.com", age: 30 });
+  });
+
+  it("should collect per-field errors across segments", () => {
+    const { next } = run({
+      params: { id: "z".repeat(24) },
+      query: { page: "0" },
+      body: { email: "not-an-email" },
+    });
+
+    const error = next.mock.calls[0][0];
+    expect(error).toBeInstanceOf(APIError);
+    expect(error.statusCode).toBe(422);
+    expect(error.details).toEqual([
+      expect.objectContaining({ field: "id", rule: "string.hex", location: "params" }),
+      expect.objectContaining({ field: "page", rule: "number.min", location: "query" }),
+      { field: "email", message: "email must be a valid email", rule: "string.email", location: "body" },
+    ]);
+  });
+});
+
+describe("Job validators", () => {
+  it("should require the core fields on create", () => {
+    const { error } = createJobSchema.body.validate({}, { abortEarly: false });
+    const fields = error.details.map((detail) => detail.path[0]);
+
+    expect(fields).toEqual(
+      expect.arrayContaining(["title", "description", "company", "location", "employmentType", "experienceLevel"])
+    );
+  });
+
+  it("should reject an inverted salary range and an empty update", () => {
+    expect(updateJobSchema.body.validate({ salary: { min: 10, max: 5 } }).error.details[0].path).toEqual([
+      "salary",
+      "max",
+    ]);
+    expect(updateJobSchema.body.validate({}).error.details[0].type).toBe("object.min");
+  });
+});
+
+describe("Mongoose validation errors", () => {
+  it("should be converted to per-field errors", () => {
+    const error = new mongoose.Error.ValidationError();
+    error.addError("title", new mongoose.Error.ValidatorError({ path: "title", type: "required", message: "Job title is required" }));
+
+    const apiError = APIError.fromMongooseValidationError(error);
+
+    expect(apiError.statusCode).toBe(422);
+    expect(apiError.details).toEqual([
+      { field: "title", message: "Job title is required", rule: "required", location: "body" },
+    ]);
+  });
+});
+
+describe("Validation responses", () => {
+  it("should return 422 with field errors", async () => {
+    const response = await request(app)
+      .post("/api/v1/auth/forgot-password")
+      .send({ email: "not-an-email" })
+      .expect(422);
+
+    expect(response.body.message).toBe("Validation failed");
+    expect(response.body.details).toEqual([
+      { field: "email", message: "email must be a valid email", rule: "string.email", location: "body" },
+    ]);
+  });
+});
@@ -1,3 +1,5 @@
+import { ERROR_CODES, codeForStatus } from "./errorCodes.js";
+
 /**
  * Custom API Error class extending the native Error class
  * Provides standardized error handling across the application
@@ -20,6 +22,8 @@ class APIError extends Error {
     
     this.name = this.constructor.name;
     this.statusCode = statusCode;
+    this.code = codeForStatus(statusCode);
+    this.details = null;
     this.isOperational = isOperational;
     this.timestamp = new Date().toISOString();
     
@@ -30,6 +34,35 @@ class APIError extends Error {
     }
   }
 
+  /**
+   * Create an error from the error code registry
+   * @param {string} code - Registered error code (e.g. "AUTH_TOKEN_EXPIRED")
+   * @param {string} message - Message overriding the registered default
+   * @param {any} details - Optional machine-readable details
+   * @returns {APIError} APIError instance
+   */
+  static fromCode(code, message, details = null) {
+    const entry = ERROR_CODES[code];
+    if (!entry) {
+      throw new Error(`Unknown error code: ${code}`);
+    }
+
+    const error = new APIError(message || entry.message, entry.statusCode, entry.statusCode < 500);
+    error.code = code;
+    error.details = details;
+    return error;
+  }
+
+  /**
+   * Attach machine-readable details to the error
+   * @param {any} details - Details payload
+   * @returns {APIError} This error, for chaining
+   */
+  withDetails(details) {
+    this.details = details;
+    return this;
+  }
+
   /**
    * Create a bad request error (400)
    * @param {string} message - Error message
@@ -84,13 +117,23 @@ class APIError extends Error {
     return new APIError(message, 409);
   }
 
+  /**
+   * Create an unsupported media type error (415)
+   * @param {string} message - Error message
+   * @returns {APIError} APIError instance
+   */
+  static unsupportedMediaType(message = "Unsupported media type") {
+    return new APIError(message, 415);
+  }
+
   /**
    * Create a validation error (422)
    * @param {string} message - Error message
+   * @param {Array<{field: string, message: string, rule: string}>} errors - Per-field errors, returned as details
    * @returns {APIError} APIError instance
    */
-  static validationError(message = "Validation failed") {
-    return new APIError(message, 422);
+  static validationError(message = "Validation failed", errors = null) {
+    return APIError.fromCode("VALIDATION_FAILED", message, errors);
   }
 
   /**
@@ -153,8 +196,14 @@ class APIError extends Error {
    * @returns {APIError} APIError instance
    */
   static fromMongooseValidationError(error) {
-    const messages = Object.values(error.errors).map(err => err.message);
-    return new APIError(`Validation failed: ${messages.join(", ")}`, 422);
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      message: err.message,
+      rule: err.kind,
+      location: "body",
+    }));
+    const messages = errors.map(err => err.message);
+    return APIError.validationError(`Validation failed: ${messages.join(", ")}`, errors);
   }
 
   /**
@@ -165,7 +214,7 @@ class APIError extends Error {
   static fromMongooseDuplicateKeyError(error) {
     const field = Object.keys(error.keyValue)[0];
     const value = error.keyValue[field];
-    return new APIError(`Duplicate ${field}: ${value} already exists`, 409);
+    return APIError.fromCode("RESOURCE_ALREADY_EXISTS", `Duplicate ${field}: ${value} already exists`, { field });
   }
 
   /**
@@ -174,7 +223,8 @@ class APIError extends Error {
    * @returns {APIError} APIError instance
    */
   static fromMongooseCastError(error) {
-    return new APIError(`Invalid ${error.path}: ${error.value}`, 400);
+    const code = error.kind === "ObjectId" ? "INVALID_ID" : "BAD_REQUEST";
+    return APIError.fromCode(code, `Invalid ${error.path}: ${error.value}`, { field: error.path });
   }
 
   /**
@@ -184,15 +234,15 @@ class APIError extends Error {
    */
   static fromJWTError(error) {
     if (error.name === "JsonWebTokenError") {
-      return new APIError("Invalid token", 401);
+      return APIError.fromCode("AUTH_TOKEN_INVALID");
     }
     if (error.name === "TokenExpiredError") {
-      return new APIError("Token expired", 401);
+      return APIError.fromCode("AUTH_TOKEN_EXPIRED");
     }
     if (error.name === "NotBeforeError") {
-      return new APIError("Token not active", 401);
+      return APIError.fromCode("AUTH_TOKEN_NOT_ACTIVE");
     }
-    return new APIError("Token error", 401);
+    return APIError.fromCode("AUTH_TOKEN_INVALID", "Token error");
   }
 
   /**
@@ -212,6 +262,8 @@ class APIError extends Error {
       name: this.name,
       message: this.message,
       statusCode: this.statusCode,
+      code: this.code,
+      details: this.details,
       isOperational: this.isOperational,
       timestamp: this.timestamp,
       stack: this.stack,
@@ -227,6 +279,8 @@ class APIError extends Error {
       name: this.name,
       message: this.message,
       statusCode: this.statusCode,
+      code: this.code,
+      details: this.details,
       isOperational: this.isOperational,
       timestamp: this.timestamp,
     });
@@ -15,6 +15,7 @@ class APIResponse {
     this.data = data;
     this.message = message;
     this.success = success;
+    this.requestId = null;
     this.timestamp = new Date().toISOString();
   }
 
@@ -29,6 +30,39 @@ class APIResponse {
     return new APIResponse(statusCode, data, message, true);
   }
 
+  /**
+   * Create a paginated list response
+   * @param {Object} page - Result of paginate(): { items, nextCursor, hasMore, total, limit }.
+   *   Offset-paged results (job search) also carry { page, totalPages } and may add { facets }.
+   * @param {string} message - Success message
+   * @returns {APIResponse} APIResponse instance with pagination metadata
+   */
+  static paginated(
+    { items, nextCursor = null, hasMore = false, total, limit, page, totalPages, facets },
+    message = "Operation successful"
+  ) {
+    const response = new APIResponse(200, items, message, true);
+    response.pagination = { limit, total, hasMore, nextCursor, ...(page !== undefined && { page, totalPages }) };
+    if (facets) {
+      response.facets = facets;
+    }
+    return response;
+  }
+
+  /**
+   * Create an error response from an APIError
+   * @param {APIError} error - Error to report
+   * @param {Object} options - { message, requestId, data }
+   * @returns {APIResponse} APIResponse instance carrying code, details and request id
+   */
+  static fromError(error, { message = error.message, requestId = null, data = null } = {}) {
+    const response = new APIResponse(error.statusCode, data, message, false);
+    response.code = error.code;
+    response.details = error.details ?? null;
+    response.requestId = requestId;
+    return response;
+  }
+
   /**
    * Create a created response (201)
    * @param {any} data - Response data
@@ -134,13 +168,8 @@ class APIResponse {
    * @returns {Object} Express response
    */
   send(res) {
-    return res.status(this.statusCode).json({
-      success: this.success,
-      statusCode: this.statusCode,
-      message: this.message,
-      data: this.data,
-      timestamp: this.timestamp,
-    });
+    this.requestId ??= res.req?.id ?? null;
+    return res.status(this.statusCode).json(this.toObject());
   }
 
   /**
@@ -151,8 +180,13 @@ class APIResponse {
     return {
       success: this.success,
       statusCode: this.statusCode,
+      ...(this.code && { code: this.code }),
       message: this.message,
+      ...(this.code && { details: this.details }),
+      requestId: this.requestId,
       data: this.data,
+      ...(this.pagination && { pagination: this.pagination }),
+      ...(this.facets && { facets: this.facets }),
       timestamp: this.timestamp,
     };
   }
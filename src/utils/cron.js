@@ -0,0 +1,138 @@
+/**
+ * Cron Expressions
+ * Parses standard five-field cron expressions (minute, hour, day of month,
+ * month, day of week) and finds their next occurrence, in UTC. Fields accept
+ * "*", numbers, ranges ("1-5"), lists ("1,15") and steps on "*" or a range
+ * ("0-30/10"; "/15" after "*" for every 15 minutes).
+ * Day of week runs 0-7, both 0 and 7 being Sunday. As in Vixie cron, when both
+ * day fields are restricted a day matches if either does.
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const FIELD_PATTERN = /^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/;
+
+// Give up on expressions that never match (e.g. "0 0 31 2 *") after this long
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse one field into the set of values it matches
+ * @param {string} source - Field text
+ * @param {Object} field - { name, min, max }
+ * @returns {Set<number>} Matching values
+ * @private
+ */
+const parseField = (source, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of source.split(",")) {
+    const match = FIELD_PATTERN.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} "${source}"`);
+    }
+
+    const [, start, end, step] = match;
+    const from = start === undefined ? min : Number(start);
+    const to = end !== undefined ? Number(end) : start === undefined || step ? max : from;
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron ${name} "${source}": values must be within ${min}-${max}`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five-field cron expression
+ * @returns {Object} Parsed schedule
+ * @throws {Error} When the expression is invalid
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (dayOfWeek.delete(7)) {
+    dayOfWeek.add(0);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2].startsWith("*"),
+    anyDayOfWeek: parts[4].startsWith("*"),
+  };
+};
+
+/**
+ * Check whether a schedule runs on the day of a date
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date to check
+ * @returns {boolean} Whether the day matches
+ * @private
+ */
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth) return dayOfWeek;
+  if (schedule.anyDayOfWeek) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Find the first time after a date that a cron expression matches
+ * @param {string|Object} expression - Cron expression or parsed schedule
+ * @param {Date} [after] - Start of the search (exclusive)
+ * @returns {Date} Next occurrence, on a whole minute
+ * @throws {Error} When the expression is invalid or never matches
+ */
+export const nextCronDate = (expression, after = new Date()) => {
+  const schedule = typeof expression === "string" ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression "${expression}" never matches`);
+};
+
+export default {
+  parseCron,
+  nextCronDate,
+};
@@ -0,0 +1,157 @@
+/**
+ * Error Code Registry
+ * Stable, machine-readable codes returned as `code` on every error response.
+ * Codes never change once published; messages may be reworded freely.
+ * Each entry holds the HTTP status and the default message for the code.
+ */
+
+export const ERROR_CODES = Object.freeze({
+  // Generic codes, used when nothing more specific applies
+  BAD_REQUEST: { statusCode: 400, message: "Bad request" },
+  UNAUTHORIZED: { statusCode: 401, message: "Unauthorized access" },
+  FORBIDDEN: { statusCode: 403, message: "Access forbidden" },
+  NOT_FOUND: { statusCode: 404, message: "Resource not found" },
+  METHOD_NOT_ALLOWED: { statusCode: 405, message: "Method not allowed" },
+  CONFLICT: { statusCode: 409, message: "Resource conflict" },
+  UNSUPPORTED_MEDIA_TYPE: { statusCode: 415, message: "Unsupported media type" },
+  VALIDATION_FAILED: { statusCode: 422, message: "Validation failed" },
+  RATE_LIMITED: { statusCode: 429, message: "Too many requests, please try again later" },
+  INTERNAL_ERROR: { statusCode: 500, message: "Internal server error" },
+  NOT_IMPLEMENTED: { statusCode: 501, message: "Not implemented" },
+  BAD_GATEWAY: { statusCode: 502, message: "Bad gateway" },
+  SERVICE_UNAVAILABLE: { statusCode: 503, message: "Service unavailable" },
+  GATEWAY_TIMEOUT: { statusCode: 504, message: "Gateway timeout" },
+
+  // Request parsing
+  ROUTE_NOT_FOUND: { statusCode: 404, message: "Route not found" },
+  INVALID_JSON: { statusCode: 400, message: "Invalid JSON format" },
+  INVALID_ID: { statusCode: 400, message: "Invalid id" },
+  INVALID_QUERY: { statusCode: 400, message: "Invalid query parameters" },
+  INVALID_CURSOR: { statusCode: 400, message: "Invalid cursor" },
+  RESOURCE_ALREADY_EXISTS: { statusCode: 409, message: "Resource already exists" },
+
+  // Authentication & authorization
+  AUTH_TOKEN_MISSING: { statusCode: 401, message: "Authentication token is required" },
+  AUTH_TOKEN_INVALID: { statusCode: 401, message: "Invalid token" },
+  AUTH_TOKEN_EXPIRED: { statusCode: 401, message: "Token expired" },
+  AUTH_TOKEN_NOT_ACTIVE: { statusCode: 401, message: "Token not active" },
+  AUTH_TOKEN_REVOKED: { statusCode: 401, message: "Refresh token is no longer valid" },
+  AUTH_PASSWORD_CHANGED: { statusCode: 401, message: "Password was changed recently, please log in again" },
+  AUTH_REQUIRED: { statusCode: 401, message: "Authentication required" },
+  AUTH_INVALID_CREDENTIALS: { statusCode: 401, message: "Invalid email or password" },
+  AUTH_ACCOUNT_INACTIVE: { statusCode: 401, message: "User no longer exists or is deactivated" },
+  AUTH_ACCOUNT_DEACTIVATED: { statusCode: 403, message: "Account is deactivated" },
+  AUTH_PERMISSION_DENIED: { statusCode: 403, message: "You do not have permission to perform this action" },
+  AUTH_PASSWORD_RESET_REQUIRED: {
+    statusCode: 403,
+    message: "You must reset your password before logging in, check your email for a reset link",
+  },
+  AUTH_ACCOUNT_LOCKED: {
+    statusCode: 423,
+    message: "Account is temporarily locked after too many failed login attempts, check your email to unlock it",
+  },
+  AUTH_LOGIN_THROTTLED: { statusCode: 429, message: "Too many failed login attempts, please wait before trying again" },
+
+  // Two-factor authentication
+  TWO_FACTOR_CODE_INVALID: { statusCode: 401, message: "Invalid two-factor authentication code" },
+  TWO_FACTOR_CHALLENGE_INVALID: {
+    statusCode: 401,
+    message: "Two-factor challenge is invalid or has expired, please log in again",
+  },
+  TWO_FACTOR_ALREADY_ENABLED: { statusCode: 409, message: "Two-factor authentication is already enabled" },
+  TWO_FACTOR_NOT_ENABLED: { statusCode: 400, message: "Two-factor authentication is not enabled" },
+  TWO_FACTOR_SETUP_NOT_STARTED: { statusCode: 400, message: "Start two-factor setup before enabling it" },
+  TWO_FACTOR_SETUP_REQUIRED: {
+    statusCode: 403,
+    message: "Your role requires two-factor authentication, please enable it to continue",
+  },
+  TWO_FACTOR_REQUIRED_BY_POLICY: {
+    statusCode: 403,
+    message: "Your role requires two-factor authentication, so it cannot be disabled",
+  },
+
+  // Accounts
+  USER_EMAIL_TAKEN: { statusCode: 409, message: "User with this email already exists" },
+  USER_NOT_FOUND: { statusCode: 404, message: "User not found" },
+  EMAIL_ALREADY_VERIFIED: { statusCode: 400, message: "Email is already verified" },
+  EMAIL_VERIFICATION_INVALID: { statusCode: 400, message: "Verification link is invalid or has expired" },
+  EMAIL_VERIFICATION_THROTTLED: { statusCode: 429, message: "Please wait before requesting another verification email" },
+  PASSWORD_RESET_INVALID: { statusCode: 400, message: "Password reset link is invalid or has expired" },
+  ACCOUNT_UNLOCK_INVALID: { statusCode: 400, message: "Unlock link is invalid or has expired" },
+
+  // Companies
+  COMPANY_NOT_FOUND: { statusCode: 404, message: "Company not found" },
+  COMPANY_NOT_VERIFIED: { statusCode: 403, message: "Only verified companies can publish jobs" },
+  COMPANY_OWNER_REQUIRED: { statusCode: 403, message: "Only company owners can manage this company" },
+  COMPANY_MEMBER_REQUIRED: { statusCode: 403, message: "You can only post jobs for companies you belong to" },
+  COMPANY_MEMBER_NOT_FOUND: { statusCode: 404, message: "Member not found" },
+  COMPANY_MEMBER_EXISTS: { statusCode: 409, message: "User is already a member of this company" },
+  COMPANY_MEMBER_NOT_EMPLOYER: { statusCode: 400, message: "Only employer accounts can join a company" },
+
+  // Jobs
+  JOB_NOT_FOUND: { statusCode: 404, message: "Job not found" },
+  JOB_COMPANY_REQUIRED: { statusCode: 400, message: "Company is required" },
+  JOB_ACCESS_DENIED: { statusCode: 403, message: "You can only manage job postings of companies you belong to" },
+  JOB_NOT_OPEN: { statusCode: 400, message: "This job is no longer accepting applications" },
+  JOB_HAS_APPLICATIONS: {
+    statusCode: 409,
+    message: "A job that has received applications cannot be deleted, close it instead",
+  },
+
+  // Applications
+  APPLICATION_NOT_FOUND: { statusCode: 404, message: "Application not found" },
+  APPLICATION_ALREADY_EXISTS: { statusCode: 409, message: "You have already applied to this job" },
+  APPLICATION_ACCESS_DENIED: {
+    statusCode: 403,
+    message: "You can only manage applications for jobs of companies you belong to",
+  },
+  APPLICATION_INVALID_TRANSITION: { statusCode: 409, message: "The application cannot move to this status" },
+  APPLICATION_NOT_WITHDRAWABLE: { statusCode: 409, message: "The application can no longer be withdrawn" },
+
+  // Saved searches & job alerts
+  SAVED_SEARCH_LIMIT_REACHED: { statusCode: 409, message: "You have reached the maximum number of saved searches" },
+  ALERT_UNSUBSCRIBE_INVALID: { statusCode: 400, message: "Unsubscribe link is invalid or has expired" },
+
+  // Notifications
+  NOTIFICATION_STREAM_LIMIT_REACHED: { statusCode: 429, message: "Too many open notification streams" },
+
+  // Messaging
+  CONVERSATION_BLOCKED: { statusCode: 403, message: "This conversation has been blocked" },
+  MESSAGE_EMPTY: { statusCode: 400, message: "A message needs text or an attachment" },
+
+  // Uploads
+  FILE_REQUIRED: { statusCode: 400, message: "A file is required" },
+  FILE_TOO_LARGE: { statusCode: 400, message: "File size too large" },
+  FILE_TOO_MANY: { statusCode: 400, message: "Too many files" },
+  FILE_UNEXPECTED_FIELD: { statusCode: 400, message: "Unexpected file field" },
+  FILE_TYPE_NOT_ALLOWED: { statusCode: 415, message: "File type is not allowed" },
+});
+
+// Fallback code for each status when an error is raised without one
+const STATUS_CODE_DEFAULTS = Object.freeze({
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  409: "CONFLICT",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "VALIDATION_FAILED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+  501: "NOT_IMPLEMENTED",
+  502: "BAD_GATEWAY",
+  503: "SERVICE_UNAVAILABLE",
+  504: "GATEWAY_TIMEOUT",
+});
+
+/**
+ * Get the generic code for an HTTP status
+ * @param {number} statusCode - HTTP status code
+ * @returns {string} Error code
+ */
+export const codeForStatus = (statusCode) => {
+  return STATUS_CODE_DEFAULTS[statusCode] || (statusCode >= 500 ? "INTERNAL_ERROR" : "BAD_REQUEST");
+};
+
+export default ERROR_CODES;
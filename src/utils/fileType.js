@@ -0,0 +1,34 @@
+/**
+ * File type detection from magic bytes
+ * Identifies uploads by their content rather than trusting the client's
+ * extension or Content-Type header.
+ */
+
+const SIGNATURES = [
+  { mimeType: "application/pdf", extension: ".pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { mimeType: "image/png", extension: ".png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: "image/jpeg", extension: ".jpg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", extension: ".gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] }, // GIF87a
+  { mimeType: "image/gif", extension: ".gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] }, // GIF89a
+];
+
+/**
+ * Detect the type of a file from its leading bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {{mimeType: string, extension: string}|null} Detected type, or null when unknown
+ */
+export const detectFileType = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  const match = SIGNATURES.find(({ bytes }) =>
+    buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte)
+  );
+
+  return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+};
+
+export default {
+  detectFileType,
+};
@@ -0,0 +1,329 @@
+import mongoose from "mongoose";
+import APIError from "./APIError.js";
+
+/**
+ * List Query Toolkit
+ * Turns `?limit=&cursor=&sort=&filter[field][op]=value` into a safe Mongoose
+ * query and runs it with keyset (cursor) pagination. Every list endpoint
+ * declares a spec whitelisting the fields it can be filtered and sorted on:
+ *
+ *   {
+ *     filters: { role: { type: "string", operators: ["eq", "in"], values: [...] } },
+ *     sortFields: ["createdAt", "fullname"],
+ *     defaultSort: "-createdAt",
+ *   }
+ */
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+// Query string operator → MongoDB operator
+export const FILTER_OPERATORS = Object.freeze({
+  eq: "$eq",
+  ne: "$ne",
+  in: "$in",
+  nin: "$nin",
+  gt: "$gt",
+  gte: "$gte",
+  lt: "$lt",
+  lte: "$lte",
+});
+
+const LIST_OPERATORS = ["in", "nin"];
+const MAX_STRING_LENGTH = 200;
+const FILTER_KEY_PATTERN = /^filter\[([^\]]+)\](?:\[([^\]]+)\])?$/;
+const CURSOR_VALUE_TYPES = ["string", "number", "boolean"];
+
+/**
+ * Cast a raw query value to the type declared for the field
+ * @param {string} raw - Raw value
+ * @param {Object} definition - Field definition from the spec
+ * @param {string} field - Field name for error messages
+ * @returns {any} Cast value
+ * @throws {APIError} 400 when the value cannot be cast
+ */
+const castValue = (raw, definition, field) => {
+  const value = String(raw).trim();
+  const invalid = () =>
+    APIError.fromCode("INVALID_QUERY", `Invalid value for filter "${field}"`, { parameter: "filter", field });
+
+  let cast;
+  switch (definition.type) {
+    case "number":
+      cast = Number(value);
+      if (value === "" || !Number.isFinite(cast)) throw invalid();
+      break;
+    case "date":
+      cast = new Date(value);
+      if (value === "" || Number.isNaN(cast.getTime())) throw invalid();
+      break;
+    case "boolean":
+      if (value !== "true" && value !== "false") throw invalid();
+      cast = value === "true";
+      break;
+    case "objectId":
+      if (!mongoose.Types.ObjectId.isValid(value)) throw invalid();
+      cast = new mongoose.Types.ObjectId(value);
+      break;
+    default:
+      if (value.length > MAX_STRING_LENGTH) throw invalid();
+      cast = value;
+  }
+
+  if (definition.values && !definition.values.includes(cast)) {
+    throw APIError.fromCode("INVALID_QUERY", `Filter "${field}" must be one of: ${definition.values.join(", ")}`, {
+      parameter: "filter",
+      field,
+      allowed: definition.values,
+    });
+  }
+
+  return cast;
+};
+
+/**
+ * Collect [field, operator, value] triples from the query string. Supports
+ * both the flat keys produced by Express' simple query parser
+ * (`filter[role][eq]`) and nested objects from the extended parser.
+ * @param {Object} query - req.query
+ * @returns {Array<[string, string, any]>} Filter triples
+ */
+const extractFilters = (query) => {
+  const filters = [];
+
+  if (query.filter && typeof query.filter === "object") {
+    for (const [field, condition] of Object.entries(query.filter)) {
+      if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+        for (const [operator, value] of Object.entries(condition)) {
+          filters.push([field, operator, value]);
+        }
+      } else {
+        filters.push([field, "eq", condition]);
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(query)) {
+    const match = key.match(FILTER_KEY_PATTERN);
+    if (match) {
+      filters.push([match[1], match[2] || "eq", value]);
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Build a MongoDB filter from the whitelisted filter parameters
+ * @param {Object} query - req.query
+ * @param {Object} spec - List spec
+ * @returns {Object} MongoDB filter
+ * @throws {APIError} 400 on unknown fields, operators or bad values
+ */
+const buildFilter = (query, spec) => {
+  const filter = {};
+
+  for (const [field, operator, raw] of extractFilters(query)) {
+    const definition = spec.filters?.[field];
+    if (!definition) {
+      throw APIError.fromCode("INVALID_QUERY", `Filtering on "${field}" is not supported`, {
+        parameter: "filter",
+        field,
+      });
+    }
+
+    const allowed = definition.operators || ["eq"];
+    if (!allowed.includes(operator) || !FILTER_OPERATORS[operator]) {
+      throw APIError.fromCode("INVALID_QUERY", `Operator "${operator}" is not supported for "${field}"`, {
+        parameter: "filter",
+        field,
+        allowed,
+      });
+    }
+
+    if (Array.isArray(raw) && !LIST_OPERATORS.includes(operator)) {
+      throw APIError.fromCode("INVALID_QUERY", `Filter "${field}" was given more than once`, {
+        parameter: "filter",
+        field,
+      });
+    }
+
+    const value = LIST_OPERATORS.includes(operator)
+      ? (Array.isArray(raw) ? raw : String(raw).split(",")).map((item) => castValue(item, definition, field))
+      : castValue(raw, definition, field);
+
+    const path = definition.path || field;
+    filter[path] = { ...filter[path], [FILTER_OPERATORS[operator]]: value };
+  }
+
+  return filter;
+};
+
+/**
+ * Parse the ?sort parameter ("field" ascending, "-field" descending)
+ * @param {string} value - Raw sort
+ * @param {Object} spec - List spec
+ * @returns {{ field: string, direction: number }} Sort
+ * @throws {APIError} 400 when the field is not sortable
+ */
+const parseSort = (value, spec) => {
+  const raw = typeof value === "string" && value ? value : spec.defaultSort || "-createdAt";
+  const direction = raw.startsWith("-") ? -1 : 1;
+  const field = raw.replace(/^[-+]/, "");
+
+  const sortFields = spec.sortFields || ["createdAt"];
+  if (!sortFields.includes(field)) {
+    throw APIError.fromCode("INVALID_QUERY", `sort must be one of: ${sortFields.join(", ")}`, {
+      parameter: "sort",
+      allowed: sortFields,
+    });
+  }
+
+  return { field, direction };
+};
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {{ field: string, direction: number }} sort - Sort in use
+ * @returns {string} Base64url cursor
+ */
+export const encodeCursor = (doc, sort) => {
+  const value = typeof doc.get === "function" ? doc.get(sort.field) : doc[sort.field];
+  const payload = {
+    s: `${sort.direction === -1 ? "-" : ""}${sort.field}`,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(doc._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode a cursor and check it was issued for the same sort
+ * @param {string} cursor - Base64url cursor
+ * @param {{ field: string, direction: number }} sort - Sort in use
+ * @returns {{ value: any, id: mongoose.Types.ObjectId }} Decoded position
+ * @throws {APIError} 400 when the cursor is malformed or for another sort
+ */
+export const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    throw APIError.fromCode("INVALID_CURSOR");
+  }
+
+  if (
+    !payload ||
+    typeof payload !== "object" ||
+    typeof payload.id !== "string" ||
+    !mongoose.Types.ObjectId.isValid(payload.id)
+  ) {
+    throw APIError.fromCode("INVALID_CURSOR");
+  }
+
+  if (payload.s !== `${sort.direction === -1 ? "-" : ""}${sort.field}`) {
+    throw APIError.fromCode("INVALID_CURSOR", "Cursor does not match the requested sort");
+  }
+
+  // The value ends up in the page query, so anything but a scalar (e.g. an
+  // operator object like { "$ne": null }) is rejected
+  const value = payload.v;
+  if (value !== null && !CURSOR_VALUE_TYPES.includes(typeof value)) {
+    throw APIError.fromCode("INVALID_CURSOR");
+  }
+
+  if (payload.d) {
+    const date = new Date(value);
+    if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+      throw APIError.fromCode("INVALID_CURSOR");
+    }
+    return { value: date, id: new mongoose.Types.ObjectId(payload.id) };
+  }
+
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(payload.id),
+  };
+};
+
+/**
+ * Build the condition selecting documents after the cursor position. Ties on
+ * the sort field are broken by _id; nulls sort before every other value.
+ * @param {{ value: any, id: mongoose.Types.ObjectId }} position - Decoded cursor
+ * @param {{ field: string, direction: number }} sort - Sort in use
+ * @returns {Object} MongoDB filter
+ */
+export const buildCursorCondition = ({ value, id }, { field, direction }) => {
+  const after = direction === -1 ? "$lt" : "$gt";
+
+  if (value === null) {
+    return direction === -1
+      ? { [field]: null, _id: { $lt: id } }
+      : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+  }
+
+  const conditions = [{ [field]: { [after]: value } }, { [field]: value, _id: { [after]: id } }];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+
+  return { $or: conditions };
+};
+
+/**
+ * Parse list query parameters against a spec
+ * @param {Object} query - req.query
+ * @param {Object} spec - List spec (filters, sortFields, defaultSort, maxLimit)
+ * @returns {Object} { filter, sort, limit, cursor }
+ * @throws {APIError} 400 on invalid parameters
+ */
+export const parseListQuery = (query = {}, spec = {}) => {
+  const maxLimit = spec.maxLimit || MAX_LIMIT;
+  const limit = parseInt(query.limit, 10) || spec.defaultLimit || DEFAULT_LIMIT;
+  const sort = parseSort(query.sort, spec);
+
+  return {
+    filter: buildFilter(query, spec),
+    sort,
+    limit: Math.min(Math.max(limit, 1), maxLimit),
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null,
+  };
+};
+
+/**
+ * Run a paginated list query
+ * @param {mongoose.Model} model - Model to query
+ * @param {Object} baseFilter - Filter enforced by the endpoint (never overridable)
+ * @param {Object} params - Result of parseListQuery
+ * @param {Object} [options] - { select, populate }
+ * @returns {Promise<Object>} { items, nextCursor, hasMore, total, limit }
+ */
+export const paginate = async (model, baseFilter, params, { select, populate } = {}) => {
+  const clauses = [baseFilter, params.filter].filter((clause) => Object.keys(clause).length > 0);
+  const filter = clauses.length > 1 ? { $and: clauses } : clauses[0] || {};
+  const pageFilter = params.cursor
+    ? { $and: [filter, buildCursorCondition(params.cursor, params.sort)] }
+    : filter;
+
+  let query = model
+    .find(pageFilter)
+    .sort({ [params.sort.field]: params.sort.direction, _id: params.sort.direction })
+    .limit(params.limit + 1);
+
+  if (select) query = query.select(select);
+  if (populate) query = query.populate(populate);
+
+  const [docs, total] = await Promise.all([query, model.countDocuments(filter)]);
+  const hasMore = docs.length > params.limit;
+  const items = hasMore ? docs.slice(0, params.limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], params.sort) : null,
+    hasMore,
+    total,
+    limit: params.limit,
+  };
+};
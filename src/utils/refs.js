@@ -0,0 +1,8 @@
+/**
+ * Get the id of a reference whether or not it has been populated
+ * @param {Object} ref - ObjectId or populated document
+ * @returns {string} Id string
+ */
+export const refId = (ref) => (ref._id || ref).toString();
+
+export default refId;
@@ -0,0 +1,51 @@
+import Joi from "joi";
+import { ROLES } from "../config/roles.js";
+import { idParams } from "./common.js";
+
+export const userIdSchema = {
+  params: idParams,
+};
+
+export const updateUserRoleSchema = {
+  params: idParams,
+  body: Joi.object({
+    role: Joi.string().valid(...Object.values(ROLES)).required(),
+  }),
+};
+
+// Optional note recorded in the audit log
+export const userActionSchema = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().trim().max(500),
+  }),
+};
+
+export const impersonateUserSchema = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }),
+};
+
+export const queueJobIdSchema = {
+  params: idParams,
+};
+
+export const resolveMessageReportSchema = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid("resolved", "dismissed").required(),
+    note: Joi.string().trim().max(1000),
+  }),
+};
+
+// Roles that must use two-factor authentication; an empty list makes it opt-in for everyone
+export const twoFactorPolicySchema = {
+  body: Joi.object({
+    requiredRoles: Joi.array()
+      .items(Joi.string().valid(...Object.values(ROLES)))
+      .unique()
+      .required(),
+  }),
+};
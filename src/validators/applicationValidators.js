@@ -0,0 +1,33 @@
+import Joi from "joi";
+import config from "../config/env.js";
+import { APPLICATION_STATUSES } from "../models/Application.js";
+import { idParams, objectId, timeZone } from "./common.js";
+
+// Interview details, emailed to the applicant as an invitation
+const interviewSchema = Joi.object({
+  scheduledAt: Joi.date().iso().greater("now").required(),
+  timeZone: timeZone().default(config.i18n.timeZone),
+  durationMinutes: Joi.number().integer().min(5).max(480),
+  location: Joi.string().trim().max(200),
+  meetingUrl: Joi.string().trim().uri({ scheme: ["http", "https"] }).max(500),
+  notes: Joi.string().trim().max(1000).allow(""),
+}).or("location", "meetingUrl");
+
+export const applyToJobSchema = {
+  params: Joi.object({
+    jobId: objectId().required(),
+  }),
+  body: Joi.object({
+    coverLetter: Joi.string().trim().max(5000).allow(""),
+  }),
+};
+
+export const updateApplicationStatusSchema = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid(...APPLICATION_STATUSES).required(),
+    note: Joi.string().trim().max(1000).allow(""),
+    // Only when moving to "interview"
+    interview: Joi.when("status", { is: "interview", then: interviewSchema, otherwise: Joi.forbidden() }),
+  }),
+};
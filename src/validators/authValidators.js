@@ -0,0 +1,77 @@
+import Joi from "joi";
+import { email, password, locale } from "./common.js";
+
+// Roles a user may pick for themselves at registration
+export const SELF_ASSIGNABLE_ROLES = ["job_seeker", "employer"];
+
+export const registerSchema = {
+  body: Joi.object({
+    fullname: Joi.string().trim().min(2).max(100).required(),
+    email: email().required(),
+    password: password().required(),
+    role: Joi.string().valid(...SELF_ASSIGNABLE_ROLES),
+    locale: locale(),
+  }),
+};
+
+export const updateAccountSchema = {
+  body: Joi.object({
+    fullname: Joi.string().trim().min(2).max(100),
+    locale: locale(),
+  }).min(1),
+};
+
+export const loginSchema = {
+  body: Joi.object({
+    email: email().required(),
+    password: Joi.string().required(),
+  }),
+};
+
+export const refreshTokenSchema = {
+  body: Joi.object({
+    refreshToken: Joi.string().required(),
+  }),
+};
+
+export const forgotPasswordSchema = {
+  body: Joi.object({
+    email: email().required(),
+  }),
+};
+
+export const resetPasswordSchema = {
+  body: Joi.object({
+    password: password().required(),
+  }),
+};
+
+// TOTP code, or a recovery code (xxxx-xxxx-xxxx) where one is accepted
+const twoFactorCode = () => Joi.string().trim().max(32);
+
+export const verifyTwoFactorSchema = {
+  body: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: twoFactorCode().required(),
+  }),
+};
+
+export const enableTwoFactorSchema = {
+  body: Joi.object({
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({ "string.pattern.base": "code must be the 6-digit code from your authenticator app" }),
+  }),
+};
+
+export const twoFactorCodeSchema = {
+  body: Joi.object({
+    code: twoFactorCode().required(),
+  }),
+};
+
+export const disableTwoFactorSchema = {
+  body: Joi.object({
+    password: Joi.string().required(),
+    code: twoFactorCode().required(),
+  }),
+};
@@ -0,0 +1,55 @@
+import Joi from "joi";
+import mongoose from "mongoose";
+import config from "../config/env.js";
+
+/**
+ * Joi schema for a MongoDB ObjectId string
+ */
+export const objectId = () =>
+  Joi.string()
+    .custom((value, helpers) => {
+      return mongoose.Types.ObjectId.isValid(value) ? value : helpers.error("any.invalid");
+    })
+    .messages({ "any.invalid": "{{#label}} must be a valid id" });
+
+/**
+ * Joi schema for an email address (format only; the User model normalizes it)
+ */
+export const email = () => Joi.string().trim().lowercase().email({ tlds: { allow: false } });
+
+/**
+ * Joi schema for a new password, mirroring the User model's minimum length
+ */
+export const password = () => Joi.string().min(8).max(128);
+
+/**
+ * Joi schema for a supported locale (see config.i18n)
+ */
+export const locale = () =>
+  Joi.string()
+    .trim()
+    .lowercase()
+    .valid(...config.i18n.locales);
+
+/**
+ * Joi schema for an IANA time zone name (e.g. "Asia/Kathmandu")
+ */
+export const timeZone = () =>
+  Joi.string()
+    .trim()
+    .custom((value, helpers) => {
+      try {
+        new Intl.DateTimeFormat("en", { timeZone: value });
+        return value;
+      } catch {
+        return helpers.error("any.invalid");
+      }
+    })
+    .messages({ "any.invalid": "{{#label}} must be a valid time zone" });
+
+/**
+ * Params schema for routes addressing a resource by :id
+ */
+export const idParams = Joi.object({
+  id: objectId().required(),
+});
@@ -0,0 +1,19 @@
+import Joi from "joi";
+import { MEMBER_ROLES, VERIFICATION_STATUSES } from "../models/Company.js";
+import { email, idParams } from "./common.js";
+
+export const addCompanyMemberSchema = {
+  params: idParams,
+  body: Joi.object({
+    email: email().required(),
+    role: Joi.string().valid(...MEMBER_ROLES).default("recruiter"),
+  }),
+};
+
+export const setCompanyVerificationSchema = {
+  params: idParams,
+  body: Joi.object({
+    status: Joi.string().valid(...VERIFICATION_STATUSES).required(),
+    note: Joi.string().trim().max(1000).allow(""),
+  }),
+};
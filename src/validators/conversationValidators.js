@@ -0,0 +1,32 @@
+import Joi from "joi";
+import { MESSAGE_REPORT_REASONS } from "../models/MessageReport.js";
+import { idParams, objectId } from "./common.js";
+
+export const openConversationSchema = {
+  body: Joi.object({
+    applicationId: objectId().required(),
+  }),
+};
+
+export const conversationIdSchema = {
+  params: idParams,
+};
+
+// Multipart or JSON; attachments arrive as files in the "attachments" field
+export const sendMessageSchema = {
+  params: idParams,
+  body: Joi.object({
+    body: Joi.string().trim().max(5000).allow(""),
+  }),
+};
+
+export const reportConversationSchema = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().valid(...MESSAGE_REPORT_REASONS).required(),
+    details: Joi.string().trim().max(1000),
+    messageId: objectId(),
+    // Also block the conversation
+    block: Joi.boolean().default(false),
+  }),
+};
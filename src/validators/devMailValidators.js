@@ -0,0 +1,21 @@
+import Joi from "joi";
+import { locale } from "./common.js";
+
+export const outboxMessageSchema = {
+  params: Joi.object({
+    id: Joi.string().pattern(/^[\w.-]+$/).required(),
+  }),
+  query: Joi.object({
+    format: Joi.string().valid("html", "text", "json").default("html"),
+  }),
+};
+
+export const templatePreviewSchema = {
+  params: Joi.object({
+    name: Joi.string().required(),
+  }),
+  query: Joi.object({
+    locale: locale(),
+    format: Joi.string().valid("html", "text", "json").default("html"),
+  }),
+};
@@ -0,0 +1,52 @@
+import Joi from "joi";
+import { EMPLOYMENT_TYPES, EXPERIENCE_LEVELS, JOB_STATUSES } from "../models/Job.js";
+import { idParams, objectId } from "./common.js";
+
+const salary = Joi.object({
+  min: Joi.number().min(0),
+  max: Joi.number()
+    .min(0)
+    .when("min", {
+      is: Joi.exist(),
+      then: Joi.number()
+        .min(Joi.ref("min"))
+        .messages({ "number.min": "salary.max must be greater than or equal to salary.min" }),
+    }),
+  currency: Joi.string().trim().uppercase().length(3),
+  period: Joi.string().valid("hour", "month", "year"),
+});
+
+// Field rules shared by create and update; create marks the required ones
+const jobFields = {
+  title: Joi.string().trim().min(3).max(150),
+  description: Joi.string().trim().min(30).max(10000),
+  company: objectId(),
+  location: Joi.string().trim().max(150),
+  employmentType: Joi.string().valid(...EMPLOYMENT_TYPES),
+  experienceLevel: Joi.string().valid(...EXPERIENCE_LEVELS),
+  salary,
+  skills: Joi.array().items(Joi.string().trim().max(50)).max(30),
+  deadline: Joi.date().greater("now"),
+  status: Joi.string().valid(...JOB_STATUSES),
+};
+
+export const createJobSchema = {
+  body: Joi.object({
+    ...jobFields,
+    title: jobFields.title.required(),
+    description: jobFields.description.required(),
+    company: jobFields.company.required(),
+    location: jobFields.location.required(),
+    employmentType: jobFields.employmentType.required(),
+    experienceLevel: jobFields.experienceLevel.required(),
+  }),
+};
+
+export const updateJobSchema = {
+  params: idParams,
+  body: Joi.object(jobFields).min(1),
+};
+
+export const jobIdSchema = {
+  params: idParams,
+};
@@ -0,0 +1,34 @@
+import Joi from "joi";
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from "../models/Notification.js";
+import { idParams, objectId } from "./common.js";
+
+/**
+ * Preferences for one channel: a boolean for each type delivered on it
+ * @param {string} channel - Notification channel
+ * @returns {Object} Joi schema
+ */
+const channelPreferences = (channel) =>
+  Joi.object(
+    Object.fromEntries(
+      Object.entries(NOTIFICATION_TYPES)
+        .filter(([, channels]) => channels.includes(channel))
+        .map(([type]) => [type, Joi.boolean()])
+    )
+  ).min(1);
+
+export const notificationIdSchema = {
+  params: idParams,
+};
+
+export const notificationStreamSchema = {
+  query: Joi.object({
+    access_token: Joi.string(),
+    lastEventId: objectId(),
+  }),
+};
+
+export const updatePreferencesSchema = {
+  body: Joi.object(
+    Object.fromEntries(NOTIFICATION_CHANNELS.map((channel) => [channel, channelPreferences(channel)]))
+  ).min(1),
+};
@@ -0,0 +1,40 @@
+import Joi from "joi";
+import { ALERT_FREQUENCIES } from "../models/SavedSearch.js";
+import { idParams } from "./common.js";
+
+// Job search filters (values are checked by the job search parser)
+const list = () => Joi.alternatives(Joi.string(), Joi.array().items(Joi.string()));
+
+const filters = Joi.object({
+  q: Joi.string().trim().max(200).allow(""),
+  location: Joi.string().trim().max(150).allow(""),
+  employmentType: list(),
+  experienceLevel: list(),
+  salaryMin: Joi.number().min(0),
+  salaryMax: Joi.number().min(0),
+  salaryCurrency: Joi.string().trim().length(3),
+  salaryPeriod: Joi.string(),
+});
+
+const savedSearchFields = {
+  name: Joi.string().trim().min(1).max(100),
+  filters,
+  alertFrequency: Joi.string().valid(...ALERT_FREQUENCIES),
+};
+
+export const createSavedSearchSchema = {
+  body: Joi.object({
+    ...savedSearchFields,
+    name: savedSearchFields.name.required(),
+    filters: filters.required(),
+  }),
+};
+
+export const updateSavedSearchSchema = {
+  params: idParams,
+  body: Joi.object(savedSearchFields).min(1),
+};
+
+export const savedSearchIdSchema = {
+  params: idParams,
+};
@@ -0,0 +1,72 @@
+import logger from "./config/logger.js";
+import database from "./config/database.js";
+import { Worker } from "./services/queue/index.js";
+import { registerJobs } from "./services/queue/jobs.js";
+
+/**
+ * Queue worker entry point
+ * Runs the background jobs the API enqueues (emails) and the cron jobs
+ * (job alerts, queue cleanup). Start one or more next to the API server.
+ */
+
+registerJobs();
+
+const worker = new Worker();
+
+// Stop taking jobs, let the running ones finish, then disconnect
+async function shutdown(signal) {
+  logger.info(`${signal} received, stopping queue worker`);
+
+  try {
+    await worker.stop();
+    if (database.isConnected) {
+      await database.disconnect();
+    }
+    logger.info('Queue worker shutdown completed');
+  } catch (error) {
+    logger.error('Error during queue worker shutdown:', error);
+  }
+
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+process.on('uncaughtException', async (error) => {
+  logger.error('Uncaught Exception in queue worker:', error);
+
+  try {
+    if (database.isConnected) {
+      await database.disconnect();
+    }
+  } catch (shutdownError) {
+    logger.error('Error during emergency shutdown:', shutdownError);
+  }
+
+  process.exit(1);
+});
+
+// Initialize worker
+async function startWorker() {
+  try {
+    await database.connect();
+    await database.setupIndexes();
+
+    await worker.start();
+  } catch (error) {
+    logger.error('Failed to start queue worker', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    if (database.isConnected) {
+      await database.disconnect();
+    }
+
+    process.exit(1);
+  }
+}
+
+// Start the worker
+startWorker();